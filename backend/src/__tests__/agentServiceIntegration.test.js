@@ -4,6 +4,9 @@ const {
   calculateSimilarity, 
   getOpenAIResponse 
 } = require('../services/agentService');
+const { createProvider, setProvider } = require('../services/llmService');
+const { clearSummaryCache } = require('../services/historySummaryService');
+const { getRelevantContext, isInitialized } = require('../services/ragService');
 
 // Mock OpenAI
 jest.mock('openai', () => {
@@ -89,6 +92,182 @@ describe('Agent Service Integration', () => {
     });
   });
 
+  describe('getAgentResponse streaming', () => {
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    it('should emit provider tokens through onToken and return the full answer', async () => {
+      setProvider(createProvider({ provider: 'fake' }));
+      const onToken = jest.fn();
+
+      const response = await getAgentResponse('What is the weather today?', [], { onToken });
+
+      expect(onToken.mock.calls.map(([token]) => token).join('')).toBe(response.answer);
+      expect(onToken.mock.calls.length).toBeGreaterThan(1);
+      expect(response.answer).toBe('Fake response to: What is the weather today?');
+      expect(response.source).toBe('openai');
+    });
+
+    it('should deliver predefined answers as a single token', async () => {
+      const onToken = jest.fn();
+
+      const response = await getAgentResponse('What does the claims processing agent CAM do?', [], { onToken });
+
+      expect(response.source).toBe('predefined');
+      expect(onToken).toHaveBeenCalledTimes(1);
+      expect(onToken).toHaveBeenCalledWith(response.answer);
+    });
+  });
+
+  describe('getAgentResponse retrieval filters', () => {
+    afterEach(() => {
+      setProvider(null);
+      isInitialized.mockReturnValue(false);
+    });
+
+    it('should restrict knowledge base retrieval to the given filters', async () => {
+      setProvider(createProvider({ provider: 'fake' }));
+      isInitialized.mockReturnValue(true);
+      const filters = { pageName: ['Payment Posting', 'Trust and Security'] };
+
+      await getAgentResponse('How are remittances reconciled?', [], { filters });
+
+      expect(getRelevantContext).toHaveBeenCalledWith('How are remittances reconciled?', expect.objectContaining({ filters }));
+    });
+  });
+
+  describe('getAgentResponse context budget', () => {
+    const chat = jest.fn().mockResolvedValue({ content: 'Budgeted answer' });
+
+    beforeEach(() => {
+      chat.mockClear();
+      setProvider({ name: 'test', chatModel: 'gpt-4', embeddingModel: 'test', chat });
+      isInitialized.mockReturnValue(true);
+    });
+
+    afterEach(() => {
+      setProvider(null);
+      isInitialized.mockReturnValue(false);
+      delete process.env.CHAT_CONTEXT_WINDOW;
+      delete process.env.CONTEXT_MAX_TOKENS;
+      delete process.env.HISTORY_SUMMARY_THRESHOLD;
+    });
+
+    it('should cap retrieved context at CONTEXT_MAX_TOKENS', async () => {
+      process.env.CONTEXT_MAX_TOKENS = '300';
+
+      await getAgentResponse('How are remittances reconciled?');
+
+      expect(getRelevantContext).toHaveBeenLastCalledWith('How are remittances reconciled?', expect.objectContaining({
+        maxContextTokens: 300,
+        tokenizer: expect.objectContaining({ count: expect.any(Function) })
+      }));
+    });
+
+    it('should keep retrieved context within what the context window leaves', async () => {
+      process.env.CHAT_CONTEXT_WINDOW = '1500';
+
+      await getAgentResponse('How are remittances reconciled?');
+
+      const { maxContextTokens } = getRelevantContext.mock.calls.at(-1)[1];
+      expect(maxContextTokens).toBeGreaterThan(0);
+      expect(maxContextTokens).toBeLessThan(1500 - 700);
+    });
+
+    it('should drop the oldest turns of a history that does not fit', async () => {
+      process.env.CHAT_CONTEXT_WINDOW = '1200';
+      process.env.HISTORY_SUMMARY_THRESHOLD = '0';
+      const conversationHistory = Array.from({ length: 20 }, (_, i) => ({
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `Turn ${i}: ${'remittance reconciliation details '.repeat(10)}`
+      }));
+
+      const response = await getAgentResponse('How are remittances reconciled?', conversationHistory);
+
+      const { messages } = chat.mock.calls[0][0];
+      const sentHistory = messages.slice(1, -1);
+      expect(response.contextBudget.droppedMessages).toBeGreaterThan(0);
+      expect(sentHistory.length).toBe(20 - response.contextBudget.droppedMessages);
+      expect(sentHistory[sentHistory.length - 1].content).toMatch(/^Turn 19:/);
+      expect(response.contextBudget.contextWindow).toBe(1200);
+      expect(response.contextBudget.promptTokens.history).toBeLessThanOrEqual(1200 - 700 - response.contextBudget.promptTokens.system);
+    });
+
+    it('should report the chunks retrieval dropped to fit the budget', async () => {
+      const dropped = { pageName: 'Blog', url: 'https://thoughtful.ai/blog', relevanceScore: 0.2 };
+      getRelevantContext.mockResolvedValueOnce({
+        context: '[Source: Payment Posting]\nPHIL reconciles remittances.',
+        sources: [{ pageName: 'Payment Posting', url: 'https://thoughtful.ai/phil', relevanceScore: 0.8 }],
+        droppedSources: [dropped],
+        hasContext: true
+      });
+
+      const response = await getAgentResponse('How are remittances reconciled?');
+
+      expect(response.source).toBe('rag');
+      expect(response.contextBudget.droppedSources).toEqual([dropped]);
+      expect(response.contextBudget.droppedMessages).toBe(0);
+      expect(response.contextBudget.promptTokens.context).toBeGreaterThan(0);
+    });
+
+    it('should report the budget of answers without retrieval', async () => {
+      isInitialized.mockReturnValue(false);
+
+      const response = await getAgentResponse('What is the weather today?', [{ role: 'user', content: 'Hello' }]);
+
+      expect(response.source).toBe('openai');
+      expect(response.contextBudget).toMatchObject({
+        contextWindow: 8192,
+        responseTokens: 700,
+        promptTokens: { context: 0 },
+        droppedSources: [],
+        droppedMessages: 0,
+        summarizedMessages: 0
+      });
+      expect(response.contextBudget.promptTokens.history).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getAgentResponse history summary', () => {
+    const chat = jest.fn();
+    const conversationHistory = Array.from({ length: 12 }, (_, i) => ({
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: `Turn ${i} about our clinic's denied claims`
+    }));
+
+    beforeEach(() => {
+      clearSummaryCache();
+      chat.mockReset();
+      chat
+        .mockResolvedValueOnce({ content: 'The customer runs a clinic with many denied claims.' })
+        .mockResolvedValue({ content: 'Summarized answer' });
+      setProvider({ name: 'test', chatModel: 'gpt-4', embeddingModel: 'test', chat });
+    });
+
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    it('should send older turns as a summary in the system prompt', async () => {
+      const response = await getAgentResponse('Can you help with appeals?', conversationHistory);
+
+      const { messages } = chat.mock.calls[1][0];
+      expect(messages[0].content).toContain('--- SUMMARY OF THE CONVERSATION SO FAR ---\nThe customer runs a clinic with many denied claims.');
+      expect(messages.slice(1, -1)).toEqual(conversationHistory.slice(6));
+      expect(response.answer).toBe('Summarized answer');
+      expect(response.contextBudget.summarizedMessages).toBe(6);
+      expect(response.contextBudget.promptTokens.summary).toBeGreaterThan(0);
+    });
+
+    it('should not summarize for predefined answers', async () => {
+      const response = await getAgentResponse('What does the claims processing agent CAM do?', conversationHistory);
+
+      expect(response.source).toBe('predefined');
+      expect(chat).not.toHaveBeenCalled();
+    });
+  });
+
   describe('findBestMatch edge cases', () => {
     it('should handle questions with special characters', () => {
       const result = findBestMatch('What is EVA???');
@@ -41,7 +41,7 @@ jest.mock('openai', () => {
   return jest.fn().mockImplementation(() => ({
     embeddings: {
       create: jest.fn().mockImplementation(({ input }) => ({
-        data: [{ embedding: createEmbedding(input) }]
+        data: [].concat(input).map(text => ({ embedding: createEmbedding(text) }))
       }))
     },
     chat: {
@@ -78,7 +78,9 @@ jest.mock('../services/scraperService', () => ({
   ]),
   scrapePage: jest.fn(),
   extractTextFromHtml: jest.fn(),
-  parseContent: jest.fn(),
+  parseContent: jest.requireActual('../services/scraperService').parseContent,
+  assignSections: jest.requireActual('../services/scraperService').assignSections,
+  getPageName: jest.requireActual('../services/scraperService').getPageName,
   PAGES_TO_SCRAPE: [
     { url: 'https://www.thoughtful.ai/', name: 'Home' },
     { url: 'https://www.thoughtful.ai/prior-authorization', name: 'Prior Authorization' }
@@ -89,6 +91,19 @@ jest.mock('../services/scraperService', () => ({
 const { clearVectorStore, isInitialized } = require('../services/ragService');
 const { initializeKnowledgeBase, getKnowledgeBaseStatus } = require('../services/knowledgeService');
 
+/**
+ * Poll a refresh job until it finishes
+ * @param {string} jobId - Job id returned by POST /api/knowledge/refresh
+ * @returns {Promise<Object>} - The finished job
+ */
+async function waitForJob(jobId) {
+  for (;;) {
+    const { body: job } = await request(app).get(`/api/knowledge/jobs/${jobId}`).expect(200);
+    if (job.status !== 'running') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
 describe('API Integration Tests', () => {
   beforeAll(async () => {
     // Initialize knowledge base for tests
@@ -162,24 +177,161 @@ describe('API Integration Tests', () => {
     });
 
     describe('POST /api/knowledge/refresh', () => {
-      it('should return 200 on successful refresh', async () => {
+      it('should return 202 with a refresh job', async () => {
         const response = await request(app)
           .post('/api/knowledge/refresh')
-          .expect(200);
+          .expect(202);
 
         expect(response.body.success).toBe(true);
+        expect(response.headers.location).toBe(`/api/knowledge/jobs/${response.body.jobId}`);
+        await waitForJob(response.body.jobId);
       });
 
-      it('should include scraping and ingestion stats', async () => {
-        const response = await request(app)
+      it('should include scraping and ingestion stats in the finished job', async () => {
+        const { body } = await request(app)
+          .post('/api/knowledge/refresh')
+          .expect(202);
+
+        const job = await waitForJob(body.jobId);
+
+        expect(job.status).toBe('completed');
+        expect(job.result).toHaveProperty('scraping');
+        expect(job.result.scraping).toHaveProperty('pagesScraped');
+        expect(job.result).toHaveProperty('ingestion');
+        expect(job.result.ingestion).toHaveProperty('totalChunks');
+        expect(job.progress.chunksEmbedded).toBe(job.progress.chunksTotal);
+        expect(job.progress.chunksTotal).toBeGreaterThan(0);
+      });
+
+      it('should stream job progress until it finishes', async () => {
+        const { body } = await request(app)
           .post('/api/knowledge/refresh')
+          .expect(202);
+
+        const response = await request(app)
+          .get(`/api/knowledge/jobs/${body.jobId}/events`)
+          .expect('Content-Type', /text\/event-stream/)
           .expect(200);
 
-        expect(response.body).toHaveProperty('scraping');
-        expect(response.body.scraping).toHaveProperty('pagesScraped');
-        expect(response.body).toHaveProperty('ingestion');
-        expect(response.body.ingestion).toHaveProperty('totalChunks');
+        const events = response.text.trim().split('\n\n').map(block => block.split('\n')[0]);
+        expect(events[events.length - 1]).toBe('event: done');
       });
+
+      it('should return 404 for unknown jobs', async () => {
+        await request(app)
+          .get('/api/knowledge/jobs/missing')
+          .expect(404);
+      });
+    });
+  });
+
+  describe('Knowledge Page Endpoints', () => {
+    const url = 'https://thoughtful.ai/faq';
+    const content = [
+      'Frequently asked question: does Thoughtful AI support dental billing workflows?',
+      'Yes, the agents support dental billing and orthodontic claims.'
+    ];
+
+    afterAll(async () => {
+      const page = (await request(app).get('/api/knowledge/pages')).body.pages.find(p => p.url === url);
+      if (page) await request(app).delete(`/api/knowledge/pages/${page.id}`);
+    });
+
+    it('should add a page without touching the others', async () => {
+      const before = (await request(app).get('/api/knowledge/status')).body.documentCount;
+
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url, pageName: 'FAQ', content })
+        .expect(201);
+
+      expect(response.body.page).toEqual(expect.objectContaining({ url, pageName: 'FAQ', source: 'api', chunkCount: 2 }));
+      const after = (await request(app).get('/api/knowledge/status')).body.documentCount;
+      expect(after).toBe(before + 2);
+    });
+
+    it('should list the added page', async () => {
+      const response = await request(app)
+        .get('/api/knowledge/pages')
+        .expect(200);
+
+      expect(response.body.pages.map(p => p.pageName)).toEqual(expect.arrayContaining(['Home', 'Prior Authorization', 'FAQ']));
+    });
+
+    it('should replace the page chunks on a second upsert', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url, pageName: 'FAQ', content: content[0] })
+        .expect(200);
+
+      expect(response.body.ingestion).toEqual(expect.objectContaining({ chunksAdded: 1, chunksRemoved: 2 }));
+    });
+
+    it('should keep added pages across a refresh', async () => {
+      const { body } = await request(app).post('/api/knowledge/refresh').expect(202);
+      await waitForJob(body.jobId);
+
+      const response = await request(app).get('/api/knowledge/pages');
+      expect(response.body.pages.find(p => p.url === url)).toBeDefined();
+    });
+
+    it('should delete the page', async () => {
+      const { pages } = (await request(app).get('/api/knowledge/pages')).body;
+      const page = pages.find(p => p.url === url);
+
+      const response = await request(app)
+        .delete(`/api/knowledge/pages/${page.id}`)
+        .expect(200);
+
+      expect(response.body.chunksRemoved).toBe(1);
+      const remaining = (await request(app).get('/api/knowledge/pages')).body.pages;
+      expect(remaining.find(p => p.url === url)).toBeUndefined();
+      expect(remaining.length).toBe(pages.length - 1);
+    });
+  });
+
+  describe('Knowledge Document Endpoints', () => {
+    it('should index an uploaded document and remove it as a page', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', Buffer.from('# Payment Posting Handbook\n\nPayment posting exceptions are reviewed daily.'), 'handbook.md')
+        .expect(201);
+
+      const [{ page }] = response.body.documents;
+      expect(page).toEqual(expect.objectContaining({ url: 'document:handbook.md', pageName: 'Payment Posting Handbook', source: 'upload' }));
+
+      await request(app)
+        .delete(`/api/knowledge/pages/${page.id}`)
+        .expect(200);
+    });
+  });
+
+  describe('Knowledge Version Endpoints', () => {
+    const url = 'https://thoughtful.ai/rollback';
+
+    it('should roll back a page change by activating the previous version', async () => {
+      const [previous] = (await request(app).get('/api/knowledge/versions').expect(200)).body.versions;
+      expect(previous.active).toBe(true);
+
+      await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url, pageName: 'Rollback', content: 'Temporary content that should be rolled back.' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/knowledge/versions/${previous.id}/activate`)
+        .expect(200);
+
+      expect(response.body.version).toEqual(expect.objectContaining({ id: previous.id, active: true }));
+      expect(response.body.status.documentCount).toBe(previous.documentCount);
+      const { pages } = (await request(app).get('/api/knowledge/pages')).body;
+      expect(pages.find(p => p.url === url)).toBeUndefined();
+    });
+
+    it('should return 404 for unknown versions', async () => {
+      await request(app)
+        .post('/api/knowledge/versions/missing/activate')
+        .expect(404);
     });
   });
 
@@ -20,10 +20,30 @@ jest.mock('../services/knowledgeService', () => ({
     isInitializing: false
   }),
   isKnowledgeBaseReady: jest.fn().mockReturnValue(true),
-  refreshKnowledgeBase: jest.fn().mockResolvedValue({ success: true })
+  refreshKnowledgeBase: jest.fn().mockResolvedValue({ success: true }),
+  startRefreshJob: jest.fn(),
+  getKnowledgeJob: jest.fn(),
+  subscribeToKnowledgeJob: jest.fn(),
+  getKnowledgePages: jest.fn().mockReturnValue([]),
+  upsertKnowledgePage: jest.fn(),
+  deleteKnowledgePage: jest.fn(),
+  addKnowledgeDocuments: jest.fn(),
+  getKnowledgeVersions: jest.fn().mockReturnValue([]),
+  activateKnowledgeVersion: jest.fn()
 }));
 
 const { getAgentResponse } = require('../services/agentService');
+const {
+  getKnowledgePages,
+  upsertKnowledgePage,
+  deleteKnowledgePage,
+  addKnowledgeDocuments,
+  getKnowledgeVersions,
+  activateKnowledgeVersion,
+  startRefreshJob,
+  getKnowledgeJob,
+  subscribeToKnowledgeJob
+} = require('../services/knowledgeService');
 
 describe('API Endpoints', () => {
   beforeEach(() => {
@@ -63,7 +83,7 @@ describe('API Endpoints', () => {
         success: true,
         data: mockResponse
       });
-      expect(getAgentResponse).toHaveBeenCalledWith('What is EVA?', []);
+      expect(getAgentResponse).toHaveBeenCalledWith('What is EVA?', [], { filters: null });
     });
 
     it('should pass conversation history to agent service', async () => {
@@ -86,7 +106,7 @@ describe('API Endpoints', () => {
         .send({ message: 'Follow up question', conversationHistory })
         .expect(200);
 
-      expect(getAgentResponse).toHaveBeenCalledWith('Follow up question', conversationHistory);
+      expect(getAgentResponse).toHaveBeenCalledWith('Follow up question', conversationHistory, { filters: null });
     });
 
     it('should return 400 for missing message', async () => {
@@ -153,7 +173,7 @@ describe('API Endpoints', () => {
         .send({ message: '  What is EVA?  ' })
         .expect(200);
 
-      expect(getAgentResponse).toHaveBeenCalledWith('What is EVA?', []);
+      expect(getAgentResponse).toHaveBeenCalledWith('What is EVA?', [], { filters: null });
     });
 
     it('should use empty array when conversationHistory is not provided', async () => {
@@ -171,7 +191,145 @@ describe('API Endpoints', () => {
         .send({ message: 'Test' })
         .expect(200);
 
-      expect(getAgentResponse).toHaveBeenCalledWith('Test', []);
+      expect(getAgentResponse).toHaveBeenCalledWith('Test', [], { filters: null });
+    });
+
+    it('should pass retrieval filters to agent service', async () => {
+      getAgentResponse.mockResolvedValue({ answer: 'Response', source: 'rag', confidence: 0.7, matchedQuestion: null });
+      const filters = { pageName: ['Payment Posting', 'Trust and Security'], ingestedAfter: '2025-01-01' };
+
+      await request(app)
+        .post('/api/chat')
+        .send({ message: 'How are remittances posted?', filters })
+        .expect(200);
+
+      expect(getAgentResponse).toHaveBeenCalledWith('How are remittances posted?', [], { filters });
+    });
+
+    it('should return 400 for invalid filters', async () => {
+      const response = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Test', filters: { pageTitle: 'Payment Posting' } })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Invalid input',
+        message: 'Unknown filter "pageTitle". Available: pageName, urlPrefix, source, format, ingestedAfter, ingestedBefore'
+      });
+      expect(getAgentResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/chat/stream', () => {
+    /**
+     * Parse a Server-Sent Events body into { event, data } pairs
+     */
+    const parseEvents = (text) => text
+      .split('\n\n')
+      .filter(block => block.trim())
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return {
+          event: eventLine.replace('event: ', ''),
+          data: JSON.parse(dataLine.replace('data: ', ''))
+        };
+      });
+
+    it('should stream tokens followed by a done event', async () => {
+      getAgentResponse.mockImplementation(async (message, history, { onToken }) => {
+        onToken('Thoughtful ');
+        onToken('AI');
+        return {
+          answer: 'Thoughtful AI',
+          source: 'rag',
+          confidence: 0.82,
+          matchedQuestion: null,
+          ragSources: [{ pageName: 'Home', url: 'https://thoughtful.ai', relevanceScore: 0.82 }],
+          contextBudget: { contextWindow: 16385, responseTokens: 700, promptTokens: { system: 190, summary: 0, context: 120, history: 0 }, droppedSources: [], droppedMessages: 0, summarizedMessages: 0 }
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'What is Thoughtful AI?' })
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      const events = parseEvents(response.text);
+
+      expect(events).toEqual([
+        { event: 'token', data: { content: 'Thoughtful ' } },
+        { event: 'token', data: { content: 'AI' } },
+        {
+          event: 'done',
+          data: {
+            source: 'rag',
+            confidence: 0.82,
+            matchedQuestion: null,
+            ragSources: [{ pageName: 'Home', url: 'https://thoughtful.ai', relevanceScore: 0.82 }],
+            contextBudget: { contextWindow: 16385, responseTokens: 700, promptTokens: { system: 190, summary: 0, context: 120, history: 0 }, droppedSources: [], droppedMessages: 0, summarizedMessages: 0 }
+          }
+        }
+      ]);
+      expect(getAgentResponse).toHaveBeenCalledWith('What is Thoughtful AI?', [], expect.objectContaining({
+        onToken: expect.any(Function)
+      }));
+    });
+
+    it('should default ragSources to an empty array', async () => {
+      getAgentResponse.mockImplementation(async (message, history, { onToken }) => {
+        onToken('EVA automates eligibility verification');
+        return {
+          answer: 'EVA automates eligibility verification',
+          source: 'predefined',
+          confidence: 0.9,
+          matchedQuestion: 'What does EVA do?'
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'What does EVA do?' })
+        .expect(200);
+
+      const done = parseEvents(response.text).find(e => e.event === 'done');
+      expect(done.data).toEqual({
+        source: 'predefined',
+        confidence: 0.9,
+        matchedQuestion: 'What does EVA do?',
+        ragSources: [],
+        contextBudget: null
+      });
+    });
+
+    it('should emit an error event when agent service throws', async () => {
+      getAgentResponse.mockRejectedValue(new Error('Service error'));
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'Test message' })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events).toEqual([
+        {
+          event: 'error',
+          data: {
+            error: 'Internal server error',
+            message: 'Failed to process your request. Please try again.'
+          }
+        }
+      ]);
+    });
+
+    it('should return 400 JSON for invalid messages', async () => {
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: '   ' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid input');
+      expect(getAgentResponse).not.toHaveBeenCalled();
     });
   });
 
@@ -186,6 +344,368 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('refresh jobs', () => {
+    const job = {
+      id: 'job-1',
+      type: 'refresh',
+      status: 'running',
+      phase: 'scraping',
+      progress: { pagesScraped: 1, pagesTotal: 5 },
+      errors: [],
+      etaSeconds: 4,
+      result: null,
+      error: null
+    };
+
+    it('should start a refresh job and return 202', async () => {
+      startRefreshJob.mockReturnValue({ job, started: true });
+
+      const response = await request(app)
+        .post('/api/knowledge/refresh')
+        .expect(202);
+
+      expect(response.headers.location).toBe('/api/knowledge/jobs/job-1');
+      expect(response.body).toEqual({ success: true, message: 'Refresh started', jobId: 'job-1', job });
+    });
+
+    it('should point to the running job when a refresh is already in progress', async () => {
+      startRefreshJob.mockReturnValue({ job, started: false });
+
+      const response = await request(app)
+        .post('/api/knowledge/refresh')
+        .expect(202);
+
+      expect(response.body.message).toBe('Refresh already in progress');
+      expect(response.body.jobId).toBe('job-1');
+    });
+
+    it('should return a job by id', async () => {
+      getKnowledgeJob.mockReturnValue(job);
+
+      const response = await request(app)
+        .get('/api/knowledge/jobs/job-1')
+        .expect(200);
+
+      expect(response.body).toEqual(job);
+      expect(getKnowledgeJob).toHaveBeenCalledWith('job-1');
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      getKnowledgeJob.mockReturnValue(null);
+
+      await request(app).get('/api/knowledge/jobs/missing').expect(404);
+      await request(app).get('/api/knowledge/jobs/missing/events').expect(404);
+    });
+
+    it('should stream progress events until the job finishes', async () => {
+      const unsubscribe = jest.fn();
+      getKnowledgeJob.mockReturnValue(job);
+      subscribeToKnowledgeJob.mockImplementation((id, listener) => {
+        setImmediate(() => {
+          listener({ ...job, phase: 'embedding', progress: { chunksEmbedded: 10, chunksTotal: 40 } });
+          listener({ ...job, status: 'completed', phase: 'completed', result: { success: true } });
+        });
+        return unsubscribe;
+      });
+
+      const response = await request(app)
+        .get('/api/knowledge/jobs/job-1/events')
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      const events = response.text.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+      });
+
+      expect(events.map(e => [e.event, e.data.phase])).toEqual([
+        ['progress', 'scraping'],
+        ['progress', 'embedding'],
+        ['done', 'completed']
+      ]);
+      expect(events[2].data.result).toEqual({ success: true });
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('should send a single done event for finished jobs', async () => {
+      getKnowledgeJob.mockReturnValue({ ...job, status: 'failed', phase: 'failed', error: 'Scraping failed' });
+      subscribeToKnowledgeJob.mockReturnValue(jest.fn());
+
+      const response = await request(app)
+        .get('/api/knowledge/jobs/job-1/events')
+        .expect(200);
+
+      expect(response.text).toBe(`event: done\ndata: ${JSON.stringify({ ...job, status: 'failed', phase: 'failed', error: 'Scraping failed' })}\n\n`);
+    });
+  });
+
+  describe('knowledge pages', () => {
+    const page = { id: 'abc123', url: 'https://thoughtful.ai/new', pageName: 'New', source: 'api', chunkCount: 2 };
+
+    it('should list indexed pages', async () => {
+      getKnowledgePages.mockReturnValue([page]);
+
+      const response = await request(app)
+        .get('/api/knowledge/pages')
+        .expect(200);
+
+      expect(response.body).toEqual({ pages: [page] });
+    });
+
+    it('should return 201 when a page is added', async () => {
+      upsertKnowledgePage.mockResolvedValue({ success: true, page, ingestion: { chunksAdded: 2, chunksRemoved: 0 } });
+
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url: page.url, pageName: ' New ', content: ['First paragraph', 'Second paragraph'] })
+        .expect(201);
+
+      expect(response.body.page).toEqual(page);
+      expect(upsertKnowledgePage).toHaveBeenCalledWith({
+        url: page.url,
+        pageName: 'New',
+        content: ['First paragraph', 'Second paragraph']
+      });
+    });
+
+    it('should return 200 when a page is replaced', async () => {
+      upsertKnowledgePage.mockResolvedValue({ success: true, page, ingestion: { chunksAdded: 2, chunksRemoved: 3 } });
+
+      await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url: page.url })
+        .expect(200);
+
+      expect(upsertKnowledgePage).toHaveBeenCalledWith({ url: page.url, pageName: undefined, content: undefined });
+    });
+
+    it.each([
+      [{}, 'url'],
+      [{ url: 'not a url' }, 'url'],
+      [{ url: 'ftp://thoughtful.ai/file' }, 'http'],
+      [{ url: 'https://thoughtful.ai', pageName: '' }, 'pageName'],
+      [{ url: 'https://thoughtful.ai', content: 42 }, 'content'],
+      [{ url: 'https://thoughtful.ai', content: ['ok', 1] }, 'content']
+    ])('should reject invalid page %j', async (body, field) => {
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid input');
+      expect(response.body.message).toContain(field);
+      expect(upsertKnowledgePage).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when robots.txt disallows the page', async () => {
+      upsertKnowledgePage.mockRejectedValue(Object.assign(new Error('Disallowed by robots.txt'), { code: 'ROBOTS_DISALLOWED' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url: page.url })
+        .expect(403);
+
+      expect(response.body).toEqual({ error: 'Forbidden', message: 'Disallowed by robots.txt' });
+      console.error.mockRestore();
+    });
+
+    it('should return 403 for a URL to scrape outside the crawl origins', async () => {
+      upsertKnowledgePage.mockRejectedValue(Object.assign(
+        new Error('Only pages on https://www.thoughtful.ai can be scraped; provide the content of other pages'),
+        { code: 'URL_NOT_ALLOWED' }
+      ));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+      console.error.mockRestore();
+    });
+
+    it('should return 500 when the upsert fails', async () => {
+      upsertKnowledgePage.mockRejectedValue(new Error('All 2 embedding requests failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/knowledge/pages')
+        .send({ url: page.url, content: 'Some text' })
+        .expect(500);
+
+      expect(response.body).toEqual({ error: 'Upsert failed', message: 'All 2 embedding requests failed' });
+      console.error.mockRestore();
+    });
+
+    it('should delete a page by id', async () => {
+      deleteKnowledgePage.mockResolvedValue({ success: true, page, chunksRemoved: 2 });
+
+      const response = await request(app)
+        .delete('/api/knowledge/pages/abc123')
+        .expect(200);
+
+      expect(response.body.chunksRemoved).toBe(2);
+      expect(deleteKnowledgePage).toHaveBeenCalledWith('abc123');
+    });
+
+    it('should return 404 when deleting an unknown page', async () => {
+      deleteKnowledgePage.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/knowledge/pages/missing')
+        .expect(404);
+
+      expect(response.body.error).toBe('Not found');
+    });
+  });
+
+  describe('knowledge documents', () => {
+    const markdown = Buffer.from('# Handbook\n\nRefunds are approved by the billing lead.');
+
+    it('should return 201 when documents are added', async () => {
+      addKnowledgeDocuments.mockResolvedValue({ success: true, message: '2 of 2 documents added', documents: [], failed: [] });
+
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', markdown, 'handbook.md')
+        .attach('files', Buffer.from('Office hours are 9 to 5.'), 'notes.txt')
+        .expect(201);
+
+      expect(response.body.message).toBe('2 of 2 documents added');
+      expect(addKnowledgeDocuments).toHaveBeenCalledWith([
+        { name: 'handbook.md', buffer: markdown },
+        { name: 'notes.txt', buffer: Buffer.from('Office hours are 9 to 5.') }
+      ]);
+    });
+
+    it('should return 422 when no document could be read', async () => {
+      addKnowledgeDocuments.mockResolvedValue({
+        success: false,
+        message: '0 of 1 documents added',
+        documents: [],
+        failed: [{ fileName: 'empty.txt', reason: 'No text found in empty.txt' }]
+      });
+
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', Buffer.from(' '), 'empty.txt')
+        .expect(422);
+
+      expect(response.body.failed).toHaveLength(1);
+    });
+
+    it('should return 400 when no files are uploaded', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .field('name', 'handbook')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid input');
+      expect(addKnowledgeDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for files in an unexpected field', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('document', markdown, 'handbook.md')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid input');
+    });
+
+    it('should return 415 for unsupported document types', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', markdown, 'handbook.md')
+        .attach('files', Buffer.from('agent,price'), 'pricing.csv')
+        .expect(415);
+
+      expect(response.body.error).toBe('Unsupported Media Type');
+      expect(response.body.message).toContain('pricing.csv');
+      expect(addKnowledgeDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should return 413 for documents over the size limit', async () => {
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', Buffer.alloc(10 * 1024 * 1024 + 1, 'a'), 'large.txt')
+        .expect(413);
+
+      expect(response.body.error).toBe('Payload Too Large');
+      expect(addKnowledgeDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the upload fails', async () => {
+      addKnowledgeDocuments.mockRejectedValue(new Error('All 1 embedding requests failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/knowledge/documents')
+        .attach('files', markdown, 'handbook.md')
+        .expect(500);
+
+      expect(response.body).toEqual({ error: 'Upload failed', message: 'All 1 embedding requests failed' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('knowledge versions', () => {
+    const version = {
+      id: 'a1b2c3d4e5f6',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      reason: 'refresh',
+      embeddingModel: 'text-embedding-3-small',
+      documentCount: 12,
+      pageCount: 4,
+      active: false
+    };
+
+    it('should list kept versions', async () => {
+      getKnowledgeVersions.mockReturnValue([version]);
+
+      const response = await request(app)
+        .get('/api/knowledge/versions')
+        .expect(200);
+
+      expect(response.body).toEqual({ versions: [version] });
+    });
+
+    it('should activate a version', async () => {
+      activateKnowledgeVersion.mockResolvedValue({ success: true, version: { ...version, active: true } });
+
+      const response = await request(app)
+        .post(`/api/knowledge/versions/${version.id}/activate`)
+        .expect(200);
+
+      expect(response.body.version.active).toBe(true);
+      expect(activateKnowledgeVersion).toHaveBeenCalledWith(version.id);
+    });
+
+    it('should return 404 for unknown versions', async () => {
+      activateKnowledgeVersion.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/knowledge/versions/missing/activate')
+        .expect(404);
+
+      expect(response.body.error).toBe('Not found');
+    });
+
+    it('should return 409 when the version cannot be activated', async () => {
+      activateKnowledgeVersion.mockRejectedValue(Object.assign(new Error('Version cannot be activated'), { code: 'VERSION_UNAVAILABLE' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post(`/api/knowledge/versions/${version.id}/activate`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Conflict', message: 'Version cannot be activated' });
+      console.error.mockRestore();
+    });
+  });
+
   describe('404 Handler', () => {
     it('should return 404 for unknown routes', async () => {
       const response = await request(app)
@@ -0,0 +1,78 @@
+const { tokenize, buildIndex, scoreQuery } = require('../services/bm25Service');
+
+describe('BM25Service', () => {
+  describe('tokenize', () => {
+    it('should lowercase and split on punctuation', () => {
+      expect(tokenize('EVA, CAM & PHIL!')).toEqual(['eva', 'cam', 'phil']);
+    });
+
+    it('should keep short acronyms and numeric codes', () => {
+      expect(tokenize('AI coding for CPT 99213')).toEqual(['ai', 'coding', 'cpt', '99213']);
+    });
+
+    it('should drop stop words', () => {
+      expect(tokenize('What is the role of EVA')).toEqual(['role', 'eva']);
+    });
+
+    it('should handle empty text', () => {
+      expect(tokenize('')).toEqual([]);
+    });
+  });
+
+  describe('buildIndex', () => {
+    it('should record document frequencies and lengths', () => {
+      const index = buildIndex(['payment posting', 'payment reconciliation agent']);
+
+      expect(index.docCount).toBe(2);
+      expect(index.docFreqs.get('payment')).toBe(2);
+      expect(index.docFreqs.get('posting')).toBe(1);
+      expect(index.docLengths).toEqual([2, 3]);
+      expect(index.avgDocLength).toBe(2.5);
+    });
+
+    it('should handle an empty corpus', () => {
+      const index = buildIndex([]);
+      expect(index.docCount).toBe(0);
+      expect(scoreQuery(index, 'anything')).toEqual([]);
+    });
+  });
+
+  describe('scoreQuery', () => {
+    const texts = [
+      'EVA verifies patient eligibility and benefits in real time.',
+      'CAM streamlines claims submission and management.',
+      'PHIL posts payments to patient accounts.',
+      'Medical coding for CPT 99213 office visits.'
+    ];
+    const index = buildIndex(texts);
+
+    it('should score only documents containing query terms', () => {
+      const scores = scoreQuery(index, 'What does EVA do?');
+
+      expect(scores[0]).toBeGreaterThan(0);
+      expect(scores.slice(1)).toEqual([0, 0, 0]);
+    });
+
+    it('should match numeric codes exactly', () => {
+      const scores = scoreQuery(index, 'Do you support 99213?');
+      expect(scores.indexOf(Math.max(...scores))).toBe(3);
+    });
+
+    it('should rank rarer terms higher than common ones', () => {
+      const scores = scoreQuery(index, 'patient claims');
+
+      // "claims" appears in one document, "patient" in two
+      expect(scores[1]).toBeGreaterThan(scores[0]);
+      expect(scores[1]).toBeGreaterThan(scores[2]);
+    });
+
+    it('should favour documents matching more query terms', () => {
+      const scores = scoreQuery(index, 'patient payments');
+      expect(scores[2]).toBeGreaterThan(scores[0]);
+    });
+
+    it('should count repeated query terms once', () => {
+      expect(scoreQuery(index, 'eva eva eva')).toEqual(scoreQuery(index, 'eva'));
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { envInt, envFraction } = require('../services/configService');
+
+describe('ConfigService', () => {
+  afterEach(() => {
+    delete process.env.TEST_SETTING;
+  });
+
+  describe('envInt', () => {
+    it('should read non-negative integers', () => {
+      process.env.TEST_SETTING = '12';
+      expect(envInt('TEST_SETTING', 5)).toBe(12);
+
+      process.env.TEST_SETTING = '0';
+      expect(envInt('TEST_SETTING', 5)).toBe(0);
+    });
+
+    it('should fall back when unset, negative or not a number', () => {
+      expect(envInt('TEST_SETTING', 5)).toBe(5);
+
+      process.env.TEST_SETTING = '-1';
+      expect(envInt('TEST_SETTING', 5)).toBe(5);
+
+      process.env.TEST_SETTING = 'many';
+      expect(envInt('TEST_SETTING', 5)).toBe(5);
+    });
+  });
+
+  describe('envFraction', () => {
+    it('should read numbers between 0 and 1', () => {
+      process.env.TEST_SETTING = '0.25';
+      expect(envFraction('TEST_SETTING', 0.5)).toBe(0.25);
+    });
+
+    it('should fall back when unset or out of range', () => {
+      expect(envFraction('TEST_SETTING', 0.5)).toBe(0.5);
+
+      process.env.TEST_SETTING = '1.5';
+      expect(envFraction('TEST_SETTING', 0.5)).toBe(0.5);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { countMessageTokens, planContextBudget, trimHistory } = require('../services/contextBudgetService');
+const { getTokenizer } = require('../services/tokenizerService');
+
+describe('ContextBudgetService', () => {
+  const tokenizer = getTokenizer('gpt-3.5-turbo');
+
+  afterEach(() => {
+    delete process.env.CHAT_CONTEXT_WINDOW;
+    delete process.env.CONTEXT_MAX_TOKENS;
+  });
+
+  describe('countMessageTokens', () => {
+    it('should count the content and the chat format overhead', () => {
+      const messages = [
+        { role: 'system', content: 'You are a helpful agent.' },
+        { role: 'user', content: 'What does EVA do?' }
+      ];
+
+      expect(countMessageTokens(messages, tokenizer)).toBe(
+        3 + 4 + tokenizer.count('You are a helpful agent.') + 4 + tokenizer.count('What does EVA do?')
+      );
+    });
+
+    it('should count messages without content', () => {
+      expect(countMessageTokens([{ role: 'assistant' }], tokenizer)).toBe(7);
+    });
+  });
+
+  describe('planContextBudget', () => {
+    const messages = [{ role: 'user', content: 'What does EVA do?' }];
+
+    it('should cap retrieved context at CONTEXT_MAX_TOKENS', () => {
+      expect(planContextBudget({ model: 'gpt-3.5-turbo', messages, responseTokens: 700 })).toEqual({
+        tokenizer,
+        contextWindow: 16385,
+        contextTokens: 2000
+      });
+
+      process.env.CONTEXT_MAX_TOKENS = '500';
+      expect(planContextBudget({ model: 'gpt-3.5-turbo', messages, responseTokens: 700 }).contextTokens).toBe(500);
+    });
+
+    it('should leave a third of a small window to the conversation history', () => {
+      process.env.CHAT_CONTEXT_WINDOW = '1000';
+      const available = 1000 - 400 - countMessageTokens(messages, tokenizer);
+
+      const budget = planContextBudget({ model: 'gpt-3.5-turbo', messages, responseTokens: 400 });
+
+      expect(budget.contextWindow).toBe(1000);
+      expect(budget.contextTokens).toBe(Math.floor(available * 2 / 3));
+    });
+
+    it('should allow no context when the prompt fills the window', () => {
+      process.env.CHAT_CONTEXT_WINDOW = '100';
+
+      expect(planContextBudget({ model: 'gpt-3.5-turbo', messages, responseTokens: 700 }).contextTokens).toBe(0);
+    });
+  });
+
+  describe('trimHistory', () => {
+    const history = [
+      { role: 'user', content: 'First question about prior authorization' },
+      { role: 'assistant', content: 'First answer about prior authorization' },
+      { role: 'user', content: 'Second question' },
+      { role: 'assistant', content: 'Second answer' }
+    ];
+    const cost = message => 4 + tokenizer.count(message.content);
+
+    it('should keep a history that fits', () => {
+      const tokens = history.reduce((sum, message) => sum + cost(message), 0);
+
+      expect(trimHistory(history, tokens, tokenizer)).toEqual({ history, droppedMessages: 0, tokens });
+    });
+
+    it('should drop the oldest messages first', () => {
+      const maxTokens = cost(history[2]) + cost(history[3]);
+
+      expect(trimHistory(history, maxTokens, tokenizer)).toEqual({
+        history: history.slice(2),
+        droppedMessages: 2,
+        tokens: maxTokens
+      });
+    });
+
+    it('should not skip over a message that does not fit', () => {
+      const turns = [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'A long answer about prior authorization, medical coding and payment posting' },
+        { role: 'user', content: 'Thanks' }
+      ];
+
+      expect(trimHistory(turns, cost(turns[2]) + cost(turns[0]), tokenizer).history).toEqual([turns[2]]);
+    });
+
+    it('should drop everything when there is no room', () => {
+      expect(trimHistory(history, 0, tokenizer)).toEqual({ history: [], droppedMessages: 4, tokens: 0 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { parseCron, getNextCronTime } = require('../services/cronService');
+
+describe('CronService', () => {
+  const next = (expression, from) => new Date(getNextCronTime(parseCron(expression), from.getTime()));
+
+  describe('parseCron', () => {
+    it('should expand wildcards, ranges, lists and steps', () => {
+      const cron = parseCron('*/15 9-17 1,15 * 1-5');
+
+      expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect([...cron.daysOfMonth]).toEqual([1, 15]);
+      expect(cron.months.size).toBe(12);
+      expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should step from a starting value', () => {
+      expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+      expect([...parseCron('0-30/10 * * * *').minutes]).toEqual([0, 10, 20, 30]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+    });
+
+    it.each([
+      ['0 3 * *', '5 fields'],
+      ['60 * * * *', 'minute'],
+      ['0 24 * * *', 'hour'],
+      ['0 0 0 * *', 'day of month'],
+      ['0 0 * 13 *', 'month'],
+      ['0 0 * * 8', 'day of week'],
+      ['*/0 * * * *', 'minute'],
+      ['5-1 * * * *', 'minute'],
+      ['0 0 * JAN *', 'month']
+    ])('should reject %s', (expression, message) => {
+      expect(() => parseCron(expression)).toThrow(message);
+    });
+  });
+
+  describe('getNextCronTime', () => {
+    it('should find the next daily run', () => {
+      expect(next('0 3 * * *', new Date(2025, 0, 1, 10, 0))).toEqual(new Date(2025, 0, 2, 3, 0));
+      expect(next('0 3 * * *', new Date(2025, 0, 1, 2, 59, 30))).toEqual(new Date(2025, 0, 1, 3, 0));
+    });
+
+    it('should be strictly later than the start time', () => {
+      expect(next('*/15 * * * *', new Date(2025, 0, 1, 10, 15))).toEqual(new Date(2025, 0, 1, 10, 30));
+    });
+
+    it('should skip to the next matching weekday', () => {
+      // 4 January 2025 is a Saturday
+      expect(next('30 9 * * 1-5', new Date(2025, 0, 4, 12, 0))).toEqual(new Date(2025, 0, 6, 9, 30));
+    });
+
+    it('should roll over months and years', () => {
+      expect(next('0 0 1 */3 *', new Date(2025, 1, 10))).toEqual(new Date(2025, 3, 1));
+      expect(next('0 0 1 1 *', new Date(2025, 5, 1))).toEqual(new Date(2026, 0, 1));
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 13th of the month or any Friday; 3 January 2025 is a Friday
+      expect(next('0 0 13 * 5', new Date(2025, 0, 1))).toEqual(new Date(2025, 0, 3));
+      expect(next('0 0 13 * 5', new Date(2025, 0, 11))).toEqual(new Date(2025, 0, 13));
+    });
+
+    it('should find leap days', () => {
+      expect(next('0 0 29 2 *', new Date(2025, 0, 1))).toEqual(new Date(2028, 1, 29));
+    });
+
+    it('should return null for schedules that never match', () => {
+      expect(getNextCronTime(parseCron('0 0 30 2 *'), Date.now())).toBeNull();
+    });
+  });
+});
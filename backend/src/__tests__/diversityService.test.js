@@ -0,0 +1,88 @@
+const { diversifyResults, mergeAdjacentChunks } = require('../services/diversityService');
+const { normalizeVector } = require('../services/vectorIndexService');
+
+function result(id, url, chunkIndex, fusedScore, embedding, extra = {}) {
+  return {
+    id,
+    text: `Text of ${id}.`,
+    metadata: { pageName: url, url, section: null, chunkIndex },
+    embedding: normalizeVector(embedding),
+    score: fusedScore * 10,
+    lexicalScore: 0,
+    fusedScore,
+    ...extra
+  };
+}
+
+describe('DiversityService', () => {
+  // Two near-duplicate chunks of the same page outrank a different page
+  const results = [
+    result('pp-0', 'payment-posting', 0, 0.030, [1, 0.05, 0]),
+    result('pp-1', 'payment-posting', 1, 0.029, [1, 0, 0.05]),
+    result('trust-0', 'trust', 0, 0.020, [0.3, 1, 0]),
+    result('pp-4', 'payment-posting', 4, 0.015, [0.9, 0, 0.4])
+  ];
+
+  describe('diversifyResults', () => {
+    it('should rank by relevance alone with lambda 1', () => {
+      expect(diversifyResults(results, 3, { lambda: 1 }).map(r => r.id)).toEqual(['pp-0', 'pp-1', 'trust-0']);
+    });
+
+    it('should skip near-duplicates of chunks already picked', () => {
+      expect(diversifyResults(results, 2, { lambda: 0.5 }).map(r => r.id)).toEqual(['pp-0', 'trust-0']);
+    });
+
+    it('should cap the chunks taken from one page', () => {
+      expect(diversifyResults(results, 4, { lambda: 1, maxPerPage: 2 }).map(r => r.id)).toEqual(['pp-0', 'pp-1', 'trust-0']);
+    });
+
+    it('should prefer rerank scores over retrieval scores', () => {
+      const reranked = results.map((r, i) => ({ ...r, rerankScore: [0.1, 0.2, 0.9, 0.3][i] }));
+
+      expect(diversifyResults(reranked, 1, { lambda: 1 }).map(r => r.id)).toEqual(['trust-0']);
+    });
+
+    it('should rank by raw reranker scores below zero', () => {
+      const reranked = results.map((r, i) => ({ ...r, rerankScore: [-3, -1, -6, -2][i] }));
+
+      expect(diversifyResults(reranked, 2, { lambda: 1 }).map(r => r.id)).toEqual(['pp-1', 'pp-4']);
+    });
+
+    it('should handle no results', () => {
+      expect(diversifyResults([], 5)).toEqual([]);
+    });
+  });
+
+  describe('mergeAdjacentChunks', () => {
+    it('should merge neighbouring chunks of a page in the place of the best one', () => {
+      const merged = mergeAdjacentChunks([results[2], results[1], results[0]]);
+
+      expect(merged.map(r => r.id)).toEqual(['trust-0', 'pp-0+pp-1']);
+      expect(merged[1]).toEqual(expect.objectContaining({
+        text: 'Text of pp-0.\n\nText of pp-1.',
+        score: 0.3,
+        fusedScore: 0.029,
+        metadata: expect.objectContaining({ chunkIndex: 0, chunkCount: 2 })
+      }));
+    });
+
+    it('should drop the overlap repeated at the start of the next chunk', () => {
+      const first = { ...results[0], text: 'Remittances are posted nightly. Exceptions go to the payments pod.' };
+      const second = { ...results[1], text: 'Exceptions go to the payments pod. The pod replies within a day.' };
+
+      const [merged] = mergeAdjacentChunks([second, first]);
+
+      expect(merged.text).toBe('Remittances are posted nightly. Exceptions go to the payments pod. The pod replies within a day.');
+    });
+
+    it('should keep chunks that are not neighbours apart', () => {
+      expect(mergeAdjacentChunks([results[0], results[3]]).map(r => r.id)).toEqual(['pp-0', 'pp-4']);
+    });
+
+    it('should not merge chunks of different sections', () => {
+      const benefits = { ...results[1], metadata: { ...results[1].metadata, section: 'Benefits' } };
+
+      expect(mergeAdjacentChunks([results[0], benefits]).map(r => r.id)).toEqual(['pp-0', 'pp-1']);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadDocuments,
+  parseDocument,
+  extractDocumentText,
+  extractTextFromMarkdown,
+  getDocumentFormat,
+  getDocumentUrl,
+  SUPPORTED_EXTENSIONS
+} = require('../services/documentService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/documents');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+describe('DocumentService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDocumentFormat', () => {
+    it('should detect supported formats case-insensitively', () => {
+      expect(getDocumentFormat('guide.md')).toBe('markdown');
+      expect(getDocumentFormat('guide.markdown')).toBe('markdown');
+      expect(getDocumentFormat('SHEET.PDF')).toBe('pdf');
+      expect(getDocumentFormat('overview.docx')).toBe('docx');
+      expect(getDocumentFormat('faq.htm')).toBe('html');
+      expect(getDocumentFormat('notes.txt')).toBe('text');
+    });
+
+    it('should return null for unsupported formats', () => {
+      expect(getDocumentFormat('pricing.csv')).toBeNull();
+      expect(getDocumentFormat('README')).toBeNull();
+      expect(SUPPORTED_EXTENSIONS).not.toContain('.csv');
+    });
+  });
+
+  describe('getDocumentUrl', () => {
+    it('should identify documents by their relative path', () => {
+      expect(getDocumentUrl('notes.txt')).toBe('document:notes.txt');
+      expect(getDocumentUrl(path.join('guides', 'onboarding.md'))).toBe('document:guides/onboarding.md');
+    });
+  });
+
+  describe('extractTextFromMarkdown', () => {
+    it('should strip Markdown syntax and keep paragraphs', () => {
+      const { title, text } = extractTextFromMarkdown(
+        '# Agents\n\nOur agents are **fast** and\n_accurate_.\n\n- See [EVA](https://thoughtful.ai/eva)\n- ![diagram](eva.png) `CAM`\n'
+      );
+
+      expect(title).toBe('Agents');
+      expect(text).toBe('Agents\n\nOur agents are fast and accurate.\n\nSee EVA diagram CAM');
+    });
+
+    it('should prefer the front matter title', () => {
+      const { title, text } = extractTextFromMarkdown('---\ntitle: "Support Handbook"\nowner: ops\n---\n# Escalations\n\nCall the pod.');
+
+      expect(title).toBe('Support Handbook');
+      expect(text).toBe('Escalations\n\nCall the pod.');
+    });
+
+    it('should attach the heading path to each paragraph', () => {
+      const { sections } = extractTextFromMarkdown(readFixture('guides/onboarding-guide.md').toString());
+
+      expect(sections).toEqual([
+        { section: 'Onboarding', text: 'New customers are onboarded in three phases over roughly six weeks.' },
+        {
+          section: 'Onboarding > Phase 1: Discovery',
+          text: 'The implementation team maps the current revenue cycle workflows. Payer portals and credentials are collected securely.'
+        },
+        {
+          section: 'Onboarding > Phase 2: Configuration',
+          text: "Agents such as EVA and CAM are configured against the customer's practice management system and tested in a sandbox."
+        }
+      ]);
+    });
+
+    it('should keep code blocks as text', () => {
+      const { title, text } = extractTextFromMarkdown('Run this:\n\n```bash\nnpm start\n```\n');
+
+      expect(title).toBeNull();
+      expect(text).toBe('Run this:\n\nnpm start');
+    });
+  });
+
+  describe('extractDocumentText', () => {
+    it('should extract text and title from PDF', async () => {
+      const { title, text } = await extractDocumentText(readFixture('eva-product-sheet.pdf'), 'eva-product-sheet.pdf');
+
+      expect(title).toBe('EVA Product Sheet');
+      expect(text).toBe('EVA Product Sheet: eligibility verification in real time. EVA checks coverage with every major payer before the visit.');
+    });
+
+    it('should extract text from DOCX', async () => {
+      const { title, text } = await extractDocumentText(readFixture('cam-overview.docx'), 'cam-overview.docx');
+
+      expect(title).toBeNull();
+      expect(text).toContain('CAM automates claims processing');
+      expect(text).toContain('Rejected claims are corrected');
+    });
+
+    it('should extract text and title from HTML', async () => {
+      const { title, text, sections } = await extractDocumentText(readFixture('faq.html'), 'faq.html');
+
+      expect(title).toBe('Internal FAQ');
+      expect(text).toContain('Customers can request a custom agent build');
+      expect(text).not.toContain('<p>');
+      expect(sections.map(paragraph => paragraph.section)).toEqual(['Internal FAQ', 'Internal FAQ']);
+    });
+
+    it('should reject unsupported formats', async () => {
+      await expect(extractDocumentText(readFixture('pricing.csv'), 'pricing.csv'))
+        .rejects.toThrow('Unsupported document type: .csv');
+    });
+
+    it('should reject unreadable files', async () => {
+      await expect(extractDocumentText(Buffer.from('not a zip'), 'broken.docx')).rejects.toThrow();
+    });
+  });
+
+  describe('parseDocument', () => {
+    it('should produce a page with source metadata', async () => {
+      const page = await parseDocument(readFixture('notes.txt'), 'notes.txt');
+
+      expect(page).toEqual({
+        pageName: 'Notes',
+        url: 'document:notes.txt',
+        scrapedAt: expect.any(String),
+        content: [
+          'Internal support notes',
+          'Escalations for PHIL payment posting issues go to the payments pod within one business day.',
+          'The support line is staffed from 7am to 7pm Central, Monday through Friday.'
+        ],
+        fullText: expect.stringContaining('payments pod'),
+        source: 'file',
+        format: 'text',
+        fileName: 'notes.txt'
+      });
+    });
+
+    it('should use the document title and the given source', async () => {
+      const page = await parseDocument(readFixture('guides/onboarding-guide.md'), 'onboarding-guide.md', { source: 'upload' });
+
+      expect(page.pageName).toBe('Customer Onboarding Guide');
+      expect(page.source).toBe('upload');
+      expect(page.content[0]).toBe('New customers are onboarded in three phases over roughly six weeks.');
+      expect(page.sections).toEqual(['Onboarding', 'Onboarding > Phase 1: Discovery', 'Onboarding > Phase 2: Configuration']);
+    });
+
+    it('should reject documents without text', async () => {
+      await expect(parseDocument(Buffer.from('  \n\n'), 'empty.txt')).rejects.toThrow('No text found in empty.txt');
+    });
+  });
+
+  describe('loadDocuments', () => {
+    it('should load supported documents from subdirectories', async () => {
+      const pages = await loadDocuments(FIXTURES_DIR);
+
+      expect(pages.map(page => page.url)).toEqual([
+        'document:cam-overview.docx',
+        'document:eva-product-sheet.pdf',
+        'document:faq.html',
+        'document:guides/onboarding-guide.md',
+        'document:notes.txt'
+      ]);
+      expect(pages.every(page => page.source === 'file')).toBe(true);
+    });
+
+    it('should report documents that cannot be read', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-documents-'));
+      fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'Office hours are 9 to 5.');
+      fs.writeFileSync(path.join(tempDir, 'empty.md'), '---\ntitle: Empty\n---\n');
+      fs.writeFileSync(path.join(tempDir, '.draft.md'), '# Draft');
+      const failed = [];
+
+      try {
+        const pages = await loadDocuments(tempDir, { failed });
+
+        expect(pages.map(page => page.url)).toEqual(['document:notes.txt']);
+        expect(failed).toEqual([{ url: 'document:empty.md', reason: 'No text found in empty.md' }]);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report a missing directory', async () => {
+      const failed = [];
+
+      expect(await loadDocuments(path.join(FIXTURES_DIR, 'missing'), { failed })).toEqual([]);
+      expect(failed).toEqual([{ url: expect.stringContaining('missing'), reason: expect.stringContaining('ENOENT') }]);
+    });
+  });
+});
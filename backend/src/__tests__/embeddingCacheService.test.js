@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getCacheKey,
+  getCachedEmbeddings,
+  setCachedEmbeddings,
+  saveEmbeddingCache,
+  getCacheSize,
+  clearEmbeddingCache
+} = require('../services/embeddingCacheService');
+
+describe('EmbeddingCacheService', () => {
+  const originalStorageDir = process.env.STORAGE_DIR;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-cache-'));
+    process.env.STORAGE_DIR = tempDir;
+    clearEmbeddingCache();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.STORAGE_DIR = originalStorageDir;
+    delete process.env.EMBEDDING_CACHE_MAX_ENTRIES;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  describe('getCacheKey', () => {
+    it('should be stable for the same model and text', () => {
+      expect(getCacheKey('model-a', 'hello')).toBe(getCacheKey('model-a', 'hello'));
+      expect(getCacheKey('model-a', 'hello')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should differ between models and texts', () => {
+      expect(getCacheKey('model-a', 'hello')).not.toBe(getCacheKey('model-b', 'hello'));
+      expect(getCacheKey('model-a', 'hello')).not.toBe(getCacheKey('model-a', 'hello!'));
+    });
+  });
+
+  describe('getCachedEmbeddings and setCachedEmbeddings', () => {
+    it('should return null for texts that were never cached', async () => {
+      expect(await getCachedEmbeddings('model', ['a', 'b'])).toEqual([null, null]);
+    });
+
+    it('should return cached embeddings by model and text', async () => {
+      setCachedEmbeddings('model', ['a', 'b'], [[1, 0], [0, 1]]);
+
+      expect(await getCachedEmbeddings('model', ['b', 'c', 'a'])).toEqual([[0, 1], null, [1, 0]]);
+      expect(await getCachedEmbeddings('other-model', ['a'])).toEqual([null]);
+    });
+
+    it('should evict the least recently used entries beyond the limit', async () => {
+      process.env.EMBEDDING_CACHE_MAX_ENTRIES = '2';
+
+      setCachedEmbeddings('model', ['a', 'b'], [[1], [2]]);
+      await getCachedEmbeddings('model', ['a']);
+      setCachedEmbeddings('model', ['c'], [[3]]);
+
+      expect(getCacheSize()).toBe(2);
+      expect(await getCachedEmbeddings('model', ['a', 'b', 'c'])).toEqual([[1], null, [3]]);
+    });
+
+    it('should store nothing when the limit is 0', async () => {
+      process.env.EMBEDDING_CACHE_MAX_ENTRIES = '0';
+
+      setCachedEmbeddings('model', ['a'], [[1]]);
+
+      expect(getCacheSize()).toBe(0);
+      expect(await getCachedEmbeddings('model', ['a'])).toEqual([null]);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should save the cache and load it in a later run', async () => {
+      setCachedEmbeddings('model', ['a'], [[0.5, 0.5]]);
+
+      expect(await saveEmbeddingCache()).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'embedding-cache.json'))).toBe(true);
+
+      clearEmbeddingCache();
+
+      expect(await getCachedEmbeddings('model', ['a'])).toEqual([[0.5, 0.5]]);
+    });
+
+    it('should store vectors as base64 float32 and read caches saved as plain arrays', async () => {
+      setCachedEmbeddings('model', ['a'], [[0.25, -1.5]]);
+      await saveEmbeddingCache();
+
+      const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'embedding-cache.json'), 'utf8'));
+      expect(saved.entries[0][1]).toBe(Buffer.from(new Float32Array([0.25, -1.5]).buffer).toString('base64'));
+
+      fs.writeFileSync(path.join(tempDir, 'embedding-cache.json'), JSON.stringify({
+        entries: [[getCacheKey('model', 'b'), [0.75, 2]]]
+      }));
+      clearEmbeddingCache();
+
+      expect(await getCachedEmbeddings('model', ['b'])).toEqual([[0.75, 2]]);
+    });
+
+    it('should save entries added while the cache was being written', async () => {
+      setCachedEmbeddings('model', ['a'], [[1]]);
+      const saving = saveEmbeddingCache();
+      setCachedEmbeddings('model', ['b'], [[2]]);
+      await saving;
+
+      expect(await saveEmbeddingCache()).toBe(true);
+      clearEmbeddingCache();
+
+      expect(await getCachedEmbeddings('model', ['a', 'b'])).toEqual([[1], [2]]);
+    });
+
+    it('should try again after a failed save', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      setCachedEmbeddings('model', ['a'], [[1]]);
+      const writeFile = jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+      expect(await saveEmbeddingCache()).toBe(false);
+      writeFile.mockRestore();
+
+      expect(await saveEmbeddingCache()).toBe(true);
+      expect(console.error).toHaveBeenCalledWith('Failed to save embedding cache:', 'disk full');
+      console.error.mockRestore();
+    });
+
+    it('should skip saving when nothing changed', async () => {
+      expect(await saveEmbeddingCache()).toBe(false);
+      expect(fs.existsSync(path.join(tempDir, 'embedding-cache.json'))).toBe(false);
+    });
+
+    it('should keep entries added before the persisted cache was loaded', async () => {
+      setCachedEmbeddings('model', ['a'], [[1]]);
+      await saveEmbeddingCache();
+      clearEmbeddingCache();
+
+      setCachedEmbeddings('model', ['b'], [[2]]);
+
+      expect(await getCachedEmbeddings('model', ['a', 'b'])).toEqual([[1], [2]]);
+    });
+
+    it('should not write to disk when storage is disabled', async () => {
+      process.env.STORAGE_DIR = '';
+      setCachedEmbeddings('model', ['a'], [[1]]);
+
+      expect(await saveEmbeddingCache()).toBe(false);
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { parseFilters, matchesFilters } = require('../services/filterService');
+
+describe('FilterService', () => {
+  const paymentPosting = {
+    pageName: 'Payment Posting',
+    url: 'https://thoughtful.ai/payment-posting',
+    scrapedAt: '2025-03-01T00:00:00.000Z',
+    source: 'web'
+  };
+
+  describe('parseFilters', () => {
+    it('should return null when nothing is filtered', () => {
+      expect(parseFilters(undefined)).toBeNull();
+      expect(parseFilters(null)).toBeNull();
+      expect(parseFilters({})).toBeNull();
+    });
+
+    it('should turn single values into lists and dates into timestamps', () => {
+      expect(parseFilters({ pageName: ' Payment Posting ', source: ['file', 'upload'], ingestedAfter: '2025-01-01' })).toEqual({
+        pageName: ['Payment Posting'],
+        source: ['file', 'upload'],
+        ingestedAfter: Date.parse('2025-01-01')
+      });
+    });
+
+    it('should reject malformed filters', () => {
+      expect(() => parseFilters('Payment Posting')).toThrow('filters must be an object');
+      expect(() => parseFilters([])).toThrow('filters must be an object');
+      expect(() => parseFilters({ pageName: [] })).toThrow('filters.pageName must be a non-empty string or a list of them');
+      expect(() => parseFilters({ urlPrefix: 42 })).toThrow('filters.urlPrefix must be a non-empty string');
+      expect(() => parseFilters({ ingestedBefore: 'last week' })).toThrow('filters.ingestedBefore must be an ISO 8601 date');
+      expect(() => parseFilters({ author: 'ops' })).toThrow('Unknown filter "author"');
+    });
+
+    it('should tag errors with INVALID_FILTERS', () => {
+      expect(() => parseFilters({ author: 'ops' })).toThrow(expect.objectContaining({ code: 'INVALID_FILTERS' }));
+    });
+  });
+
+  describe('matchesFilters', () => {
+    it('should match any of the listed page names', () => {
+      expect(matchesFilters(paymentPosting, parseFilters({ pageName: ['Payment Posting', 'Trust and Security'] }))).toBe(true);
+      expect(matchesFilters(paymentPosting, parseFilters({ pageName: 'Medical Coding' }))).toBe(false);
+    });
+
+    it('should match URL prefixes', () => {
+      expect(matchesFilters(paymentPosting, parseFilters({ urlPrefix: 'https://thoughtful.ai/payment' }))).toBe(true);
+      expect(matchesFilters(paymentPosting, parseFilters({ urlPrefix: 'document:' }))).toBe(false);
+    });
+
+    it('should treat chunks without a source as scraped', () => {
+      const { source, ...legacy } = paymentPosting;
+
+      expect(matchesFilters(legacy, parseFilters({ source: 'web' }))).toBe(true);
+      expect(matchesFilters(legacy, parseFilters({ source: ['file', 'upload'] }))).toBe(false);
+    });
+
+    it('should match document types', () => {
+      const productSheet = { ...paymentPosting, url: 'document:eva-product-sheet.pdf', source: 'file', format: 'pdf' };
+
+      expect(matchesFilters(productSheet, parseFilters({ format: ['pdf', 'docx'] }))).toBe(true);
+      expect(matchesFilters(productSheet, parseFilters({ format: 'html' }))).toBe(false);
+    });
+
+    it('should derive the document type of chunks without one from their URL', () => {
+      const { format, ...legacy } = { ...paymentPosting, url: 'document:guides/onboarding-guide.md', source: 'upload' };
+
+      expect(matchesFilters(legacy, parseFilters({ format: 'markdown' }))).toBe(true);
+      expect(matchesFilters(paymentPosting, parseFilters({ format: 'html' }))).toBe(true);
+    });
+
+    it('should compare ingestion dates inclusively', () => {
+      expect(matchesFilters(paymentPosting, parseFilters({ ingestedAfter: '2025-03-01T00:00:00Z' }))).toBe(true);
+      expect(matchesFilters(paymentPosting, parseFilters({ ingestedAfter: '2025-03-02' }))).toBe(false);
+      expect(matchesFilters(paymentPosting, parseFilters({ ingestedBefore: '2025-02-01' }))).toBe(false);
+      expect(matchesFilters({ ...paymentPosting, scrapedAt: undefined }, parseFilters({ ingestedBefore: '2025-02-01' }))).toBe(false);
+    });
+
+    it('should require every field to match', () => {
+      expect(matchesFilters(paymentPosting, parseFilters({ pageName: 'Payment Posting', source: 'file' }))).toBe(false);
+      expect(matchesFilters(paymentPosting, parseFilters({ pageName: 'Payment Posting', source: 'web' }))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { getSummaryConfig, summarizeHistory, clearSummaryCache } = require('../services/historySummaryService');
+const { setProvider } = require('../services/llmService');
+
+describe('HistorySummaryService', () => {
+  const chat = jest.fn();
+  const conversation = length => Array.from({ length }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `Message ${i}`
+  }));
+
+  beforeEach(() => {
+    clearSummaryCache();
+    chat.mockReset();
+    chat.mockImplementation(async ({ messages }) => ({ content: ` Summary of ${messages[1].content.match(/Message \d+/g).join(', ')} ` }));
+    setProvider({ name: 'test', chatModel: 'test-chat', embeddingModel: 'test', chat });
+  });
+
+  afterEach(() => {
+    setProvider(null);
+    delete process.env.HISTORY_SUMMARY_THRESHOLD;
+    delete process.env.HISTORY_RECENT_MESSAGES;
+    delete process.env.HISTORY_SUMMARY_MAX_TOKENS;
+  });
+
+  describe('getSummaryConfig', () => {
+    it('should use defaults', () => {
+      expect(getSummaryConfig()).toEqual({ threshold: 10, recentMessages: 6, maxTokens: 300 });
+    });
+
+    it('should read the environment and ignore invalid values', () => {
+      process.env.HISTORY_SUMMARY_THRESHOLD = '20';
+      process.env.HISTORY_RECENT_MESSAGES = '4';
+      process.env.HISTORY_SUMMARY_MAX_TOKENS = 'many';
+
+      expect(getSummaryConfig()).toEqual({ threshold: 20, recentMessages: 4, maxTokens: 300 });
+    });
+  });
+
+  describe('summarizeHistory', () => {
+    it('should leave short conversations alone', async () => {
+      const history = conversation(10);
+
+      expect(await summarizeHistory(history)).toEqual({ summary: null, history, summarizedMessages: 0 });
+      expect(chat).not.toHaveBeenCalled();
+    });
+
+    it('should summarize all but the recent messages of a long conversation', async () => {
+      const history = conversation(12);
+
+      const result = await summarizeHistory(history);
+
+      expect(result).toEqual({
+        summary: 'Summary of Message 0, Message 1, Message 2, Message 3, Message 4, Message 5',
+        history: history.slice(6),
+        summarizedMessages: 6
+      });
+      expect(chat).toHaveBeenCalledWith(expect.objectContaining({ maxTokens: 300, temperature: 0 }));
+      expect(chat.mock.calls[0][0].messages[1].content).toContain('Customer: Message 0\n\nAgent: Message 1');
+    });
+
+    it('should fold only new messages into the previous summary', async () => {
+      const history = conversation(14);
+      await summarizeHistory(history.slice(0, 12));
+
+      const result = await summarizeHistory(history);
+
+      const prompt = chat.mock.calls[1][0].messages[1].content;
+      expect(prompt).toContain('Summary so far:\nSummary of Message 0');
+      expect(prompt).toContain('New messages:\n\nCustomer: Message 6\n\nAgent: Message 7');
+      expect(prompt).not.toContain('Customer: Message 4');
+      expect(result.summarizedMessages).toBe(8);
+      expect(result.history).toEqual(history.slice(8));
+    });
+
+    it('should reuse the summary when the conversation is sent again', async () => {
+      const history = conversation(12);
+      const first = await summarizeHistory(history);
+
+      const second = await summarizeHistory(history);
+
+      expect(second).toEqual(first);
+      expect(chat).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not reuse the summary of a conversation that was edited', async () => {
+      const history = conversation(12);
+      await summarizeHistory(history);
+
+      await summarizeHistory([{ role: 'user', content: 'Message 0 (edited)' }, ...history.slice(1)]);
+
+      expect(chat).toHaveBeenCalledTimes(2);
+      expect(chat.mock.calls[1][0].messages[1].content).not.toContain('Summary so far');
+    });
+
+    it('should follow HISTORY_SUMMARY_THRESHOLD and HISTORY_RECENT_MESSAGES', async () => {
+      process.env.HISTORY_SUMMARY_THRESHOLD = '4';
+      process.env.HISTORY_RECENT_MESSAGES = '2';
+      const history = conversation(5);
+
+      const result = await summarizeHistory(history);
+
+      expect(result.summarizedMessages).toBe(3);
+      expect(result.history).toEqual(history.slice(3));
+    });
+
+    it('should be turned off by a threshold of 0', async () => {
+      process.env.HISTORY_SUMMARY_THRESHOLD = '0';
+      const history = conversation(40);
+
+      expect((await summarizeHistory(history)).history).toBe(history);
+      expect(chat).not.toHaveBeenCalled();
+    });
+
+    it('should send the full history when summarizing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      chat.mockRejectedValueOnce(new Error('rate limited'));
+      const history = conversation(12);
+
+      expect(await summarizeHistory(history)).toEqual({ summary: null, history, summarizedMessages: 0 });
+      expect(console.error).toHaveBeenCalledWith('Summarizing conversation history failed, sending it in full:', 'rate limited');
+      console.error.mockRestore();
+    });
+
+    it('should stop when the request is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      chat.mockRejectedValueOnce(new Error('aborted'));
+
+      await expect(summarizeHistory(conversation(12), { signal: controller.signal })).rejects.toThrow('aborted');
+      expect(chat.mock.calls[0][0].signal).toBe(controller.signal);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  createJob,
+  updateJob,
+  finishJob,
+  getJob,
+  subscribeToJob
+} = require('../services/jobService');
+
+describe('JobService', () => {
+  describe('createJob', () => {
+    it('should start a running job with an id', () => {
+      const job = createJob('refresh');
+
+      expect(job).toEqual({
+        id: expect.any(String),
+        type: 'refresh',
+        status: 'running',
+        phase: 'queued',
+        createdAt: expect.any(String),
+        updatedAt: job.createdAt,
+        finishedAt: null,
+        progress: {},
+        errors: [],
+        etaSeconds: null,
+        result: null,
+        error: null
+      });
+      expect(getJob(job.id)).toEqual(job);
+      expect(createJob('refresh').id).not.toBe(job.id);
+    });
+
+    it('should return null for unknown jobs', () => {
+      expect(getJob('missing')).toBeNull();
+    });
+  });
+
+  describe('updateJob', () => {
+    it('should merge progress and collect errors', () => {
+      const { id } = createJob('refresh');
+
+      updateJob(id, { phase: 'scraping', progress: { pagesScraped: 1, pagesTotal: 5 }, etaSeconds: 8 });
+      updateJob(id, { progress: { pagesScraped: 2 }, error: { phase: 'scraping', url: 'https://thoughtful.ai/gone', message: '404' } });
+
+      expect(getJob(id)).toEqual(expect.objectContaining({
+        phase: 'scraping',
+        progress: { pagesScraped: 2, pagesTotal: 5 },
+        etaSeconds: 8,
+        errors: [{ phase: 'scraping', url: 'https://thoughtful.ai/gone', message: '404' }]
+      }));
+    });
+
+    it('should not let callers modify the tracked job', () => {
+      const { id } = createJob('refresh');
+
+      getJob(id).progress.pagesScraped = 99;
+      getJob(id).errors.push('oops');
+
+      expect(getJob(id).progress).toEqual({});
+      expect(getJob(id).errors).toEqual([]);
+    });
+  });
+
+  describe('finishJob', () => {
+    it('should complete a job with its result', () => {
+      const { id } = createJob('refresh');
+
+      finishJob(id, { result: { success: true } });
+
+      expect(getJob(id)).toEqual(expect.objectContaining({
+        status: 'completed',
+        phase: 'completed',
+        result: { success: true },
+        error: null,
+        etaSeconds: 0,
+        finishedAt: expect.any(String)
+      }));
+    });
+
+    it('should fail a job with the error message and ignore later updates', () => {
+      const { id } = createJob('refresh');
+
+      finishJob(id, { error: new Error('Scraping failed') });
+      updateJob(id, { phase: 'embedding' });
+      finishJob(id, { result: { success: true } });
+
+      expect(getJob(id)).toEqual(expect.objectContaining({ status: 'failed', phase: 'failed', error: 'Scraping failed', result: null }));
+    });
+
+    it('should keep only the most recent finished jobs', () => {
+      const running = createJob('refresh');
+      const first = createJob('refresh');
+      finishJob(first.id, { result: {} });
+
+      for (let i = 0; i < 20; i++) {
+        finishJob(createJob('refresh').id, { result: {} });
+      }
+
+      expect(getJob(first.id)).toBeNull();
+      expect(getJob(running.id)).not.toBeNull();
+    });
+  });
+
+  describe('subscribeToJob', () => {
+    it('should notify listeners of every change until unsubscribed', () => {
+      const { id } = createJob('refresh');
+      const listener = jest.fn();
+
+      const unsubscribe = subscribeToJob(id, listener);
+      updateJob(id, { phase: 'scraping' });
+      updateJob(id, { phase: 'embedding' });
+      unsubscribe();
+      finishJob(id, { result: { success: true } });
+
+      expect(listener.mock.calls.map(([job]) => job.phase)).toEqual(['scraping', 'embedding']);
+    });
+  });
+});
@@ -1,14 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { 
   getKnowledgeBaseStatus, 
   isKnowledgeBaseReady,
   initializeKnowledgeBase,
-  refreshKnowledgeBase
+  refreshKnowledgeBase,
+  getKnowledgePages,
+  upsertKnowledgePage,
+  deleteKnowledgePage,
+  addKnowledgeDocuments,
+  getKnowledgeVersions,
+  activateKnowledgeVersion,
+  startRefreshScheduler,
+  stopRefreshScheduler,
+  startRefreshJob,
+  getKnowledgeJob,
+  subscribeToKnowledgeJob
 } = require('../services/knowledgeService');
-const { clearVectorStore } = require('../services/ragService');
+const { clearVectorStore, searchDocuments } = require('../services/ragService');
+const { saveJson } = require('../services/storageService');
+const { setEmbeddingProvider, createProvider } = require('../services/llmService');
+const { clearEmbeddingCache } = require('../services/embeddingCacheService');
 
 // Mock the scraper service
 jest.mock('../services/scraperService', () => ({
-  scrapeAllPages: jest.fn()
+  scrapeAllPages: jest.fn(),
+  scrapePage: jest.fn(),
+  parseContent: jest.requireActual('../services/scraperService').parseContent,
+  getPageName: jest.requireActual('../services/scraperService').getPageName,
+  getCrawlOrigins: jest.requireActual('../services/scraperService').getCrawlOrigins,
+  extractTextFromHtml: jest.requireActual('../services/scraperService').extractTextFromHtml,
+  extractSectionsFromHtml: jest.requireActual('../services/scraperService').extractSectionsFromHtml,
+  assignSections: jest.requireActual('../services/scraperService').assignSections,
+  extractPageMetadata: jest.requireActual('../services/scraperService').extractPageMetadata
 }));
 
 // Mock the rag service partially
@@ -25,7 +50,7 @@ jest.mock('../services/ragService', () => {
   };
 });
 
-const { scrapeAllPages } = require('../services/scraperService');
+const { scrapeAllPages, scrapePage } = require('../services/scraperService');
 const { ingestContent } = require('../services/ragService');
 
 describe('Knowledge Service - Unit Tests', () => {
@@ -98,7 +123,56 @@ describe('Knowledge Service - Unit Tests', () => {
 
       await initializeKnowledgeBase(true);
 
-      expect(ingestContent).toHaveBeenCalledWith(mockScrapedData);
+      expect(ingestContent).toHaveBeenCalledWith(mockScrapedData, expect.objectContaining({ retainUrls: [] }));
+    });
+
+    it('should only ingest pages that changed and report changed, unchanged and failed counts', async () => {
+      scrapeAllPages.mockImplementation(async ({ failed }) => {
+        failed.push({ url: 'https://thoughtful.ai/gone', reason: 'Request failed with status code 404', status: 404 });
+        return [
+          { pageName: 'Home', url: 'https://thoughtful.ai', scrapedAt: new Date().toISOString(), content: ['New content'] },
+          { pageName: 'About', url: 'https://thoughtful.ai/about', notModified: true }
+        ];
+      });
+
+      const result = await refreshKnowledgeBase();
+
+      expect(ingestContent).toHaveBeenCalledWith(
+        [expect.objectContaining({ pageName: 'Home' })],
+        expect.objectContaining({ retainUrls: ['https://thoughtful.ai/about'] })
+      );
+      expect(result.scraping).toEqual(expect.objectContaining({
+        pagesScraped: 2,
+        changed: 1,
+        unchanged: 1,
+        failed: 1,
+        failures: [{ url: 'https://thoughtful.ai/gone', reason: 'Request failed with status code 404', status: 404 }]
+      }));
+    });
+
+    it('should keep the chunks of pages that failed to fetch unless they are gone', async () => {
+      scrapeAllPages.mockImplementation(async ({ failed }) => {
+        failed.push({ url: 'https://thoughtful.ai/flaky', reason: 'Request failed with status code 503', status: 503 });
+        failed.push({ url: 'https://thoughtful.ai/slow', reason: 'timeout of 15000ms exceeded', status: null });
+        failed.push({ url: 'https://thoughtful.ai/removed', reason: 'Request failed with status code 410', status: 410 });
+        return [{ pageName: 'Home', url: 'https://thoughtful.ai', scrapedAt: new Date().toISOString(), content: ['New content'] }];
+      });
+
+      await refreshKnowledgeBase();
+
+      expect(ingestContent).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        retainUrls: ['https://thoughtful.ai/flaky', 'https://thoughtful.ai/slow']
+      }));
+    });
+
+    it('should send the validators of indexed pages to the scraper', async () => {
+      scrapeAllPages.mockResolvedValue([
+        { pageName: 'Test', url: 'url', scrapedAt: new Date().toISOString(), content: ['c'] }
+      ]);
+
+      await initializeKnowledgeBase(true);
+
+      expect(scrapeAllPages).toHaveBeenCalledWith(expect.objectContaining({ validators: {} }));
     });
 
     it('should return success result', async () => {
@@ -131,6 +205,19 @@ describe('Knowledge Service - Unit Tests', () => {
       expect(result.scraping.pages).toContain('Page2');
     });
 
+    it('should report URLs skipped because of robots.txt', async () => {
+      scrapeAllPages.mockImplementation(async ({ skipped }) => {
+        skipped.push({ url: 'https://www.thoughtful.ai/private', reason: 'Disallowed by robots.txt', code: 'ROBOTS_DISALLOWED' });
+        return [{ pageName: 'Test', url: 'url', scrapedAt: new Date().toISOString(), content: ['c'] }];
+      });
+
+      const result = await initializeKnowledgeBase(true);
+
+      expect(result.scraping.skipped).toEqual([
+        { url: 'https://www.thoughtful.ai/private', reason: 'Disallowed by robots.txt', code: 'ROBOTS_DISALLOWED' }
+      ]);
+    });
+
     it('should include ingestion statistics in result', async () => {
       scrapeAllPages.mockResolvedValue([
         { pageName: 'Test', url: 'url', scrapedAt: new Date().toISOString(), content: ['c'] }
@@ -166,6 +253,49 @@ describe('Knowledge Service - Unit Tests', () => {
     });
   });
 
+  describe('persisted knowledge base', () => {
+    const originalStorageDir = process.env.STORAGE_DIR;
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-init-'));
+      process.env.STORAGE_DIR = tempDir;
+      await saveJson('vector-store.json', {
+        formatVersion: 1,
+        embeddingModel: 'text-embedding-3-small',
+        documents: [{ id: 'Home-0', text: 'Persisted chunk', metadata: { pageName: 'Home', url: 'url' } }],
+        embeddings: [[0.1, 0.2, 0.3]],
+        lastUpdated: '2024-01-15T12:00:00.000Z'
+      });
+    });
+
+    afterEach(() => {
+      process.env.STORAGE_DIR = originalStorageDir;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should load the persisted store at boot without scraping', async () => {
+      const result = await initializeKnowledgeBase();
+
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('loaded from disk');
+      expect(scrapeAllPages).not.toHaveBeenCalled();
+      expect(ingestContent).not.toHaveBeenCalled();
+      expect(isKnowledgeBaseReady()).toBe(true);
+      expect(getKnowledgeBaseStatus().lastUpdated).toBe('2024-01-15T12:00:00.000Z');
+    });
+
+    it('should ignore the persisted store when forced', async () => {
+      scrapeAllPages.mockResolvedValue([
+        { pageName: 'Test', url: 'url', scrapedAt: new Date().toISOString(), content: ['c'] }
+      ]);
+
+      await initializeKnowledgeBase(true);
+
+      expect(scrapeAllPages).toHaveBeenCalled();
+    });
+  });
+
   describe('refreshKnowledgeBase', () => {
     it('should force re-initialization', async () => {
       scrapeAllPages.mockResolvedValue([
@@ -178,5 +308,717 @@ describe('Knowledge Service - Unit Tests', () => {
       expect(scrapeAllPages).toHaveBeenCalled();
     });
   });
+
+  describe('single pages', () => {
+    const url = 'https://thoughtful.ai/faq';
+
+    beforeEach(() => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      console.log.mockRestore();
+    });
+
+    it('should add a page from provided content without scraping', async () => {
+      const result = await upsertKnowledgePage({
+        url,
+        pageName: 'FAQ',
+        content: ['Dental billing workflows are supported.', 'Orthodontic claims are supported too.']
+      });
+
+      expect(scrapePage).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ success: true, message: 'Page added' }));
+      expect(result.page).toEqual(expect.objectContaining({ url, pageName: 'FAQ', source: 'api', chunkCount: 2 }));
+      expect(isKnowledgeBaseReady()).toBe(true);
+    });
+
+    it('should scrape the page when no content is provided', async () => {
+      const siteUrl = 'https://www.thoughtful.ai/faq';
+      scrapePage.mockResolvedValue({
+        pageName: 'Scraped FAQ',
+        url: siteUrl,
+        scrapedAt: new Date().toISOString(),
+        content: ['Scraped text about dental billing workflows.']
+      });
+
+      const result = await upsertKnowledgePage({ url: siteUrl });
+
+      expect(scrapePage).toHaveBeenCalledWith(siteUrl, undefined);
+      expect(result.page.pageName).toBe('Scraped FAQ');
+    });
+
+    it('should only scrape URLs on the crawl origins', async () => {
+      for (const internal of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:3001/api/knowledge/status', url]) {
+        await expect(upsertKnowledgePage({ url: internal })).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      }
+      expect(scrapePage).not.toHaveBeenCalled();
+    });
+
+    it('should scrape URLs on the origins of CRAWL_SEED_URLS', async () => {
+      process.env.CRAWL_SEED_URLS = 'https://thoughtful.ai/';
+      scrapePage.mockResolvedValue({
+        pageName: 'Scraped FAQ',
+        url,
+        scrapedAt: new Date().toISOString(),
+        content: ['Scraped text about dental billing workflows.']
+      });
+
+      try {
+        await upsertKnowledgePage({ url });
+      } finally {
+        delete process.env.CRAWL_SEED_URLS;
+      }
+
+      expect(scrapePage).toHaveBeenCalledWith(url, undefined);
+    });
+
+    it('should name pages without a name after their URL', async () => {
+      const result = await upsertKnowledgePage({ url, content: 'Text long enough to become a chunk.' });
+
+      expect(result.page.pageName).toBe('Faq');
+    });
+
+    it('should report an update when the page already existed', async () => {
+      await upsertKnowledgePage({ url, content: 'First version of the FAQ page.' });
+
+      const result = await upsertKnowledgePage({ url, content: 'Second version of the FAQ page.' });
+
+      expect(result.message).toBe('Page updated');
+      expect(result.ingestion.chunksRemoved).toBe(1);
+    });
+
+    it('should list and delete pages by id', async () => {
+      await upsertKnowledgePage({ url, content: 'Text long enough to become a chunk.' });
+      const [page] = getKnowledgePages();
+
+      const result = await deleteKnowledgePage(page.id);
+
+      expect(result).toEqual({ success: true, message: 'Page removed', page: { id: page.id, url, pageName: 'Faq' }, chunksRemoved: 1 });
+      expect(getKnowledgePages()).toEqual([]);
+    });
+
+    it('should return null when deleting an unknown page', async () => {
+      expect(await deleteKnowledgePage('0000000000000000')).toBeNull();
+    });
+  });
+
+  describe('documents', () => {
+    const { ingestContent: realIngestContent } = jest.requireActual('../services/ragService');
+    const documentsDir = path.join(__dirname, 'fixtures/documents');
+    const originalDocumentsDir = process.env.DOCUMENTS_DIR;
+
+    beforeEach(() => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      clearEmbeddingCache();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      scrapeAllPages.mockResolvedValue([
+        { pageName: 'Home', url: 'https://thoughtful.ai', scrapedAt: new Date().toISOString(), content: ['Automation agents for healthcare.'] }
+      ]);
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      jest.restoreAllMocks();
+      if (originalDocumentsDir === undefined) {
+        delete process.env.DOCUMENTS_DIR;
+      } else {
+        process.env.DOCUMENTS_DIR = originalDocumentsDir;
+      }
+    });
+
+    it('should ingest documents from DOCUMENTS_DIR alongside scraped pages', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+
+      const result = await refreshKnowledgeBase();
+
+      const [pages] = ingestContent.mock.calls[0];
+      expect(pages.map(page => page.url)).toEqual([
+        'https://thoughtful.ai',
+        'document:cam-overview.docx',
+        'document:eva-product-sheet.pdf',
+        'document:faq.html',
+        'document:guides/onboarding-guide.md',
+        'document:notes.txt'
+      ]);
+      expect(pages.slice(1).every(page => page.source === 'file')).toBe(true);
+      expect(result.documents).toEqual({
+        loaded: 5,
+        names: ['Cam Overview', 'EVA Product Sheet', 'Internal FAQ', 'Customer Onboarding Guide', 'Notes'],
+        failures: []
+      });
+    });
+
+    it('should not load documents when DOCUMENTS_DIR is unset', async () => {
+      delete process.env.DOCUMENTS_DIR;
+
+      const result = await refreshKnowledgeBase();
+
+      expect(ingestContent.mock.calls[0][0]).toHaveLength(1);
+      expect(result.documents).toEqual({ loaded: 0, names: [], failures: [] });
+    });
+
+    it('should make document chunks searchable with their source', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+      ingestContent.mockImplementationOnce(realIngestContent);
+
+      await refreshKnowledgeBase();
+
+      const [result] = await searchDocuments('payments pod escalations', 1, { mode: 'lexical' });
+      expect(result.metadata).toEqual(expect.objectContaining({ url: 'document:notes.txt', pageName: 'Notes', source: 'file' }));
+    });
+
+    it('should filter document chunks by document type', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+      ingestContent.mockImplementationOnce(realIngestContent);
+
+      await refreshKnowledgeBase();
+
+      const results = await searchDocuments('EVA eligibility agents', 20, { mode: 'lexical', filters: { format: ['pdf', 'markdown'] } });
+      expect([...new Set(results.map(result => result.metadata.url))].sort())
+        .toEqual(['document:eva-product-sheet.pdf', 'document:guides/onboarding-guide.md']);
+      expect(results.map(result => result.metadata.format)).toEqual(expect.arrayContaining(['pdf', 'markdown']));
+    });
+
+    it('should ingest documents when the site cannot be reached', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+      scrapeAllPages.mockImplementation(async ({ failed }) => {
+        failed.push({ url: 'https://thoughtful.ai', reason: 'getaddrinfo ENOTFOUND thoughtful.ai', status: null });
+        return [];
+      });
+
+      const result = await initializeKnowledgeBase(true);
+
+      expect(ingestContent.mock.calls[0][0].map(page => page.url)).toHaveLength(5);
+      expect(result.scraping.pagesScraped).toBe(0);
+      expect(result.documents.loaded).toBe(5);
+    });
+
+    it('should fail when neither pages nor documents could be loaded', async () => {
+      process.env.DOCUMENTS_DIR = path.join(documentsDir, 'unmounted');
+      scrapeAllPages.mockResolvedValue([]);
+
+      await expect(initializeKnowledgeBase(true)).rejects.toThrow('No content was scraped from thoughtful.ai and no documents were loaded');
+    });
+
+    it('should keep the chunks of documents that could not be read', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+      ingestContent.mockImplementationOnce(realIngestContent);
+      await refreshKnowledgeBase();
+
+      const readFile = fs.promises.readFile;
+      jest.spyOn(fs.promises, 'readFile').mockImplementation((file, ...args) => (
+        String(file).endsWith('notes.txt') ? Promise.reject(new Error('EIO: i/o error')) : readFile(file, ...args)
+      ));
+      ingestContent.mockImplementationOnce(realIngestContent);
+
+      const result = await refreshKnowledgeBase();
+
+      expect(result.documents.failures).toEqual([{ url: 'document:notes.txt', reason: 'EIO: i/o error' }]);
+      expect(getKnowledgePages().map(page => page.url)).toContain('document:notes.txt');
+    });
+
+    it('should keep every document when DOCUMENTS_DIR cannot be read', async () => {
+      process.env.DOCUMENTS_DIR = documentsDir;
+      ingestContent.mockImplementationOnce(realIngestContent);
+      await refreshKnowledgeBase();
+      const documentUrls = getKnowledgePages().filter(page => page.source === 'file').map(page => page.url);
+
+      process.env.DOCUMENTS_DIR = path.join(documentsDir, 'unmounted');
+      ingestContent.mockImplementationOnce(realIngestContent);
+      await refreshKnowledgeBase();
+
+      expect(documentUrls).toHaveLength(5);
+      expect(getKnowledgePages().filter(page => page.source === 'file').map(page => page.url)).toEqual(documentUrls);
+    });
+
+    it('should add uploaded documents and report the ones that failed', async () => {
+      const result = await addKnowledgeDocuments([
+        { name: 'notes.txt', buffer: fs.readFileSync(path.join(documentsDir, 'notes.txt')) },
+        { name: '../../etc/pricing.csv', buffer: Buffer.from('agent,price') }
+      ]);
+
+      expect(result).toEqual({
+        success: true,
+        message: '1 of 2 documents added',
+        documents: [{
+          fileName: 'notes.txt',
+          page: expect.objectContaining({ url: 'document:notes.txt', pageName: 'Notes', source: 'upload', chunkCount: 3 }),
+          ingestion: expect.objectContaining({ chunksAdded: 3 })
+        }],
+        failed: [{ fileName: 'pricing.csv', reason: 'Unsupported document type: .csv' }],
+        ingestion: expect.objectContaining({ failedChunks: 0, version: expect.any(String) })
+      });
+    });
+
+    it('should keep uploaded documents across refreshes', async () => {
+      await addKnowledgeDocuments([{ name: 'handbook.md', buffer: Buffer.from('# Handbook\n\nRefunds are approved by the billing lead.') }]);
+      ingestContent.mockImplementationOnce(realIngestContent);
+
+      await refreshKnowledgeBase();
+
+      const [result] = await searchDocuments('refunds billing lead', 1, { mode: 'lexical' });
+      expect(result.metadata).toEqual(expect.objectContaining({ url: 'document:handbook.md', source: 'upload' }));
+    });
+
+    it('should fail when no document could be added', async () => {
+      const result = await addKnowledgeDocuments([{ name: 'empty.txt', buffer: Buffer.from('') }]);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, message: '0 of 1 documents added', documents: [] }));
+      expect(getKnowledgePages()).toEqual([]);
+    });
+  });
+
+  describe('zero-downtime refresh', () => {
+    const { ingestContent: realIngestContent } = jest.requireActual('../services/ragService');
+    const page = (pageName, text) => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase()}`,
+      scrapedAt: new Date().toISOString(),
+      content: [text]
+    });
+
+    let hashing;
+
+    beforeEach(async () => {
+      hashing = createProvider({ provider: 'hashing' });
+      setEmbeddingProvider(hashing);
+      clearEmbeddingCache();
+      ingestContent.mockImplementation(realIngestContent);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      scrapeAllPages.mockResolvedValue([page('Old', 'The old index talks about eligibility verification.')]);
+      await initializeKnowledgeBase(true);
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      ingestContent.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    it('should keep serving the old index while a refresh is running', async () => {
+      let finishScrape;
+      scrapeAllPages.mockReturnValue(new Promise(resolve => { finishScrape = resolve; }));
+
+      const refresh = refreshKnowledgeBase();
+
+      expect(isKnowledgeBaseReady()).toBe(true);
+      expect(getKnowledgeBaseStatus()).toEqual(expect.objectContaining({ initialized: true, documentCount: 1, isInitializing: true }));
+      const [during] = await searchDocuments('eligibility verification', 1, { mode: 'lexical' });
+      expect(during.metadata.pageName).toBe('Old');
+
+      finishScrape([page('New', 'The new index talks about payment posting.')]);
+      await refresh;
+
+      const [after] = await searchDocuments('payment posting', 1, { mode: 'lexical' });
+      expect(after.metadata.pageName).toBe('New');
+      expect(await searchDocuments('eligibility verification', 1, { mode: 'lexical' })).toEqual([]);
+    });
+
+    it('should keep the old index when scraping fails', async () => {
+      scrapeAllPages.mockRejectedValue(new Error('Scraping failed'));
+
+      await expect(refreshKnowledgeBase()).rejects.toThrow('Scraping failed');
+
+      expect(isKnowledgeBaseReady()).toBe(true);
+      expect(getKnowledgeBaseStatus()).toEqual(expect.objectContaining({ documentCount: 1, error: 'Scraping failed' }));
+    });
+
+    it('should keep the old index when ingestion fails', async () => {
+      scrapeAllPages.mockResolvedValue([page('New', 'The new index talks about payment posting.')]);
+      setEmbeddingProvider({
+        ...hashing,
+        embed: jest.fn().mockRejectedValue(Object.assign(new Error('Invalid API key'), { status: 401 }))
+      });
+
+      await expect(refreshKnowledgeBase()).rejects.toThrow('embedding requests failed');
+
+      expect(isKnowledgeBaseReady()).toBe(true);
+      const [result] = await searchDocuments('eligibility verification', 1, { mode: 'lexical' });
+      expect(result.metadata.pageName).toBe('Old');
+    });
+
+    it('should roll back to the version before a bad refresh', async () => {
+      const [previous] = getKnowledgeVersions();
+      scrapeAllPages.mockResolvedValue([page('Broken', 'Page not found.')]);
+      await refreshKnowledgeBase();
+
+      const result = await activateKnowledgeVersion(previous.id);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, version: expect.objectContaining({ id: previous.id, active: true }) }));
+      expect(getKnowledgeBaseStatus().version).toBe(previous.id);
+      const [restored] = await searchDocuments('eligibility verification', 1, { mode: 'lexical' });
+      expect(restored.metadata.pageName).toBe('Old');
+    });
+
+    it('should record an upload as a single version that can be rolled back', async () => {
+      const [beforeUpload] = getKnowledgeVersions();
+      const files = ['billing', 'claims', 'coding', 'eligibility', 'posting', 'security'].map(name => ({
+        name: `${name}.md`,
+        buffer: Buffer.from(`# ${name}\n\nThe ${name} handbook explains how the team handles ${name} requests.`)
+      }));
+
+      const result = await addKnowledgeDocuments(files);
+
+      expect(result.documents).toHaveLength(6);
+      expect(getKnowledgeVersions().map(version => version.reason)).toEqual(['upload', 'refresh']);
+
+      await activateKnowledgeVersion(beforeUpload.id);
+
+      expect(getKnowledgePages().map(knowledgePage => knowledgePage.url)).toEqual(['https://thoughtful.ai/old']);
+    });
+
+    it('should wait for a running refresh before activating a version', async () => {
+      const [previous] = getKnowledgeVersions();
+      let finishScrape;
+      scrapeAllPages.mockReturnValue(new Promise(resolve => { finishScrape = resolve; }));
+
+      const refresh = refreshKnowledgeBase();
+      const activation = activateKnowledgeVersion(previous.id);
+      finishScrape([page('New', 'The new index talks about payment posting.')]);
+      await refresh;
+      await activation;
+
+      expect(getKnowledgeBaseStatus().version).toBe(previous.id);
+      expect(await activateKnowledgeVersion('missing')).toBeNull();
+    });
+
+    it('should keep the old index when robots.txt is down during a refresh', async () => {
+      const versionsBefore = getKnowledgeVersions();
+      process.env.DOCUMENTS_DIR = path.join(__dirname, 'fixtures/documents');
+      scrapeAllPages.mockImplementation(async ({ skipped }) => {
+        skipped.push({ url: 'https://thoughtful.ai/old', reason: 'robots.txt for https://thoughtful.ai is unavailable (timeout of 30000ms exceeded)', code: 'ROBOTS_UNAVAILABLE' });
+        return [];
+      });
+
+      try {
+        await expect(refreshKnowledgeBase()).rejects.toThrow('No page could be fetched from thoughtful.ai');
+      } finally {
+        delete process.env.DOCUMENTS_DIR;
+      }
+
+      expect(getKnowledgeVersions()).toEqual(versionsBefore);
+      expect(getKnowledgePages().map(knowledgePage => knowledgePage.url)).toEqual(['https://thoughtful.ai/old']);
+    });
+
+    it('should keep the pages of a host whose robots.txt is down and drop disallowed ones', async () => {
+      scrapeAllPages.mockResolvedValue([
+        page('Trust', 'The trust page talks about data security.'),
+        { ...page('Docs', 'The docs page talks about developer onboarding.'), url: 'https://docs.thoughtful.ai/docs' }
+      ]);
+      await refreshKnowledgeBase();
+
+      scrapeAllPages.mockImplementation(async ({ skipped }) => {
+        skipped.push({ url: 'https://thoughtful.ai/', reason: 'robots.txt for https://thoughtful.ai is unavailable (Request failed with status code 503)', code: 'ROBOTS_UNAVAILABLE' });
+        skipped.push({ url: 'https://docs.thoughtful.ai/docs', reason: 'Disallowed by robots.txt: https://docs.thoughtful.ai/docs', code: 'ROBOTS_DISALLOWED' });
+        return [{ ...page('Api', 'The API page talks about webhook payloads.'), url: 'https://docs.thoughtful.ai/api' }];
+      });
+      await refreshKnowledgeBase();
+
+      expect(getKnowledgePages().map(knowledgePage => knowledgePage.url).sort()).toEqual([
+        'https://docs.thoughtful.ai/api',
+        'https://thoughtful.ai/trust'
+      ]);
+    });
+
+    it('should clear the error once a later refresh succeeds', async () => {
+      scrapeAllPages.mockRejectedValueOnce(new Error('Scraping failed'));
+      await expect(refreshKnowledgeBase()).rejects.toThrow();
+
+      scrapeAllPages.mockResolvedValue([page('New', 'The new index talks about payment posting.')]);
+      await refreshKnowledgeBase();
+
+      expect(getKnowledgeBaseStatus().error).toBeNull();
+    });
+  });
+
+  describe('scheduled refresh', () => {
+    const MINUTE = 60 * 1000;
+    const scrapedPage = { pageName: 'Home', url: 'https://thoughtful.ai', scrapedAt: new Date().toISOString(), content: ['Home'] };
+    const settings = ['REFRESH_CRON', 'REFRESH_INTERVAL_MINUTES', 'REFRESH_MAX_BACKOFF_MINUTES'];
+    const original = Object.fromEntries(settings.map(name => [name, process.env[name]]));
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(2025, 0, 1, 10, 0) });
+      settings.forEach(name => delete process.env[name]);
+      scrapeAllPages.mockResolvedValue([scrapedPage]);
+      ingestContent.mockResolvedValue({ totalPages: 1, totalChunks: 1 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      stopRefreshScheduler();
+      jest.useRealTimers();
+      settings.forEach(name => {
+        if (original[name] === undefined) delete process.env[name];
+        else process.env[name] = original[name];
+      });
+      jest.restoreAllMocks();
+    });
+
+    const nextRunIn = minutes => new Date(Date.now() + minutes * MINUTE).toISOString();
+
+    it('should stay disabled without a schedule', () => {
+      expect(startRefreshScheduler()).toBeNull();
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual({ enabled: false });
+    });
+
+    it('should refresh on an interval and record the runs', async () => {
+      process.env.REFRESH_INTERVAL_MINUTES = '30';
+
+      expect(startRefreshScheduler()).toEqual({
+        enabled: true,
+        schedule: 'every 30 minutes',
+        lastRunAt: null,
+        lastRunStatus: null,
+        lastError: null,
+        nextRunAt: nextRunIn(30),
+        consecutiveFailures: 0
+      });
+
+      await jest.advanceTimersByTimeAsync(30 * MINUTE);
+
+      expect(scrapeAllPages).toHaveBeenCalledTimes(1);
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual(expect.objectContaining({
+        lastRunAt: new Date().toISOString(),
+        lastRunStatus: 'success',
+        nextRunAt: nextRunIn(30)
+      }));
+
+      await jest.advanceTimersByTimeAsync(30 * MINUTE);
+      expect(scrapeAllPages).toHaveBeenCalledTimes(2);
+    });
+
+    it('should follow a cron expression', () => {
+      process.env.REFRESH_CRON = '0 3 * * *';
+      process.env.REFRESH_INTERVAL_MINUTES = '30';
+
+      const status = startRefreshScheduler();
+
+      expect(status.schedule).toBe('cron 0 3 * * *');
+      expect(status.nextRunAt).toBe(new Date(2025, 0, 2, 3, 0).toISOString());
+    });
+
+    it('should stay disabled when the cron expression is invalid', () => {
+      process.env.REFRESH_CRON = '0 25 * * *';
+
+      expect(startRefreshScheduler()).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Invalid cron hour'));
+      expect(getKnowledgeBaseStatus().refreshSchedule.enabled).toBe(false);
+    });
+
+    it('should skip a run while a refresh is in progress', async () => {
+      process.env.REFRESH_INTERVAL_MINUTES = '30';
+      let finishScrape;
+      scrapeAllPages.mockReturnValue(new Promise(resolve => { finishScrape = resolve; }));
+      startRefreshScheduler();
+
+      const manual = refreshKnowledgeBase();
+      await jest.advanceTimersByTimeAsync(30 * MINUTE);
+
+      expect(scrapeAllPages).toHaveBeenCalledTimes(1);
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual(expect.objectContaining({
+        lastRunStatus: 'skipped',
+        nextRunAt: nextRunIn(30),
+        consecutiveFailures: 0
+      }));
+
+      finishScrape([scrapedPage]);
+      await manual;
+    });
+
+    it('should back off after repeated failures and recover on success', async () => {
+      process.env.REFRESH_INTERVAL_MINUTES = '30';
+      process.env.REFRESH_MAX_BACKOFF_MINUTES = '100';
+      scrapeAllPages.mockRejectedValue(new Error('Scraping failed'));
+      startRefreshScheduler();
+
+      await jest.advanceTimersByTimeAsync(30 * MINUTE);
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual(expect.objectContaining({
+        lastRunStatus: 'failed',
+        lastError: 'Scraping failed',
+        consecutiveFailures: 1,
+        nextRunAt: nextRunIn(60)
+      }));
+
+      await jest.advanceTimersByTimeAsync(60 * MINUTE);
+      // Doubling again would wait 120 minutes, beyond the 100 minute cap
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual(expect.objectContaining({
+        consecutiveFailures: 2,
+        nextRunAt: nextRunIn(90)
+      }));
+
+      scrapeAllPages.mockResolvedValue([scrapedPage]);
+      await jest.advanceTimersByTimeAsync(90 * MINUTE);
+
+      expect(scrapeAllPages).toHaveBeenCalledTimes(3);
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual(expect.objectContaining({
+        lastRunStatus: 'success',
+        lastError: null,
+        consecutiveFailures: 0,
+        nextRunAt: nextRunIn(30)
+      }));
+    });
+
+    it('should stop running refreshes once stopped', async () => {
+      process.env.REFRESH_INTERVAL_MINUTES = '30';
+      startRefreshScheduler();
+
+      stopRefreshScheduler();
+      await jest.advanceTimersByTimeAsync(60 * MINUTE);
+
+      expect(scrapeAllPages).not.toHaveBeenCalled();
+      expect(getKnowledgeBaseStatus().refreshSchedule).toEqual({ enabled: false });
+    });
+  });
+
+  describe('refresh jobs', () => {
+    const pages = [
+      { pageName: 'Home', url: 'https://thoughtful.ai', scrapedAt: new Date().toISOString(), content: ['Home'] },
+      { pageName: 'About', url: 'https://thoughtful.ai/about', scrapedAt: new Date().toISOString(), content: ['About'] }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const finished = id => new Promise(resolve => {
+      const current = getKnowledgeJob(id);
+      if (current.status !== 'running') return resolve(current);
+      const unsubscribe = subscribeToKnowledgeJob(id, job => {
+        if (job.status !== 'running') {
+          unsubscribe();
+          resolve(job);
+        }
+      });
+    });
+
+    it('should run the refresh in the background and report scraping and embedding progress', async () => {
+      scrapeAllPages.mockImplementation(async ({ onProgress, failed }) => {
+        onProgress({ url: pages[0].url, done: 1, scraped: 1, total: 3, error: null });
+        failed.push({ url: 'https://thoughtful.ai/gone', reason: 'Request failed with status code 404' });
+        onProgress({ url: 'https://thoughtful.ai/gone', done: 2, scraped: 1, total: 3, error: 'Request failed with status code 404' });
+        onProgress({ url: pages[1].url, done: 3, scraped: 2, total: 3, error: null });
+        return pages;
+      });
+      ingestContent.mockImplementation(async (changed, { onProgress }) => {
+        onProgress({ done: 0, embedded: 0, total: 4, error: null });
+        onProgress({ done: 2, embedded: 0, total: 4, error: { pages: ['Home'], message: 'Invalid API key' } });
+        onProgress({ done: 4, embedded: 2, total: 4, error: null });
+        return { totalPages: 2, totalChunks: 2 };
+      });
+
+      const { job, started } = startRefreshJob();
+      const phases = [];
+      subscribeToKnowledgeJob(job.id, update => phases.push(update.phase));
+
+      expect(started).toBe(true);
+      expect(job).toEqual(expect.objectContaining({ status: 'running', phase: 'scraping' }));
+
+      const done = await finished(job.id);
+
+      expect(done).toEqual(expect.objectContaining({
+        status: 'completed',
+        progress: { pagesScraped: 2, pagesTotal: 3, chunksEmbedded: 2, chunksTotal: 4 },
+        errors: [
+          { phase: 'scraping', url: 'https://thoughtful.ai/gone', message: 'Request failed with status code 404' },
+          { phase: 'embedding', pages: ['Home'], message: 'Invalid API key' }
+        ],
+        etaSeconds: 0,
+        result: expect.objectContaining({ success: true, scraping: expect.objectContaining({ failed: 1 }) })
+      }));
+      expect([...new Set(phases)]).toEqual(['embedding', 'completed']);
+    });
+
+    it('should estimate the time left in the current phase', async () => {
+      jest.useFakeTimers({ now: new Date(2025, 0, 1) });
+      let release;
+      scrapeAllPages.mockImplementation(async ({ onProgress }) => {
+        onProgress({ url: pages[0].url, done: 0, scraped: 0, total: 4, error: null });
+        jest.advanceTimersByTime(3000);
+        onProgress({ url: pages[0].url, done: 1, scraped: 1, total: 4, error: null });
+        await new Promise(resolve => { release = resolve; });
+        return pages;
+      });
+      ingestContent.mockResolvedValue({ totalPages: 2, totalChunks: 2 });
+
+      try {
+        const { job } = startRefreshJob();
+        await Promise.resolve();
+
+        expect(getKnowledgeJob(job.id).etaSeconds).toBe(9);
+
+        release();
+        jest.useRealTimers();
+        await finished(job.id);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should return the running job instead of starting another', async () => {
+      let release;
+      scrapeAllPages.mockReturnValue(new Promise(resolve => { release = resolve; }));
+      ingestContent.mockResolvedValue({ totalPages: 2, totalChunks: 2 });
+
+      const first = startRefreshJob();
+      const second = startRefreshJob();
+
+      expect(second).toEqual({ job: expect.objectContaining({ id: first.job.id }), started: false });
+      expect(scrapeAllPages).toHaveBeenCalledTimes(1);
+
+      release(pages);
+      await finished(first.job.id);
+
+      const third = startRefreshJob();
+      expect(third.started).toBe(true);
+      expect(third.job.id).not.toBe(first.job.id);
+      await finished(third.job.id);
+    });
+
+    it('should run its own refresh after one started elsewhere', async () => {
+      let release;
+      scrapeAllPages
+        .mockReturnValueOnce(new Promise(resolve => { release = resolve; }))
+        .mockResolvedValue(pages);
+      ingestContent.mockResolvedValue({ totalPages: 2, totalChunks: 2 });
+
+      const scheduled = refreshKnowledgeBase();
+      const { job, started } = startRefreshJob();
+
+      expect(started).toBe(true);
+      expect(getKnowledgeJob(job.id).phase).toBe('waiting');
+
+      release(pages);
+      await scheduled;
+      const done = await finished(job.id);
+
+      expect(scrapeAllPages).toHaveBeenCalledTimes(2);
+      expect(ingestContent).toHaveBeenCalledTimes(2);
+      expect(done).toEqual(expect.objectContaining({ status: 'completed', phase: 'completed' }));
+    });
+
+    it('should record a failed refresh on the job', async () => {
+      scrapeAllPages.mockRejectedValue(new Error('Scraping failed'));
+
+      const { job } = startRefreshJob();
+      const done = await finished(job.id);
+
+      expect(done).toEqual(expect.objectContaining({ status: 'failed', error: 'Scraping failed', result: null }));
+      expect(getKnowledgeBaseStatus().error).toBe('Scraping failed');
+    });
+  });
 });
 
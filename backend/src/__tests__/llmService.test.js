@@ -0,0 +1,256 @@
+const OpenAI = require('openai');
+const {
+  getProvider,
+  setProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  createProvider,
+  createChatProvider,
+  registerProvider,
+  getProviderConfig
+} = require('../services/llmService');
+
+jest.mock('openai', () => jest.fn());
+
+describe('LLMService', () => {
+  const originalEnv = { ...process.env };
+  let create;
+  let embeddingsCreate;
+
+  const streamOf = (tokens) => ({
+    async *[Symbol.asyncIterator]() {
+      for (const content of tokens) {
+        yield { choices: [{ delta: { content } }] };
+      }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    create = jest.fn().mockResolvedValue({ choices: [{ message: { content: 'Hello there' } }] });
+    embeddingsCreate = jest.fn().mockImplementation(({ input }) => ({
+      data: [].concat(input).map((text, index) => ({ index, embedding: [text.length, index] }))
+    }));
+    OpenAI.mockImplementation(() => ({
+      chat: { completions: { create } },
+      embeddings: { create: embeddingsCreate }
+    }));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setProvider(null);
+    setEmbeddingProvider(null);
+  });
+
+  describe('getProviderConfig', () => {
+    it('should default to the openai provider', () => {
+      delete process.env.LLM_PROVIDER;
+      expect(getProviderConfig().provider).toBe('openai');
+    });
+
+    it('should read provider settings from the environment', () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_BASE_URL = 'http://127.0.0.1:8080/v1';
+      process.env.LLM_CHAT_MODEL = 'mistral';
+      process.env.LLM_EMBEDDING_MODEL = 'bge-small';
+
+      expect(getProviderConfig()).toEqual(expect.objectContaining({
+        provider: 'local',
+        baseURL: 'http://127.0.0.1:8080/v1',
+        chatModel: 'mistral',
+        embeddingModel: 'bge-small'
+      }));
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should throw for unknown providers', () => {
+      expect(() => createProvider({ provider: 'nope' })).toThrow('Unknown LLM provider "nope"');
+    });
+
+    it('should allow registering custom providers', () => {
+      const custom = { name: 'custom', chat: jest.fn(), embed: jest.fn() };
+      registerProvider('custom', () => custom);
+
+      expect(createProvider({ provider: 'custom' })).toBe(custom);
+    });
+  });
+
+  describe('createChatProvider', () => {
+    it('should create providers that can answer chat', () => {
+      expect(createChatProvider({ provider: 'fake' }).name).toBe('fake');
+    });
+
+    it('should reject registered providers without chat()', () => {
+      registerProvider('embed-only', () => ({ name: 'embed-only', embed: async () => [] }));
+
+      expect(() => createChatProvider({ provider: 'embed-only' })).toThrow('cannot answer chat');
+    });
+  });
+
+  describe('openai provider', () => {
+    it('should use the default OpenAI models', () => {
+      const provider = createProvider({ provider: 'openai' });
+
+      expect(provider.name).toBe('openai');
+      expect(provider.chatModel).toBe('gpt-3.5-turbo');
+      expect(provider.embeddingModel).toBe('text-embedding-3-small');
+    });
+
+    it('should send chat completions with the configured model', async () => {
+      const provider = createProvider({ provider: 'openai', chatModel: 'gpt-4o-mini' });
+
+      const result = await provider.chat({
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 100,
+        temperature: 0.5
+      });
+
+      expect(result).toEqual({ content: 'Hello there' });
+      expect(create).toHaveBeenCalledWith({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 100,
+        temperature: 0.5
+      }, { signal: undefined });
+    });
+
+    it('should stream tokens when onToken is provided', async () => {
+      create.mockResolvedValue(streamOf(['It is ', 'sunny', '.']));
+      const provider = createProvider({ provider: 'openai' });
+      const onToken = jest.fn();
+
+      const result = await provider.chat({ messages: [], onToken });
+
+      expect(onToken.mock.calls.map(([token]) => token)).toEqual(['It is ', 'sunny', '.']);
+      expect(result.content).toBe('It is sunny.');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ stream: true }), expect.any(Object));
+    });
+
+    it('should embed texts with the configured embedding model', async () => {
+      const provider = createProvider({ provider: 'openai' });
+
+      const embeddings = await provider.embed(['abc', 'de']);
+
+      expect(embeddings).toEqual([[3, 0], [2, 1]]);
+      expect(embeddingsCreate).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'text-embedding-3-small',
+        input: ['abc', 'de']
+      }));
+    });
+  });
+
+  describe('local provider', () => {
+    it('should point the OpenAI client at the local base URL', () => {
+      const provider = createProvider({ provider: 'local', baseURL: 'http://localhost:8080/v1' });
+      provider.embed(['text']);
+
+      expect(provider.name).toBe('local');
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({
+        baseURL: 'http://localhost:8080/v1',
+        apiKey: 'local'
+      }));
+    });
+
+    it('should default to the Ollama endpoint', () => {
+      const provider = createProvider({ provider: 'local' });
+      provider.embed(['text']);
+
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({
+        baseURL: 'http://localhost:11434/v1'
+      }));
+    });
+  });
+
+  describe('fake provider', () => {
+    const provider = createProvider({ provider: 'fake' });
+
+    it('should answer deterministically without network access', async () => {
+      const messages = [{ role: 'user', content: 'What is EVA?' }];
+
+      const first = await provider.chat({ messages });
+      const second = await provider.chat({ messages });
+
+      expect(first).toEqual(second);
+      expect(first.content).toContain('What is EVA?');
+      expect(OpenAI).not.toHaveBeenCalled();
+    });
+
+    it('should stream the answer in tokens', async () => {
+      const onToken = jest.fn();
+      const result = await provider.chat({ messages: [{ role: 'user', content: 'Hello world' }], onToken });
+
+      expect(onToken.mock.calls.map(([token]) => token).join('')).toBe(result.content);
+    });
+
+    it('should produce stable, normalized embeddings', async () => {
+      const [a, b] = await provider.embed(['payment posting', 'payment posting']);
+      const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+
+      expect(a).toEqual(b);
+      expect(norm).toBeCloseTo(1, 5);
+    });
+
+    it('should score texts sharing words as more similar', async () => {
+      const [query, related, unrelated] = await provider.embed([
+        'payment posting',
+        'automated payment posting for remittances',
+        'eligibility verification'
+      ]);
+      const dot = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+
+      expect(dot(query, related)).toBeGreaterThan(dot(query, unrelated));
+    });
+  });
+
+  describe('getProvider', () => {
+    it('should create the configured provider once', () => {
+      process.env.LLM_PROVIDER = 'fake';
+
+      const provider = getProvider();
+
+      expect(provider.name).toBe('fake');
+      expect(getProvider()).toBe(provider);
+    });
+
+    it('should reject an embedding-only provider for chat', () => {
+      process.env.LLM_PROVIDER = 'hashing';
+
+      expect(() => getProvider()).toThrow(
+        'LLM provider "hashing" only computes embeddings and cannot answer chat'
+      );
+      expect(() => getProvider()).toThrow('EMBEDDING_PROVIDER=hashing');
+    });
+
+    it('should allow overriding the active provider', () => {
+      const custom = { name: 'custom' };
+      setProvider(custom);
+      expect(getProvider()).toBe(custom);
+    });
+  });
+
+  describe('getEmbeddingProvider', () => {
+    it('should share the chat provider by default', () => {
+      process.env.LLM_PROVIDER = 'fake';
+      delete process.env.EMBEDDING_PROVIDER;
+
+      expect(getEmbeddingProvider()).toBe(getProvider());
+    });
+
+    it('should use the in-process hashing embedder when configured', async () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.EMBEDDING_PROVIDER = 'hashing';
+      process.env.EMBEDDING_DIMENSIONS = '128';
+
+      const provider = getEmbeddingProvider();
+      const [embedding] = await provider.embed(['offline text']);
+
+      expect(provider.name).toBe('hashing');
+      expect(provider.embeddingModel).toBe('hashing-128');
+      expect(embedding).toHaveLength(128);
+      expect(OpenAI).not.toHaveBeenCalled();
+      expect(getProvider().name).toBe('openai');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { embedText, createHashingEmbeddingProvider } = require('../services/localEmbeddingService');
+
+describe('LocalEmbeddingService', () => {
+  const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+  describe('embedText', () => {
+    it('should produce vectors of the requested size', () => {
+      expect(embedText('Prior authorization', 128)).toHaveLength(128);
+      expect(embedText('Prior authorization')).toHaveLength(512);
+    });
+
+    it('should be deterministic', () => {
+      expect(embedText('Payment posting agent')).toEqual(embedText('Payment posting agent'));
+    });
+
+    it('should return unit-length vectors', () => {
+      const vector = embedText('Claims processing with CAM');
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      expect(norm).toBeCloseTo(1, 5);
+    });
+
+    it('should return a zero vector for text without words', () => {
+      expect(embedText('!!! ...', 16)).toEqual(Array(16).fill(0));
+    });
+
+    it('should be case and punctuation insensitive', () => {
+      expect(embedText('EVA, eligibility!')).toEqual(embedText('eva eligibility'));
+    });
+
+    it('should rank related texts above unrelated ones', () => {
+      const query = embedText('How does payment posting work?');
+      const related = embedText('PHIL automates payment posting and reconciliation.');
+      const unrelated = embedText('EVA verifies patient eligibility in real time.');
+
+      expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+    });
+
+    it('should give partial credit to word variants', () => {
+      const base = embedText('payment');
+      const variant = embedText('payments');
+      const other = embedText('eligibility');
+
+      expect(cosine(base, variant)).toBeGreaterThan(0.3);
+      expect(cosine(base, variant)).toBeGreaterThan(cosine(base, other));
+    });
+  });
+
+  describe('createHashingEmbeddingProvider', () => {
+    it('should embed batches of texts in-process', async () => {
+      const provider = createHashingEmbeddingProvider({ dimensions: 64 });
+
+      const embeddings = await provider.embed(['first text', 'second text']);
+
+      expect(provider.name).toBe('hashing');
+      expect(provider.embeddingModel).toBe('hashing-64');
+      expect(embeddings).toHaveLength(2);
+      expect(embeddings[0]).toHaveLength(64);
+    });
+  });
+});
@@ -66,7 +66,7 @@ jest.mock('openai', () => {
   return jest.fn().mockImplementation(() => ({
     embeddings: {
       create: jest.fn().mockImplementation(({ input }) => ({
-        data: [{ embedding: createEmbedding(input) }]
+        data: [].concat(input).map(text => ({ embedding: createEmbedding(text) }))
       }))
     },
     chat: {
@@ -6,6 +6,7 @@ const {
   isInitialized,
   getStatus
 } = require('../services/ragService');
+const { getTokenizer } = require('../services/tokenizerService');
 
 describe('RAGService', () => {
   beforeEach(() => {
@@ -58,20 +59,19 @@ describe('RAGService', () => {
   describe('chunkText', () => {
     it('should split text into chunks', () => {
       const text = 'First sentence. Second sentence. Third sentence. Fourth sentence.';
-      const chunks = chunkText(text, 50, 10);
+      const chunks = chunkText(text, 5, 1);
       expect(chunks.length).toBeGreaterThan(1);
     });
 
-    it('should respect maxChunkSize approximately', () => {
+    it('should respect the maximum tokens per chunk', () => {
       const text = 'Short sentence one. Short sentence two. Short sentence three. Short sentence four.';
-      const maxSize = 60;
-      const chunks = chunkText(text, maxSize, 5);
+      const maxTokens = 8;
+      const tokenizer = getTokenizer('text-embedding-3-small');
+      const chunks = chunkText(text, maxTokens, 2, tokenizer);
       
       // Chunks should be created respecting sentence boundaries
-      expect(chunks.length).toBeGreaterThan(0);
-      // Average chunk size should be reasonable relative to maxSize
-      const avgSize = chunks.reduce((a, b) => a + b.length, 0) / chunks.length;
-      expect(avgSize).toBeLessThan(maxSize * 2);
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.every(chunk => tokenizer.count(chunk) <= maxTokens)).toBe(true);
     });
 
     it('should handle empty text', () => {
@@ -88,7 +88,7 @@ describe('RAGService', () => {
 
     it('should preserve content without loss', () => {
       const text = 'First important fact. Second crucial detail. Third key information.';
-      const chunks = chunkText(text, 50, 10);
+      const chunks = chunkText(text, 8, 2);
       const combined = chunks.join(' ');
       
       // All original content should be present
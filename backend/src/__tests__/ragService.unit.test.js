@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { 
   cosineSimilarity, 
   chunkText, 
@@ -6,19 +9,34 @@ const {
   isInitialized,
   getStatus,
   generateEmbedding,
+  generateEmbeddings,
   ingestContent,
   searchDocuments,
-  getRelevantContext
+  getRelevantContext,
+  getPageValidators,
+  upsertPage,
+  deletePage,
+  getPages,
+  getPageId,
+  getVersions,
+  activateVersion,
+  saveVectorStore,
+  loadVectorStore,
+  waitForVectorIndex
 } = require('../services/ragService');
+const { getProvider, setEmbeddingProvider, createProvider } = require('../services/llmService');
+const { getTokenizer } = require('../services/tokenizerService');
+const { setReranker } = require('../services/rerankService');
+const { clearEmbeddingCache, getCacheSize } = require('../services/embeddingCacheService');
 
 // Mock OpenAI
 jest.mock('openai', () => {
   return jest.fn().mockImplementation(() => ({
     embeddings: {
       create: jest.fn().mockImplementation(({ input }) => ({
-        data: [{ 
-          embedding: Array(1536).fill(0).map((_, i) => Math.sin(i * input.length / 100)) 
-        }]
+        data: [].concat(input).map(text => ({ 
+          embedding: Array(1536).fill(0).map((_, i) => Math.sin(i * text.length / 100)) 
+        }))
       }))
     }
   }));
@@ -27,6 +45,7 @@ jest.mock('openai', () => {
 describe('RAG Service - Unit Tests', () => {
   beforeEach(() => {
     clearVectorStore();
+    clearEmbeddingCache();
     jest.clearAllMocks();
   });
 
@@ -147,6 +166,84 @@ describe('RAG Service - Unit Tests', () => {
       const chunks = chunkText(longSentence, 50, 10);
       expect(chunks.length).toBeGreaterThan(0);
     });
+
+    describe('token sizing', () => {
+      const tokenizer = getTokenizer('text-embedding-3-small');
+
+      afterEach(() => {
+        delete process.env.CHUNK_MAX_TOKENS;
+        delete process.env.CHUNK_OVERLAP_TOKENS;
+        delete process.env.EMBEDDING_MAX_INPUT_TOKENS;
+      });
+
+      it('should never exceed the maximum tokens', () => {
+        const text = Array(40).fill(0).map((_, i) => `Claim ${i + 1} was posted to the ledger without errors.`).join(' ');
+        const chunks = chunkText(text, 32, 8, tokenizer);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.every(chunk => tokenizer.count(chunk) <= 32)).toBe(true);
+      });
+
+      it('should start each chunk with the end of the previous one', () => {
+        const chunks = chunkText('Alpha beta gamma delta. Epsilon zeta eta theta. Iota kappa lambda mu. Nu xi omicron pi.', 12, 4, tokenizer);
+
+        expect(chunks).toEqual([
+          'Alpha beta gamma delta. Epsilon zeta eta theta.',
+          'eta theta. Iota kappa lambda mu.',
+          'kappa lambda mu. Nu xi omicron pi.'
+        ]);
+      });
+
+      it('should split a sentence longer than a chunk into overlapping windows', () => {
+        const longSentence = 'This is a very ' + 'long '.repeat(100) + 'sentence.';
+        const chunks = chunkText(longSentence, 50, 10, tokenizer);
+
+        expect(chunks.map(chunk => tokenizer.count(chunk))).toEqual([50, 50, 26]);
+        expect(chunks[2].endsWith('sentence.')).toBe(true);
+      });
+
+      it('should split a long sentence of multi-token words at word breaks within the limit', () => {
+        const words = ['kappa', 'omicron', 'alpha', 'sigma', 'electroencephalography', 'reimbursement', 'préautorisation'];
+        const longSentence = Array(60).fill(0).map((_, i) => words[(i * 5) % words.length]).join(' ');
+
+        for (const [maxTokens, overlapTokens] of [[6, 2], [7, 3], [11, 5], [16, 0]]) {
+          const chunks = chunkText(longSentence, maxTokens, overlapTokens, tokenizer);
+
+          expect(chunks.length).toBeGreaterThan(1);
+          chunks.forEach(chunk => {
+            expect(tokenizer.count(chunk)).toBeLessThanOrEqual(maxTokens);
+            expect(chunk.split(' ').every(word => words.includes(word))).toBe(true);
+          });
+          expect(longSentence.startsWith(chunks[0])).toBe(true);
+          expect(longSentence.endsWith(chunks[chunks.length - 1])).toBe(true);
+        }
+      });
+
+      it('should start windows at the start of a word', () => {
+        const chunks = chunkText('kappa omicron alpha sigma kappa omicron alpha sigma kappa omicron', 6, 2, tokenizer);
+
+        expect(chunks[1]).not.toMatch(/^ron/);
+        expect(chunks.every(chunk => /^(kappa|omicron|alpha|sigma)\b/.test(chunk))).toBe(true);
+      });
+
+      it('should read sizes from the environment', () => {
+        process.env.CHUNK_MAX_TOKENS = '8';
+        process.env.CHUNK_OVERLAP_TOKENS = '0';
+
+        const chunks = chunkText('First sentence here. Second sentence here. Third sentence here.');
+
+        expect(chunks).toEqual(['First sentence here. Second sentence here.', 'Third sentence here.']);
+      });
+
+      it('should cap the chunk size at the embedding model input limit', () => {
+        process.env.CHUNK_MAX_TOKENS = '1000';
+        process.env.EMBEDDING_MAX_INPUT_TOKENS = '6';
+
+        const chunks = chunkText('First sentence here. Second sentence here. Third sentence here.');
+
+        expect(chunks).toEqual(['First sentence here.', 'Second sentence here.', 'Third sentence here.']);
+      });
+    });
   });
 
   describe('buildContext', () => {
@@ -164,6 +261,14 @@ describe('RAG Service - Unit Tests', () => {
       expect(context).toContain('Prior Authorization automates the approval process');
     });
 
+    it('should show the section of each result', () => {
+      const context = buildContext([
+        { text: 'Faster posting with fewer manual errors.', metadata: { pageName: 'Payment Posting', section: 'Payment Posting > Benefits' } }
+      ]);
+
+      expect(context).toBe('[Source: Payment Posting | Section: Payment Posting > Benefits]\nFaster posting with fewer manual errors.');
+    });
+
     it('should return empty string for no results', () => {
       const context = buildContext([]);
       expect(context).toBe('');
@@ -290,95 +395,1525 @@ describe('RAG Service - Unit Tests', () => {
     });
   });
 
-  describe('searchDocuments', () => {
-    beforeEach(async () => {
-      // Ingest some test content first
-      const mockScrapedPages = [
-        {
-          pageName: 'Prior Authorization',
-          url: 'https://thoughtful.ai/pa',
-          scrapedAt: new Date().toISOString(),
-          content: ['Prior authorization automates the approval process for healthcare procedures.']
-        },
-        {
-          pageName: 'Payment Posting',
-          url: 'https://thoughtful.ai/pp',
-          scrapedAt: new Date().toISOString(),
-          content: ['Payment posting reconciles payments and posts remittances automatically.']
-        }
-      ];
-      await ingestContent(mockScrapedPages);
+  describe('embedding failures', () => {
+    const page = {
+      pageName: 'Home',
+      url: 'https://thoughtful.ai',
+      scrapedAt: new Date().toISOString(),
+      content: ['Thoughtful AI automates healthcare revenue cycle work.']
+    };
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
     });
 
-    it('should return results when vector store is initialized', async () => {
-      const results = await searchDocuments('prior authorization', 3);
-      
-      expect(Array.isArray(results)).toBe(true);
+    it('should throw instead of indexing zero chunks when every embedding fails', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setEmbeddingProvider({
+        name: 'broken',
+        embeddingModel: 'broken',
+        embed: jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.openai.com'))
+      });
+
+      await expect(ingestContent([page], { maxRetries: 0 })).rejects.toThrow('All 1 embedding requests failed');
+      expect(isInitialized()).toBe(false);
+      error.mockRestore();
     });
 
-    it('should return results with scores', async () => {
-      const results = await searchDocuments('payment posting', 3);
-      
-      if (results.length > 0) {
-        expect(results[0]).toHaveProperty('score');
-        expect(results[0]).toHaveProperty('text');
-        expect(results[0]).toHaveProperty('metadata');
+    it('should keep the existing store when every embedding fails', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      await ingestContent([page]);
+      const before = getStatus();
+      setEmbeddingProvider({
+        name: 'broken',
+        embeddingModel: 'broken',
+        embed: jest.fn().mockRejectedValue(new Error('Network error'))
+      });
+
+      await expect(ingestContent([page], { maxRetries: 0 })).rejects.toThrow('Network error');
+      expect(getStatus()).toEqual(before);
+      error.mockRestore();
+    });
+
+    it('should report partially failed chunks', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const hashing = createProvider({ provider: 'hashing' });
+      setEmbeddingProvider({
+        ...hashing,
+        embed: jest.fn()
+          .mockRejectedValueOnce(new Error('Rate limited'))
+          .mockImplementation(texts => hashing.embed(texts))
+      });
+
+      const result = await ingestContent([{
+        ...page,
+        content: [...page.content, 'Payment posting reconciles remittances automatically.']
+      }], { batchSize: 1, maxRetries: 0 });
+
+      expect(result.totalChunks).toBe(1);
+      expect(result.failedChunks).toBe(1);
+      error.mockRestore();
+    });
+  });
+
+  describe('batched ingestion', () => {
+    const pages = [
+      {
+        pageName: 'Home',
+        url: 'https://thoughtful.ai',
+        scrapedAt: new Date().toISOString(),
+        content: [
+          'Thoughtful AI automates healthcare revenue cycle work.',
+          'Agents handle eligibility, claims and payment posting.',
+          'Customers see faster cash flow and fewer denials.'
+        ]
+      },
+      {
+        pageName: 'About',
+        url: 'https://thoughtful.ai/about',
+        scrapedAt: new Date().toISOString(),
+        content: [
+          'Thoughtful AI is now part of Smarter Technologies.',
+          'The team builds AI agents for healthcare providers.'
+        ]
       }
+    ];
+
+    const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+    let embed;
+    let warn;
+    let error;
+
+    beforeEach(() => {
+      const hashing = createProvider({ provider: 'hashing' });
+      embed = jest.fn(texts => hashing.embed(texts));
+      setEmbeddingProvider({ ...hashing, embed });
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
     });
 
-    it('should respect topK parameter', async () => {
-      const results = await searchDocuments('healthcare', 1);
-      
-      expect(results.length).toBeLessThanOrEqual(1);
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      warn.mockRestore();
+      error.mockRestore();
     });
 
-    it('should filter results below threshold', async () => {
-      const results = await searchDocuments('completely unrelated xyz abc query', 5);
-      
-      // All results should have score > 0.3 (threshold)
-      results.forEach(result => {
-        expect(result.score).toBeGreaterThan(0.3);
+    it('should report embedding progress after every batch', async () => {
+      embed.mockImplementationOnce(() => Promise.reject(httpError(401, 'Invalid API key')));
+      const onProgress = jest.fn();
+
+      await ingestContent(pages, { batchSize: 2, concurrency: 1, onProgress });
+
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { done: 0, embedded: 0, total: 5, error: null },
+        { done: 2, embedded: 0, total: 5, error: { pages: ['Home'], message: 'Invalid API key' } },
+        { done: 4, embedded: 2, total: 5, error: null },
+        { done: 5, embedded: 3, total: 5, error: null }
+      ]);
+    });
+
+    it('should send chunks to the provider in batches', async () => {
+      const result = await ingestContent(pages, { batchSize: 2 });
+
+      expect(embed).toHaveBeenCalledTimes(3);
+      expect(embed.mock.calls.map(([texts]) => texts.length)).toEqual([2, 2, 1]);
+      expect(result.totalChunks).toBe(5);
+      expect(result.totalBatches).toBe(3);
+      expect(result.failedBatches).toEqual([]);
+    });
+
+    it('should keep documents in page order regardless of batch completion order', async () => {
+      const hashing = createProvider({ provider: 'hashing' });
+      let call = 0;
+      embed.mockImplementation(async texts => {
+        // Make the first batch finish last
+        await new Promise(resolve => setTimeout(resolve, call++ === 0 ? 20 : 0));
+        return hashing.embed(texts);
+      });
+
+      await ingestContent(pages, { batchSize: 2, concurrency: 3 });
+      const results = await searchDocuments('Thoughtful AI automates healthcare revenue cycle work', 5, { mode: 'lexical' });
+
+      expect(results[0].id).toBe('Home-0');
+      expect(getStatus().documentCount).toBe(5);
+    });
+
+    it('should limit the number of requests in flight', async () => {
+      const hashing = createProvider({ provider: 'hashing' });
+      let inFlight = 0;
+      let maxInFlight = 0;
+      embed.mockImplementation(async texts => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return hashing.embed(texts);
       });
+
+      await ingestContent(pages, { batchSize: 1, concurrency: 2 });
+
+      expect(embed).toHaveBeenCalledTimes(5);
+      expect(maxInFlight).toBe(2);
     });
-  });
 
-  describe('getRelevantContext', () => {
-    beforeEach(async () => {
-      const mockScrapedPages = [
-        {
-          pageName: 'Solutions',
-          url: 'https://thoughtful.ai/solutions',
-          scrapedAt: new Date().toISOString(),
-          content: ['Thoughtful AI provides healthcare automation solutions including prior auth and payment posting.']
+    it('should retry rate limited batches with backoff', async () => {
+      embed
+        .mockRejectedValueOnce(httpError(429, 'Rate limit reached'))
+        .mockRejectedValueOnce(httpError(503, 'Service unavailable'));
+
+      const result = await ingestContent(pages, { batchSize: 10, retryDelayMs: 1 });
+
+      expect(embed).toHaveBeenCalledTimes(3);
+      expect(result.totalChunks).toBe(5);
+      expect(result.failedBatches).toEqual([]);
+    });
+
+    it('should not retry client errors', async () => {
+      embed.mockRejectedValueOnce(httpError(400, 'Invalid input'));
+
+      const result = await ingestContent(pages, { batchSize: 3, retryDelayMs: 1 });
+
+      expect(embed).toHaveBeenCalledTimes(2);
+      expect(result.failedBatches).toEqual([
+        { batchIndex: 0, size: 3, attempts: 1, pages: ['Home'], error: 'Invalid input' }
+      ]);
+    });
+
+    it('should report batches that exhaust their retries', async () => {
+      embed.mockImplementation(async texts => {
+        if (texts.some(text => text.includes('Smarter Technologies'))) {
+          throw httpError(500, 'Internal server error');
         }
-      ];
-      await ingestContent(mockScrapedPages);
+        return createProvider({ provider: 'hashing' }).embed(texts);
+      });
+
+      const result = await ingestContent(pages, { batchSize: 2, maxRetries: 2, retryDelayMs: 1 });
+
+      expect(result.totalChunks).toBe(3);
+      expect(result.failedChunks).toBe(2);
+      expect(result.failedBatches).toEqual([
+        { batchIndex: 1, size: 2, attempts: 3, pages: ['Home', 'About'], error: 'Internal server error' }
+      ]);
     });
 
-    it('should return context object with required fields', async () => {
-      const result = await getRelevantContext('healthcare solutions');
-      
-      expect(result).toHaveProperty('context');
-      expect(result).toHaveProperty('sources');
-      expect(result).toHaveProperty('hasContext');
+    it('should fail a batch when the provider returns the wrong number of vectors', async () => {
+      embed.mockResolvedValueOnce([[0.1, 0.2]]);
+
+      const result = await ingestContent(pages, { batchSize: 3, maxRetries: 0 });
+
+      expect(result.failedBatches[0].error).toContain('returned 1 vectors for 3 texts');
     });
 
-    it('should indicate when context is available', async () => {
-      const result = await getRelevantContext('healthcare automation');
-      
-      expect(typeof result.hasContext).toBe('boolean');
+    it('should read batch settings from the environment', async () => {
+      process.env.EMBEDDING_BATCH_SIZE = '4';
+
+      try {
+        const result = await ingestContent(pages);
+        expect(result.totalBatches).toBe(2);
+      } finally {
+        delete process.env.EMBEDDING_BATCH_SIZE;
+      }
     });
+  });
 
-    it('should include source information', async () => {
-      const result = await getRelevantContext('prior auth');
-      
-      expect(Array.isArray(result.sources)).toBe(true);
-      if (result.sources.length > 0) {
-        expect(result.sources[0]).toHaveProperty('pageName');
-        expect(result.sources[0]).toHaveProperty('url');
-        expect(result.sources[0]).toHaveProperty('relevanceScore');
+  describe('embedding cache', () => {
+    const pages = [
+      {
+        pageName: 'Home',
+        url: 'https://thoughtful.ai',
+        scrapedAt: new Date().toISOString(),
+        content: [
+          'Thoughtful AI automates healthcare revenue cycle work.',
+          'Agents handle eligibility, claims and payment posting.'
+        ]
+      }
+    ];
+
+    let embed;
+
+    beforeEach(() => {
+      const hashing = createProvider({ provider: 'hashing' });
+      embed = jest.fn(texts => hashing.embed(texts));
+      setEmbeddingProvider({ ...hashing, embed });
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should report cache misses on the first ingestion', async () => {
+      const result = await ingestContent(pages);
+
+      expect(result.cache).toEqual({ hits: 0, misses: 2 });
+      expect(embed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not re-embed unchanged chunks on refresh', async () => {
+      await ingestContent(pages);
+      embed.mockClear();
+
+      const result = await ingestContent(pages);
+
+      expect(result.cache).toEqual({ hits: 2, misses: 0 });
+      expect(embed).not.toHaveBeenCalled();
+      expect(result.totalChunks).toBe(2);
+    });
+
+    it('should only embed new or changed chunks', async () => {
+      await ingestContent(pages);
+      embed.mockClear();
+
+      const result = await ingestContent([{
+        ...pages[0],
+        content: [pages[0].content[0], 'A brand new paragraph about prior authorization.']
+      }]);
+
+      expect(result.cache).toEqual({ hits: 1, misses: 1 });
+      expect(embed).toHaveBeenCalledWith(['A brand new paragraph about prior authorization.']);
+    });
+
+    it('should return cached vectors in input order', async () => {
+      const first = await generateEmbedding('first text');
+      embed.mockClear();
+
+      const embeddings = await generateEmbeddings(['second text', 'first text']);
+
+      expect(embed).toHaveBeenCalledWith(['second text']);
+      // The cache keeps vectors at float32 precision
+      expect(embeddings[1]).toEqual(Array.from(Float32Array.from(first)));
+      expect(embeddings[0]).not.toEqual(first);
+    });
+
+    it('should keep questions out of the chunk cache', async () => {
+      process.env.EMBEDDING_CACHE_MAX_ENTRIES = '2';
+      try {
+        await ingestContent(pages);
+
+        await searchDocuments('What does Thoughtful AI automate?', 1, { mode: 'vector' });
+        await searchDocuments('Which agents handle claims?', 1, { mode: 'vector' });
+        embed.mockClear();
+
+        const result = await ingestContent(pages);
+
+        expect(result.cache).toEqual({ hits: 2, misses: 0 });
+        expect(getCacheSize()).toBe(2);
+      } finally {
+        delete process.env.EMBEDDING_CACHE_MAX_ENTRIES;
+      }
+    });
+
+    it('should embed a repeated question once', async () => {
+      await ingestContent(pages);
+      embed.mockClear();
+
+      await searchDocuments('Which agents handle claims?', 1, { mode: 'vector' });
+      await searchDocuments('Which agents handle claims?', 1, { mode: 'vector' });
+
+      expect(embed).toHaveBeenCalledTimes(1);
+      expect(embed).toHaveBeenCalledWith(['Which agents handle claims?']);
+    });
+
+    it('should not share cached vectors between embedding models', async () => {
+      await ingestContent(pages);
+      embed.mockClear();
+
+      const other = createProvider({ provider: 'hashing', dimensions: 64 });
+      const otherEmbed = jest.fn(texts => other.embed(texts));
+      setEmbeddingProvider({ ...other, embed: otherEmbed });
+
+      const result = await ingestContent(pages);
+
+      expect(result.cache).toEqual({ hits: 0, misses: 2 });
+      expect(otherEmbed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should bypass the cache when EMBEDDING_CACHE_MAX_ENTRIES is 0', async () => {
+      process.env.EMBEDDING_CACHE_MAX_ENTRIES = '0';
+      try {
+        await ingestContent(pages);
+        const result = await ingestContent(pages);
+
+        expect(result.cache).toEqual({ hits: 0, misses: 2 });
+        expect(embed).toHaveBeenCalledTimes(2);
+      } finally {
+        delete process.env.EMBEDDING_CACHE_MAX_ENTRIES;
       }
     });
   });
-});
 
+  describe('model input limit', () => {
+    let embed;
+
+    beforeEach(() => {
+      const hashing = createProvider({ provider: 'hashing' });
+      embed = jest.fn(texts => hashing.embed(texts));
+      setEmbeddingProvider({ ...hashing, embed });
+      process.env.EMBEDDING_MAX_INPUT_TOKENS = '16';
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      delete process.env.EMBEDDING_MAX_INPUT_TOKENS;
+    });
+
+    it('should reject texts longer than the model accepts instead of truncating them', async () => {
+      await expect(generateEmbeddings(['word '.repeat(40).trim()]))
+        .rejects.toThrow('Text of 40 tokens exceeds the 16-token input limit of hashing-512');
+      expect(embed).not.toHaveBeenCalled();
+    });
+
+    it('should chunk long pages to fit the model', async () => {
+      const result = await ingestContent([{
+        pageName: 'Claims',
+        url: 'https://thoughtful.ai/claims',
+        scrapedAt: new Date().toISOString(),
+        content: ['CAM submits claims to every major payer and tracks each one until it is paid in full by the payer.']
+      }]);
+
+      expect(result.totalChunks).toBeGreaterThan(1);
+      expect(embed.mock.calls.flat(2).every(text => getTokenizer('hashing-512').count(text) <= 16)).toBe(true);
+    });
+
+    it('should truncate long queries', async () => {
+      await ingestContent([{
+        pageName: 'Claims',
+        url: 'https://thoughtful.ai/claims',
+        scrapedAt: new Date().toISOString(),
+        content: ['CAM submits claims to payers.']
+      }]);
+      embed.mockClear();
+
+      const results = await searchDocuments('claims '.repeat(100), 1);
+
+      expect(results).toHaveLength(1);
+      expect(getTokenizer('hashing-512').count(embed.mock.calls[0][0][0])).toBe(16);
+    });
+  });
+
+  describe('unchanged pages', () => {
+    const home = {
+      pageName: 'Home',
+      url: 'https://thoughtful.ai',
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      etag: '"home-v1"',
+      lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT',
+      content: ['Thoughtful AI automates healthcare revenue cycle work.']
+    };
+    const about = {
+      pageName: 'About',
+      url: 'https://thoughtful.ai/about',
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      etag: '"about-v1"',
+      content: ['Thoughtful AI is now part of Smarter Technologies.']
+    };
+
+    let embed;
+
+    beforeEach(() => {
+      const hashing = createProvider({ provider: 'hashing' });
+      embed = jest.fn(texts => hashing.embed(texts));
+      setEmbeddingProvider({ ...hashing, embed });
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should record HTTP validators in chunk metadata', async () => {
+      await ingestContent([home, about]);
+
+      expect(getPageValidators()).toEqual({
+        'https://thoughtful.ai': { etag: '"home-v1"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' },
+        'https://thoughtful.ai/about': { etag: '"about-v1"', lastModified: null }
+      });
+    });
+
+    it('should not list pages scraped without validators', async () => {
+      await ingestContent([{ ...home, etag: undefined, lastModified: undefined }]);
+
+      expect(getPageValidators()).toEqual({});
+    });
+
+    it('should keep the chunks of retained pages without re-embedding them', async () => {
+      await ingestContent([home, about]);
+      embed.mockClear();
+
+      const updatedHome = { ...home, etag: '"home-v2"', content: ['Thoughtful AI now also handles prior authorization.'] };
+      const result = await ingestContent([updatedHome], { retainUrls: [about.url] });
+
+      expect(embed).toHaveBeenCalledTimes(1);
+      expect(embed).toHaveBeenCalledWith(['Thoughtful AI now also handles prior authorization.']);
+      expect(result).toEqual(expect.objectContaining({ totalPages: 2, totalChunks: 2, retainedChunks: 1, failedChunks: 0 }));
+
+      const results = await searchDocuments('Smarter Technologies', 5, { mode: 'lexical' });
+      expect(results[0].metadata.pageName).toBe('About');
+      expect(getPageValidators()['https://thoughtful.ai'].etag).toBe('"home-v2"');
+    });
+
+    it('should drop pages that are neither re-ingested nor retained', async () => {
+      await ingestContent([home, about]);
+
+      await ingestContent([], { retainUrls: [about.url] });
+
+      expect(getStatus().documentCount).toBe(1);
+      expect(Object.keys(getPageValidators())).toEqual([about.url]);
+    });
+
+    it('should keep the existing store when every changed chunk fails to embed', async () => {
+      await ingestContent([home, about]);
+      embed.mockRejectedValue(Object.assign(new Error('Bad request'), { status: 400 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(ingestContent([{ ...home, content: ['Completely different home page text.'] }], {
+        retainUrls: [about.url]
+      })).rejects.toThrow('All 1 embedding requests failed');
+      expect(getStatus().documentCount).toBe(2);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('per-page updates', () => {
+    const page = (pageName, url, content) => ({ pageName, url, scrapedAt: '2025-01-01T00:00:00.000Z', content });
+    const home = page('Home', 'https://thoughtful.ai', ['Thoughtful AI automates healthcare revenue cycle work.']);
+    const about = page('About', 'https://thoughtful.ai/about', [
+      'Thoughtful AI is now part of Smarter Technologies.',
+      'The team builds AI agents for healthcare providers.'
+    ]);
+    const faq = page('FAQ', 'https://thoughtful.ai/faq', ['Dental billing workflows are supported by the agents.']);
+
+    let embed;
+
+    beforeEach(() => {
+      const hashing = createProvider({ provider: 'hashing' });
+      embed = jest.fn(texts => hashing.embed(texts));
+      setEmbeddingProvider({ ...hashing, embed });
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should add a page without re-embedding the others', async () => {
+      await ingestContent([home, about]);
+      embed.mockClear();
+
+      const result = await upsertPage(faq);
+
+      expect(embed).toHaveBeenCalledWith([faq.content[0]]);
+      expect(result).toEqual(expect.objectContaining({ url: faq.url, pageName: 'FAQ', chunksAdded: 1, chunksRemoved: 0 }));
+      expect(getStatus().documentCount).toBe(4);
+      expect(isInitialized()).toBe(true);
+    });
+
+    it('should replace the chunks of an existing page', async () => {
+      await ingestContent([home, about]);
+
+      const result = await upsertPage({ ...about, content: ['About page rewritten as a single paragraph.'] });
+
+      expect(result).toEqual(expect.objectContaining({ chunksAdded: 1, chunksRemoved: 2 }));
+      expect(getPages().map(p => [p.pageName, p.chunkCount])).toEqual([['Home', 1], ['About', 1]]);
+      const [top] = await searchDocuments('rewritten single paragraph', 1, { mode: 'lexical' });
+      expect(top.metadata.url).toBe(about.url);
+    });
+
+    it('should update the lexical index', async () => {
+      await ingestContent([home]);
+      await upsertPage(faq);
+
+      const results = await searchDocuments('dental billing', 5, { mode: 'lexical' });
+
+      expect(results.map(r => r.metadata.pageName)).toEqual(['FAQ']);
+    });
+
+    it('should keep the previous chunks when embedding fails', async () => {
+      await ingestContent([home, about]);
+      embed.mockRejectedValue(Object.assign(new Error('Bad request'), { status: 400 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(upsertPage({ ...about, content: ['Replacement text that will fail to embed.'] }))
+        .rejects.toThrow('embedding requests failed');
+      expect(getPages().find(p => p.url === about.url).chunkCount).toBe(2);
+
+      console.error.mockRestore();
+    });
+
+    it('should delete a page', async () => {
+      await ingestContent([home, about]);
+
+      expect(await deletePage(about.url)).toBe(2);
+      expect(getPages().map(p => p.url)).toEqual([home.url]);
+      expect(await searchDocuments('Smarter Technologies', 5, { mode: 'lexical' })).toEqual([]);
+    });
+
+    it('should report 0 when deleting a page that is not indexed', async () => {
+      await ingestContent([home]);
+
+      expect(await deletePage('https://thoughtful.ai/missing')).toBe(0);
+      expect(getStatus().documentCount).toBe(1);
+    });
+
+    it('should keep upserted pages when the scraped pages are re-ingested', async () => {
+      await ingestContent([home, about]);
+      await upsertPage(faq);
+
+      await ingestContent([home]);
+
+      expect(getPages().map(p => [p.pageName, p.source])).toEqual([['FAQ', 'api'], ['Home', 'web']]);
+    });
+
+    it('should let a scrape take over an upserted URL', async () => {
+      await upsertPage(faq);
+
+      await ingestContent([{ ...faq, content: ['Scraped version of the FAQ page text.'] }]);
+
+      expect(getPages()).toEqual([expect.objectContaining({ url: faq.url, source: 'web', chunkCount: 1 })]);
+    });
+
+    it('should record the source of each page', async () => {
+      const notes = { ...page('Notes', 'document:notes.txt', ['Escalations go to the payments pod.']), source: 'file' };
+
+      await ingestContent([home, notes]);
+      await upsertPage({ ...page('Handbook', 'document:handbook.md', ['Refunds are approved by the billing lead.']), source: 'upload' });
+
+      expect(getPages().map(p => [p.pageName, p.source])).toEqual([['Home', 'web'], ['Notes', 'file'], ['Handbook', 'upload']]);
+      const { sources } = await getRelevantContext('payments pod escalations');
+      expect(sources[0]).toEqual(expect.objectContaining({ url: 'document:notes.txt', source: 'file' }));
+    });
+
+    it('should drop directory documents but keep uploads when re-ingested', async () => {
+      const notes = { ...page('Notes', 'document:notes.txt', ['Escalations go to the payments pod.']), source: 'file' };
+      await ingestContent([home, notes]);
+      await upsertPage({ ...page('Handbook', 'document:handbook.md', ['Refunds are approved by the billing lead.']), source: 'upload' });
+
+      await ingestContent([home]);
+
+      expect(getPages().map(p => p.url)).toEqual(['document:handbook.md', home.url]);
+    });
+
+    it('should list pages with stable ids', async () => {
+      await ingestContent([home, about]);
+
+      expect(getPages()).toEqual([
+        { id: getPageId(home.url), url: home.url, pageName: 'Home', source: 'web', scrapedAt: home.scrapedAt, chunkCount: 1 },
+        { id: getPageId(about.url), url: about.url, pageName: 'About', source: 'web', scrapedAt: about.scrapedAt, chunkCount: 2 }
+      ]);
+      expect(getPageId(home.url)).toMatch(/^[0-9a-f]{16}$/);
+      expect(getPageId(home.url)).not.toBe(getPageId(about.url));
+    });
+
+    it('should number chunk ids within each page', async () => {
+      await ingestContent([home, about]);
+
+      const results = await searchDocuments('Thoughtful AI', 5, { mode: 'lexical' });
+
+      expect(results.map(r => r.id).sort()).toEqual(['About-0', 'About-1', 'Home-0']);
+      expect(results.find(r => r.id === 'About-1').metadata.chunkIndex).toBe(1);
+      expect(results.find(r => r.id === 'About-0').metadata.chunkIndex).toBe(0);
+    });
+  });
+
+  describe('section chunking', () => {
+    const paymentPosting = {
+      pageName: 'Payment Posting',
+      url: 'https://thoughtful.ai/payment-posting',
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [
+        'Payment posting agents reconcile remittances automatically.',
+        'Faster posting with fewer manual errors.',
+        'Denials are flagged the same day they arrive.',
+        'Unstructured text outside of any section on the page.'
+      ],
+      sections: ['Payment Posting', 'Payment Posting > Benefits', 'Payment Posting > Benefits', null]
+    };
+
+    beforeEach(() => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should pack the paragraphs of a section into one chunk with its breadcrumb', async () => {
+      await ingestContent([paymentPosting]);
+
+      expect(getStatus().documentCount).toBe(3);
+      const [intro] = await searchDocuments('reconcile remittances', 1, { mode: 'lexical' });
+      expect(intro.metadata.section).toBe('Payment Posting');
+      const [benefits] = await searchDocuments('denials flagged', 1, { mode: 'lexical' });
+      expect(benefits.metadata.section).toBe('Payment Posting > Benefits');
+      expect(benefits.text).toBe('Faster posting with fewer manual errors.\n\nDenials are flagged the same day they arrive.');
+      const [unsectioned] = await searchDocuments('unstructured text', 1, { mode: 'lexical' });
+      expect(unsectioned.metadata.section).toBeNull();
+    });
+
+    it('should split a section that exceeds the chunk size without crossing into the next', async () => {
+      const sentence = 'Every remittance line is matched to the claim it pays.';
+      await ingestContent([{
+        ...paymentPosting,
+        content: Array(12).fill(0).map((_, i) => `${i + 1}. ${sentence}`).concat('Trust and security are covered on another page.'),
+        sections: Array(12).fill('Benefits').concat('Security')
+      }]);
+
+      const results = await searchDocuments('remittance security', 10, { mode: 'lexical' });
+
+      expect(getStatus().documentCount).toBe(3);
+      expect(results.every(r => getTokenizer('hashing-512').count(r.text) <= 128)).toBe(true);
+      expect(results.find(r => r.text.includes('Trust and security')).metadata.section).toBe('Security');
+      expect(results.filter(r => r.metadata.section === 'Benefits').every(r => !r.text.includes('Trust'))).toBe(true);
+    });
+
+    it('should return the section with the sources', async () => {
+      await ingestContent([paymentPosting]);
+
+      const { context, sources } = await getRelevantContext('denials flagged same day', { topK: 1 });
+
+      expect(sources[0]).toEqual(expect.objectContaining({ pageName: 'Payment Posting', section: 'Payment Posting > Benefits' }));
+      expect(context).toContain('[Source: Payment Posting | Section: Payment Posting > Benefits]');
+    });
+  });
+
+  describe('store swaps', () => {
+    const page = (pageName, text) => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase()}`,
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [text]
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should finish a search against the store it started with', async () => {
+      const hashing = createProvider({ provider: 'hashing' });
+      let releaseQuery;
+      const queryGate = new Promise(resolve => { releaseQuery = resolve; });
+      setEmbeddingProvider({
+        ...hashing,
+        embed: async texts => {
+          if (texts[0] === 'eligibility verification') await queryGate;
+          return hashing.embed(texts);
+        }
+      });
+
+      await ingestContent([
+        page('Eligibility', 'Eligibility verification checks patient coverage.'),
+        page('Claims', 'Claims processing submits claims to payers.')
+      ]);
+
+      const search = searchDocuments('eligibility verification', 5);
+      // Swap in a store with fewer, different chunks while the query is being embedded
+      await ingestContent([page('Posting', 'Payment posting reconciles remittances.')]);
+      releaseQuery();
+
+      const results = await search;
+      expect(results[0].metadata.pageName).toBe('Eligibility');
+      expect(results[0].text).toBe('Eligibility verification checks patient coverage.');
+    });
+
+    it('should write saves in order so the newest store ends up on disk', async () => {
+      const originalStorageDir = process.env.STORAGE_DIR;
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-swap-'));
+      process.env.STORAGE_DIR = tempDir;
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        await ingestContent([page('First', 'First version of the knowledge base.')]);
+        const first = saveVectorStore();
+        await ingestContent([page('Second', 'Second version of the knowledge base.')]);
+        await first;
+
+        const { version } = JSON.parse(fs.readFileSync(path.join(tempDir, 'vector-store.json'), 'utf8'));
+        const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'versions', `${version}.json`), 'utf8'));
+        expect(saved.documents.map(doc => doc.metadata.pageName)).toEqual(['Second']);
+        expect(fs.readdirSync(tempDir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+      } finally {
+        process.env.STORAGE_DIR = originalStorageDir;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        console.log.mockRestore();
+      }
+    });
+  });
+
+  describe('offline embeddings', () => {
+    beforeEach(() => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+    });
+
+    it('should ingest and search without calling the embedding API', async () => {
+      const OpenAI = require('openai');
+      OpenAI.mockClear();
+
+      const result = await ingestContent([
+        {
+          pageName: 'Payment Posting',
+          url: 'https://thoughtful.ai/pp',
+          scrapedAt: new Date().toISOString(),
+          content: ['Payment posting reconciles payments and posts remittances automatically.']
+        },
+        {
+          pageName: 'Prior Authorization',
+          url: 'https://thoughtful.ai/pa',
+          scrapedAt: new Date().toISOString(),
+          content: ['Prior authorization automates approvals for healthcare procedures.']
+        }
+      ]);
+      const results = await searchDocuments('how are payments posted', 1, { mode: 'vector', minScore: 0 });
+
+      expect(result.totalChunks).toBe(2);
+      expect(result.embeddingModel).toBe('hashing-512');
+      expect(results[0].metadata.pageName).toBe('Payment Posting');
+      expect(OpenAI).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Vector Store Persistence', () => {
+    const originalStorageDir = process.env.STORAGE_DIR;
+    let tempDir;
+
+    const mockScrapedPages = [
+      {
+        pageName: 'Payment Posting',
+        url: 'https://thoughtful.ai/pp',
+        scrapedAt: new Date().toISOString(),
+        content: ['Payment posting reconciles payments and posts remittances automatically.']
+      }
+    ];
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-store-'));
+      process.env.STORAGE_DIR = tempDir;
+    });
+
+    afterEach(() => {
+      process.env.STORAGE_DIR = originalStorageDir;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write the vector store to disk after ingestion', async () => {
+      await ingestContent(mockScrapedPages);
+
+      const pointer = JSON.parse(fs.readFileSync(path.join(tempDir, 'vector-store.json'), 'utf8'));
+      expect(pointer).toEqual({
+        formatVersion: 2,
+        embeddingModel: 'text-embedding-3-small',
+        version: getStatus().version,
+        lastUpdated: getStatus().lastUpdated
+      });
+      const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'versions', `${pointer.version}.json`), 'utf8'));
+      expect(saved.documents.length).toBe(getStatus().documentCount);
+      expect(saved.embeddings.length).toBe(saved.documents.length);
+      // base64 of 1536 float32 values
+      expect(Buffer.from(saved.embeddings[0], 'base64')).toHaveLength(1536 * 4);
+      expect(saved.lastUpdated).toBe(getStatus().lastUpdated);
+      expect(saved.embeddingModel).toBe('text-embedding-3-small');
+    });
+
+    it('should write each version once', async () => {
+      await ingestContent(mockScrapedPages);
+      const { version } = getStatus();
+      const versionFile = path.join(tempDir, 'versions', `${version}.json`);
+      fs.writeFileSync(versionFile, fs.readFileSync(versionFile, 'utf8').replace('Payment posting', 'Payment Posting'));
+
+      expect(await saveVectorStore()).toBe(true);
+
+      expect(fs.readFileSync(versionFile, 'utf8')).toContain('Payment Posting reconciles');
+    });
+
+    it('should restore stores saved with embeddings as number arrays', async () => {
+      fs.writeFileSync(path.join(tempDir, 'vector-store.json'), JSON.stringify({
+        formatVersion: 1,
+        embeddingModel: 'text-embedding-3-small',
+        documents: [{ id: 'pp-0', text: 'Payment posting reconciles remittances.', metadata: { pageName: 'Payment Posting', url: 'https://thoughtful.ai/pp' } }],
+        embeddings: [[3, 4]],
+        lastUpdated: '2025-01-01T00:00:00.000Z'
+      }));
+
+      expect(await loadVectorStore()).toBe(true);
+
+      const [result] = await searchDocuments('payment posting', 1, { mode: 'lexical' });
+      expect(result.embedding).toEqual(Float32Array.from([0.6, 0.8]));
+    });
+
+    it('should restore documents, embeddings and lastUpdated', async () => {
+      await ingestContent(mockScrapedPages);
+      const before = getStatus();
+      clearVectorStore();
+
+      const loaded = await loadVectorStore();
+
+      expect(loaded).toBe(true);
+      expect(getStatus()).toEqual(before);
+      const results = await searchDocuments('payment posting', 1);
+      expect(results.length).toBeLessThanOrEqual(1);
+    });
+
+    it('should return false when nothing has been persisted', async () => {
+      expect(await loadVectorStore()).toBe(false);
+      expect(isInitialized()).toBe(false);
+    });
+
+    it('should ignore stores built with a different embedding model', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await ingestContent(mockScrapedPages);
+      const filePath = path.join(tempDir, 'versions', `${getStatus().version}.json`);
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      fs.writeFileSync(filePath, JSON.stringify({ ...saved, embeddingModel: 'other-model' }));
+      clearVectorStore();
+
+      expect(await loadVectorStore()).toBe(false);
+      expect(isInitialized()).toBe(false);
+      warn.mockRestore();
+    });
+  });
+
+  describe('knowledge base versions', () => {
+    const originalStorageDir = process.env.STORAGE_DIR;
+    const originalKeep = process.env.KNOWLEDGE_VERSIONS_TO_KEEP;
+    let tempDir;
+
+    const page = (pageName, text) => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase()}`,
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [text]
+    });
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-versions-'));
+      process.env.STORAGE_DIR = tempDir;
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.env.STORAGE_DIR = originalStorageDir;
+      if (originalKeep === undefined) {
+        delete process.env.KNOWLEDGE_VERSIONS_TO_KEEP;
+      } else {
+        process.env.KNOWLEDGE_VERSIONS_TO_KEEP = originalKeep;
+      }
+      setEmbeddingProvider(null);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should record every build as a version, newest first', async () => {
+      const first = await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      const upserted = await upsertPage(page('Posting', 'Payment posting reconciles remittances.'));
+
+      const versions = getVersions();
+
+      expect(versions.map(v => v.id)).toEqual([upserted.version, first.version]);
+      expect(versions[0]).toEqual({
+        id: upserted.version,
+        createdAt: upserted.lastUpdated,
+        reason: 'upsert',
+        embeddingModel: 'hashing-512',
+        documentCount: 2,
+        pageCount: 2,
+        active: true
+      });
+      expect(versions[1]).toEqual(expect.objectContaining({ reason: 'refresh', documentCount: 1, active: false }));
+      expect(getStatus().version).toBe(upserted.version);
+    });
+
+    it('should roll back to an earlier version', async () => {
+      const good = await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      await ingestContent([page('Broken', 'Page not found.')]);
+
+      const activated = await activateVersion(good.version);
+
+      expect(activated).toEqual(expect.objectContaining({ id: good.version, active: true }));
+      expect(getStatus()).toEqual(expect.objectContaining({ version: good.version, documentCount: 1 }));
+      const [result] = await searchDocuments('claims processing', 1, { mode: 'lexical' });
+      expect(result.metadata.pageName).toBe('Claims');
+      expect(getVersions()).toHaveLength(2);
+    });
+
+    it('should share the embeddings of unchanged chunks between versions', async () => {
+      await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      const [before] = await searchDocuments('claims processing', 1, { mode: 'lexical' });
+
+      await upsertPage(page('Posting', 'Payment posting reconciles remittances.'));
+
+      const [after] = await searchDocuments('claims processing', 1, { mode: 'lexical' });
+      expect(after.embedding).toBe(before.embedding);
+    });
+
+    it('should return null for unknown versions', async () => {
+      await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      expect(await activateVersion('missing')).toBeNull();
+    });
+
+    it('should keep only the configured number of versions', async () => {
+      process.env.KNOWLEDGE_VERSIONS_TO_KEEP = '2';
+
+      await ingestContent([page('One', 'First build.')]);
+      const second = await ingestContent([page('Two', 'Second build.')]);
+      const third = await ingestContent([page('Three', 'Third build.')]);
+
+      expect(getVersions().map(v => v.id)).toEqual([third.version, second.version]);
+      expect(fs.readdirSync(path.join(tempDir, 'versions')).sort())
+        .toEqual([`${second.version}.json`, `${third.version}.json`].sort());
+    });
+
+    it('should restore the history after a restart and activate versions from disk', async () => {
+      const first = await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      const second = await ingestContent([page('Posting', 'Payment posting reconciles remittances.')]);
+      const before = getVersions();
+      clearVectorStore();
+
+      expect(await loadVectorStore()).toBe(true);
+      expect(getVersions()).toEqual(before);
+      expect(getStatus().version).toBe(second.version);
+
+      await activateVersion(first.version);
+
+      const [result] = await searchDocuments('claims processing', 1, { mode: 'lexical' });
+      expect(result.metadata.pageName).toBe('Claims');
+      const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'vector-store.json'), 'utf8'));
+      expect(saved.version).toBe(first.version);
+    });
+
+    it('should adopt a store saved before versioning as a version', async () => {
+      const { version } = await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      const { embeddingModel, documents, embeddings, lastUpdated } = JSON.parse(fs.readFileSync(path.join(tempDir, 'versions', `${version}.json`), 'utf8'));
+      fs.writeFileSync(path.join(tempDir, 'vector-store.json'), JSON.stringify({
+        formatVersion: 1,
+        embeddingModel,
+        documents,
+        embeddings: embeddings.map(encoded => Array.from(new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer))),
+        lastUpdated
+      }));
+      fs.rmSync(path.join(tempDir, 'versions'), { recursive: true });
+      fs.rmSync(path.join(tempDir, 'versions.json'));
+      clearVectorStore();
+
+      expect(await loadVectorStore()).toBe(true);
+
+      const versions = getVersions();
+      expect(versions).toEqual([expect.objectContaining({ reason: 'restore', documentCount: 1, active: true })]);
+      expect(versions[0].id).not.toBe(version);
+
+      await saveVectorStore();
+      expect(fs.readdirSync(path.join(tempDir, 'versions'))).toEqual([`${versions[0].id}.json`]);
+    });
+
+    it('should refuse versions built with another embedding model', async () => {
+      const first = await ingestContent([page('Claims', 'Claims processing submits claims.')]);
+      await ingestContent([page('Posting', 'Payment posting reconciles remittances.')]);
+      setEmbeddingProvider({ ...createProvider({ provider: 'hashing' }), embeddingModel: 'other-model' });
+
+      await expect(activateVersion(first.version)).rejects.toMatchObject({ code: 'VERSION_UNAVAILABLE' });
+      expect(getStatus().documentCount).toBe(1);
+    });
+  });
+
+  describe('searchDocuments', () => {
+    beforeEach(async () => {
+      // Ingest some test content first
+      const mockScrapedPages = [
+        {
+          pageName: 'Prior Authorization',
+          url: 'https://thoughtful.ai/pa',
+          scrapedAt: new Date().toISOString(),
+          content: ['Prior authorization automates the approval process for healthcare procedures.']
+        },
+        {
+          pageName: 'Payment Posting',
+          url: 'https://thoughtful.ai/pp',
+          scrapedAt: new Date().toISOString(),
+          content: ['Payment posting reconciles payments and posts remittances automatically.']
+        }
+      ];
+      await ingestContent(mockScrapedPages);
+    });
+
+    it('should return results when vector store is initialized', async () => {
+      const results = await searchDocuments('prior authorization', 3);
+      
+      expect(Array.isArray(results)).toBe(true);
+    });
+
+    it('should return results with scores', async () => {
+      const results = await searchDocuments('payment posting', 3);
+      
+      if (results.length > 0) {
+        expect(results[0]).toHaveProperty('score');
+        expect(results[0]).toHaveProperty('text');
+        expect(results[0]).toHaveProperty('metadata');
+      }
+    });
+
+    it('should respect topK parameter', async () => {
+      const results = await searchDocuments('healthcare', 1);
+      
+      expect(results.length).toBeLessThanOrEqual(1);
+    });
+
+    it('should filter results below threshold', async () => {
+      const results = await searchDocuments('completely unrelated xyz abc query', 5);
+      
+      // All results should have score > 0.3 (threshold)
+      results.forEach(result => {
+        expect(result.score).toBeGreaterThan(0.3);
+      });
+    });
+  });
+
+  describe('vector index', () => {
+    const pages = ['Prior Authorization', 'Medical Coding', 'Payment Posting', 'Claims Processing', 'Eligibility'].map(pageName => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase().replace(' ', '-')}`,
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [`${pageName} is automated end to end by Thoughtful AI agents.`, `Customers use ${pageName} agents every day.`]
+    }));
+
+    beforeEach(() => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      delete process.env.ANN_MIN_VECTORS;
+    });
+
+    it('should score results by cosine similarity', async () => {
+      await ingestContent(pages);
+
+      const [result] = await searchDocuments('payment posting', 1, { mode: 'vector' });
+      expect(result.metadata.pageName).toBe('Payment Posting');
+      expect(result.score).toBeCloseTo(cosineSimilarity(
+        (await generateEmbeddings([result.text]))[0],
+        await generateEmbedding('payment posting')
+      ), 5);
+    });
+
+    it('should return the same results from the ANN graph as from a full scan', async () => {
+      await ingestContent(pages);
+      const exact = await searchDocuments('medical coding agents', 5);
+
+      process.env.ANN_MIN_VECTORS = '2';
+      await ingestContent(pages);
+      expect(await waitForVectorIndex()).toBe(true);
+      const approximate = await searchDocuments('medical coding agents', 5);
+
+      expect(approximate.map(r => r.id)).toEqual(exact.map(r => r.id));
+      expect(approximate.map(r => r.score)).toEqual(exact.map(r => r.score));
+    });
+
+    it('should build the ANN graph in the background for every store that goes live', async () => {
+      process.env.ANN_MIN_VECTORS = '2';
+      const first = await ingestContent(pages);
+      await ingestContent(pages);
+
+      expect(await waitForVectorIndex()).toBe(true);
+
+      await activateVersion(first.version);
+      expect(await waitForVectorIndex()).toBe(true);
+
+      clearVectorStore();
+      expect(await waitForVectorIndex()).toBe(false);
+    });
+
+    it('should score chunks found only by keywords', async () => {
+      await ingestContent(pages);
+
+      // No embedding match clears the threshold, so the hit comes from BM25 alone
+      const [result] = await searchDocuments('eligibility', 1, { minScore: 0.99 });
+
+      expect(result.metadata.pageName).toBe('Eligibility');
+      expect(result.score).toBeGreaterThan(0);
+      expect(result.score).toBeLessThan(0.99);
+    });
+  });
+
+  describe('metadata filters', () => {
+    const page = (pageName, path, scrapedAt, source) => ({
+      pageName,
+      url: `https://thoughtful.ai/${path}`,
+      scrapedAt,
+      source,
+      content: [`${pageName}: Thoughtful AI agents keep payments and patient data secure.`]
+    });
+    const pages = [
+      page('Payment Posting', 'payment-posting', '2025-03-01T00:00:00.000Z'),
+      page('Trust and Security', 'trust', '2025-01-01T00:00:00.000Z'),
+      page('Medical Coding', 'medical-coding', '2025-03-01T00:00:00.000Z'),
+      page('Security Handbook', 'handbook', '2025-03-01T00:00:00.000Z', 'file')
+    ];
+
+    beforeEach(async () => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      await ingestContent(pages);
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      delete process.env.ANN_MIN_VECTORS;
+    });
+
+    const pageNames = results => results.map(r => r.metadata.pageName).sort();
+
+    it('should only return chunks of the listed pages', async () => {
+      const results = await searchDocuments('payments secure', 10, { filters: { pageName: ['Payment Posting', 'Trust and Security'] } });
+
+      expect(pageNames(results)).toEqual(['Payment Posting', 'Trust and Security']);
+    });
+
+    it('should filter by URL prefix, source and ingestion date', async () => {
+      expect(pageNames(await searchDocuments('payments secure', 10, { filters: { urlPrefix: 'https://thoughtful.ai/m' } })))
+        .toEqual(['Medical Coding']);
+      expect(pageNames(await searchDocuments('payments secure', 10, { filters: { source: 'file' } })))
+        .toEqual(['Security Handbook']);
+      expect(pageNames(await searchDocuments('payments secure', 10, { filters: { ingestedBefore: '2025-02-01' } })))
+        .toEqual(['Trust and Security']);
+    });
+
+    it('should apply filters in vector mode with an ANN graph', async () => {
+      process.env.ANN_MIN_VECTORS = '2';
+      await ingestContent(pages);
+      expect(await waitForVectorIndex()).toBe(true);
+
+      const results = await searchDocuments('payments secure', 10, { mode: 'vector', minScore: 0, filters: { pageName: 'Medical Coding' } });
+
+      expect(pageNames(results)).toEqual(['Medical Coding']);
+    });
+
+    it('should pass filters through getRelevantContext', async () => {
+      const { sources } = await getRelevantContext('payments secure', { filters: { pageName: 'Trust and Security' } });
+
+      expect(sources.map(source => source.pageName)).toEqual(['Trust and Security']);
+    });
+
+    it('should reject malformed filters', async () => {
+      await expect(searchDocuments('payments', 5, { filters: { pageTitle: 'Payment Posting' } }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_FILTERS' }));
+    });
+  });
+
+  describe('context diversification', () => {
+    const sentences = Array(8).fill(0).map((_, i) => `Step ${i + 1}: payment posting agents match remittances to claims.`);
+    const pages = [
+      {
+        pageName: 'Payment Posting',
+        url: 'https://thoughtful.ai/payment-posting',
+        scrapedAt: '2025-01-01T00:00:00.000Z',
+        content: [sentences.join(' ')]
+      },
+      {
+        pageName: 'Trust and Security',
+        url: 'https://thoughtful.ai/trust',
+        scrapedAt: '2025-01-01T00:00:00.000Z',
+        content: ['Remittance and claims data is encrypted at rest and in transit.']
+      }
+    ];
+
+    beforeEach(async () => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      process.env.CHUNK_MAX_TOKENS = '24';
+      process.env.CHUNK_OVERLAP_TOKENS = '8';
+      await ingestContent(pages);
+    });
+
+    afterEach(() => {
+      setEmbeddingProvider(null);
+      delete process.env.CHUNK_MAX_TOKENS;
+      delete process.env.CHUNK_OVERLAP_TOKENS;
+      delete process.env.MAX_CHUNKS_PER_PAGE;
+    });
+
+    it('should cap the chunks taken from one page', async () => {
+      process.env.MAX_CHUNKS_PER_PAGE = '1';
+
+      const { sources } = await getRelevantContext('payment posting remittances claims', { topK: 3, mergeAdjacent: false });
+
+      expect(sources.map(source => source.pageName).sort()).toEqual(['Payment Posting', 'Trust and Security']);
+    });
+
+    it('should merge neighbouring chunks without repeating their overlap', async () => {
+      const { context, sources } = await getRelevantContext('payment posting remittances claims', { topK: 8, mmrLambda: 1 });
+
+      const paymentPosting = sources.filter(source => source.pageName === 'Payment Posting');
+      expect(paymentPosting).toHaveLength(1);
+      sentences.forEach(sentence => {
+        expect(context.split(sentence)).toHaveLength(2);
+      });
+    });
+
+    it('should leave the chunks apart when asked', async () => {
+      const { sources } = await getRelevantContext('payment posting remittances claims', { topK: 8, mmrLambda: 1, mergeAdjacent: false });
+
+      expect(sources.filter(source => source.pageName === 'Payment Posting').length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('hybrid retrieval', () => {
+    beforeEach(async () => {
+      await ingestContent([
+        {
+          pageName: 'EVA',
+          url: 'https://thoughtful.ai/eva',
+          scrapedAt: new Date().toISOString(),
+          content: ['EVA verifies patient eligibility and benefits before each visit.']
+        },
+        {
+          pageName: 'Medical Coding',
+          url: 'https://thoughtful.ai/coding',
+          scrapedAt: new Date().toISOString(),
+          content: ['Generative AI assigns CPT codes such as 99213 to office visits.']
+        },
+        {
+          pageName: 'Payment Posting',
+          url: 'https://thoughtful.ai/pp',
+          scrapedAt: new Date().toISOString(),
+          content: ['Payment posting reconciles payments and posts remittances automatically.']
+        }
+      ]);
+    });
+
+    it('should find exact acronyms with lexical retrieval', async () => {
+      const results = await searchDocuments('EVA', 5, { mode: 'lexical' });
+
+      expect(results.length).toBe(1);
+      expect(results[0].metadata.pageName).toBe('EVA');
+      expect(results[0].lexicalScore).toBeGreaterThan(0);
+    });
+
+    it('should find CPT codes with lexical retrieval', async () => {
+      const results = await searchDocuments('is 99213 supported', 5, { mode: 'lexical' });
+      expect(results[0].metadata.pageName).toBe('Medical Coding');
+    });
+
+    it('should not call the embedding API in lexical mode', async () => {
+      const embed = jest.spyOn(getProvider(), 'embed');
+      await searchDocuments('EVA', 5, { mode: 'lexical' });
+      expect(embed).not.toHaveBeenCalled();
+      embed.mockRestore();
+    });
+
+    it('should include lexical matches in hybrid results', async () => {
+      const results = await searchDocuments('EVA', 5);
+
+      expect(results.map(r => r.metadata.pageName)).toContain('EVA');
+      results.forEach(result => {
+        expect(result).toHaveProperty('fusedScore');
+        expect(result).toHaveProperty('lexicalScore');
+      });
+    });
+
+    it('should rank documents matching both retrievers first', async () => {
+      const results = await searchDocuments('payment posting remittances', 5);
+      expect(results[0].metadata.pageName).toBe('Payment Posting');
+    });
+
+    it('should ignore lexical scores in vector mode', async () => {
+      const vectorResults = await searchDocuments('EVA', 5, { mode: 'vector' });
+
+      vectorResults.forEach(result => {
+        expect(result.score).toBeGreaterThan(0.3);
+      });
+    });
+
+    it('should let weights change the fused ranking', async () => {
+      const lexicalOnly = await searchDocuments('EVA eligibility', 5, { vectorWeight: 0 });
+      expect(lexicalOnly[0].metadata.pageName).toBe('EVA');
+    });
+
+    it('should pass retrieval options through getRelevantContext', async () => {
+      const result = await getRelevantContext('99213', { mode: 'lexical', topK: 1 });
+
+      expect(result.sources.length).toBe(1);
+      expect(result.sources[0].pageName).toBe('Medical Coding');
+      expect(result.sources[0]).toHaveProperty('lexicalScore');
+    });
+  });
+
+  describe('getRelevantContext', () => {
+    beforeEach(async () => {
+      const mockScrapedPages = [
+        {
+          pageName: 'Solutions',
+          url: 'https://thoughtful.ai/solutions',
+          scrapedAt: new Date().toISOString(),
+          content: ['Thoughtful AI provides healthcare automation solutions including prior auth and payment posting.']
+        }
+      ];
+      await ingestContent(mockScrapedPages);
+    });
+
+    it('should return context object with required fields', async () => {
+      const result = await getRelevantContext('healthcare solutions');
+      
+      expect(result).toHaveProperty('context');
+      expect(result).toHaveProperty('sources');
+      expect(result).toHaveProperty('hasContext');
+    });
+
+    it('should indicate when context is available', async () => {
+      const result = await getRelevantContext('healthcare automation');
+      
+      expect(typeof result.hasContext).toBe('boolean');
+    });
+
+    it('should include source information', async () => {
+      const result = await getRelevantContext('prior auth');
+      
+      expect(Array.isArray(result.sources)).toBe(true);
+      if (result.sources.length > 0) {
+        expect(result.sources[0]).toHaveProperty('pageName');
+        expect(result.sources[0]).toHaveProperty('url');
+        expect(result.sources[0]).toHaveProperty('relevanceScore');
+      }
+    });
+  });
+
+  describe('reranking', () => {
+    const pages = ['Prior Authorization', 'Medical Coding', 'Payment Posting', 'Claims Processing'].map(pageName => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase().replace(' ', '-')}`,
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [`${pageName} agents from Thoughtful AI automate healthcare revenue cycle work.`]
+    }));
+    let score;
+
+    beforeEach(async () => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      await ingestContent(pages);
+      // Prefers Payment Posting, whatever the retrieval order
+      score = jest.fn(async (query, texts) => texts.map(text => (text.startsWith('Payment') ? 0.9 : 0.1)));
+      setReranker({ name: 'test', score });
+    });
+
+    afterEach(() => {
+      setReranker(null);
+      setEmbeddingProvider(null);
+      delete process.env.RERANK_CANDIDATES;
+    });
+
+    it('should over-fetch candidates and keep the best topK by rerank score', async () => {
+      const { sources } = await getRelevantContext('healthcare revenue cycle agents', { topK: 1, mode: 'lexical' });
+
+      expect(score).toHaveBeenCalledWith('healthcare revenue cycle agents', expect.any(Array));
+      expect(score.mock.calls[0][1]).toHaveLength(4);
+      expect(sources).toEqual([expect.objectContaining({ pageName: 'Payment Posting', rerankScore: 0.9 })]);
+      expect(sources[0]).toHaveProperty('relevanceScore');
+    });
+
+    it('should limit the candidates to RERANK_CANDIDATES', async () => {
+      process.env.RERANK_CANDIDATES = '2';
+
+      await getRelevantContext('healthcare revenue cycle agents', { topK: 1, mode: 'lexical' });
+
+      expect(score.mock.calls[0][1]).toHaveLength(2);
+    });
+
+    it('should fall back to retrieval order when reranking fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      score.mockRejectedValueOnce(new Error('reranker down'));
+      const expected = await searchDocuments('prior authorization', 2, { mode: 'lexical' });
+
+      const { sources } = await getRelevantContext('prior authorization', { topK: 2, mode: 'lexical' });
+
+      expect(sources.map(source => source.pageName)).toEqual(expected.map(result => result.metadata.pageName));
+      expect(sources.every(source => source.rerankScore === null)).toBe(true);
+      expect(console.error).toHaveBeenCalledWith('Reranking with test failed, using retrieval order:', 'reranker down');
+      console.error.mockRestore();
+    });
+
+    it('should search in retrieval order when the reranker is misconfigured', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      setReranker(null);
+      process.env.RERANKER = 'api';
+      const expected = await searchDocuments('prior authorization', 2, { mode: 'lexical' });
+
+      try {
+        const { sources } = await getRelevantContext('prior authorization', { topK: 2, mode: 'lexical' });
+
+        expect(sources.map(source => source.pageName)).toEqual(expected.map(result => result.metadata.pageName));
+        expect(console.error).toHaveBeenCalledWith(
+          'Reranker is misconfigured, using retrieval order:',
+          'RERANKER_URL is required for the "api" reranker'
+        );
+      } finally {
+        delete process.env.RERANKER;
+        console.error.mockRestore();
+      }
+    });
+
+    it('should skip reranking when asked', async () => {
+      const { sources } = await getRelevantContext('prior authorization', { topK: 1, mode: 'lexical', rerank: false });
+
+      expect(score).not.toHaveBeenCalled();
+      expect(sources[0]).toEqual(expect.objectContaining({ pageName: 'Prior Authorization', rerankScore: null }));
+    });
+  });
+
+  describe('context token budget', () => {
+    const pages = ['Prior Authorization', 'Medical Coding', 'Payment Posting'].map(pageName => ({
+      pageName,
+      url: `https://thoughtful.ai/${pageName.toLowerCase().replace(' ', '-')}`,
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      content: [`${pageName} agents from Thoughtful AI automate healthcare revenue cycle work.`]
+    }));
+    const tokenizer = getTokenizer('gpt-3.5-turbo');
+    const options = { topK: 3, mode: 'lexical', mmrLambda: 1, tokenizer };
+
+    beforeEach(async () => {
+      setEmbeddingProvider(createProvider({ provider: 'hashing' }));
+      await ingestContent(pages);
+      // Payment Posting scores highest, Prior Authorization lowest
+      setReranker({
+        name: 'test',
+        score: async (query, texts) => texts.map(text => (text.startsWith('Payment') ? 0.9 : text.startsWith('Medical') ? 0.5 : 0.1))
+      });
+    });
+
+    afterEach(() => {
+      setReranker(null);
+      setEmbeddingProvider(null);
+    });
+
+    it('should keep every chunk when no budget is given', async () => {
+      const { sources, droppedSources } = await getRelevantContext('healthcare revenue cycle agents', options);
+
+      expect(sources).toHaveLength(3);
+      expect(droppedSources).toEqual([]);
+    });
+
+    it('should drop the lowest-scoring chunks until the context fits', async () => {
+      const full = await getRelevantContext('healthcare revenue cycle agents', options);
+      const budget = tokenizer.count(full.context) - 1;
+
+      const { context, sources, droppedSources } = await getRelevantContext('healthcare revenue cycle agents', {
+        ...options,
+        maxContextTokens: budget
+      });
+
+      expect(tokenizer.count(context)).toBeLessThanOrEqual(budget);
+      expect(sources.map(source => source.pageName)).toEqual(['Payment Posting', 'Medical Coding']);
+      expect(droppedSources.map(source => source.pageName)).toEqual(['Prior Authorization']);
+    });
+
+    it('should report no context when nothing fits', async () => {
+      const { context, sources, droppedSources, hasContext } = await getRelevantContext('healthcare revenue cycle agents', {
+        ...options,
+        maxContextTokens: 0
+      });
+
+      expect(context).toBe('');
+      expect(sources).toEqual([]);
+      expect(droppedSources).toHaveLength(3);
+      expect(hasContext).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { setProvider } = require('../services/llmService');
+const {
+  createReranker,
+  rerankResults,
+  parseRelevanceScores
+} = require('../services/rerankService');
+
+jest.mock('axios');
+
+describe('RerankService', () => {
+  const results = [
+    { text: 'EVA verifies eligibility.', score: 0.8, metadata: { pageName: 'EVA' } },
+    { text: 'CAM processes claims.', score: 0.6, metadata: { pageName: 'CAM' } },
+    { text: 'PHIL posts payments.', score: 0.4, metadata: { pageName: 'PHIL' } }
+  ];
+
+  afterEach(() => {
+    setProvider(null);
+    jest.resetAllMocks();
+  });
+
+  describe('createReranker', () => {
+    it('should return null when reranking is off', () => {
+      expect(createReranker({ reranker: 'none' })).toBeNull();
+      expect(createReranker({})).toBeNull();
+    });
+
+    it('should reject unknown rerankers', () => {
+      expect(() => createReranker({ reranker: 'magic' })).toThrow('Unknown reranker "magic". Available: none, llm, api');
+    });
+
+    it('should require a URL for the api reranker', () => {
+      expect(() => createReranker({ reranker: 'api' })).toThrow('RERANKER_URL is required');
+    });
+  });
+
+  describe('parseRelevanceScores', () => {
+    it('should read a JSON array of scores and scale them to 0..1', () => {
+      expect(parseRelevanceScores('Scores: [10, 3.5, 0]', 3)).toEqual([1, 0.35, 0]);
+      expect(parseRelevanceScores('[12, -1]', 2)).toEqual([1, 0]);
+    });
+
+    it('should reject replies that do not score every passage', () => {
+      expect(() => parseRelevanceScores('[7, 2]', 3)).toThrow('Reranker reply is not a list of 3 scores');
+      expect(() => parseRelevanceScores('very relevant', 1)).toThrow('Reranker reply is not a list of 1 scores');
+      expect(() => parseRelevanceScores('["high"]', 1)).toThrow();
+    });
+  });
+
+  describe('llm reranker', () => {
+    it('should rate every passage in one chat request', async () => {
+      const chat = jest.fn().mockResolvedValue({ content: '[2, 9, 5]' });
+      setProvider({ name: 'test', chat });
+
+      const reranked = await rerankResults('Who processes claims?', results, createReranker({ reranker: 'llm' }));
+
+      expect(chat).toHaveBeenCalledTimes(1);
+      const [{ messages, temperature }] = chat.mock.calls[0];
+      expect(temperature).toBe(0);
+      expect(messages[1].content).toContain('Question: Who processes claims?');
+      expect(messages[1].content).toContain('[2] CAM processes claims.');
+      expect(reranked.map(r => [r.metadata.pageName, r.rerankScore])).toEqual([['CAM', 0.9], ['PHIL', 0.5], ['EVA', 0.2]]);
+    });
+  });
+
+  describe('api reranker', () => {
+    const config = { reranker: 'api', url: 'http://reranker.local/rerank', model: 'bge-reranker-v2-m3', apiKey: 'secret' };
+
+    it('should send the passages to the rerank endpoint', async () => {
+      axios.post.mockResolvedValue({
+        data: { results: [{ index: 2, relevance_score: 0.97 }, { index: 0, relevance_score: 0.12 }, { index: 1, relevance_score: 0.05 }] }
+      });
+
+      const reranked = await rerankResults('Who posts payments?', results, createReranker(config));
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://reranker.local/rerank',
+        expect.objectContaining({ model: 'bge-reranker-v2-m3', query: 'Who posts payments?', documents: results.map(r => r.text) }),
+        expect.objectContaining({ headers: { Authorization: 'Bearer secret' } })
+      );
+      expect(reranked.map(r => r.metadata.pageName)).toEqual(['PHIL', 'EVA', 'CAM']);
+      expect(reranked[0].score).toBe(0.4);
+    });
+
+    it('should accept the TEI response shape', async () => {
+      axios.post.mockResolvedValue({ data: [{ index: 1, score: 0.8 }, { index: 0, score: 0.3 }, { index: 2, score: 0.1 }] });
+
+      const reranked = await rerankResults('claims', results, createReranker(config));
+
+      expect(reranked.map(r => r.rerankScore)).toEqual([0.8, 0.3, 0.1]);
+    });
+
+    it('should fail on a response without results', async () => {
+      axios.post.mockResolvedValue({ data: { error: 'model loading' } });
+
+      await expect(rerankResults('claims', results, createReranker(config))).rejects.toThrow('Reranker response has no results');
+    });
+  });
+
+  describe('rerankResults', () => {
+    it('should not call the reranker without results', async () => {
+      const score = jest.fn();
+
+      expect(await rerankResults('claims', [], { name: 'test', score })).toEqual([]);
+      expect(score).not.toHaveBeenCalled();
+    });
+  });
+});
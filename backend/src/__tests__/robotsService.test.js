@@ -0,0 +1,93 @@
+const { parseRobotsTxt, getRobotsPolicy, isPathAllowed } = require('../services/robotsService');
+
+describe('RobotsService', () => {
+  const policyFor = (text, agent = 'ThoughtfulAI-Bot') => getRobotsPolicy(parseRobotsTxt(text), agent);
+
+  describe('parseRobotsTxt', () => {
+    it('should group rules under their user agents', () => {
+      const groups = parseRobotsTxt([
+        '# Comment',
+        'User-agent: Googlebot',
+        'User-agent: Bingbot',
+        'Disallow: /search # inline comment',
+        '',
+        'User-agent: *',
+        'Allow: /public',
+        'Disallow: /',
+        'Crawl-delay: 2',
+        'Sitemap: https://example.com/sitemap.xml'
+      ].join('\n'));
+
+      expect(groups).toEqual([
+        { agents: ['googlebot', 'bingbot'], rules: [{ allow: false, path: '/search' }], crawlDelay: null },
+        {
+          agents: ['*'],
+          rules: [{ allow: true, path: '/public' }, { allow: false, path: '/' }],
+          crawlDelay: 2
+        }
+      ]);
+    });
+
+    it('should ignore empty Disallow lines and rules before any user agent', () => {
+      const groups = parseRobotsTxt('Disallow: /orphan\nUser-agent: *\nDisallow:\n');
+
+      expect(groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+    });
+
+    it('should handle CRLF line endings', () => {
+      expect(parseRobotsTxt('User-agent: *\r\nDisallow: /x\r\n')[0].rules).toEqual([{ allow: false, path: '/x' }]);
+    });
+  });
+
+  describe('getRobotsPolicy', () => {
+    const text = 'User-agent: *\nDisallow: /all\n\nUser-agent: thoughtfulai-bot\nDisallow: /bot-only\nCrawl-delay: 5';
+
+    it('should prefer groups naming the crawler', () => {
+      expect(policyFor(text)).toEqual({ rules: [{ allow: false, path: '/bot-only' }], crawlDelay: 5 });
+    });
+
+    it('should fall back to the * group', () => {
+      expect(policyFor(text, 'OtherBot')).toEqual({ rules: [{ allow: false, path: '/all' }], crawlDelay: null });
+    });
+
+    it('should allow everything when no group applies', () => {
+      expect(policyFor('User-agent: Googlebot\nDisallow: /')).toEqual({ rules: [], crawlDelay: null });
+    });
+  });
+
+  describe('isPathAllowed', () => {
+    it('should allow paths no rule matches', () => {
+      expect(isPathAllowed(policyFor('User-agent: *\nDisallow: /private'), '/public')).toBe(true);
+    });
+
+    it('should disallow paths matching a Disallow prefix', () => {
+      const policy = policyFor('User-agent: *\nDisallow: /private');
+
+      expect(isPathAllowed(policy, '/private')).toBe(false);
+      expect(isPathAllowed(policy, '/private/page?x=1')).toBe(false);
+    });
+
+    it('should let the longest matching rule win', () => {
+      const policy = policyFor('User-agent: *\nDisallow: /docs\nAllow: /docs/public');
+
+      expect(isPathAllowed(policy, '/docs/internal')).toBe(false);
+      expect(isPathAllowed(policy, '/docs/public/guide')).toBe(true);
+    });
+
+    it('should prefer Allow when rules are equally specific', () => {
+      expect(isPathAllowed(policyFor('User-agent: *\nDisallow: /page\nAllow: /page'), '/page')).toBe(true);
+    });
+
+    it('should support * wildcards and $ anchors', () => {
+      const policy = policyFor('User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?session=');
+
+      expect(isPathAllowed(policy, '/files/brochure.pdf')).toBe(false);
+      expect(isPathAllowed(policy, '/files/brochure.pdf.html')).toBe(true);
+      expect(isPathAllowed(policy, '/cart?session=abc')).toBe(false);
+    });
+
+    it('should always allow robots.txt itself', () => {
+      expect(isPathAllowed(policyFor('User-agent: *\nDisallow: /'), '/robots.txt')).toBe(true);
+    });
+  });
+});
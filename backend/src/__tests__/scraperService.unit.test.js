@@ -1,8 +1,16 @@
 const { 
   extractTextFromHtml, 
+  extractSectionsFromHtml,
   parseContent, 
   PAGES_TO_SCRAPE,
-  scrapePage
+  scrapePage,
+  scrapeAllPages,
+  crawlSite,
+  extractPageMetadata,
+  parseSitemap,
+  normalizeUrl,
+  getPageName,
+  resetCrawlState
 } = require('../services/scraperService');
 
 // Mock axios for HTTP requests
@@ -15,6 +23,7 @@ const axios = require('axios');
 describe('Scraper Service - Unit Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    resetCrawlState();
   });
 
   describe('extractTextFromHtml', () => {
@@ -197,7 +206,80 @@ describe('Scraper Service - Unit Tests', () => {
     });
   });
 
+  describe('extractSectionsFromHtml', () => {
+    it('should attach the heading path to each paragraph', () => {
+      const html = `<html><body>
+        <h1>Payment Posting</h1>
+        <p>Payment posting agents reconcile remittances automatically.</p>
+        <h2>Benefits</h2>
+        <p>Faster posting with fewer manual errors.</p>
+        <h3>Accuracy</h3>
+        <li>Every remittance line is matched to a claim.</li>
+        <h2>How it works</h2>
+        <p>The agent reads ERA files from the clearinghouse.</p>
+      </body></html>`;
+
+      expect(extractSectionsFromHtml(html)).toEqual([
+        { section: 'Payment Posting', text: 'Payment posting agents reconcile remittances automatically.' },
+        { section: 'Payment Posting > Benefits', text: 'Faster posting with fewer manual errors.' },
+        { section: 'Payment Posting > Benefits > Accuracy', text: 'Every remittance line is matched to a claim.' },
+        { section: 'Payment Posting > How it works', text: 'The agent reads ERA files from the clearinghouse.' }
+      ]);
+    });
+
+    it('should leave text before the first heading without a section', () => {
+      const html = '<html><body><p>Introductory text before any heading.</p><h2>Details</h2><p>Text inside the details section.</p></body></html>';
+
+      expect(extractSectionsFromHtml(html)).toEqual([
+        { section: null, text: 'Introductory text before any heading.' },
+        { section: 'Details', text: 'Text inside the details section.' }
+      ]);
+    });
+
+    it('should skip missing heading levels', () => {
+      const html = '<html><body><h1>Trust</h1><h3>Encryption</h3><p>Data is encrypted at rest and in transit.</p></body></html>';
+
+      expect(extractSectionsFromHtml(html)).toEqual([
+        { section: 'Trust > Encryption', text: 'Data is encrypted at rest and in transit.' }
+      ]);
+    });
+
+    it('should keep headings that have no text of their own', () => {
+      const html = `<html><body>
+        <h1>Agents</h1>
+        <h2>Trusted by healthcare leaders nationwide</h2>
+        <h2>Eligibility</h2>
+        <p>EVA verifies coverage in real time.</p>
+        <h2>Closing call to action</h2>
+      </body></html>`;
+
+      expect(extractSectionsFromHtml(html)).toEqual([
+        { section: 'Agents', text: 'Trusted by healthcare leaders nationwide' },
+        { section: 'Agents > Eligibility', text: 'EVA verifies coverage in real time.' },
+        { section: 'Agents', text: 'Closing call to action' }
+      ]);
+    });
+
+    it('should deduplicate repeated paragraphs', () => {
+      const html = '<html><body><h2>One</h2><p>Book a demo with our team today.</p><h2>Two</h2><p>Book a demo with our team today.</p></body></html>';
+
+      expect(extractSectionsFromHtml(html)).toEqual([{ section: 'One', text: 'Book a demo with our team today.' }]);
+    });
+  });
+
   describe('parseContent', () => {
+    it('should record the section of each paragraph', () => {
+      const result = parseContent([
+        { section: null, text: 'Short intro' },
+        { section: 'Benefits', text: 'Faster posting with fewer manual errors.' },
+        { section: 'Benefits > Accuracy', text: 'Every remittance line is matched to a claim.' }
+      ], 'Payment Posting', 'https://thoughtful.ai/payment-posting');
+
+      expect(result.content).toEqual(['Faster posting with fewer manual errors.', 'Every remittance line is matched to a claim.']);
+      expect(result.sections).toEqual(['Benefits', 'Benefits > Accuracy']);
+      expect(result.fullText).toBe('Short intro\n\nFaster posting with fewer manual errors.\n\nEvery remittance line is matched to a claim.');
+    });
+
     it('should create structured content object', () => {
       const content = 'Test content chunk one.\n\nTest content chunk two.';
       const result = parseContent(content, 'Test Page', 'https://example.com');
@@ -267,6 +349,15 @@ describe('Scraper Service - Unit Tests', () => {
       expect(result.content.length).toBeGreaterThan(0);
     });
 
+    it('should keep the heading path of the scraped paragraphs', async () => {
+      axios.get.mockResolvedValue({ data: '<html><body><h1>Test Page Title</h1><p>Test page content that is long enough to be extracted.</p></body></html>' });
+
+      const result = await scrapePage('https://test.com/page', 'Test Page');
+
+      expect(result.content).toEqual(['Test page content that is long enough to be extracted.']);
+      expect(result.sections).toEqual(['Test Page Title']);
+    });
+
     it('should include proper user agent header', async () => {
       axios.get.mockResolvedValue({ data: '<html><body><p>Content</p></body></html>' });
 
@@ -303,6 +394,236 @@ describe('Scraper Service - Unit Tests', () => {
     });
   });
 
+  describe('conditional fetching', () => {
+    const html = '<html><body><p>Page content that is long enough to be extracted.</p></body></html>';
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const pageCall = url => axios.get.mock.calls.find(([calledUrl]) => calledUrl === url);
+
+    it('should return the ETag and Last-Modified of the response', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: html,
+        headers: { etag: '"v1"', 'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT' }
+      });
+
+      const result = await scrapePage('https://test.com/page', 'Page');
+
+      expect(result.etag).toBe('"v1"');
+      expect(result.lastModified).toBe('Wed, 01 Jan 2025 00:00:00 GMT');
+    });
+
+    it('should send If-None-Match and If-Modified-Since when validators are known', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: html, headers: {} });
+
+      await scrapePage('https://test.com/page', 'Page', { etag: '"v1"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+
+      expect(pageCall('https://test.com/page')[1].headers).toEqual(expect.objectContaining({
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT'
+      }));
+    });
+
+    it('should send no conditional headers without validators', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: html, headers: {} });
+
+      await scrapePage('https://test.com/page', 'Page');
+
+      expect(pageCall('https://test.com/page')[1].headers).not.toHaveProperty('If-None-Match');
+      expect(pageCall('https://test.com/page')[1].headers).not.toHaveProperty('If-Modified-Since');
+    });
+
+    it('should accept 304 responses', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: html, headers: {} });
+
+      await scrapePage('https://test.com/page', 'Page');
+
+      const { validateStatus } = pageCall('https://test.com/page')[1];
+      expect(validateStatus(304)).toBe(true);
+      expect(validateStatus(200)).toBe(true);
+      expect(validateStatus(404)).toBe(false);
+    });
+
+    it('should report unchanged pages without parsing them', async () => {
+      axios.get.mockImplementation(async url => url.endsWith('/robots.txt')
+        ? { status: 200, data: '' }
+        : { status: 304, data: '', headers: {} });
+
+      const result = await scrapePage('https://test.com/page', 'Page', { etag: '"v1"' });
+
+      expect(result).toEqual({ pageName: 'Page', url: 'https://test.com/page', notModified: true });
+    });
+
+    it('should pass validators per URL and report failures from scrapeAllPages', async () => {
+      const [home, ...others] = PAGES_TO_SCRAPE;
+      axios.get.mockImplementation(async url => {
+        if (url.endsWith('/robots.txt')) return { status: 200, data: '' };
+        if (url === home.url) return { status: 304, data: '', headers: {} };
+        if (url === others[0].url) throw new Error('socket hang up');
+        return { status: 200, data: html, headers: {} };
+      });
+      jest.spyOn(global, 'setTimeout').mockImplementation(fn => { fn(); return 0; });
+
+      const failed = [];
+      const pages = await scrapeAllPages({ validators: { [home.url]: { etag: '"home"' } }, failed });
+
+      expect(pageCall(home.url)[1].headers['If-None-Match']).toBe('"home"');
+      expect(pageCall(others[1].url)[1].headers).not.toHaveProperty('If-None-Match');
+      expect(pages[0]).toEqual(expect.objectContaining({ url: home.url, notModified: true }));
+      expect(pages).toHaveLength(PAGES_TO_SCRAPE.length - 1);
+      expect(failed).toEqual([{ url: others[0].url, reason: 'socket hang up', status: null }]);
+    });
+
+    it('should report progress after every page', async () => {
+      const [home, broken] = PAGES_TO_SCRAPE;
+      axios.get.mockImplementation(async url => {
+        if (url.endsWith('/robots.txt')) return { status: 200, data: '' };
+        if (url === broken.url) throw new Error('socket hang up');
+        return { status: 200, data: html, headers: {} };
+      });
+      jest.spyOn(global, 'setTimeout').mockImplementation(fn => { fn(); return 0; });
+
+      const onProgress = jest.fn();
+      await scrapeAllPages({ onProgress });
+
+      const total = PAGES_TO_SCRAPE.length;
+      expect(onProgress).toHaveBeenCalledTimes(total);
+      expect(onProgress).toHaveBeenNthCalledWith(1, { url: home.url, done: 1, scraped: 1, total, error: null });
+      expect(onProgress).toHaveBeenNthCalledWith(2, { url: broken.url, done: 2, scraped: 1, total, error: 'socket hang up' });
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ done: total, scraped: total - 1 }));
+    });
+  });
+
+  describe('robots.txt compliance', () => {
+    const html = '<html><body><p>Page content that is long enough to be extracted.</p></body></html>';
+    const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+    const serve = (robots, pages = {}) => {
+      axios.get.mockImplementation(async url => {
+        if (url.endsWith('/robots.txt')) {
+          if (robots instanceof Error) throw robots;
+          return { data: robots };
+        }
+        if (url in pages) return { data: pages[url], headers: { 'content-type': 'text/html' } };
+        throw notFound();
+      });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fetch robots.txt before the page', async () => {
+      serve('User-agent: *\nAllow: /', { 'https://test.com/page': html });
+
+      await scrapePage('https://test.com/page', 'Page');
+
+      expect(axios.get.mock.calls.map(([url]) => url)).toEqual(['https://test.com/robots.txt', 'https://test.com/page']);
+    });
+
+    it('should refuse disallowed pages without fetching them', async () => {
+      serve('User-agent: ThoughtfulAI-Bot\nDisallow: /private', { 'https://test.com/private/page': html });
+
+      await expect(scrapePage('https://test.com/private/page', 'Private')).rejects.toMatchObject({
+        code: 'ROBOTS_DISALLOWED'
+      });
+      expect(axios.get).not.toHaveBeenCalledWith('https://test.com/private/page', expect.anything());
+    });
+
+    it('should treat a missing robots.txt as allowing everything', async () => {
+      serve(notFound(), { 'https://test.com/page': html });
+
+      const result = await scrapePage('https://test.com/page', 'Page');
+
+      expect(result.content.length).toBeGreaterThan(0);
+    });
+
+    it('should not fetch anything from a host whose robots.txt is unreachable', async () => {
+      serve(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }), {
+        'https://test.com/page': html
+      });
+
+      await expect(scrapePage('https://test.com/page', 'Page')).rejects.toMatchObject({ code: 'ROBOTS_UNAVAILABLE' });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip every page of a host while its robots.txt stays unreachable', async () => {
+      serve(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }), {
+        'https://test.com/a': html,
+        'https://test.com/b': html
+      });
+      const skipped = [];
+
+      const pages = await crawlSite({ seedUrls: ['https://test.com/a', 'https://test.com/b'], useSitemap: false, maxDepth: 0, delayMs: 0, skipped });
+
+      expect(pages).toEqual([]);
+      expect(skipped.map(skip => skip.code)).toEqual(['ROBOTS_UNAVAILABLE', 'ROBOTS_UNAVAILABLE']);
+      expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/robots.txt'))).toHaveLength(1);
+    });
+
+    it('should fetch robots.txt once per host', async () => {
+      serve('User-agent: *\nDisallow:', { 'https://test.com/a': html, 'https://test.com/b': html });
+
+      await crawlSite({ seedUrls: ['https://test.com/a', 'https://test.com/b'], useSitemap: false, maxDepth: 0, delayMs: 0 });
+
+      expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/robots.txt'))).toHaveLength(1);
+    });
+
+    it('should wait for Crawl-delay between requests to the same host', async () => {
+      serve('User-agent: *\nCrawl-delay: 0.1', { 'https://test.com/a': html, 'https://test.com/b': html });
+
+      const start = Date.now();
+      await crawlSite({ seedUrls: ['https://test.com/a', 'https://test.com/b'], useSitemap: false, maxDepth: 0, delayMs: 0 });
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should report skipped URLs from scrapeAllPages', async () => {
+      serve('User-agent: *\nDisallow: /about\nDisallow: /trust-and-security', Object.fromEntries(
+        PAGES_TO_SCRAPE.map(page => [page.url, html])
+      ));
+      jest.spyOn(global, 'setTimeout').mockImplementation(fn => { fn(); return 0; });
+
+      const skipped = [];
+      const pages = await scrapeAllPages({ skipped });
+
+      expect(pages).toHaveLength(PAGES_TO_SCRAPE.length - 2);
+      expect(skipped).toEqual([
+        { url: 'https://www.thoughtful.ai/about', reason: expect.stringContaining('Disallowed by robots.txt'), code: 'ROBOTS_DISALLOWED' },
+        { url: 'https://www.thoughtful.ai/trust-and-security', reason: expect.stringContaining('Disallowed by robots.txt'), code: 'ROBOTS_DISALLOWED' }
+      ]);
+    });
+
+    it('should report URLs the crawler skipped', async () => {
+      serve('User-agent: *\nDisallow: /admin', {
+        'https://test.com/': '<a href="/admin">Admin</a><a href="/docs">Docs</a>',
+        'https://test.com/docs': html
+      });
+
+      const skipped = [];
+      const pages = await crawlSite({ seedUrls: ['https://test.com/'], useSitemap: false, maxDepth: 1, delayMs: 0, skipped });
+
+      expect(pages.map(page => page.url)).toEqual(['https://test.com/', 'https://test.com/docs']);
+      expect(skipped).toEqual([
+        { url: 'https://test.com/admin', reason: 'Disallowed by robots.txt: https://test.com/admin', code: 'ROBOTS_DISALLOWED' }
+      ]);
+    });
+  });
+
   describe('PAGES_TO_SCRAPE configuration', () => {
     it('should have at least 5 pages configured', () => {
       expect(PAGES_TO_SCRAPE.length).toBeGreaterThanOrEqual(5);
@@ -344,5 +665,262 @@ describe('Scraper Service - Unit Tests', () => {
       expect(pageNames).toContain('About');
     });
   });
+
+  describe('normalizeUrl', () => {
+    it('should resolve relative links against the page URL', () => {
+      expect(normalizeUrl('/about', 'https://www.thoughtful.ai/products/eva')).toBe('https://www.thoughtful.ai/about');
+      expect(normalizeUrl('cam', 'https://www.thoughtful.ai/products/')).toBe('https://www.thoughtful.ai/products/cam');
+    });
+
+    it('should drop fragments, tracking parameters and trailing slashes', () => {
+      expect(normalizeUrl('https://www.thoughtful.ai/about/?utm_source=x&ref=nav#team'))
+        .toBe('https://www.thoughtful.ai/about?ref=nav');
+      expect(normalizeUrl('https://www.thoughtful.ai/about?utm_campaign=y')).toBe('https://www.thoughtful.ai/about');
+    });
+
+    it('should keep the root path', () => {
+      expect(normalizeUrl('https://www.thoughtful.ai')).toBe('https://www.thoughtful.ai/');
+    });
+
+    it('should reject non-HTTP and invalid links', () => {
+      expect(normalizeUrl('mailto:hello@thoughtful.ai')).toBeNull();
+      expect(normalizeUrl('javascript:void(0)')).toBeNull();
+      expect(normalizeUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('extractPageMetadata', () => {
+    it('should extract the title, canonical URL and links', () => {
+      const html = `<html><head>
+        <title> Prior Authorization | Thoughtful AI </title>
+        <link rel="canonical" href="https://www.thoughtful.ai/prior-authorization">
+      </head><body>
+        <a href="/about">About</a>
+        <a href="/about#team">Team</a>
+        <a href="https://example.com/">External</a>
+        <a href="/login" rel="nofollow">Login</a>
+      </body></html>`;
+
+      const metadata = extractPageMetadata(html, 'https://www.thoughtful.ai/prior-authorization?ref=nav');
+
+      expect(metadata.title).toBe('Prior Authorization | Thoughtful AI');
+      expect(metadata.canonical).toBe('https://www.thoughtful.ai/prior-authorization');
+      expect(metadata.links).toEqual(['https://www.thoughtful.ai/about', 'https://example.com/']);
+    });
+
+    it('should handle pages without a title or canonical link', () => {
+      const metadata = extractPageMetadata('<p>No head</p>', 'https://www.thoughtful.ai/');
+
+      expect(metadata).toEqual({ title: '', canonical: null, links: [] });
+    });
+  });
+
+  describe('getPageName', () => {
+    it('should use the title without the site name', () => {
+      expect(getPageName('Payment Posting | Thoughtful AI', 'https://www.thoughtful.ai/payment-posting')).toBe('Payment Posting');
+      expect(getPageName('About Us - Thoughtful AI', 'https://www.thoughtful.ai/about')).toBe('About Us');
+    });
+
+    it('should fall back to the URL path', () => {
+      expect(getPageName('', 'https://www.thoughtful.ai/trust-and-security')).toBe('Trust And Security');
+      expect(getPageName('', 'https://www.thoughtful.ai/')).toBe('Home');
+    });
+  });
+
+  describe('parseSitemap', () => {
+    it('should extract page URLs', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://www.thoughtful.ai/</loc></url>
+          <url><loc> https://www.thoughtful.ai/about </loc><lastmod>2025-01-01</lastmod></url>
+        </urlset>`;
+
+      expect(parseSitemap(xml)).toEqual({
+        urls: ['https://www.thoughtful.ai/', 'https://www.thoughtful.ai/about'],
+        sitemaps: []
+      });
+    });
+
+    it('should extract nested sitemaps from a sitemap index', () => {
+      const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <sitemap><loc>https://www.thoughtful.ai/pages-sitemap.xml</loc></sitemap>
+        </sitemapindex>`;
+
+      expect(parseSitemap(xml)).toEqual({
+        urls: [],
+        sitemaps: ['https://www.thoughtful.ai/pages-sitemap.xml']
+      });
+    });
+  });
+
+  describe('crawlSite', () => {
+    const page = (title, body, extraHead = '') =>
+      `<html><head><title>${title} | Thoughtful AI</title>${extraHead}</head><body>${body}</body></html>`;
+    const paragraph = text => `<p>${text} with enough words to be indexed as content.</p>`;
+
+    let site;
+
+    beforeEach(() => {
+      site = {};
+      axios.get.mockImplementation(async url => {
+        if (!(url in site)) {
+          throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+        }
+        const entry = site[url];
+        return typeof entry === 'string'
+          ? { data: entry, headers: { 'content-type': 'text/html; charset=utf-8' } }
+          : entry;
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const pageRequests = () => axios.get.mock.calls.filter(([url]) => !url.endsWith('/robots.txt'));
+
+    const crawl = options => crawlSite({
+      seedUrls: ['https://www.thoughtful.ai/'],
+      useSitemap: false,
+      maxDepth: 2,
+      maxPages: 50,
+      delayMs: 0,
+      ...options
+    });
+
+    it('should follow same-origin links and name pages from their titles', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', `${paragraph('Welcome')}<a href="/eva">EVA</a><a href="https://example.com/">Elsewhere</a>`);
+      site['https://www.thoughtful.ai/eva'] = page('EVA', paragraph('EVA checks eligibility'));
+
+      const pages = await crawl();
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home', 'EVA']);
+      expect(pages[1]).toEqual(expect.objectContaining({
+        url: 'https://www.thoughtful.ai/eva',
+        content: [expect.stringContaining('EVA checks eligibility')],
+        scrapedAt: expect.any(String),
+        fullText: expect.any(String)
+      }));
+      expect(axios.get).not.toHaveBeenCalledWith('https://example.com/', expect.anything());
+    });
+
+    it('should stop following links at the maximum depth', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/level-1">Next</a>');
+      site['https://www.thoughtful.ai/level-1'] = page('Level 1', '<a href="/level-2">Next</a>');
+      site['https://www.thoughtful.ai/level-2'] = page('Level 2', '');
+
+      const pages = await crawl({ maxDepth: 1 });
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home', 'Level 1']);
+    });
+
+    it('should stop at the page budget', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/a">A</a><a href="/b">B</a><a href="/c">C</a>');
+      ['a', 'b', 'c'].forEach(slug => {
+        site[`https://www.thoughtful.ai/${slug}`] = page(slug.toUpperCase(), '');
+      });
+
+      const pages = await crawl({ maxPages: 2 });
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home', 'A']);
+      expect(pageRequests()).toHaveLength(2);
+    });
+
+    it('should index pages reachable by several URLs once under their canonical URL', async () => {
+      const canonical = '<link rel="canonical" href="https://www.thoughtful.ai/cam">';
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/cam">CAM</a><a href="/products/cam">CAM</a><a href="/cam/#pricing">Pricing</a>');
+      site['https://www.thoughtful.ai/cam'] = page('CAM', paragraph('CAM manages claims'), canonical);
+      site['https://www.thoughtful.ai/products/cam'] = page('CAM', paragraph('CAM manages claims'), canonical);
+
+      const pages = await crawl();
+
+      expect(pages.map(p => p.url)).toEqual(['https://www.thoughtful.ai/', 'https://www.thoughtful.ai/cam']);
+      expect(pageRequests()).toHaveLength(3);
+    });
+
+    it('should start from sitemap URLs, including nested sitemaps', async () => {
+      site['https://www.thoughtful.ai/sitemap.xml'] = {
+        data: '<sitemapindex><sitemap><loc>https://www.thoughtful.ai/pages.xml</loc></sitemap></sitemapindex>'
+      };
+      site['https://www.thoughtful.ai/pages.xml'] = {
+        data: '<urlset><url><loc>https://www.thoughtful.ai/new-product</loc></url></urlset>'
+      };
+      site['https://www.thoughtful.ai/'] = page('Home', '');
+      site['https://www.thoughtful.ai/new-product'] = page('New Product', paragraph('A product not linked from anywhere'));
+
+      const pages = await crawl({ useSitemap: true, maxDepth: 0 });
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home', 'New Product']);
+    });
+
+    it('should crawl without a sitemap when none exists', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '');
+
+      const pages = await crawl({ useSitemap: true });
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home']);
+    });
+
+    it('should skip non-HTML responses and links to files', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/brochure.pdf">PDF</a><a href="/feed">Feed</a>');
+      site['https://www.thoughtful.ai/feed'] = { data: '{}', headers: { 'content-type': 'application/json' } };
+
+      const pages = await crawl();
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home']);
+      expect(axios.get).not.toHaveBeenCalledWith('https://www.thoughtful.ai/brochure.pdf', expect.anything());
+    });
+
+    it('should continue past pages that fail to load', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/missing">Missing</a><a href="/about">About</a>');
+      site['https://www.thoughtful.ai/about'] = page('About', '');
+
+      const pages = await crawl();
+
+      expect(pages.map(p => p.pageName)).toEqual(['Home', 'About']);
+    });
+
+    it('should keep page names unique', async () => {
+      site['https://www.thoughtful.ai/'] = page('Thoughtful AI', '<a href="/careers">Careers</a>');
+      site['https://www.thoughtful.ai/careers'] = page('Thoughtful AI', '');
+
+      const pages = await crawl();
+
+      expect(pages.map(p => p.pageName)).toEqual(['Thoughtful AI', 'Thoughtful AI (/careers)']);
+    });
+
+    it('should report progress with a total that grows as links are found', async () => {
+      site['https://www.thoughtful.ai/'] = page('Home', '<a href="/eva">EVA</a><a href="/gone">Gone</a>');
+      site['https://www.thoughtful.ai/eva'] = page('EVA', '');
+
+      const onProgress = jest.fn();
+      await crawl({ onProgress });
+
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { url: 'https://www.thoughtful.ai/', done: 1, scraped: 1, total: 3, error: null },
+        { url: 'https://www.thoughtful.ai/eva', done: 2, scraped: 2, total: 3, error: null },
+        { url: 'https://www.thoughtful.ai/gone', done: 3, scraped: 2, total: 3, error: 'Request failed with status code 404' }
+      ]);
+    });
+
+    it('should be used by scrapeAllPages when SCRAPE_MODE is crawl', async () => {
+      process.env.SCRAPE_MODE = 'crawl';
+      process.env.CRAWL_SEED_URLS = 'https://www.thoughtful.ai/';
+      process.env.CRAWL_USE_SITEMAP = 'false';
+      site['https://www.thoughtful.ai/'] = page('Home', '');
+
+      try {
+        const pages = await scrapeAllPages();
+        expect(pages.map(p => p.pageName)).toEqual(['Home']);
+      } finally {
+        delete process.env.SCRAPE_MODE;
+        delete process.env.CRAWL_SEED_URLS;
+        delete process.env.CRAWL_USE_SITEMAP;
+      }
+    });
+  });
 });
 
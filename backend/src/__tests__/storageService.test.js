@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getStorageDir,
+  isStorageEnabled,
+  loadJson,
+  saveJson,
+  removeJson
+} = require('../services/storageService');
+
+describe('StorageService', () => {
+  const originalStorageDir = process.env.STORAGE_DIR;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-storage-'));
+    process.env.STORAGE_DIR = tempDir;
+  });
+
+  afterEach(() => {
+    process.env.STORAGE_DIR = originalStorageDir;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getStorageDir', () => {
+    it('should use STORAGE_DIR when set', () => {
+      expect(getStorageDir()).toBe(path.resolve(tempDir));
+      expect(isStorageEnabled()).toBe(true);
+    });
+
+    it('should disable storage when STORAGE_DIR is empty', () => {
+      process.env.STORAGE_DIR = '';
+      expect(getStorageDir()).toBeNull();
+      expect(isStorageEnabled()).toBe(false);
+    });
+
+    it('should default to the backend storage directory', () => {
+      delete process.env.STORAGE_DIR;
+      expect(getStorageDir()).toBe(path.join(__dirname, '../../storage'));
+    });
+  });
+
+  describe('saveJson and loadJson', () => {
+    it('should round-trip data', async () => {
+      const data = { documents: [{ id: 'a', text: 'hello' }], embeddings: [[0.1, 0.2]] };
+
+      const filePath = await saveJson('store.json', data);
+
+      expect(filePath).toBe(path.join(tempDir, 'store.json'));
+      expect(await loadJson('store.json')).toEqual(data);
+    });
+
+    it('should create nested directories', async () => {
+      await saveJson('nested/dir/store.json', { ok: true });
+      expect(await loadJson('nested/dir/store.json')).toEqual({ ok: true });
+    });
+
+    it('should not leave temporary files behind', async () => {
+      await saveJson('store.json', { ok: true });
+      expect(fs.readdirSync(tempDir)).toEqual(['store.json']);
+    });
+
+    it('should replace existing files', async () => {
+      await saveJson('store.json', { version: 1 });
+      await saveJson('store.json', { version: 2 });
+      expect(await loadJson('store.json')).toEqual({ version: 2 });
+    });
+
+    it('should return null for missing files', async () => {
+      expect(await loadJson('missing.json')).toBeNull();
+    });
+
+    it('should return null for corrupt files', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      fs.writeFileSync(path.join(tempDir, 'corrupt.json'), '{"documents": [');
+
+      expect(await loadJson('corrupt.json')).toBeNull();
+      warn.mockRestore();
+    });
+
+    it('should do nothing when storage is disabled', async () => {
+      process.env.STORAGE_DIR = '';
+
+      expect(await saveJson('store.json', { ok: true })).toBeNull();
+      expect(await loadJson('store.json')).toBeNull();
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+
+  describe('removeJson', () => {
+    it('should delete a saved file', async () => {
+      await saveJson('nested/store.json', { ok: true });
+      await removeJson('nested/store.json');
+      expect(await loadJson('nested/store.json')).toBeNull();
+    });
+
+    it('should ignore missing files', async () => {
+      await expect(removeJson('missing.json')).resolves.toBeUndefined();
+    });
+  });
+});
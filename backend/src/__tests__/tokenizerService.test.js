@@ -0,0 +1,81 @@
+const { getTokenizer, getModelInputLimit, getChatContextWindow, truncateToTokens } = require('../services/tokenizerService');
+
+describe('TokenizerService', () => {
+  afterEach(() => {
+    delete process.env.EMBEDDING_MAX_INPUT_TOKENS;
+    delete process.env.CHAT_CONTEXT_WINDOW;
+  });
+
+  describe('getTokenizer', () => {
+    it('should use the encoding of OpenAI models', () => {
+      expect(getTokenizer('text-embedding-3-small').encoding).toBe('cl100k_base');
+      expect(getTokenizer('gpt-4o').encoding).toBe('o200k_base');
+    });
+
+    it('should fall back to cl100k_base for other models', () => {
+      expect(getTokenizer('nomic-embed-text').encoding).toBe('cl100k_base');
+      expect(getTokenizer('hashing-256')).toBe(getTokenizer('text-embedding-3-small'));
+    });
+
+    it('should count and round-trip text', () => {
+      const tokenizer = getTokenizer('text-embedding-3-small');
+      const tokens = tokenizer.encode('Eligibility verification in real time.');
+
+      expect(tokenizer.count('Eligibility verification in real time.')).toBe(tokens.length);
+      expect(tokenizer.decode(tokens)).toBe('Eligibility verification in real time.');
+    });
+
+    it('should treat special tokens as plain text', () => {
+      const tokenizer = getTokenizer('text-embedding-3-small');
+
+      expect(() => tokenizer.encode('page footer <|endoftext|>')).not.toThrow();
+      expect(tokenizer.count('<|endoftext|>')).toBeGreaterThan(1);
+    });
+  });
+
+  describe('getModelInputLimit', () => {
+    it('should know the limits of common embedding models', () => {
+      expect(getModelInputLimit('text-embedding-3-small')).toBe(8191);
+      expect(getModelInputLimit('all-minilm')).toBe(256);
+      expect(getModelInputLimit('unknown-model')).toBe(8191);
+    });
+
+    it('should prefer EMBEDDING_MAX_INPUT_TOKENS', () => {
+      process.env.EMBEDDING_MAX_INPUT_TOKENS = '2048';
+      expect(getModelInputLimit('text-embedding-3-small')).toBe(2048);
+
+      process.env.EMBEDDING_MAX_INPUT_TOKENS = 'lots';
+      expect(getModelInputLimit('text-embedding-3-small')).toBe(8191);
+    });
+  });
+
+  describe('getChatContextWindow', () => {
+    it('should know the context windows of common chat models', () => {
+      expect(getChatContextWindow('gpt-3.5-turbo')).toBe(16385);
+      expect(getChatContextWindow('gpt-4o-mini')).toBe(128000);
+      expect(getChatContextWindow('unknown-model')).toBe(8192);
+    });
+
+    it('should prefer CHAT_CONTEXT_WINDOW', () => {
+      process.env.CHAT_CONTEXT_WINDOW = '4096';
+      expect(getChatContextWindow('gpt-4o')).toBe(4096);
+
+      process.env.CHAT_CONTEXT_WINDOW = '0';
+      expect(getChatContextWindow('gpt-4o')).toBe(128000);
+    });
+  });
+
+  describe('truncateToTokens', () => {
+    const tokenizer = getTokenizer('text-embedding-3-small');
+
+    it('should return text that fits unchanged', () => {
+      expect(truncateToTokens('Short question', 10, tokenizer)).toBe('Short question');
+    });
+
+    it('should keep the first tokens of longer text', () => {
+      const text = 'one two three four five six';
+
+      expect(truncateToTokens(text, 3, tokenizer)).toBe('one two three');
+    });
+  });
+});
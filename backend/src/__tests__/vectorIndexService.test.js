@@ -0,0 +1,163 @@
+const {
+  buildVectorIndex,
+  buildGraphInWorker,
+  searchVectorIndex,
+  normalizeVector,
+  dotProduct
+} = require('../services/vectorIndexService');
+
+/**
+ * Seeded vectors grouped around a few centres, like embeddings of pages on a handful of topics
+ */
+function createClusteredVectors(count, dimensions) {
+  let state = 1;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  const gaussian = () => Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+  const centres = Array.from({ length: 40 }, () => Array.from({ length: dimensions }, gaussian));
+
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random() * centres.length)];
+    return centre.map(value => value + gaussian() * 0.8);
+  });
+}
+
+function timeQueries(queries, search) {
+  const start = process.hrtime.bigint();
+  const results = queries.map(search);
+  return { results, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+describe('VectorIndexService', () => {
+  describe('normalizeVector', () => {
+    it('should scale vectors to unit length', () => {
+      const normalized = normalizeVector([3, 4]);
+
+      expect(normalized).toBeInstanceOf(Float32Array);
+      expect(Array.from(normalized)).toEqual([expect.closeTo(0.6, 6), expect.closeTo(0.8, 6)]);
+      expect(Array.from(normalizeVector([0, 0]))).toEqual([0, 0]);
+    });
+  });
+
+  describe('buildVectorIndex', () => {
+    it('should store normalized vectors as Float32Arrays', () => {
+      const index = buildVectorIndex([[2, 0], [0, 5], [1, 1]]);
+
+      expect(index.rows[1]).toBeInstanceOf(Float32Array);
+      expect(Array.from(index.rows[1])).toEqual([0, 1]);
+      expect(dotProduct(index.rows[2], index.rows[2])).toBeCloseTo(1, 6);
+    });
+
+    it('should share rows that are already normalized', () => {
+      const rows = [[2, 0], [0, 5]].map(normalizeVector);
+
+      const index = buildVectorIndex(rows, { normalized: true });
+
+      expect(index.rows[0]).toBe(rows[0]);
+      expect(index.rows[1]).toBe(rows[1]);
+    });
+
+    it('should only build a graph for large indexes', () => {
+      const vectors = createClusteredVectors(50, 8);
+
+      expect(buildVectorIndex(vectors).graph).toBeNull();
+      expect(buildVectorIndex(vectors, { minVectors: 50 }).graph).not.toBeNull();
+    });
+
+    it('should handle an empty index', () => {
+      const index = buildVectorIndex([]);
+
+      expect(index.count).toBe(0);
+      expect(searchVectorIndex(index, normalizeVector([1, 0]), 5)).toEqual([]);
+    });
+  });
+
+  describe('searchVectorIndex', () => {
+    const vectors = [[1, 0], [0.9, 0.1], [0, 1], [-1, 0]];
+
+    it('should return the most similar vectors with their cosine similarity', () => {
+      const hits = searchVectorIndex(buildVectorIndex(vectors), normalizeVector([1, 0]), 2);
+
+      expect(hits.map(hit => hit.id)).toEqual([0, 1]);
+      expect(hits[0].score).toBeCloseTo(1, 6);
+      expect(hits[1].score).toBeCloseTo(0.9 / Math.hypot(0.9, 0.1), 6);
+    });
+
+    it('should find the same neighbours through the graph on small inputs', () => {
+      const index = buildVectorIndex(vectors, { minVectors: 2 });
+
+      expect(searchVectorIndex(index, normalizeVector([0.2, 1]), 4).map(hit => hit.id)).toEqual([2, 1, 0, 3]);
+    });
+
+    it('should reject queries of another dimension', () => {
+      expect(() => searchVectorIndex(buildVectorIndex(vectors), normalizeVector([1, 0, 0]), 1))
+        .toThrow('Query has 3 dimensions but the index has 2');
+    });
+
+    it('should build the same graph from the same vectors', () => {
+      const sample = createClusteredVectors(200, 16);
+
+      const first = buildVectorIndex(sample, { minVectors: 1 });
+      const second = buildVectorIndex(sample, { minVectors: 1 });
+
+      expect(second.graph.neighbors).toEqual(first.graph.neighbors);
+      expect(second.graph.entryPoint).toBe(first.graph.entryPoint);
+    });
+  });
+
+  describe('buildGraphInWorker', () => {
+    const sample = createClusteredVectors(200, 16);
+
+    it('should attach the graph buildVectorIndex would build', async () => {
+      const index = buildVectorIndex(sample, { minVectors: 1, deferGraph: true });
+      expect(index.graph).toBeNull();
+
+      expect(await buildGraphInWorker(index, { minVectors: 1 }).done).toBe(true);
+
+      const expected = buildVectorIndex(sample, { minVectors: 1 });
+      expect(index.graph.neighbors).toEqual(expected.graph.neighbors);
+      expect(index.graph.entryPoint).toBe(expected.graph.entryPoint);
+      expect(searchVectorIndex(index, index.rows[0], 5)).toEqual(searchVectorIndex(expected, expected.rows[0], 5));
+    });
+
+    it('should leave the index without a graph when cancelled', async () => {
+      const index = buildVectorIndex(sample, { minVectors: 1, deferGraph: true });
+      const build = buildGraphInWorker(index, { minVectors: 1 });
+
+      build.cancel();
+
+      expect(await build.done).toBe(false);
+      expect(index.graph).toBeNull();
+    });
+
+    it('should not start a build for indexes that are scanned', () => {
+      expect(buildGraphInWorker(buildVectorIndex(sample, { deferGraph: true }))).toBeNull();
+      expect(buildGraphInWorker(buildVectorIndex(sample, { minVectors: 1 }), { minVectors: 1 })).toBeNull();
+    });
+  });
+
+  describe('benchmark', () => {
+    it('should match brute-force recall', () => {
+      const vectors = createClusteredVectors(4050, 64);
+      const queries = vectors.slice(0, 50).map(normalizeVector);
+      const documents = vectors.slice(50);
+      const index = buildVectorIndex(documents, { minVectors: 1 });
+
+      const exact = timeQueries(queries, query => searchVectorIndex(index, query, 10, { exact: true }));
+      const approximate = timeQueries(queries, query => searchVectorIndex(index, query, 10));
+
+      let found = 0;
+      exact.results.forEach((expected, i) => {
+        const ids = new Set(approximate.results[i].map(hit => hit.id));
+        found += expected.filter(hit => ids.has(hit.id)).length;
+      });
+      const recall = found / (queries.length * 10);
+
+      // Latency is reported rather than asserted, since wall-clock time varies with the machine's load
+      console.log(`ANN recall@10 ${recall.toFixed(3)}: ${approximate.ms.toFixed(1)} ms vs ${exact.ms.toFixed(1)} ms brute force for ${queries.length} queries over ${documents.length} vectors`);
+      expect(recall).toBeGreaterThanOrEqual(0.95);
+    });
+  });
+});
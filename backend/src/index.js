@@ -1,18 +1,40 @@
 require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const { getAgentResponse } = require('./services/agentService');
+const { getProvider } = require('./services/llmService');
+const { SUPPORTED_EXTENSIONS } = require('./services/documentService');
+const { parseFilters } = require('./services/filterService');
 const { 
   initializeKnowledgeBase, 
   getKnowledgeBaseStatus, 
   isKnowledgeBaseReady,
-  refreshKnowledgeBase 
+  startRefreshJob,
+  getKnowledgeJob,
+  subscribeToKnowledgeJob,
+  getKnowledgePages,
+  upsertKnowledgePage,
+  addKnowledgeDocuments,
+  deleteKnowledgePage,
+  getKnowledgeVersions,
+  activateKnowledgeVersion,
+  startRefreshScheduler
 } = require('./services/knowledgeService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Uploaded documents are parsed in memory and never written to disk
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const MAX_DOCUMENTS_PER_UPLOAD = 20;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: MAX_DOCUMENTS_PER_UPLOAD }
+});
+
 // Track server readiness
 let serverReady = false;
 
@@ -36,41 +58,270 @@ app.get('/api/knowledge/status', (req, res) => {
 });
 
 // Manual knowledge base refresh endpoint
-app.post('/api/knowledge/refresh', async (req, res) => {
+// Runs in the background; follow it through the returned job
+app.post('/api/knowledge/refresh', (req, res) => {
+  const { job, started } = startRefreshJob();
+  
+  res.status(202)
+    .location(`/api/knowledge/jobs/${job.id}`)
+    .json({
+      success: true,
+      message: started ? 'Refresh started' : 'Refresh already in progress',
+      jobId: job.id,
+      job
+    });
+});
+
+// Refresh job status
+app.get('/api/knowledge/jobs/:id', (req, res) => {
+  const job = getKnowledgeJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Not found', message: `No job with id ${req.params.id}` });
+  }
+  
+  res.json(job);
+});
+
+// Refresh job progress as Server-Sent Events: "progress" after every change, then "done"
+app.get('/api/knowledge/jobs/:id/events', (req, res) => {
+  const job = getKnowledgeJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Not found', message: `No job with id ${req.params.id}` });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const send = current => {
+    if (current.status === 'running') {
+      sendEvent(res, 'progress', current);
+      return;
+    }
+    
+    sendEvent(res, 'done', current);
+    unsubscribe();
+    res.end();
+  };
+  
+  const unsubscribe = subscribeToKnowledgeJob(job.id, send);
+  res.on('close', unsubscribe);
+  send(job);
+});
+
+/**
+ * Validate a page upsert request, sending the error response when it is invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - { url, pageName, content }, or null if a response was sent
+ */
+function validatePageRequest(req, res) {
+  const { url, pageName, content } = req.body || {};
+  const invalid = message => {
+    res.status(400).json({ error: 'Invalid input', message });
+    return null;
+  };
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return invalid('Please provide the page url');
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return invalid('The page url must use http or https');
+  }
+  
+  if (pageName !== undefined && (typeof pageName !== 'string' || pageName.trim() === '')) {
+    return invalid('pageName must be a non-empty string');
+  }
+  
+  const isText = value => typeof value === 'string';
+  if (content !== undefined && !isText(content) && !(Array.isArray(content) && content.every(isText))) {
+    return invalid('content must be a string or an array of strings');
+  }
+  
+  return { url, pageName: pageName && pageName.trim(), content };
+}
+
+// List indexed pages
+app.get('/api/knowledge/pages', (req, res) => {
+  res.json({ pages: getKnowledgePages() });
+});
+
+// Add or replace a single page, scraping it unless content is provided
+app.post('/api/knowledge/pages', async (req, res) => {
+  const page = validatePageRequest(req, res);
+  if (!page) return;
+  
   try {
-    const result = await refreshKnowledgeBase();
+    const result = await upsertKnowledgePage(page);
+    res.status(result.ingestion.chunksRemoved > 0 ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Page upsert failed:', error);
+    const disallowed = error.code === 'ROBOTS_DISALLOWED' || error.code === 'URL_NOT_ALLOWED';
+    res.status(disallowed ? 403 : 500).json({
+      error: disallowed ? 'Forbidden' : 'Upsert failed',
+      message: error.message
+    });
+  }
+});
+
+// Remove a single page
+app.delete('/api/knowledge/pages/:id', async (req, res) => {
+  try {
+    const result = await deleteKnowledgePage(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Not found', message: `No indexed page with id ${req.params.id}` });
+    }
+    
     res.json(result);
   } catch (error) {
-    console.error('Knowledge base refresh failed:', error);
+    console.error('Page delete failed:', error);
     res.status(500).json({
-      error: 'Refresh failed',
+      error: 'Delete failed',
       message: error.message
     });
   }
 });
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
+// List the kept knowledge base versions, newest first
+app.get('/api/knowledge/versions', (req, res) => {
+  res.json({ versions: getKnowledgeVersions() });
+});
+
+// Roll the knowledge base back to a kept version
+app.post('/api/knowledge/versions/:id/activate', async (req, res) => {
   try {
-    // Check if knowledge base is ready
-    if (!isKnowledgeBaseReady()) {
-      return res.status(503).json({
-        error: 'Service Unavailable',
-        message: 'Knowledge base is still initializing. Please try again in a moment.',
-        status: getKnowledgeBaseStatus()
-      });
+    const result = await activateKnowledgeVersion(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Not found', message: `No kept version with id ${req.params.id}` });
     }
     
-    const { message, conversationHistory = [] } = req.body;
+    res.json(result);
+  } catch (error) {
+    console.error('Version activation failed:', error);
+    const unavailable = error.code === 'VERSION_UNAVAILABLE';
+    res.status(unavailable ? 409 : 500).json({
+      error: unavailable ? 'Conflict' : 'Activation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Receive uploaded documents from the "files" field of a multipart request
+ * Sends 413 for files over the size limit and 400 for other malformed uploads
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function receiveDocuments(req, res, next) {
+  upload.array('files', MAX_DOCUMENTS_PER_UPLOAD)(req, res, error => {
+    if (!error) return next();
     
-    if (!message || typeof message !== 'string' || message.trim() === '') {
-      return res.status(400).json({
-        error: 'Invalid input',
-        message: 'Please provide a valid message'
-      });
-    }
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'Payload Too Large' : 'Invalid input',
+      message: tooLarge ? `Documents must be smaller than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB` : error.message
+    });
+  });
+}
+
+// Add or replace internal documents (Markdown, PDF, DOCX, HTML or text)
+app.post('/api/knowledge/documents', receiveDocuments, async (req, res) => {
+  const files = req.files || [];
+  
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'Invalid input', message: 'Please upload at least one document in the "files" field' });
+  }
+  
+  const unsupported = files.filter(file => !SUPPORTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  if (unsupported.length > 0) {
+    return res.status(415).json({
+      error: 'Unsupported Media Type',
+      message: `Unsupported documents: ${unsupported.map(file => file.originalname).join(', ')}. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}`
+    });
+  }
+  
+  try {
+    const result = await addKnowledgeDocuments(files.map(file => ({ name: file.originalname, buffer: file.buffer })));
+    res.status(result.success ? 201 : 422).json(result);
+  } catch (error) {
+    console.error('Document upload failed:', error);
+    res.status(500).json({
+      error: 'Upload failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate a chat request, sending the error response when it cannot be served
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Trimmed message, history and retrieval filters, or null if a response was sent
+ */
+function validateChatRequest(req, res) {
+  // Check if knowledge base is ready
+  if (!isKnowledgeBaseReady()) {
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Knowledge base is still initializing. Please try again in a moment.',
+      status: getKnowledgeBaseStatus()
+    });
+    return null;
+  }
+  
+  const { message, conversationHistory = [], filters = null } = req.body;
+  
+  if (!message || typeof message !== 'string' || message.trim() === '') {
+    res.status(400).json({
+      error: 'Invalid input',
+      message: 'Please provide a valid message'
+    });
+    return null;
+  }
+  
+  try {
+    parseFilters(filters);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid input',
+      message: error.message
+    });
+    return null;
+  }
+  
+  return { message: message.trim(), conversationHistory, filters };
+}
+
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Chat endpoint
+app.post('/api/chat', async (req, res) => {
+  try {
+    const chatRequest = validateChatRequest(req, res);
+    if (!chatRequest) return;
     
-    const response = await getAgentResponse(message.trim(), conversationHistory);
+    const response = await getAgentResponse(chatRequest.message, chatRequest.conversationHistory, {
+      filters: chatRequest.filters
+    });
     
     res.json({
       success: true,
@@ -86,6 +337,53 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// Streaming chat endpoint (Server-Sent Events)
+// Emits `token` events as the answer is generated, then a single `done` or `error` event
+app.post('/api/chat/stream', async (req, res) => {
+  const chatRequest = validateChatRequest(req, res);
+  if (!chatRequest) return;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  // Stop generating when the client goes away (e.g. the user pressed stop)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
+  try {
+    const response = await getAgentResponse(chatRequest.message, chatRequest.conversationHistory, {
+      onToken: (token) => sendEvent(res, 'token', { content: token }),
+      signal: controller.signal,
+      filters: chatRequest.filters
+    });
+    
+    sendEvent(res, 'done', {
+      source: response.source,
+      confidence: response.confidence,
+      matchedQuestion: response.matchedQuestion,
+      ragSources: response.ragSources || [],
+      contextBudget: response.contextBudget || null
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Error processing streaming chat request:', error);
+    
+    sendEvent(res, 'error', {
+      error: 'Internal server error',
+      message: 'Failed to process your request. Please try again.'
+    });
+  }
+  
+  res.end();
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
@@ -121,17 +419,31 @@ async function initializeServer() {
 
 // Start server
 if (require.main === module) {
+  // Refuse to start with a provider that cannot answer chat
+  try {
+    getProvider();
+  } catch (error) {
+    console.error('❌ Invalid LLM configuration:', error.message);
+    process.exit(1);
+  }
+  
   // Start listening immediately so health checks work
   const server = app.listen(PORT, async () => {
     console.log(`🤖 Thoughtful AI Support Agent starting on port ${PORT}`);
     console.log(`   Health check: http://localhost:${PORT}/api/health`);
     console.log(`   Chat endpoint: http://localhost:${PORT}/api/chat`);
+    console.log(`   Streaming chat: http://localhost:${PORT}/api/chat/stream`);
     console.log(`   Knowledge status: http://localhost:${PORT}/api/knowledge/status`);
+    console.log(`   Knowledge pages: http://localhost:${PORT}/api/knowledge/pages`);
+    console.log(`   Knowledge versions: http://localhost:${PORT}/api/knowledge/versions`);
     console.log('');
     
     // Initialize knowledge base in background
     await initializeServer();
     
+    // Keep it fresh on the configured schedule (REFRESH_CRON or REFRESH_INTERVAL_MINUTES)
+    startRefreshScheduler();
+    
     console.log('');
     console.log('🚀 Agent is ready to accept requests!');
   });
@@ -1,6 +1,9 @@
-const OpenAI = require('openai');
 const predefinedResponses = require('../data/predefinedResponses');
 const { getRelevantContext, isInitialized } = require('./ragService');
+const { getProvider } = require('./llmService');
+const { getTokenizer, getChatContextWindow } = require('./tokenizerService');
+const { countMessageTokens, planContextBudget, trimHistory } = require('./contextBudgetService');
+const { summarizeHistory } = require('./historySummaryService');
 
 /**
  * Calculate similarity score between two strings using word overlap
@@ -92,19 +95,7 @@ function findBestMatch(userQuery) {
   return null;
 }
 
-/**
- * Get response from OpenAI with RAG context
- * @param {string} userQuery - User's question
- * @param {Array} conversationHistory - Previous messages for context
- * @param {Object} ragContext - Context from RAG system
- * @returns {Promise<Object>} - AI generated response with sources
- */
-async function getOpenAIResponseWithRAG(userQuery, conversationHistory = [], ragContext = null) {
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-  
-  let systemPrompt = `You are a helpful customer support agent for Thoughtful AI, a company that provides AI-powered automation agents for healthcare revenue cycle management (RCM).
+const SYSTEM_PROMPT = `You are a helpful customer support agent for Thoughtful AI, a company that provides AI-powered automation agents for healthcare revenue cycle management (RCM).
 
 Thoughtful AI is now proudly part of Smarter Technologies.
 
@@ -123,30 +114,110 @@ Key benefits:
 
 Be friendly, professional, and helpful. Provide accurate information based on the context provided. If the context doesn't contain relevant information, be honest about it while still trying to help.`;
 
-  // Add RAG context if available
-  if (ragContext && ragContext.hasContext) {
-    systemPrompt += `\n\n--- RELEVANT INFORMATION FROM THOUGHTFUL.AI ---\n${ragContext.context}\n--- END OF RELEVANT INFORMATION ---\n\nUse the above information to provide accurate and detailed responses. Cite specific details when relevant.`;
+// Tokens reserved for the answer
+const RESPONSE_TOKENS = 700;
+
+/**
+ * Build the system prompt, with the conversation summary and retrieved context if there are any
+ * @param {string|null} context - Formatted context from the RAG system
+ * @param {string|null} [summary] - Summary of the older turns of the conversation
+ * @returns {string}
+ */
+function buildSystemPrompt(context, summary = null) {
+  let systemPrompt = SYSTEM_PROMPT;
+
+  if (summary) {
+    systemPrompt += `\n\n--- SUMMARY OF THE CONVERSATION SO FAR ---\n${summary}\n--- END OF SUMMARY ---`;
   }
 
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    ...conversationHistory.map(msg => ({
+  if (context !== null) {
+    systemPrompt += `\n\n--- RELEVANT INFORMATION FROM THOUGHTFUL.AI ---\n${context}\n--- END OF RELEVANT INFORMATION ---\n\nUse the above information to provide accurate and detailed responses. Cite specific details when relevant.`;
+  }
+
+  return systemPrompt;
+}
+
+/**
+ * Work out how many tokens retrieved context may use for a question
+ * @param {string} userQuery - User's question
+ * @param {string|null} summary - Summary of the older turns of the conversation
+ * @returns {Object} - Budget from planContextBudget
+ */
+function planRetrievalBudget(userQuery, summary) {
+  return planContextBudget({
+    model: getProvider().chatModel,
+    messages: [
+      { role: 'system', content: buildSystemPrompt('', summary) },
+      { role: 'user', content: userQuery }
+    ],
+    responseTokens: RESPONSE_TOKENS
+  });
+}
+
+/**
+ * Get response from the configured LLM provider with RAG context
+ * Conversation history is trimmed, oldest turns first, to what fits in the model's context window
+ * @param {string} userQuery - User's question
+ * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} ragContext - Context from RAG system
+ * @param {Object} options - Streaming and prompt options
+ * @param {Function} [options.onToken] - Called with each token as it arrives; enables streaming
+ * @param {AbortSignal} [options.signal] - Aborts the completion request
+ * @param {string|null} [options.summary] - Summary of the turns before conversationHistory (see historySummaryService)
+ * @param {number} [options.summarizedMessages=0] - Messages the summary replaces
+ * @returns {Promise<Object>} - AI generated response with sources and the contextBudget report
+ */
+async function getOpenAIResponseWithRAG(userQuery, conversationHistory = [], ragContext = null, options = {}) {
+  const { onToken, signal, summary = null, summarizedMessages = 0 } = options;
+  const provider = getProvider();
+  const tokenizer = getTokenizer(provider.chatModel);
+  const contextWindow = getChatContextWindow(provider.chatModel);
+  
+  const systemPrompt = buildSystemPrompt(ragContext?.hasContext ? ragContext.context : null, summary);
+  const question = { role: 'user', content: userQuery };
+  
+  const systemTokens = countMessageTokens([{ role: 'system', content: SYSTEM_PROMPT }, question], tokenizer);
+  const summaryTokens = countMessageTokens([{ role: 'system', content: buildSystemPrompt(null, summary) }, question], tokenizer) - systemTokens;
+  const promptTokens = countMessageTokens([{ role: 'system', content: systemPrompt }, question], tokenizer);
+  const trimmed = trimHistory(
+    conversationHistory.map(msg => ({
       role: msg.role,
       content: msg.content
     })),
-    { role: 'user', content: userQuery }
+    Math.max(contextWindow - RESPONSE_TOKENS - promptTokens, 0),
+    tokenizer
+  );
+
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...trimmed.history,
+    question
   ];
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-3.5-turbo',
+  const completion = await provider.chat({
     messages,
-    max_tokens: 700,
-    temperature: 0.7
+    maxTokens: RESPONSE_TOKENS,
+    temperature: 0.7,
+    onToken,
+    signal
   });
 
   return {
-    answer: completion.choices[0].message.content,
-    sources: ragContext?.sources || []
+    answer: completion.content,
+    sources: ragContext?.sources || [],
+    contextBudget: {
+      contextWindow,
+      responseTokens: RESPONSE_TOKENS,
+      promptTokens: {
+        system: systemTokens,
+        summary: summaryTokens,
+        context: promptTokens - systemTokens - summaryTokens,
+        history: trimmed.tokens
+      },
+      droppedSources: ragContext?.droppedSources || [],
+      droppedMessages: trimmed.droppedMessages,
+      summarizedMessages
+    }
   };
 }
 
@@ -154,10 +225,11 @@ Be friendly, professional, and helpful. Provide accurate information based on th
  * Get response from OpenAI as fallback (without RAG)
  * @param {string} userQuery - User's question
  * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} options - Streaming options (see getOpenAIResponseWithRAG)
  * @returns {Promise<string>} - AI generated response
  */
-async function getOpenAIResponse(userQuery, conversationHistory = []) {
-  const result = await getOpenAIResponseWithRAG(userQuery, conversationHistory, null);
+async function getOpenAIResponse(userQuery, conversationHistory = [], options = {}) {
+  const result = await getOpenAIResponseWithRAG(userQuery, conversationHistory, null, options);
   return result.answer;
 }
 
@@ -165,13 +237,32 @@ async function getOpenAIResponse(userQuery, conversationHistory = []) {
  * Main function to get agent response
  * @param {string} userQuery - User's question
  * @param {Array} conversationHistory - Previous messages for context
- * @returns {Promise<Object>} - Response object with answer and source
+ * @param {Object} options - Streaming and retrieval options
+ * @param {Function} [options.onToken] - Called with answer tokens as they are produced
+ * @param {AbortSignal} [options.signal] - Aborts any in-flight completion request
+ * @param {Object} [options.filters] - Restricts the knowledge base chunks used for the answer (see filterService)
+ * @returns {Promise<Object>} - Response object with answer, source and, for generated answers, the contextBudget report
  */
-async function getAgentResponse(userQuery, conversationHistory = []) {
+async function getAgentResponse(userQuery, conversationHistory = [], options = {}) {
+  // Track whether any tokens reached the caller, so a failed stream is not replayed by the fallback
+  let tokensEmitted = false;
+  const streamOptions = { signal: options.signal };
+  if (options.onToken) {
+    streamOptions.onToken = (token) => {
+      tokensEmitted = true;
+      options.onToken(token);
+    };
+  }
+  
   // First try to find a predefined response (for common questions)
   const predefinedMatch = findBestMatch(userQuery);
   
   if (predefinedMatch && predefinedMatch.confidence > 0.6) {
+    // Predefined answers are delivered as a single token so streaming clients share one code path
+    if (streamOptions.onToken) {
+      streamOptions.onToken(predefinedMatch.answer);
+    }
+    
     return {
       answer: predefinedMatch.answer,
       source: 'predefined',
@@ -180,32 +271,46 @@ async function getAgentResponse(userQuery, conversationHistory = []) {
     };
   }
   
+  // Long conversations send their older turns as a summary
+  const { summary, history, summarizedMessages } = await summarizeHistory(conversationHistory, { signal: options.signal });
+  const promptOptions = { ...streamOptions, summary, summarizedMessages };
+  
   // Use RAG-enhanced response if the system is initialized
   if (isInitialized()) {
     try {
-      const ragContext = await getRelevantContext(userQuery);
-      const ragResponse = await getOpenAIResponseWithRAG(userQuery, conversationHistory, ragContext);
+      const budget = planRetrievalBudget(userQuery, summary);
+      const ragContext = await getRelevantContext(userQuery, {
+        filters: options.filters,
+        maxContextTokens: budget.contextTokens,
+        tokenizer: budget.tokenizer
+      });
+      const ragResponse = await getOpenAIResponseWithRAG(userQuery, history, ragContext, promptOptions);
       
       return {
         answer: ragResponse.answer,
         source: ragContext.hasContext ? 'rag' : 'openai',
         confidence: ragContext.hasContext ? Math.max(...ragContext.sources.map(s => s.relevanceScore), 0) : null,
         matchedQuestion: null,
-        ragSources: ragResponse.sources
+        ragSources: ragResponse.sources,
+        contextBudget: ragResponse.contextBudget
       };
     } catch (error) {
+      if (tokensEmitted || options.signal?.aborted) {
+        throw error;
+      }
       console.error('RAG-enhanced response failed, falling back to OpenAI:', error.message);
     }
   }
   
   // Fallback to basic OpenAI response
-  const aiResponse = await getOpenAIResponse(userQuery, conversationHistory);
+  const aiResponse = await getOpenAIResponseWithRAG(userQuery, history, null, promptOptions);
   
   return {
-    answer: aiResponse,
+    answer: aiResponse.answer,
     source: 'openai',
     confidence: null,
-    matchedQuestion: null
+    matchedQuestion: null,
+    contextBudget: aiResponse.contextBudget
   };
 }
 
@@ -0,0 +1,101 @@
+/**
+ * BM25 Service
+ * Lexical (keyword) index used alongside embeddings so exact product names,
+ * acronyms and codes (EVA, CAM, PHIL, CPT codes) are found even when their
+ * embeddings are not close to the query
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'how', 'i', 'in', 'is', 'it', 'me', 'of', 'on', 'or', 'our', 'that',
+  'the', 'this', 'to', 'we', 'what', 'with', 'you', 'your'
+]);
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+/**
+ * Split text into lowercase index terms
+ * Keeps short tokens such as "ai" and numeric codes such as "99213"
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Build a BM25 index over a list of texts
+ * @param {Array<string>} texts - Document texts, indexed by position
+ * @returns {Object} - BM25 index
+ */
+function buildIndex(texts) {
+  const termFreqs = [];
+  const docLengths = [];
+  const docFreqs = new Map();
+
+  for (const text of texts) {
+    const terms = tokenize(text);
+    const freqs = new Map();
+
+    for (const term of terms) {
+      freqs.set(term, (freqs.get(term) || 0) + 1);
+    }
+
+    for (const term of freqs.keys()) {
+      docFreqs.set(term, (docFreqs.get(term) || 0) + 1);
+    }
+
+    termFreqs.push(freqs);
+    docLengths.push(terms.length);
+  }
+
+  const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    docCount: texts.length,
+    avgDocLength: texts.length > 0 ? totalLength / texts.length : 0,
+    docLengths,
+    termFreqs,
+    docFreqs
+  };
+}
+
+/**
+ * Score every indexed document against a query
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - Query text
+ * @param {Object} options - BM25 parameters
+ * @param {number} [options.k1=1.2] - Term frequency saturation
+ * @param {number} [options.b=0.75] - Document length normalization
+ * @returns {Array<number>} - BM25 score per document (0 when no query term matches)
+ */
+function scoreQuery(index, query, { k1 = DEFAULT_K1, b = DEFAULT_B } = {}) {
+  const scores = Array(index.docCount).fill(0);
+  const queryTerms = [...new Set(tokenize(query))];
+
+  for (const term of queryTerms) {
+    const docFreq = index.docFreqs.get(term);
+    if (!docFreq) continue;
+
+    // BM25+ style IDF that stays positive for very common terms
+    const idf = Math.log(1 + (index.docCount - docFreq + 0.5) / (docFreq + 0.5));
+
+    for (let i = 0; i < index.docCount; i++) {
+      const tf = index.termFreqs[i].get(term);
+      if (!tf) continue;
+
+      const lengthNorm = index.avgDocLength > 0 ? index.docLengths[i] / index.avgDocLength : 1;
+      scores[i] += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthNorm));
+    }
+  }
+
+  return scores;
+}
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  scoreQuery
+};
@@ -0,0 +1,35 @@
+/**
+ * Config Service
+ * Parses numeric settings from the environment
+ *
+ * Settings are read when they are used rather than at startup, so a changed
+ * environment takes effect without a restart. Values that are unset or do not
+ * parse fall back to the default instead of failing.
+ */
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Read a number between 0 and 1 from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+function envFraction(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 && value <= 1 ? value : fallback;
+}
+
+module.exports = {
+  envInt,
+  envFraction
+};
@@ -0,0 +1,76 @@
+const { getTokenizer, getChatContextWindow } = require('./tokenizerService');
+const { envInt } = require('./configService');
+
+/**
+ * Context Budget Service
+ * Splits the chat model's context window between the parts of a prompt
+ *
+ * The answer, the system prompt and the question always get their tokens. Of what is
+ * left, retrieved context may use up to CONTEXT_MAX_TOKENS (and never more than two
+ * thirds), and conversation history gets the rest, dropping its oldest turns first.
+ */
+
+// Tokens the chat format adds around every message, and once to prime the reply
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+const DEFAULT_CONTEXT_MAX_TOKENS = 2000;
+
+/**
+ * Count the tokens a list of chat messages takes in the prompt
+ * @param {Array<Object>} messages - { role, content } messages
+ * @param {Object} tokenizer - Tokenizer from getTokenizer
+ * @returns {number}
+ */
+function countMessageTokens(messages, tokenizer) {
+  return messages.reduce((total, message) => total + TOKENS_PER_MESSAGE + tokenizer.count(message.content || ''), TOKENS_PER_REPLY);
+}
+
+/**
+ * Work out how many tokens retrieved context may use
+ * @param {Object} options - Prompt parts
+ * @param {string} options.model - Chat model
+ * @param {Array<Object>} options.messages - Messages that are always sent (system prompt without context, question)
+ * @param {number} options.responseTokens - Tokens reserved for the answer
+ * @returns {Object} - { tokenizer, contextWindow, contextTokens }
+ */
+function planContextBudget({ model, messages, responseTokens }) {
+  const tokenizer = getTokenizer(model);
+  const contextWindow = getChatContextWindow(model);
+  const available = Math.max(contextWindow - responseTokens - countMessageTokens(messages, tokenizer), 0);
+  const maxTokens = envInt('CONTEXT_MAX_TOKENS', DEFAULT_CONTEXT_MAX_TOKENS);
+
+  return {
+    tokenizer,
+    contextWindow,
+    contextTokens: Math.min(maxTokens, Math.floor(available * 2 / 3))
+  };
+}
+
+/**
+ * Drop the oldest turns of a conversation until it fits in a number of tokens
+ * @param {Array<Object>} history - { role, content } messages, oldest first
+ * @param {number} maxTokens - Tokens the history may use
+ * @param {Object} tokenizer - Tokenizer from getTokenizer
+ * @returns {Object} - { history, droppedMessages, tokens } with the newest messages that fit
+ */
+function trimHistory(history, maxTokens, tokenizer) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const messageTokens = TOKENS_PER_MESSAGE + tokenizer.count(history[i].content || '');
+    if (tokens + messageTokens > maxTokens) break;
+
+    kept.unshift(history[i]);
+    tokens += messageTokens;
+  }
+
+  return { history: kept, droppedMessages: history.length - kept.length, tokens };
+}
+
+module.exports = {
+  countMessageTokens,
+  planContextBudget,
+  trimHistory
+};
@@ -0,0 +1,139 @@
+/**
+ * Cron Service
+ * Parses five-field cron expressions and finds the next time they match
+ *
+ * Fields are minute, hour, day of month, month and day of week (0-7, where 0 and 7
+ * are Sunday). Each field accepts "*", numbers, ranges ("1-5"), lists ("1,15") and
+ * steps ("*\/15", "0-30/10"). As in standard cron, when both day fields are restricted
+ * a day matches if either does. Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this means the expression can never match (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>}
+ * @throws {Error} - If the field is malformed or out of range
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${text}"`);
+    }
+
+    const [, range, startText, endText, stepText] = match;
+    const start = range === '*' ? min : parseInt(startText, 10);
+    const end = range === '*' ? max : endText !== undefined ? parseInt(endText, 10) : stepText ? max : start;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 3 * * *" for every day at 03:00
+ * @returns {Object} - { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} - If the expression is malformed
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // Sunday may be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check whether a cron schedule runs on a given day
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Find the first time after a given time that a cron schedule matches
+ * @param {Object} cron - Parsed expression from parseCron
+ * @param {number} from - Epoch milliseconds; the result is strictly later
+ * @returns {number|null} - Epoch milliseconds, or null if the schedule never matches
+ */
+function getNextCronTime(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextCronTime
+};
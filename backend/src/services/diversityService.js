@@ -0,0 +1,156 @@
+const { dotProduct } = require('./vectorIndexService');
+
+/**
+ * Diversity Service
+ * Chooses which retrieved chunks go into the prompt so they do not repeat each other
+ *
+ * Overlapping chunks of the same page tend to rank next to each other. Maximal marginal
+ * relevance (MMR) trades a chunk's relevance against its similarity to the chunks already
+ * chosen, an optional cap limits chunks per page, and chosen chunks that are neighbours on
+ * the same page are merged back into one passage.
+ */
+
+// Shortest repeated text treated as chunk overlap when merging neighbours
+const MIN_OVERLAP_CHARS = 10;
+
+/**
+ * Get the score a result was ranked by
+ * @param {Object} result - Search result
+ * @returns {number}
+ */
+function getRankingScore(result) {
+  return result.rerankScore ?? result.fusedScore ?? result.score ?? 0;
+}
+
+/**
+ * Pick up to topK results by maximal marginal relevance
+ * @param {Array<Object>} results - Search results, best first, each with its normalized embedding
+ * @param {number} topK - Results to pick
+ * @param {Object} options - Diversification options
+ * @param {number} [options.lambda=0.7] - 1 ranks by relevance alone; lower values favour chunks unlike those already picked
+ * @param {number} [options.maxPerPage=0] - Most chunks picked from one page (0 for no limit)
+ * @returns {Array<Object>} - Picked results in the order they were picked
+ */
+function diversifyResults(results, topK, { lambda = 0.7, maxPerPage = 0 } = {}) {
+  // Scores are scaled to 0..1 by the best one; rerankers that return raw logits can go below
+  // zero, in which case the lowest score becomes 0 instead
+  const scores = results.map(getRankingScore);
+  const floor = Math.min(...scores, 0);
+  const range = Math.max(...scores, 0) - floor;
+  const relevance = scores.map(score => (range > 0 ? (score - floor) / range : 1));
+  // Highest similarity of each result to any picked one
+  const redundancy = results.map(() => 0);
+  const perPage = new Map();
+  const remaining = new Set(results.keys());
+  const picked = [];
+
+  while (picked.length < topK && remaining.size > 0) {
+    let best = -1;
+    let bestScore = -Infinity;
+
+    for (const i of remaining) {
+      if (maxPerPage > 0 && (perPage.get(results[i].metadata.url) || 0) >= maxPerPage) continue;
+
+      const score = lambda * relevance[i] - (1 - lambda) * redundancy[i];
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+
+    if (best < 0) break;
+
+    const chosen = results[best];
+    remaining.delete(best);
+    picked.push(chosen);
+    perPage.set(chosen.metadata.url, (perPage.get(chosen.metadata.url) || 0) + 1);
+
+    if (chosen.embedding) {
+      for (const i of remaining) {
+        if (results[i].embedding) {
+          redundancy[i] = Math.max(redundancy[i], dotProduct(chosen.embedding, results[i].embedding));
+        }
+      }
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Join two consecutive chunks, dropping the text the second repeats from the first
+ * @param {string} first - Earlier chunk
+ * @param {string} second - Following chunk
+ * @returns {string}
+ */
+function joinChunks(first, second) {
+  for (let length = Math.min(first.length, second.length); length >= MIN_OVERLAP_CHARS; length--) {
+    if (first.endsWith(second.slice(0, length))) {
+      return first + second.slice(length);
+    }
+  }
+
+  return `${first}\n\n${second}`;
+}
+
+/**
+ * Merge results that are neighbouring chunks of the same page and section
+ * A merged result takes the place of its best-ranked chunk and keeps the best scores
+ * @param {Array<Object>} results - Picked results, best first
+ * @returns {Array<Object>} - Results with runs of neighbouring chunks merged, best first
+ */
+function mergeAdjacentChunks(results) {
+  const runs = [];
+  const byPassage = new Map();
+
+  results.forEach((result, rank) => {
+    const { url, section, chunkIndex } = result.metadata;
+    if (!Number.isInteger(chunkIndex)) {
+      runs.push({ rank, chunks: [result] });
+      return;
+    }
+
+    const key = `${url}\u0000${section || ''}`;
+    if (!byPassage.has(key)) byPassage.set(key, []);
+    byPassage.get(key).push({ rank, result });
+  });
+
+  // Split the chunks of each page section into runs of consecutive chunk indexes
+  for (const members of byPassage.values()) {
+    members.sort((a, b) => a.result.metadata.chunkIndex - b.result.metadata.chunkIndex);
+
+    let run = null;
+    for (const { rank, result } of members) {
+      if (run && result.metadata.chunkIndex === run.chunks[run.chunks.length - 1].metadata.chunkIndex + 1) {
+        run.chunks.push(result);
+        run.rank = Math.min(run.rank, rank);
+      } else {
+        run = { rank, chunks: [result] };
+        runs.push(run);
+      }
+    }
+  }
+
+  return runs
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ rank, chunks }) => {
+      if (chunks.length === 1) {
+        return chunks[0];
+      }
+
+      return {
+        ...results[rank],
+        id: chunks.map(chunk => chunk.id).join('+'),
+        text: chunks.map(chunk => chunk.text).reduce(joinChunks),
+        metadata: { ...chunks[0].metadata, chunkCount: chunks.length },
+        score: Math.max(...chunks.map(chunk => chunk.score)),
+        lexicalScore: Math.max(...chunks.map(chunk => chunk.lexicalScore ?? 0))
+      };
+    });
+}
+
+module.exports = {
+  getRankingScore,
+  diversifyResults,
+  mergeAdjacentChunks
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const {
+  extractTextFromHtml,
+  extractSectionsFromHtml,
+  extractPageMetadata,
+  assignSections,
+  parseContent
+} = require('./scraperService');
+
+/**
+ * Document Service
+ * Extracts text from local documents (Markdown, PDF, DOCX, HTML and plain text) so
+ * internal material that is not on the website can be ingested like scraped pages
+ */
+
+// Extension => document format
+const DOCUMENT_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text'
+};
+
+/**
+ * Get the format of a document from its file name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} - "markdown", "pdf", "docx", "html" or "text", or null if unsupported
+ */
+function getDocumentFormat(fileName) {
+  return DOCUMENT_FORMATS[path.extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Derive the URL identifying a document in the knowledge base
+ * Re-ingesting a document with the same name replaces its chunks
+ * @param {string} name - Path relative to the documents directory, or the uploaded file name
+ * @returns {string} - e.g. document:guides/onboarding.pdf
+ */
+function getDocumentUrl(name) {
+  return `document:${name.split(path.sep).join('/')}`;
+}
+
+/**
+ * Get the format of an indexed page
+ * Documents are identified by their extension; other pages are scraped HTML unless
+ * they recorded a format of their own at ingestion
+ * @param {string} url - Page URL
+ * @returns {string} - "markdown", "pdf", "docx", "html" or "text"
+ */
+function getPageFormat(url) {
+  if (url.startsWith('document:')) {
+    return getDocumentFormat(url) || 'text';
+  }
+  return 'html';
+}
+
+/**
+ * Turn a file name into a readable title, e.g. "product-sheet_v2.pdf" => "Product Sheet V2"
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+function titleFromFileName(fileName) {
+  return path.basename(fileName, path.extname(fileName))
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Convert Markdown to plain text, keeping headings, list items and paragraphs on their own lines
+ * @param {string} markdown - Markdown source
+ * @returns {Object} - { title, text, sections } where title comes from front matter or the first
+ *   heading and sections lists each paragraph with its heading path, as from assignSections
+ */
+function extractTextFromMarkdown(markdown) {
+  let source = markdown.replace(/\r\n?/g, '\n');
+  let title = null;
+
+  // YAML front matter may carry the title
+  const frontMatter = source.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || null;
+    source = source.slice(frontMatter[0].length);
+  }
+
+  // Headings and paragraphs in order; lines of one paragraph are joined and blank lines separate paragraphs
+  const blocks = [];
+  let paragraph = [];
+  let inCodeBlock = false;
+
+  const flushParagraph = () => {
+    const text = paragraph.map(line => line.trim()).filter(Boolean).join(' ');
+    if (text) blocks.push({ text, level: 0 });
+    paragraph = [];
+  };
+
+  for (const line of source.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    if (inCodeBlock) {
+      paragraph.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      title = title || heading[2];
+      blocks.push({ text: heading[2], level: heading[1].length });
+      continue;
+    }
+
+    paragraph.push(line
+      .replace(/^\s*>\s?/, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+/, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2'));
+  }
+
+  flushParagraph();
+
+  return {
+    title: title && title.trim(),
+    text: blocks.map(block => block.text).join('\n\n'),
+    sections: assignSections(blocks)
+  };
+}
+
+/**
+ * Extract the text and title of a document
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {Promise<Object>} - { title, text, sections }; title is null when the document has none and
+ *   sections (the paragraphs with their heading paths) is only set for Markdown and HTML
+ * @throws {Error} - If the format is unsupported or the file cannot be read
+ */
+async function extractDocumentText(buffer, fileName) {
+  const format = getDocumentFormat(fileName);
+
+  switch (format) {
+    case 'markdown':
+      return extractTextFromMarkdown(buffer.toString('utf8'));
+
+    case 'pdf': {
+      // pdf.js reads the whole underlying ArrayBuffer, so small Buffers carved out of
+      // Node's shared pool must be copied into their own memory first
+      const pdf = await pdfParse(new Uint8Array(buffer));
+      // Lines are wrapped at the page width; keep page breaks as paragraph breaks
+      const text = pdf.text
+        .split(/\n\s*\n/)
+        .map(block => block.replace(/\s*\n\s*/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+      return { title: pdf.info?.Title?.trim() || null, text };
+    }
+
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { title: null, text: value.replace(/\n{3,}/g, '\n\n').trim() };
+    }
+
+    case 'html': {
+      const html = buffer.toString('utf8');
+      return {
+        title: extractPageMetadata(html, getDocumentUrl(fileName)).title || null,
+        text: extractTextFromHtml(html),
+        sections: extractSectionsFromHtml(html)
+      };
+    }
+
+    case 'text':
+      return { title: null, text: buffer.toString('utf8').replace(/\r\n?/g, '\n').trim() };
+
+    default:
+      throw new Error(`Unsupported document type: ${path.extname(fileName) || fileName}`);
+  }
+}
+
+/**
+ * Parse a document into a page ready for ingestion
+ * @param {Buffer} buffer - File content
+ * @param {string} name - Path relative to the documents directory, or the uploaded file name
+ * @param {Object} [options]
+ * @param {string} [options.source='file'] - Recorded in chunk metadata
+ * @returns {Promise<Object>} - Page in the shape produced by parseContent, with source and fileName
+ * @throws {Error} - If the document cannot be read or contains no text
+ */
+async function parseDocument(buffer, name, { source = 'file' } = {}) {
+  const { title, text, sections } = await extractDocumentText(buffer, name);
+
+  if (!text.trim()) {
+    throw new Error(`No text found in ${name}`);
+  }
+
+  const pageName = title || titleFromFileName(name);
+
+  return {
+    ...parseContent(sections || text, pageName, getDocumentUrl(name)),
+    source,
+    format: getDocumentFormat(name),
+    fileName: path.basename(name)
+  };
+}
+
+/**
+ * List the supported documents in a directory and its subdirectories
+ * @param {string} dir - Directory to search
+ * @returns {Promise<Array<string>>} - Absolute paths, sorted
+ */
+async function findDocuments(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findDocuments(fullPath));
+    } else if (entry.isFile() && getDocumentFormat(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Load every supported document from a directory
+ * @param {string} dir - Directory to load (DOCUMENTS_DIR)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.failed] - Receives { url, reason } for documents that could not be read
+ * @returns {Promise<Array<Object>>} - Pages in the shape produced by parseContent, with source "file"
+ */
+async function loadDocuments(dir, { failed = [] } = {}) {
+  const root = path.resolve(dir);
+  let files;
+
+  try {
+    files = await findDocuments(root);
+  } catch (error) {
+    failed.push({ url: getDocumentUrl(root), reason: error.message });
+    console.error(`✗ Could not read documents directory ${root}:`, error.message);
+    return [];
+  }
+
+  const pages = [];
+
+  for (const file of files) {
+    const name = path.relative(root, file);
+
+    try {
+      const page = await parseDocument(await fs.promises.readFile(file), name);
+      pages.push(page);
+      console.log(`✓ Loaded ${name}: ${page.content.length} content chunks`);
+    } catch (error) {
+      failed.push({ url: getDocumentUrl(name), reason: error.message });
+      console.error(`✗ Failed to load ${name}:`, error.message);
+    }
+  }
+
+  return pages;
+}
+
+module.exports = {
+  loadDocuments,
+  parseDocument,
+  extractDocumentText,
+  extractTextFromMarkdown,
+  getDocumentFormat,
+  getDocumentUrl,
+  getPageFormat,
+  SUPPORTED_EXTENSIONS: Object.keys(DOCUMENT_FORMATS)
+};
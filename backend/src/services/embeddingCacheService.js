@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { loadJson, saveJson } = require('./storageService');
+const { encodeVector, decodeVector } = require('./vectorIndexService');
+const { envInt } = require('./configService');
+
+/**
+ * Embedding Cache Service
+ * Content-addressed cache of embeddings, keyed by a hash of the model name and text,
+ * so unchanged chunks are not re-embedded on refresh. Persisted between runs.
+ *
+ * Vectors are held as Float32Array and saved as base64 of their bytes, which keeps
+ * 20,000 embeddings of 1,536 dimensions to about 120 MB of memory and 165 MB on disk.
+ */
+
+const CACHE_FILE = 'embedding-cache.json';
+const DEFAULT_MAX_ENTRIES = 20000;
+
+// Map preserves insertion order; entries are re-inserted on use so the oldest are evicted first
+let cache = new Map();
+let loadPromise = null;
+let dirty = false;
+
+/**
+ * Maximum number of cached embeddings (EMBEDDING_CACHE_MAX_ENTRIES, 0 disables the cache)
+ * @returns {number}
+ */
+function getMaxEntries() {
+  return envInt('EMBEDDING_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES);
+}
+
+/**
+ * Build the cache key for a text embedded with a given model
+ * @param {string} model - Embedding model name
+ * @param {string} text - Text that was embedded
+ * @returns {string} - SHA-256 hex digest
+ */
+function getCacheKey(model, text) {
+  return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+}
+
+/**
+ * Load the persisted cache once per process
+ * @returns {Promise<void>}
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = loadJson(CACHE_FILE).then(saved => {
+      if (saved && Array.isArray(saved.entries)) {
+        // Entries added before the load finished are newer; keep them last
+        const current = cache;
+        cache = new Map(saved.entries.map(([key, vector]) => [key, decodeVector(vector)]));
+        for (const [key, embedding] of current) {
+          cache.delete(key);
+          cache.set(key, embedding);
+        }
+        console.log(`📂 Loaded ${saved.entries.length} cached embeddings`);
+      }
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Look up embeddings for several texts
+ * @param {string} model - Embedding model name
+ * @param {Array<string>} texts - Texts to look up
+ * @returns {Promise<Array<Array<number>|null>>} - Cached embedding per text (a fresh array), or null on a miss
+ */
+async function getCachedEmbeddings(model, texts) {
+  if (getMaxEntries() === 0) {
+    return texts.map(() => null);
+  }
+
+  await ensureLoaded();
+
+  return texts.map(text => {
+    const key = getCacheKey(model, text);
+    const embedding = cache.get(key);
+    if (!embedding) return null;
+
+    // Mark as recently used
+    cache.delete(key);
+    cache.set(key, embedding);
+    return Array.from(embedding);
+  });
+}
+
+/**
+ * Store embeddings for several texts, evicting the least recently used entries beyond the limit
+ * @param {string} model - Embedding model name
+ * @param {Array<string>} texts - Texts that were embedded
+ * @param {Array<Array<number>>} embeddings - Embedding per text
+ */
+function setCachedEmbeddings(model, texts, embeddings) {
+  const maxEntries = getMaxEntries();
+  if (maxEntries === 0) return;
+
+  texts.forEach((text, i) => {
+    const key = getCacheKey(model, text);
+    cache.delete(key);
+    cache.set(key, Float32Array.from(embeddings[i]));
+  });
+
+  for (const key of cache.keys()) {
+    if (cache.size <= maxEntries) break;
+    cache.delete(key);
+  }
+
+  dirty = true;
+}
+
+/**
+ * Persist the cache if it changed since the last save
+ * Failures are logged rather than thrown; a missing cache only costs re-embedding
+ * @returns {Promise<boolean>} - True if the cache was written
+ */
+async function saveEmbeddingCache() {
+  if (!dirty) return false;
+
+  // Entries added while the file is written mark the cache dirty again
+  dirty = false;
+
+  try {
+    const entries = [...cache.entries()].map(([key, vector]) => [key, encodeVector(vector)]);
+    const filePath = await saveJson(CACHE_FILE, { entries });
+    return filePath !== null;
+  } catch (error) {
+    dirty = true;
+    console.error('Failed to save embedding cache:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the number of cached embeddings
+ * @returns {number}
+ */
+function getCacheSize() {
+  return cache.size;
+}
+
+/**
+ * Clear the in-memory cache and forget any loaded state
+ * The persisted file is left alone and will be re-read on next use
+ */
+function clearEmbeddingCache() {
+  cache = new Map();
+  loadPromise = null;
+  dirty = false;
+}
+
+module.exports = {
+  getCacheKey,
+  getCachedEmbeddings,
+  setCachedEmbeddings,
+  saveEmbeddingCache,
+  getCacheSize,
+  clearEmbeddingCache
+};
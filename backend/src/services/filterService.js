@@ -0,0 +1,93 @@
+const { getPageFormat } = require('./documentService');
+
+/**
+ * Filter Service
+ * Metadata filters that restrict retrieval to part of the knowledge base,
+ * e.g. only the pages related to the one the user is looking at
+ *
+ * A filter object can combine:
+ * - pageName: page name or list of page names
+ * - urlPrefix: URL prefix or list of prefixes
+ * - source: "web", "file", "upload" or "api", or a list of them
+ * - format: document type "html", "pdf", "docx", "markdown" or "text", or a list of them
+ * - ingestedAfter / ingestedBefore: date (ISO 8601) the page was scraped or uploaded
+ *
+ * Every given field must match; a list matches when any of its values does.
+ */
+
+const LIST_FILTERS = ['pageName', 'urlPrefix', 'source', 'format'];
+const DATE_FILTERS = ['ingestedAfter', 'ingestedBefore'];
+
+/**
+ * Create the error thrown for a malformed filter object
+ * @param {string} message - What is wrong
+ * @returns {Error} - With code INVALID_FILTERS
+ */
+function invalidFilters(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTERS';
+  return error;
+}
+
+/**
+ * Validate a filter object and bring it into the form used by matchesFilters
+ * @param {Object|null|undefined} filters - Filters as given by the caller
+ * @returns {Object|null} - Normalized filters, or null when nothing is filtered
+ * @throws {Error} - With code INVALID_FILTERS if a field is unknown or has the wrong type
+ */
+function parseFilters(filters) {
+  if (filters === null || filters === undefined) {
+    return null;
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw invalidFilters('filters must be an object');
+  }
+
+  const parsed = {};
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (LIST_FILTERS.includes(name)) {
+      const values = [].concat(value);
+      if (values.length === 0 || !values.every(item => typeof item === 'string' && item.trim() !== '')) {
+        throw invalidFilters(`filters.${name} must be a non-empty string or a list of them`);
+      }
+      parsed[name] = values.map(item => item.trim());
+    } else if (DATE_FILTERS.includes(name)) {
+      const time = typeof value === 'string' ? Date.parse(value) : NaN;
+      if (Number.isNaN(time)) {
+        throw invalidFilters(`filters.${name} must be an ISO 8601 date`);
+      }
+      parsed[name] = time;
+    } else {
+      throw invalidFilters(`Unknown filter "${name}". Available: ${[...LIST_FILTERS, ...DATE_FILTERS].join(', ')}`);
+    }
+  }
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+}
+
+/**
+ * Check whether a chunk satisfies the filters
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} filters - Filters from parseFilters
+ * @returns {boolean}
+ */
+function matchesFilters(metadata, filters) {
+  const { pageName, urlPrefix, source, format, ingestedAfter, ingestedBefore } = filters;
+  const ingestedAt = Date.parse(metadata.scrapedAt);
+
+  return (!pageName || pageName.includes(metadata.pageName)) &&
+    (!urlPrefix || urlPrefix.some(prefix => (metadata.url || '').startsWith(prefix))) &&
+    // Chunks persisted before sources were recorded were scraped
+    (!source || source.includes(metadata.source || 'web')) &&
+    // Chunks persisted before formats were recorded take the format of their page
+    (!format || format.includes(metadata.format || getPageFormat(metadata.url || ''))) &&
+    (ingestedAfter === undefined || ingestedAt >= ingestedAfter) &&
+    (ingestedBefore === undefined || ingestedAt <= ingestedBefore);
+}
+
+module.exports = {
+  parseFilters,
+  matchesFilters
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { getProvider } = require('./llmService');
+const { envInt } = require('./configService');
+
+/**
+ * History Summary Service
+ * Keeps long conversations cheap by replacing their older turns with a running summary
+ *
+ * Clients send the whole conversation with every message. Once it is longer than
+ * HISTORY_SUMMARY_THRESHOLD messages, all but the last HISTORY_RECENT_MESSAGES are
+ * summarized by the chat model and the recent ones are kept verbatim. Summaries are
+ * cached by a hash of the messages they cover, so the next turn only folds the
+ * messages that have since left the recent window into the previous summary.
+ */
+
+const DEFAULT_THRESHOLD = 10;
+const DEFAULT_RECENT_MESSAGES = 6;
+const DEFAULT_SUMMARY_MAX_TOKENS = 300;
+const MAX_CACHED_SUMMARIES = 500;
+
+// Map preserves insertion order; entries are re-inserted on use so the oldest are evicted first
+const summaries = new Map();
+
+/**
+ * Read history summary configuration from the environment
+ * @returns {Object} - { threshold, recentMessages, maxTokens }; a threshold of 0 turns summaries off
+ */
+function getSummaryConfig() {
+  return {
+    threshold: envInt('HISTORY_SUMMARY_THRESHOLD', DEFAULT_THRESHOLD),
+    recentMessages: envInt('HISTORY_RECENT_MESSAGES', DEFAULT_RECENT_MESSAGES),
+    maxTokens: envInt('HISTORY_SUMMARY_MAX_TOKENS', DEFAULT_SUMMARY_MAX_TOKENS)
+  };
+}
+
+/**
+ * Hash every prefix of a conversation, each hash chained from the one before
+ * @param {string} model - Chat model that writes the summaries
+ * @param {Array<Object>} messages - { role, content } messages
+ * @returns {Array<string>} - keys[n] identifies the first n messages
+ */
+function getPrefixKeys(model, messages) {
+  const keys = [crypto.createHash('sha256').update(model).digest('hex')];
+
+  for (const message of messages) {
+    keys.push(crypto.createHash('sha256').update(`${keys[keys.length - 1]}\n${message.role}\n${message.content}`).digest('hex'));
+  }
+
+  return keys;
+}
+
+/**
+ * Build the prompt that folds messages into a running summary
+ * @param {string|null} summary - Summary of the messages before them
+ * @param {Array<Object>} messages - Messages to add
+ * @returns {Array<Object>} - Chat messages
+ */
+function buildSummaryPrompt(summary, messages) {
+  const transcript = messages.map(message => `${message.role === 'assistant' ? 'Agent' : 'Customer'}: ${message.content}`).join('\n\n');
+  const previous = summary ? `Summary so far:\n${summary}\n\nNew messages:\n\n` : 'Conversation:\n\n';
+
+  return [
+    {
+      role: 'system',
+      content: 'You summarize a customer support conversation for the agent who continues it. Keep what the customer asked for, facts they gave about themselves and their organisation, answers and commitments the agent made, and open questions. Reply with the updated summary only, in a few short sentences or bullet points.'
+    },
+    { role: 'user', content: `${previous}${transcript}` }
+  ];
+}
+
+/**
+ * Remember a summary, evicting the least recently used once the cache is full
+ * @param {string} key - Prefix key
+ * @param {string} summary - Summary of that prefix
+ */
+function cacheSummary(key, summary) {
+  summaries.delete(key);
+  summaries.set(key, summary);
+
+  if (summaries.size > MAX_CACHED_SUMMARIES) {
+    summaries.delete(summaries.keys().next().value);
+  }
+}
+
+/**
+ * Replace the older turns of a long conversation with a running summary
+ * If summarizing fails the full history is returned, so the answer is still given
+ * @param {Array<Object>} history - { role, content } messages, oldest first
+ * @param {Object} options - Summary options
+ * @param {AbortSignal} [options.signal] - Aborts the summary request
+ * @returns {Promise<Object>} - { summary, history, summarizedMessages }: summary is null when nothing was summarized
+ */
+async function summarizeHistory(history, { signal } = {}) {
+  const { threshold, recentMessages, maxTokens } = getSummaryConfig();
+
+  if (threshold === 0 || history.length <= threshold) {
+    return { summary: null, history, summarizedMessages: 0 };
+  }
+
+  const provider = getProvider();
+  const summarizedMessages = Math.max(history.length - recentMessages, 0);
+  const older = history.slice(0, summarizedMessages).map(message => ({ role: message.role, content: message.content }));
+  const keys = getPrefixKeys(provider.chatModel, older);
+
+  // Start from the longest prefix summarized on an earlier turn
+  let covered = summarizedMessages;
+  while (covered > 0 && !summaries.has(keys[covered])) {
+    covered--;
+  }
+
+  let summary = covered > 0 ? summaries.get(keys[covered]) : null;
+
+  if (covered < summarizedMessages) {
+    try {
+      const completion = await provider.chat({
+        messages: buildSummaryPrompt(summary, older.slice(covered)),
+        maxTokens,
+        temperature: 0,
+        signal
+      });
+      summary = completion.content.trim();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error('Summarizing conversation history failed, sending it in full:', error.message);
+      return { summary: null, history, summarizedMessages: 0 };
+    }
+  }
+
+  cacheSummary(keys[summarizedMessages], summary);
+
+  return {
+    summary,
+    history: history.slice(summarizedMessages),
+    summarizedMessages
+  };
+}
+
+/**
+ * Forget every cached summary
+ */
+function clearSummaryCache() {
+  summaries.clear();
+}
+
+module.exports = {
+  getSummaryConfig,
+  summarizeHistory,
+  clearSummaryCache
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Job Service
+ * Tracks long-running background work (such as knowledge base refreshes) in memory
+ * so clients can poll or stream its progress instead of holding a request open
+ */
+
+// Finished jobs kept for clients that poll after completion; running jobs are never dropped
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+const events = new EventEmitter();
+
+// Any number of progress streams may follow the same job
+events.setMaxListeners(0);
+
+/**
+ * Copy a job so callers cannot modify the tracked state
+ * @param {Object} job - Tracked job
+ * @returns {Object}
+ */
+function snapshot(job) {
+  return {
+    ...job,
+    progress: { ...job.progress },
+    errors: [...job.errors]
+  };
+}
+
+/**
+ * Notify subscribers of a job change
+ * @param {Object} job - Tracked job
+ */
+function publish(job) {
+  events.emit(job.id, snapshot(job));
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(job => job.status !== 'running');
+
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Start tracking a job
+ * @param {string} type - Kind of work, e.g. "refresh"
+ * @returns {Object} - The new job: { id, type, status, phase, createdAt, updatedAt, finishedAt, progress, errors, etaSeconds, result, error }
+ */
+function createJob(type) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'running',
+    phase: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    progress: {},
+    errors: [],
+    etaSeconds: null,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  pruneJobs();
+  return snapshot(job);
+}
+
+/**
+ * Record progress of a running job
+ * @param {string} id - Job id
+ * @param {Object} changes - Any of { phase, progress, etaSeconds, error }; progress is merged and
+ *   error ({ phase, url, message }) is appended to the job's errors
+ */
+function updateJob(id, { phase, progress, etaSeconds, error } = {}) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'running') return;
+
+  if (phase !== undefined) job.phase = phase;
+  if (progress) Object.assign(job.progress, progress);
+  if (etaSeconds !== undefined) job.etaSeconds = etaSeconds;
+  if (error) job.errors.push(error);
+  job.updatedAt = new Date().toISOString();
+
+  publish(job);
+}
+
+/**
+ * Mark a job as finished
+ * @param {string} id - Job id
+ * @param {Object} outcome - { result } on success or { error } (an Error) on failure
+ */
+function finishJob(id, { result = null, error = null }) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'running') return;
+
+  job.status = error ? 'failed' : 'completed';
+  job.phase = job.status;
+  job.result = result;
+  job.error = error ? error.message : null;
+  job.etaSeconds = error ? null : 0;
+  job.finishedAt = job.updatedAt = new Date().toISOString();
+
+  publish(job);
+  pruneJobs();
+}
+
+/**
+ * Get a job
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job, or null if unknown or pruned
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+/**
+ * Follow the changes of a job
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with the job after every change
+ * @returns {Function} - Stops following the job
+ */
+function subscribeToJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  finishJob,
+  getJob,
+  subscribeToJob
+};
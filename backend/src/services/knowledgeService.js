@@ -1,5 +1,23 @@
-const { scrapeAllPages } = require('./scraperService');
-const { ingestContent, isInitialized, getStatus, clearVectorStore } = require('./ragService');
+const path = require('path');
+const { scrapeAllPages, scrapePage, parseContent, getPageName, getCrawlOrigins } = require('./scraperService');
+const { loadDocuments, parseDocument, getDocumentUrl } = require('./documentService');
+const {
+  ingestContent,
+  upsertPage,
+  upsertPages,
+  deletePage,
+  getPages,
+  getPageId,
+  getVersions,
+  activateVersion,
+  isInitialized,
+  getStatus,
+  getPageValidators,
+  loadVectorStore
+} = require('./ragService');
+const { parseCron, getNextCronTime } = require('./cronService');
+const { envInt } = require('./configService');
+const { createJob, updateJob, finishJob, getJob, subscribeToJob } = require('./jobService');
 
 /**
  * Knowledge Service
@@ -9,12 +27,26 @@ const { ingestContent, isInitialized, getStatus, clearVectorStore } = require('.
 let initializationPromise = null;
 let initializationError = null;
 
+const DEFAULT_MAX_BACKOFF_MINUTES = 24 * 60;
+
+// setTimeout cannot wait longer than about 24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Background refresh state; null while the scheduler is stopped
+let scheduler = null;
+
+// Id of the most recent refresh job
+let refreshJobId = null;
+
 /**
  * Initialize the knowledge base by scraping thoughtful.ai and ingesting into RAG
  * @param {boolean} force - Force re-initialization even if already initialized
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Receives { phase, done, total, progress, error } while
+ *   scraping and embedding; not called when joining an initialization already in progress
  * @returns {Promise<Object>} - Initialization result
  */
-async function initializeKnowledgeBase(force = false) {
+async function initializeKnowledgeBase(force = false, options = {}) {
   // If already initialized and not forcing, return current status
   if (isInitialized() && !force) {
     console.log('📘 Knowledge base already initialized');
@@ -32,7 +64,7 @@ async function initializeKnowledgeBase(force = false) {
   }
   
   // Start initialization
-  initializationPromise = performInitialization(force);
+  initializationPromise = performInitialization(force, options.onProgress);
   
   try {
     const result = await initializationPromise;
@@ -48,28 +80,90 @@ async function initializeKnowledgeBase(force = false) {
 
 /**
  * Perform the actual initialization
- * @param {boolean} force - Force clear existing data
+ * Loads the persisted vector store when available, otherwise scrapes and ingests.
+ * Pages already indexed are re-fetched conditionally; unchanged ones keep their chunks
+ * and only changed pages are re-embedded.
+ *
+ * The live index keeps answering queries throughout: the new index is built on the side
+ * and swapped in only once ingestion succeeds. If scraping or ingestion fails, the
+ * previous index stays in place.
+ * @param {boolean} force - Skip the persisted store and re-scrape
+ * @param {Function} [onProgress] - Progress callback, see initializeKnowledgeBase
  * @returns {Promise<Object>}
  */
-async function performInitialization(force) {
+async function performInitialization(force, onProgress = () => {}) {
   const startTime = Date.now();
   console.log('🚀 Starting knowledge base initialization...');
   
   try {
-    // Clear existing data if forcing
-    if (force) {
-      clearVectorStore();
+    // Reuse the index persisted by a previous run instead of re-scraping
+    if (!force && await loadVectorStore()) {
+      const duration = Date.now() - startTime;
+      console.log(`🎉 Knowledge base loaded from disk in ${duration}ms`);
+      
+      return {
+        success: true,
+        message: 'Knowledge base loaded from disk',
+        duration,
+        status: getStatus()
+      };
     }
     
     // Step 1: Scrape content from thoughtful.ai
-    const scrapedContent = await scrapeAllPages();
+    const skipped = [];
+    const failed = [];
+    onProgress({ phase: 'scraping', done: 0, total: 0 });
+    const scrapedContent = await scrapeAllPages({
+      validators: getPageValidators(),
+      skipped,
+      failed,
+      onProgress: ({ url, done, scraped, total, error }) => onProgress({
+        phase: 'scraping',
+        done,
+        total,
+        progress: { pagesScraped: scraped, pagesTotal: total },
+        error: error && { url, message: error }
+      })
+    });
+    
+    // Step 2: Load internal documents, which are re-read on every refresh
+    // They do not depend on the site, so an offline or air-gapped server still gets them
+    const documentsDir = (process.env.DOCUMENTS_DIR || '').trim();
+    const documentFailures = [];
+    let documents = [];
+    
+    if (documentsDir) {
+      onProgress({ phase: 'documents', done: 0, total: 0 });
+      documents = await loadDocuments(documentsDir, { failed: documentFailures });
+    }
+    
+    if (scrapedContent.length === 0 && documents.length === 0) {
+      throw new Error('No content was scraped from thoughtful.ai and no documents were loaded');
+    }
     
-    if (scrapedContent.length === 0) {
-      throw new Error('No content was scraped from thoughtful.ai');
+    // A site that is down must not take its pages out of the knowledge base
+    if (scrapedContent.length === 0 && getPages().some(page => page.source === 'web')) {
+      throw new Error('No page could be fetched from thoughtful.ai; the current knowledge base is kept');
     }
     
-    // Step 2: Ingest content into RAG system
-    const ingestionResult = await ingestContent(scrapedContent);
+    const changedPages = scrapedContent.filter(page => !page.notModified);
+    const unchangedPages = scrapedContent.filter(page => page.notModified);
+    
+    // Step 3: Ingest changed pages and documents into RAG system, keeping the chunks of unchanged pages
+    // and of pages and documents that could not be read this time
+    const ingestionResult = await ingestContent([...changedPages, ...documents], {
+      retainUrls: [
+        ...unchangedPages.map(page => page.url),
+        ...getUnreachableUrls(failed, skipped, documentFailures, documentsDir)
+      ],
+      onProgress: ({ done, embedded, total, error }) => onProgress({
+        phase: 'embedding',
+        done,
+        total,
+        progress: { chunksEmbedded: embedded, chunksTotal: total },
+        error: error && { pages: error.pages, message: error.message }
+      })
+    });
     
     const duration = Date.now() - startTime;
     
@@ -81,7 +175,21 @@ async function performInitialization(force) {
       duration,
       scraping: {
         pagesScraped: scrapedContent.length,
-        pages: scrapedContent.map(p => p.pageName)
+        pages: scrapedContent.map(p => p.pageName),
+        changed: changedPages.length,
+        unchanged: unchangedPages.length,
+        failed: failed.length,
+        // URLs that could not be fetched; their previous chunks are kept unless the page is gone (404 or 410)
+        failures: failed,
+        // URLs not fetched because robots.txt disallowed them or could not be read; the previous chunks
+        // of every page on a host whose robots.txt could not be read are kept
+        skipped
+      },
+      documents: {
+        loaded: documents.length,
+        names: documents.map(doc => doc.pageName),
+        // Files in DOCUMENTS_DIR that could not be read; their previous chunks are kept
+        failures: documentFailures
       },
       ingestion: ingestionResult
     };
@@ -91,6 +199,40 @@ async function performInitialization(force) {
   }
 }
 
+/**
+ * Get the pages whose previous chunks a refresh keeps because they could not be read
+ * A failed fetch is usually transient (timeout, 5xx), so the page stays in the knowledge base
+ * until the next refresh; pages that answer 404 or 410 were removed and are dropped.
+ * An unreachable robots.txt is just as transient: every indexed page of its host is kept,
+ * including pages a crawl never reached. Pages robots.txt disallows are dropped.
+ * @param {Array<Object>} failed - { url, reason, status } per page that could not be fetched
+ * @param {Array<Object>} skipped - { url, reason, code } per page skipped because of robots.txt
+ * @param {Array<Object>} documentFailures - { url, reason } per document that could not be read
+ * @param {string} documentsDir - DOCUMENTS_DIR
+ * @returns {Array<string>} - URLs to retain
+ */
+function getUnreachableUrls(failed, skipped, documentFailures, documentsDir) {
+  const urls = failed
+    .filter(failure => failure.status !== 404 && failure.status !== 410)
+    .map(failure => failure.url);
+  
+  const unavailableOrigins = new Set(skipped
+    .filter(skip => skip.code === 'ROBOTS_UNAVAILABLE')
+    .map(skip => new URL(skip.url).origin));
+  if (unavailableOrigins.size > 0) {
+    urls.push(...getPages()
+      .filter(page => page.source === 'web' && unavailableOrigins.has(new URL(page.url).origin))
+      .map(page => page.url));
+  }
+  
+  // An unreadable documents directory keeps every document loaded from it
+  if (documentsDir && documentFailures.some(failure => failure.url === getDocumentUrl(path.resolve(documentsDir)))) {
+    urls.push(...getPages().filter(page => page.source === 'file').map(page => page.url));
+  }
+  
+  return [...urls, ...documentFailures.map(failure => failure.url)];
+}
+
 /**
  * Get the current status of the knowledge base
  * @returns {Object}
@@ -102,8 +244,10 @@ function getKnowledgeBaseStatus() {
     initialized: ragStatus.initialized,
     documentCount: ragStatus.documentCount,
     lastUpdated: ragStatus.lastUpdated,
+    version: ragStatus.version,
     error: initializationError ? initializationError.message : null,
-    isInitializing: initializationPromise !== null
+    isInitializing: initializationPromise !== null,
+    refreshSchedule: getRefreshScheduleStatus()
   };
 }
 
@@ -116,17 +260,466 @@ function isKnowledgeBaseReady() {
 }
 
 /**
- * Refresh the knowledge base (scrape and re-ingest)
+ * Refresh the knowledge base (scrape and re-ingest pages that changed)
+ * @param {Object} [options] - Options for initializeKnowledgeBase, e.g. onProgress
  * @returns {Promise<Object>}
  */
-async function refreshKnowledgeBase() {
-  return initializeKnowledgeBase(true);
+async function refreshKnowledgeBase(options = {}) {
+  return initializeKnowledgeBase(true, options);
+}
+
+/**
+ * Turn refresh progress into job updates, estimating the time left in each phase
+ * from the rate at which it has progressed so far
+ * @param {string} jobId - Job id
+ * @returns {Function} - Progress callback for refreshKnowledgeBase
+ */
+function createJobReporter(jobId) {
+  let phase = null;
+  let phaseStartedAt = 0;
+  
+  return ({ phase: current, done, total, progress, error }) => {
+    if (current !== phase) {
+      phase = current;
+      phaseStartedAt = Date.now();
+    }
+    
+    const elapsed = Date.now() - phaseStartedAt;
+    const etaSeconds = done > 0 && total >= done
+      ? Math.round(elapsed / done * (total - done) / 1000)
+      : null;
+    
+    updateJob(jobId, {
+      phase: current,
+      progress,
+      etaSeconds,
+      error: error && { phase: current, ...error }
+    });
+  };
+}
+
+/**
+ * Run a fresh refresh once any refresh or initialization in progress has finished
+ * Joining one already running would return pages fetched before it was asked for
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - Refresh result
+ */
+async function refreshAfterRunning(onProgress) {
+  while (initializationPromise) {
+    await waitForInitialization();
+  }
+  
+  return refreshKnowledgeBase({ onProgress });
+}
+
+/**
+ * Start a refresh in the background and track its progress as a job
+ * Only one refresh job runs at a time; while one is running it is returned instead
+ * @returns {Object} - { job, started } where started is false if the running job was returned
+ */
+function startRefreshJob() {
+  const running = refreshJobId && getJob(refreshJobId);
+  if (running && running.status === 'running') {
+    return { job: running, started: false };
+  }
+  
+  const job = createJob('refresh');
+  refreshJobId = job.id;
+  
+  // A refresh started elsewhere (e.g. by the scheduler) finishes first, then this one runs
+  if (initializationPromise) {
+    updateJob(job.id, { phase: 'waiting' });
+  }
+  
+  refreshAfterRunning(createJobReporter(job.id))
+    .then(result => finishJob(job.id, { result }))
+    .catch(error => finishJob(job.id, { error }));
+  
+  return { job: getJob(job.id), started: true };
+}
+
+/**
+ * Get a knowledge base job
+ * @param {string} id - Job id
+ * @returns {Object|null} - { id, type, status, phase, progress, errors, etaSeconds, result, error, ... }, or null if unknown
+ */
+function getKnowledgeJob(id) {
+  return getJob(id);
+}
+
+/**
+ * Follow the progress of a knowledge base job
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with the job after every change
+ * @returns {Function} - Stops following the job
+ */
+function subscribeToKnowledgeJob(id, listener) {
+  return subscribeToJob(id, listener);
+}
+
+/**
+ * Wait for an initialization or refresh in progress, ignoring its outcome
+ * Page changes made meanwhile would otherwise be overwritten when it finishes
+ * @returns {Promise<void>}
+ */
+async function waitForInitialization() {
+  if (initializationPromise) {
+    await initializationPromise.catch(() => {});
+  }
+}
+
+/**
+ * List the pages in the knowledge base
+ * @returns {Array<Object>} - { id, url, pageName, source, scrapedAt, chunkCount }
+ */
+function getKnowledgePages() {
+  return getPages();
+}
+
+/**
+ * Add or replace a single page without rebuilding the rest of the knowledge base
+ * The page is scraped from its URL unless its content is provided. Only URLs on the origins
+ * of the crawl seed URLs are scraped, so callers cannot make the server fetch internal addresses;
+ * pages elsewhere need their content. Pages added this way are kept across refreshes until deleted.
+ * @param {Object} input - Page to upsert
+ * @param {string} input.url - Page URL (identifies the page)
+ * @param {string} [input.pageName] - Display name (defaults to the page title or URL)
+ * @param {string|Array<string>} [input.content] - Page text; paragraphs separated by blank lines
+ * @returns {Promise<Object>} - Upsert result with the page id and ingestion statistics
+ * @throws {Error} - With code URL_NOT_ALLOWED for a URL to scrape outside the crawl origins
+ */
+async function upsertKnowledgePage({ url, pageName, content }) {
+  if (content === undefined) {
+    const origins = getCrawlOrigins();
+    if (!origins.has(new URL(url).origin)) {
+      throw Object.assign(
+        new Error(`Only pages on ${[...origins].join(', ')} can be scraped; provide the content of other pages`),
+        { code: 'URL_NOT_ALLOWED' }
+      );
+    }
+  }
+  
+  await waitForInitialization();
+  
+  const page = content === undefined
+    ? await scrapePage(url, pageName)
+    : { ...parseContent([].concat(content).join('\n\n'), pageName || getPageName('', url), url), format: 'text' };
+  
+  const ingestion = await upsertPage(page);
+  const indexed = getPages().find(p => p.url === url);
+  
+  return {
+    success: true,
+    message: ingestion.chunksRemoved > 0 ? 'Page updated' : 'Page added',
+    page: indexed || { id: getPageId(url), url, pageName: page.pageName, chunkCount: 0 },
+    ingestion
+  };
+}
+
+/**
+ * Add or replace uploaded documents without rebuilding the rest of the knowledge base
+ * Each document is identified by its file name; uploading a file with the same name replaces it.
+ * The documents of one upload are embedded together and make up a single version, so the
+ * knowledge base from before the upload can be activated again. Uploaded documents are kept
+ * across refreshes until deleted.
+ * @param {Array<Object>} files - { name, buffer } per uploaded file
+ * @returns {Promise<Object>} - { success, message, documents, failed, ingestion } where documents lists the
+ *   indexed page and the chunks added and removed per file, failed lists { fileName, reason } and
+ *   ingestion holds the statistics of the upload (null when no document could be read)
+ */
+async function addKnowledgeDocuments(files) {
+  await waitForInitialization();
+  
+  // A file uploaded twice in one request is indexed once, from its last copy
+  const parsed = new Map();
+  const failed = [];
+  
+  for (const file of files) {
+    const fileName = path.basename(file.name);
+    
+    try {
+      const page = await parseDocument(file.buffer, fileName, { source: 'upload' });
+      parsed.delete(page.url);
+      parsed.set(page.url, { fileName, page });
+    } catch (error) {
+      console.error(`Failed to add document ${fileName}:`, error.message);
+      failed.push({ fileName, reason: error.message });
+    }
+  }
+  
+  const documents = [];
+  let ingestion = null;
+  
+  if (parsed.size > 0) {
+    const uploads = [...parsed.values()];
+    
+    try {
+      const { pages, ...stats } = await upsertPages(uploads.map(upload => upload.page), { source: 'upload', reason: 'upload' });
+      ingestion = stats;
+      
+      pages.forEach(({ url, pageName, chunksAdded, chunksRemoved }, i) => {
+        const indexed = getPages().find(p => p.url === url);
+        documents.push({
+          fileName: uploads[i].fileName,
+          page: indexed || { id: getPageId(url), url, pageName, chunkCount: 0 },
+          ingestion: { chunksAdded, chunksRemoved }
+        });
+      });
+    } catch (error) {
+      console.error('Failed to add documents:', error.message);
+      failed.push(...uploads.map(({ fileName }) => ({ fileName, reason: error.message })));
+    }
+  }
+  
+  return {
+    success: documents.length > 0,
+    message: `${documents.length} of ${files.length} documents added`,
+    documents,
+    failed,
+    ingestion
+  };
+}
+
+/**
+ * Remove a page from the knowledge base
+ * @param {string} id - Page id from getKnowledgePages
+ * @returns {Promise<Object|null>} - Removal result, or null if no such page is indexed
+ */
+async function deleteKnowledgePage(id) {
+  await waitForInitialization();
+  
+  const page = getPages().find(p => p.id === id);
+  if (!page) {
+    return null;
+  }
+  
+  const chunksRemoved = await deletePage(page.url);
+  
+  return {
+    success: true,
+    message: 'Page removed',
+    page: { id: page.id, url: page.url, pageName: page.pageName },
+    chunksRemoved
+  };
+}
+
+/**
+ * Read the background refresh schedule from the environment
+ * REFRESH_CRON takes precedence over REFRESH_INTERVAL_MINUTES
+ * @returns {Object|null} - { description, getNextTime(from) }, or null when no schedule is configured
+ * @throws {Error} - If REFRESH_CRON is malformed
+ */
+function getRefreshSchedule() {
+  const expression = (process.env.REFRESH_CRON || '').trim();
+  
+  if (expression) {
+    const cron = parseCron(expression);
+    return { description: `cron ${expression}`, getNextTime: from => getNextCronTime(cron, from) };
+  }
+  
+  const minutes = envInt('REFRESH_INTERVAL_MINUTES', 0);
+  if (minutes > 0) {
+    return { description: `every ${minutes} minutes`, getNextTime: from => from + minutes * 60 * 1000 };
+  }
+  
+  return null;
+}
+
+/**
+ * Find when the next scheduled refresh should run
+ * After consecutive failures the wait doubles each time by skipping scheduled runs,
+ * but no run is skipped that would push the wait beyond REFRESH_MAX_BACKOFF_MINUTES
+ * @param {Object} schedule - Schedule from getRefreshSchedule
+ * @param {number} from - Epoch milliseconds
+ * @param {number} failures - Consecutive failed refreshes
+ * @returns {number|null} - Epoch milliseconds, or null if the schedule never runs again
+ */
+function getNextRefreshTime(schedule, from, failures) {
+  const latest = from + envInt('REFRESH_MAX_BACKOFF_MINUTES', DEFAULT_MAX_BACKOFF_MINUTES) * 60 * 1000;
+  let next = schedule.getNextTime(from);
+  
+  for (let runs = 1; next !== null && runs < 2 ** failures; runs++) {
+    const later = schedule.getNextTime(next);
+    if (later === null || later > latest) break;
+    next = later;
+  }
+  
+  return next;
+}
+
+/**
+ * Set the timer for the next scheduled refresh
+ * @param {Object} state - Scheduler state
+ */
+function scheduleNextRefresh(state) {
+  const runAt = getNextRefreshTime(state.schedule, Date.now(), state.consecutiveFailures);
+  state.nextRunAt = runAt === null ? null : new Date(runAt).toISOString();
+  
+  if (runAt === null) {
+    console.warn(`⚠️ Refresh schedule (${state.schedule.description}) never runs again`);
+    return;
+  }
+  
+  const arm = () => {
+    state.timer = setTimeout(() => {
+      if (Date.now() < runAt) arm();
+      else runScheduledRefresh(state);
+    }, Math.min(Math.max(runAt - Date.now(), 0), MAX_TIMER_DELAY_MS));
+    
+    // Never keep the process alive just for the next refresh
+    state.timer.unref?.();
+  };
+  arm();
+}
+
+/**
+ * Run a scheduled refresh, unless one is already in progress, and schedule the next one
+ * @param {Object} state - Scheduler state
+ * @returns {Promise<void>}
+ */
+async function runScheduledRefresh(state) {
+  state.lastRunAt = new Date().toISOString();
+  
+  if (initializationPromise) {
+    state.lastRunStatus = 'skipped';
+    console.log('⏭️ Scheduled refresh skipped: a refresh is already in progress');
+  } else {
+    console.log('⏰ Starting scheduled knowledge base refresh');
+    
+    try {
+      await refreshKnowledgeBase();
+      state.lastRunStatus = 'success';
+      state.lastError = null;
+      state.consecutiveFailures = 0;
+    } catch (error) {
+      state.lastRunStatus = 'failed';
+      state.lastError = error.message;
+      state.consecutiveFailures++;
+    }
+  }
+  
+  // The scheduler may have been stopped or restarted during the refresh
+  if (scheduler === state) {
+    scheduleNextRefresh(state);
+    
+    if (state.lastRunStatus === 'failed') {
+      console.warn(`⚠️ Scheduled refresh failed ${state.consecutiveFailures} time(s) in a row; next attempt at ${state.nextRunAt}`);
+    }
+  }
+}
+
+/**
+ * Start refreshing the knowledge base in the background on the configured schedule
+ * Restarts the scheduler if it is already running
+ * @returns {Object|null} - Schedule status, or null when no valid schedule is configured
+ */
+function startRefreshScheduler() {
+  stopRefreshScheduler();
+  
+  let schedule;
+  try {
+    schedule = getRefreshSchedule();
+  } catch (error) {
+    console.warn(`⚠️ Scheduled refresh disabled: ${error.message}`);
+    return null;
+  }
+  
+  if (!schedule) {
+    return null;
+  }
+  
+  scheduler = {
+    schedule,
+    timer: null,
+    lastRunAt: null,
+    lastRunStatus: null,
+    lastError: null,
+    nextRunAt: null,
+    consecutiveFailures: 0
+  };
+  scheduleNextRefresh(scheduler);
+  
+  console.log(`⏰ Knowledge base refresh scheduled ${schedule.description}; next run at ${scheduler.nextRunAt}`);
+  return getRefreshScheduleStatus();
+}
+
+/**
+ * Stop the background refresh scheduler; a refresh already running is not interrupted
+ */
+function stopRefreshScheduler() {
+  if (scheduler) {
+    clearTimeout(scheduler.timer);
+    scheduler = null;
+  }
+}
+
+/**
+ * Describe the background refresh schedule
+ * @returns {Object} - { enabled, schedule, lastRunAt, lastRunStatus, lastError, nextRunAt, consecutiveFailures }
+ */
+function getRefreshScheduleStatus() {
+  if (!scheduler) {
+    return { enabled: false };
+  }
+  
+  const { schedule, lastRunAt, lastRunStatus, lastError, nextRunAt, consecutiveFailures } = scheduler;
+  
+  return {
+    enabled: true,
+    schedule: schedule.description,
+    lastRunAt,
+    lastRunStatus,
+    lastError,
+    nextRunAt,
+    consecutiveFailures
+  };
+}
+
+/**
+ * List the kept knowledge base versions
+ * @returns {Array<Object>} - { id, createdAt, reason, embeddingModel, documentCount, pageCount, active }, newest first
+ */
+function getKnowledgeVersions() {
+  return getVersions();
+}
+
+/**
+ * Roll the knowledge base back (or forward) to a kept version
+ * Waits for a refresh in progress so it does not overwrite the activated version
+ * @param {string} id - Version id from getKnowledgeVersions
+ * @returns {Promise<Object|null>} - Activation result, or null if no such version is kept
+ */
+async function activateKnowledgeVersion(id) {
+  await waitForInitialization();
+  
+  const version = await activateVersion(id);
+  if (!version) {
+    return null;
+  }
+  
+  return {
+    success: true,
+    message: `Version ${id} activated`,
+    version,
+    status: getKnowledgeBaseStatus()
+  };
 }
 
 module.exports = {
   initializeKnowledgeBase,
   getKnowledgeBaseStatus,
   isKnowledgeBaseReady,
-  refreshKnowledgeBase
+  refreshKnowledgeBase,
+  getKnowledgePages,
+  upsertKnowledgePage,
+  addKnowledgeDocuments,
+  deleteKnowledgePage,
+  getKnowledgeVersions,
+  activateKnowledgeVersion,
+  startRefreshScheduler,
+  stopRefreshScheduler,
+  startRefreshJob,
+  getKnowledgeJob,
+  subscribeToKnowledgeJob
 };
 
@@ -0,0 +1,288 @@
+const OpenAI = require('openai');
+const { embedText, createHashingEmbeddingProvider } = require('./localEmbeddingService');
+
+/**
+ * LLM Service
+ * Provider abstraction for chat completions and embeddings, selected by configuration
+ *
+ * A provider is an object with:
+ * - name, chatModel, embeddingModel
+ * - chat({ messages, maxTokens, temperature, onToken, signal }) => Promise<{ content }>
+ * - embed(texts) => Promise<Array<Array<number>>>
+ *
+ * Embeddings can come from a different provider than chat (EMBEDDING_PROVIDER),
+ * e.g. OpenAI chat with the in-process "hashing" embedder when offline.
+ */
+
+let currentProvider = null;
+let currentEmbeddingProvider = null;
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object} - Provider configuration
+ */
+function getProviderConfig() {
+  return {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    chatModel: process.env.LLM_CHAT_MODEL,
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL
+  };
+}
+
+/**
+ * Read embedding provider configuration from the environment
+ * Falls back to the chat provider settings when EMBEDDING_PROVIDER is not set
+ * @returns {Object} - Provider configuration
+ */
+function getEmbeddingProviderConfig() {
+  const config = getProviderConfig();
+  const provider = process.env.EMBEDDING_PROVIDER;
+  
+  if (!provider || provider === config.provider) {
+    return config;
+  }
+  
+  return {
+    provider,
+    dimensions: process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : undefined
+  };
+}
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ * Works against api.openai.com or any server implementing the same API
+ * @param {Object} config - Provider configuration
+ * @param {Object} defaults - Name, models and connection defaults for this adapter
+ * @returns {Object} - Provider
+ */
+function createOpenAICompatibleProvider(config, defaults) {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: config.apiKey || defaults.apiKey,
+        baseURL: config.baseURL || defaults.baseURL
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: defaults.name,
+    chatModel: config.chatModel || defaults.chatModel,
+    embeddingModel: config.embeddingModel || defaults.embeddingModel,
+
+    async chat({ messages, maxTokens, temperature, onToken, signal }) {
+      const params = {
+        model: this.chatModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      };
+
+      if (onToken) {
+        const stream = await getClient().chat.completions.create({ ...params, stream: true }, { signal });
+        let content = '';
+
+        for await (const chunk of stream) {
+          const token = chunk.choices[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+        }
+
+        return { content };
+      }
+
+      const completion = await getClient().chat.completions.create(params, { signal });
+      return { content: completion.choices[0].message.content };
+    },
+
+    async embed(texts) {
+      const response = await getClient().embeddings.create({
+        model: this.embeddingModel,
+        input: texts.length === 1 ? texts[0] : texts,
+        encoding_format: 'float'
+      });
+
+      return response.data.map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * OpenAI hosted API
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(config) {
+  return createOpenAICompatibleProvider(config, {
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: undefined,
+    chatModel: 'gpt-3.5-turbo',
+    embeddingModel: 'text-embedding-3-small'
+  });
+}
+
+/**
+ * OpenAI-compatible local server such as Ollama or llama.cpp
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createLocalProvider(config) {
+  return createOpenAICompatibleProvider(config, {
+    name: 'local',
+    // Local servers ignore the key, but the SDK requires one
+    apiKey: 'local',
+    baseURL: 'http://localhost:11434/v1',
+    chatModel: 'llama3.1',
+    embeddingModel: 'nomic-embed-text'
+  });
+}
+
+/**
+ * Deterministic provider for tests: no network, same input always gives the same output
+ * Embeddings are feature-hashed vectors, so texts sharing words score as similar
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createFakeProvider(config) {
+  const dimensions = 256;
+
+  return {
+    name: 'fake',
+    chatModel: config.chatModel || 'fake-chat',
+    embeddingModel: config.embeddingModel || 'fake-embedding',
+
+    async chat({ messages, onToken }) {
+      const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+      const content = `Fake response to: ${lastUserMessage ? lastUserMessage.content : ''}`;
+
+      if (onToken) {
+        content.split(/(?<= )/).forEach(token => onToken(token));
+      }
+
+      return { content };
+    },
+
+    async embed(texts) {
+      return texts.map(text => embedText(text, dimensions));
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider,
+  // Embeddings only; select with EMBEDDING_PROVIDER=hashing
+  hashing: createHashingEmbeddingProvider
+};
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Value of LLM_PROVIDER that selects this provider
+ * @param {Function} factory - (config) => provider
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Create a provider from configuration
+ * @param {Object} config - Provider configuration (defaults to environment)
+ * @returns {Object} - Provider
+ */
+function createProvider(config = getProviderConfig()) {
+  const factory = PROVIDERS[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Create the chat provider from configuration
+ * Embedding-only providers (e.g. "hashing") have no chat() and are rejected here,
+ * so a misconfigured LLM_PROVIDER fails at startup rather than on the first question
+ * @param {Object} config - Provider configuration (defaults to environment)
+ * @returns {Object} - Provider with chat()
+ */
+function createChatProvider(config = getProviderConfig()) {
+  const provider = createProvider(config);
+
+  if (typeof provider.chat !== 'function') {
+    throw new Error(
+      `LLM provider "${config.provider}" only computes embeddings and cannot answer chat. ` +
+      `Set LLM_PROVIDER to a chat provider such as openai or local, ` +
+      `and EMBEDDING_PROVIDER=${config.provider} to keep its embeddings`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} - Provider
+ */
+function getProvider() {
+  if (!currentProvider) {
+    currentProvider = createChatProvider();
+  }
+  return currentProvider;
+}
+
+/**
+ * Override the active provider (or pass null to re-read configuration on next use)
+ * @param {Object|null} provider - Provider to use
+ */
+function setProvider(provider) {
+  currentProvider = provider;
+}
+
+/**
+ * Get the provider used for embeddings, creating it on first use
+ * Shares the chat provider unless EMBEDDING_PROVIDER selects a different one
+ * @returns {Object} - Provider with embed(texts)
+ */
+function getEmbeddingProvider() {
+  if (currentEmbeddingProvider) {
+    return currentEmbeddingProvider;
+  }
+  
+  const config = getEmbeddingProviderConfig();
+  if (config.provider === getProviderConfig().provider) {
+    return getProvider();
+  }
+  
+  currentEmbeddingProvider = createProvider(config);
+  return currentEmbeddingProvider;
+}
+
+/**
+ * Override the embedding provider (or pass null to re-read configuration on next use)
+ * @param {Object|null} provider - Provider to use
+ */
+function setEmbeddingProvider(provider) {
+  currentEmbeddingProvider = provider;
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  createProvider,
+  createChatProvider,
+  registerProvider,
+  getProviderConfig,
+  getEmbeddingProviderConfig
+};
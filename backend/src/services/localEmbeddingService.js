@@ -0,0 +1,101 @@
+/**
+ * Local Embedding Service
+ * In-process text embeddings using feature hashing, for environments without
+ * network access to an embedding API (CI, air-gapped demos)
+ *
+ * Each text is turned into weighted features (words, word pairs and character
+ * trigrams), which are hashed into a fixed number of signed buckets and L2-normalized.
+ * Texts sharing vocabulary end up with high cosine similarity; no model download needed.
+ */
+
+const DEFAULT_DIMENSIONS = 512;
+
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.25;
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number}
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Extract weighted features from text
+ * @param {string} text - Text to featurize
+ * @returns {Map<string, number>} - Feature => accumulated weight
+ */
+function extractFeatures(text) {
+  const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  words.forEach((word, i) => {
+    add(`w:${word}`, WORD_WEIGHT);
+
+    if (i > 0) {
+      add(`b:${words[i - 1]} ${word}`, BIGRAM_WEIGHT);
+    }
+
+    // Character trigrams let "payments" and "payment" share most of their features
+    const padded = `^${word}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT);
+    }
+  });
+
+  return features;
+}
+
+/**
+ * Embed a single text
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Unit-length embedding (all zeros for text without words)
+ */
+function embedText(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = Array(dimensions).fill(0);
+
+  for (const [feature, weight] of extractFeatures(text)) {
+    const hash = hashString(feature);
+    // The top bit picks the sign so colliding features tend to cancel rather than pile up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    // Sublinear weighting keeps repeated words from dominating
+    vector[hash % dimensions] += sign * Math.log1p(weight);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+/**
+ * Create an embedding-only provider backed by feature hashing
+ * @param {Object} config - Provider configuration
+ * @param {number} [config.dimensions=512] - Vector size
+ * @returns {Object} - Provider with name, embeddingModel and embed(texts)
+ */
+function createHashingEmbeddingProvider(config = {}) {
+  const dimensions = config.dimensions || DEFAULT_DIMENSIONS;
+
+  return {
+    name: 'hashing',
+    embeddingModel: config.embeddingModel || `hashing-${dimensions}`,
+
+    async embed(texts) {
+      return texts.map(text => embedText(text, dimensions));
+    }
+  };
+}
+
+module.exports = {
+  embedText,
+  createHashingEmbeddingProvider
+};
@@ -1,4 +1,23 @@
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { loadJson, saveJson, removeJson } = require('./storageService');
+const { envInt, envFraction } = require('./configService');
+const { getProvider, getEmbeddingProvider } = require('./llmService');
+const { buildIndex, scoreQuery } = require('./bm25Service');
+const { getCacheKey, getCachedEmbeddings, setCachedEmbeddings, saveEmbeddingCache } = require('./embeddingCacheService');
+const { getTokenizer, getModelInputLimit, truncateToTokens } = require('./tokenizerService');
+const { getReranker, rerankResults } = require('./rerankService');
+const {
+  buildVectorIndex,
+  buildGraphInWorker,
+  searchVectorIndex,
+  normalizeVector,
+  dotProduct,
+  encodeVector,
+  decodeVector
+} = require('./vectorIndexService');
+const { parseFilters, matchesFilters } = require('./filterService');
+const { getPageFormat } = require('./documentService');
+const { getRankingScore, diversifyResults, mergeAdjacentChunks } = require('./diversityService');
 
 /**
  * RAG (Retrieval-Augmented Generation) Service
@@ -9,39 +28,187 @@ const OpenAI = require('openai');
 let vectorStore = {
   documents: [],
   embeddings: [],
+  lexicalIndex: buildIndex([]),
+  vectorIndex: buildVectorIndex([]),
   initialized: false,
-  lastUpdated: null
+  lastUpdated: null,
+  version: null
 };
 
-let openaiClient = null;
+// Points at the version file of the active store
+const VECTOR_STORE_FILE = 'vector-store.json';
+// Format 1 stored embeddings as number arrays, with the whole active store in VECTOR_STORE_FILE
+const VECTOR_STORE_FORMAT_VERSION = 2;
+const READABLE_FORMAT_VERSIONS = [1, VECTOR_STORE_FORMAT_VERSION];
+const VERSIONS_FILE = 'versions.json';
+const DEFAULT_VERSIONS_TO_KEEP = 5;
+
+// Recent builds of the store, newest first. Versions restored from disk have no store
+// in memory until they are activated. Stores share the chunks and embedding arrays they
+// have in common, so a version only costs memory for what changed.
+let versions = [];
+
+// Versions dropped from the history whose files still have to be deleted
+let prunedVersionIds = [];
+
+// ANN graph of the live store being built in a worker thread, one at a time
+let graphBuild = null;
+
+// Embeddings of recent questions, kept in memory only: questions stay out of the persisted
+// chunk cache, where they would evict chunk embeddings and be written to disk
+const MAX_CACHED_QUERIES = 500;
+const queryEmbeddings = new Map();
 
 /**
- * Initialize OpenAI client
+ * Generate embeddings for several text chunks
+ * Texts already embedded with the current model are served from the embedding cache;
+ * the rest are sent to the provider in one request
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} [cacheStats] - Optional { hits, misses } counters, incremented on success
+ * @returns {Promise<Array<Array<number>>>} - One embedding vector per text, in order
  */
-function initializeOpenAI() {
-  if (!openaiClient) {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+async function generateEmbeddings(texts, cacheStats) {
+  const provider = getEmbeddingProvider();
+  const model = provider.embeddingModel;
+  const embeddings = await getCachedEmbeddings(model, texts);
+  const missing = texts.filter((text, i) => !embeddings[i]);
+  
+  if (missing.length > 0) {
+    // Chunks are sized to fit the model, so an oversized text is a bug rather than something to truncate
+    const limit = getModelInputLimit(model);
+    const tokenizer = getTokenizer(model);
+    for (const text of missing) {
+      const tokens = tokenizer.count(text);
+      if (tokens > limit) {
+        throw new Error(`Text of ${tokens} tokens exceeds the ${limit}-token input limit of ${model}`);
+      }
+    }
+    
+    const fresh = await provider.embed(missing);
+    
+    if (!Array.isArray(fresh) || fresh.length !== missing.length) {
+      throw new Error(`Embedding provider returned ${fresh?.length ?? 0} vectors for ${missing.length} texts`);
+    }
+    
+    setCachedEmbeddings(model, missing, fresh);
+    
+    let next = 0;
+    embeddings.forEach((embedding, i) => {
+      if (!embedding) embeddings[i] = fresh[next++];
     });
   }
-  return openaiClient;
+  
+  if (cacheStats) {
+    cacheStats.hits += texts.length - missing.length;
+    cacheStats.misses += missing.length;
+  }
+  
+  return embeddings;
 }
 
 /**
- * Generate embedding for a text chunk
+ * Generate embedding for a text chunk using the configured provider
  * @param {string} text - Text to embed
  * @returns {Promise<Array<number>>} - Embedding vector
  */
 async function generateEmbedding(text) {
-  const openai = initializeOpenAI();
+  const [embedding] = await generateEmbeddings([text]);
+  return embedding;
+}
+
+/**
+ * Embed a question, cut to the model's input limit
+ * Recent questions are served from an in-memory cache of their own
+ * @param {string} query - Question
+ * @returns {Promise<Array<number>>} - Embedding vector
+ */
+async function embedQuery(query) {
+  const provider = getEmbeddingProvider();
+  const model = provider.embeddingModel;
+  const text = truncateToTokens(query, getModelInputLimit(model), getTokenizer(model));
+  const key = getCacheKey(model, text);
+  let embedding = queryEmbeddings.get(key);
   
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: text.slice(0, 8000), // Limit to model's context window
-    encoding_format: 'float'
-  });
+  if (embedding) {
+    queryEmbeddings.delete(key);
+  } else {
+    const fresh = await provider.embed([text]);
+    if (!Array.isArray(fresh) || fresh.length !== 1) {
+      throw new Error(`Embedding provider returned ${fresh?.length ?? 0} vectors for 1 text`);
+    }
+    embedding = fresh[0];
+  }
+  
+  // Re-inserted on use so the least recently asked question is evicted first
+  queryEmbeddings.set(key, embedding);
+  if (queryEmbeddings.size > MAX_CACHED_QUERIES) {
+    queryEmbeddings.delete(queryEmbeddings.keys().next().value);
+  }
   
-  return response.data[0].embedding;
+  return embedding;
+}
+
+/**
+ * Check whether an embedding error is worth retrying
+ * Rate limits (429), server errors (5xx) and dropped connections are transient
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code) ||
+    error.name === 'APIConnectionError';
+}
+
+/**
+ * Embed a batch, retrying transient failures with exponential backoff
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.retryDelayMs - Delay before the first retry; doubles on each retry
+ * @param {Object} [options.cacheStats] - Embedding cache { hits, misses } counters
+ * @returns {Promise<Object>} - { embeddings, attempts }
+ */
+async function embedBatchWithRetry(texts, { maxRetries, retryDelayMs, cacheStats }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const embeddings = await generateEmbeddings(texts, cacheStats);
+      return { embeddings, attempts: attempt };
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      
+      const delay = retryDelayMs * 2 ** (attempt - 1);
+      console.warn(`  ↻ Embedding batch failed (${error.message}), retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
 }
 
 /**
@@ -70,127 +237,862 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+/**
+ * Resolve chunk sizing for the current embedding model
+ * Sizes are in the model's tokens; chunks never exceed what the model accepts
+ * @returns {Object} - { maxTokens, overlapTokens, tokenizer }
+ */
+function getChunkOptions() {
+  const model = getEmbeddingProvider().embeddingModel;
+  const maxTokens = Math.min(envInt('CHUNK_MAX_TOKENS', 128) || 1, getModelInputLimit(model));
+  const overlapTokens = Math.min(envInt('CHUNK_OVERLAP_TOKENS', 16), Math.floor(maxTokens / 2));
+  
+  return { maxTokens, overlapTokens, tokenizer: getTokenizer(model) };
+}
+
+/**
+ * Take the last tokens of a chunk to repeat at the start of the next one
+ * A word cut in half at the start is dropped
+ * @param {string} text - Chunk text
+ * @param {number} overlapTokens - Tokens to take
+ * @param {Object} tokenizer - Tokenizer from getTokenizer
+ * @returns {string}
+ */
+function getOverlap(text, overlapTokens, tokenizer) {
+  if (overlapTokens <= 0) {
+    return '';
+  }
+  
+  const tokens = tokenizer.encode(text);
+  if (tokens.length <= overlapTokens) {
+    return text;
+  }
+  
+  const tail = tokenizer.decode(tokens.slice(-overlapTokens));
+  return (/^\s/.test(tail) ? tail : tail.replace(/^\S*/, '')).trim();
+}
+
+/**
+ * Split text that has no sentence boundary short enough into windows of tokens
+ * Windows start and end between words where the text has word breaks, and each piece is
+ * counted again after trimming, since text re-encoded without its leading space can take
+ * more tokens than the slice it was decoded from
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Tokens per window
+ * @param {number} overlapTokens - Tokens shared by consecutive windows
+ * @param {Object} tokenizer - Tokenizer from getTokenizer
+ * @returns {Array<string>}
+ */
+function splitByTokens(text, maxTokens, overlapTokens, tokenizer) {
+  const tokens = tokenizer.encode(text);
+  const decoded = tokens.map(token => tokenizer.decode([token]));
+  // Whether a word starts at token i
+  const startsWord = i => /^\s/.test(decoded[i]) || /\s$/.test(decoded[i - 1]);
+  // Move a window end back to the nearest word break after start, if there is one
+  const snapEnd = (start, end) => {
+    let snapped = end;
+    while (snapped > start + 1 && !startsWord(snapped)) snapped--;
+    return snapped > start + 1 || startsWord(snapped) ? snapped : end;
+  };
+  const pieces = [];
+  
+  for (let start = 0; start < tokens.length;) {
+    let end = Math.min(start + maxTokens, tokens.length);
+    if (end < tokens.length) end = snapEnd(start, end);
+    
+    let piece = tokenizer.decode(tokens.slice(start, end)).trim();
+    while (end > start + 1 && tokenizer.count(piece) > maxTokens) {
+      end = snapEnd(start, end - 1);
+      piece = tokenizer.decode(tokens.slice(start, end)).trim();
+    }
+    pieces.push(piece);
+    
+    if (end >= tokens.length) break;
+    
+    // The next window repeats the last overlapTokens, starting at a word break where possible
+    let next = Math.max(end - overlapTokens, start + 1);
+    while (next < end && !startsWord(next)) next++;
+    start = next;
+  }
+  
+  return pieces.filter(Boolean);
+}
+
 /**
  * Chunk text into smaller, meaningful pieces
+ * Sentences are packed into chunks of at most maxTokens tokens, and each chunk starts with
+ * the last overlapTokens tokens of the one before. A sentence too long for a chunk is split
+ * into overlapping token windows.
  * @param {string} text - Text to chunk
- * @param {number} maxChunkSize - Maximum size of each chunk
- * @param {number} overlap - Overlap between chunks
+ * @param {number} [maxTokens] - Maximum tokens per chunk (CHUNK_MAX_TOKENS, capped at the model limit)
+ * @param {number} [overlapTokens] - Tokens repeated between consecutive chunks (CHUNK_OVERLAP_TOKENS)
+ * @param {Object} [tokenizer] - Tokenizer from getTokenizer; defaults to the embedding model's
  * @returns {Array<string>} - Array of text chunks
  */
-function chunkText(text, maxChunkSize = 500, overlap = 50) {
-  const sentences = text.split(/(?<=[.!?])\s+/);
+function chunkText(text, maxTokens, overlapTokens, tokenizer) {
+  if (maxTokens === undefined || overlapTokens === undefined || !tokenizer) {
+    const defaults = getChunkOptions();
+    maxTokens = maxTokens ?? defaults.maxTokens;
+    overlapTokens = overlapTokens ?? defaults.overlapTokens;
+    tokenizer = tokenizer || defaults.tokenizer;
+  }
+  overlapTokens = Math.min(overlapTokens, Math.floor(maxTokens / 2));
+  
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (tokenizer.count(trimmed) <= maxTokens) {
+    return [trimmed];
+  }
+  
   const chunks = [];
-  let currentChunk = '';
-  
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > maxChunkSize && currentChunk.length > 0) {
-      chunks.push(currentChunk.trim());
-      // Keep last part for overlap
-      const words = currentChunk.split(' ');
-      currentChunk = words.slice(-Math.floor(overlap / 10)).join(' ') + ' ' + sentence;
-    } else {
-      currentChunk += (currentChunk ? ' ' : '') + sentence;
+  // Text of the chunk being built; after a chunk is emitted it holds just the overlap
+  let current = '';
+  let hasNewText = false;
+  
+  const join = sentence => (current ? `${current} ${sentence}` : sentence);
+  const emit = () => {
+    chunks.push(current);
+    current = getOverlap(current, overlapTokens, tokenizer);
+    hasNewText = false;
+  };
+  
+  for (const sentence of trimmed.split(/(?<=[.!?])\s+/)) {
+    let candidate = join(sentence);
+    
+    if (hasNewText && tokenizer.count(candidate) > maxTokens) {
+      emit();
+      candidate = join(sentence);
+    }
+    
+    // Drop the overlap when it leaves no room for the sentence
+    if (tokenizer.count(candidate) > maxTokens) {
+      current = '';
+      candidate = sentence;
+    }
+    
+    if (tokenizer.count(candidate) > maxTokens) {
+      const pieces = splitByTokens(sentence, maxTokens, overlapTokens, tokenizer);
+      chunks.push(...pieces);
+      current = getOverlap(pieces[pieces.length - 1], overlapTokens, tokenizer);
+      hasNewText = false;
+      continue;
     }
+    
+    current = candidate;
+    hasNewText = true;
   }
   
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+  if (hasNewText) {
+    chunks.push(current);
   }
   
   return chunks;
 }
 
 /**
- * Ingest scraped content into the RAG system
- * @param {Array<Object>} scrapedPages - Array of scraped page content
- * @returns {Promise<Object>} - Ingestion statistics
+ * Split a page into chunks that never span two sections
+ * Paragraphs of the same section are packed together up to the chunk size; paragraphs
+ * outside any section (and pages without sections) are chunked one at a time
+ * @param {Object} page - Page in the shape produced by parseContent
+ * @param {Object} [options] - Chunk sizing from getChunkOptions
+ * @returns {Array<Object>} - { text, section } where section is the heading path or null
  */
-async function ingestContent(scrapedPages) {
-  console.log('📚 Starting RAG ingestion...');
+function chunkPage(page, options = getChunkOptions()) {
+  const { maxTokens, overlapTokens, tokenizer } = options;
+  const chunks = [];
+  let current = null;
+  
+  page.content.forEach((paragraph, i) => {
+    const section = page.sections?.[i] || null;
+    
+    if (current && (current.section !== section || tokenizer.count(`${current.text}\n\n${paragraph}`) > maxTokens)) {
+      chunks.push(current);
+      current = null;
+    }
+    
+    if (!section || tokenizer.count(paragraph) > maxTokens) {
+      chunks.push(...chunkText(paragraph, maxTokens, overlapTokens, tokenizer).map(text => ({ text, section })));
+    } else if (current) {
+      current.text += `\n\n${paragraph}`;
+    } else {
+      current = { text: paragraph, section };
+    }
+  });
+  
+  if (current) {
+    chunks.push(current);
+  }
+  
+  return chunks;
+}
+
+/**
+ * Resolve ingestion batching options, falling back to the environment
+ * @param {Object} options - Options passed by the caller
+ * @returns {Object} - { batchSize, concurrency, maxRetries, retryDelayMs }
+ */
+function getBatchOptions(options) {
+  const {
+    batchSize = envInt('EMBEDDING_BATCH_SIZE', 64) || 1,
+    concurrency = envInt('EMBEDDING_CONCURRENCY', 2) || 1,
+    maxRetries = envInt('EMBEDDING_MAX_RETRIES', 3),
+    retryDelayMs = envInt('EMBEDDING_RETRY_DELAY_MS', 1000)
+  } = options;
+  
+  return { batchSize, concurrency, maxRetries, retryDelayMs };
+}
+
+/**
+ * Chunk pages and embed the chunks in batches, several batches at a time
+ * @param {Array<Object>} pages - Pages in the shape produced by parseContent
+ * @param {Object} options - Batching options from getBatchOptions
+ * @param {string} source - Where the pages came from, stored in chunk metadata unless a page sets its own
+ * @param {Function} [onProgress] - Called before the first batch and after each batch with
+ *   { done, embedded, total, error }, counted in chunks; error is { pages, message } for a failed batch
+ * @returns {Promise<Object>} - Embedded documents and embeddings in page order, plus batch statistics
+ */
+async function embedPages(pages, { batchSize, concurrency, maxRetries, retryDelayMs }, source, onProgress = () => {}) {
+  // Collect every chunk up front so they can be embedded in batches
+  const chunkOptions = getChunkOptions();
+  const chunks = [];
+  for (const page of pages) {
+    let chunkIndex = 0;
+    // Chunk each section of the page, splitting large content items
+    for (const { text, section } of chunkPage(page, chunkOptions)) {
+      if (text.length < 20) continue; // Skip very short chunks
+      chunks.push({ text, section, page, chunkIndex: chunkIndex++ });
+    }
+  }
+  
+  const batches = [];
+  for (let i = 0; i < chunks.length; i += batchSize) {
+    batches.push(chunks.slice(i, i + batchSize));
+  }
+  
+  const failedBatches = [];
+  const cacheStats = { hits: 0, misses: 0 };
+  let lastError = null;
+  let done = 0;
+  let embedded = 0;
+  
+  onProgress({ done, embedded, total: chunks.length, error: null });
+  
+  const batchResults = await mapWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
+    try {
+      const { embeddings } = await embedBatchWithRetry(batch.map(chunk => chunk.text), { maxRetries, retryDelayMs, cacheStats });
+      console.log(`  ✓ Embedded batch ${batchIndex + 1}/${batches.length} (${batch.length} chunks)`);
+      done += batch.length;
+      embedded += batch.length;
+      onProgress({ done, embedded, total: chunks.length, error: null });
+      return embeddings;
+    } catch (error) {
+      lastError = error;
+      const pageNames = [...new Set(batch.map(chunk => chunk.page.pageName))];
+      failedBatches.push({
+        batchIndex,
+        size: batch.length,
+        attempts: error.attempts || 1,
+        pages: pageNames,
+        error: error.message
+      });
+      console.error(`Failed to embed batch ${batchIndex + 1}/${batches.length}:`, error.message);
+      done += batch.length;
+      onProgress({ done, embedded, total: chunks.length, error: { pages: pageNames, message: error.message } });
+      return null;
+    }
+  });
   
   const documents = [];
   const embeddings = [];
-  let totalChunks = 0;
   
-  for (const page of scrapedPages) {
-    // Process each content chunk from the page
-    for (const contentItem of page.content) {
-      // Further chunk large content items
-      const textChunks = chunkText(contentItem);
-      
-      for (const chunk of textChunks) {
-        if (chunk.length < 20) continue; // Skip very short chunks
-        
-        try {
-          const embedding = await generateEmbedding(chunk);
-          
-          documents.push({
-            id: `${page.pageName}-${totalChunks}`,
-            text: chunk,
-            metadata: {
-              pageName: page.pageName,
-              url: page.url,
-              scrapedAt: page.scrapedAt
-            }
-          });
-          
-          embeddings.push(embedding);
-          totalChunks++;
-          
-          // Rate limiting - small delay between API calls
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.error(`Failed to embed chunk from ${page.pageName}:`, error.message);
-        }
-      }
-    }
+  batches.forEach((batch, batchIndex) => {
+    const batchEmbeddings = batchResults[batchIndex];
+    if (!batchEmbeddings) return;
     
-    console.log(`  ✓ Processed ${page.pageName}`);
+    batch.forEach(({ text, section, page, chunkIndex }, i) => {
+      documents.push({
+        id: `${page.pageName}-${chunkIndex}`,
+        text,
+        metadata: {
+          pageName: page.pageName,
+          url: page.url,
+          scrapedAt: page.scrapedAt,
+          etag: page.etag || null,
+          lastModified: page.lastModified || null,
+          source: page.source || source,
+          format: page.format || getPageFormat(page.url),
+          section,
+          chunkIndex
+        }
+      });
+      embeddings.push(batchEmbeddings[i]);
+    });
+  });
+  
+  failedBatches.sort((a, b) => a.batchIndex - b.batchIndex);
+  
+  // Refuse to change the store when the embedding backend is unreachable
+  if (documents.length === 0 && chunks.length > 0) {
+    throw new Error(`All ${chunks.length} embedding requests failed (last error: ${lastError.message}). ` +
+      'Check the embedding provider or set EMBEDDING_PROVIDER=hashing to embed offline.');
   }
   
-  // Update the vector store
-  vectorStore = {
+  return {
     documents,
     embeddings,
+    failedChunks: chunks.length - documents.length,
+    totalBatches: batches.length,
+    failedBatches,
+    cache: cacheStats
+  };
+}
+
+/**
+ * Resolve vector index options from the environment
+ * @returns {Object} - { minVectors, m, efConstruction }, see buildVectorIndex
+ */
+function getIndexOptions() {
+  return {
+    minVectors: envInt('ANN_MIN_VECTORS', 1000),
+    m: envInt('ANN_M', 12),
+    efConstruction: envInt('ANN_EF_CONSTRUCTION', 48)
+  };
+}
+
+/**
+ * Build a new store next to the live one and swap it in with a single assignment
+ * The live store is never modified in place: searches that started before the swap
+ * finish against the store they started with, and until the swap the old index keeps serving.
+ * Every new store becomes a version that can be activated again later.
+ * @param {Array<Object>} documents - Chunks
+ * @param {Array<Float32Array>} embeddings - Normalized embedding per chunk (see normalizeVector), shared
+ *   with the store and not copied
+ * @param {string} reason - What built the store: "refresh", "upsert", "upload" or "delete"
+ */
+function replaceVectorStore(documents, embeddings, reason) {
+  const vectorIndex = buildVectorIndex(embeddings, { ...getIndexOptions(), deferGraph: true, normalized: true });
+  const staging = {
+    documents,
+    // The index rows are the embeddings themselves, so vectors are not held twice
+    embeddings: vectorIndex.rows,
+    lexicalIndex: buildIndex(documents.map(doc => doc.text)),
+    vectorIndex,
     initialized: true,
-    lastUpdated: new Date().toISOString()
+    lastUpdated: new Date().toISOString(),
+    version: crypto.randomBytes(6).toString('hex')
   };
   
-  console.log(`✅ RAG ingestion complete. ${totalChunks} chunks indexed.`);
+  vectorStore = staging;
+  buildStoreGraph(staging);
+  recordVersion(staging, reason);
+}
+
+/**
+ * Build the ANN graph of the store just swapped in, off the main thread
+ * A build still running for the previous store is cancelled; its index is scanned instead
+ * and gets its graph built again if it becomes live again. Until the graph is attached,
+ * searches scan the new index.
+ * @param {Object} store - Live store
+ */
+function buildStoreGraph(store) {
+  graphBuild?.cancel();
+  graphBuild = buildGraphInWorker(store.vectorIndex, getIndexOptions());
+}
+
+/**
+ * Wait until the ANN graph of the live store is attached
+ * @returns {Promise<boolean>} - True if the live index has a graph, false if it is scanned
+ */
+async function waitForVectorIndex() {
+  if (graphBuild) {
+    await graphBuild.done;
+  }
+  return Boolean(vectorStore.vectorIndex.graph);
+}
+
+/**
+ * Add a store to the version history, dropping the oldest versions beyond
+ * KNOWLEDGE_VERSIONS_TO_KEEP (at least the active version is always kept)
+ * @param {Object} store - Store that was just built
+ * @param {string} reason - What built the store
+ */
+function recordVersion(store, reason) {
+  versions.unshift({
+    id: store.version,
+    createdAt: store.lastUpdated,
+    reason,
+    embeddingModel: getEmbeddingProvider().embeddingModel,
+    documentCount: store.documents.length,
+    pageCount: new Set(store.documents.map(doc => doc.metadata.url)).size,
+    store
+  });
+  
+  const keep = Math.max(1, envInt('KNOWLEDGE_VERSIONS_TO_KEEP', DEFAULT_VERSIONS_TO_KEEP));
+  const pruned = versions.splice(keep);
+  prunedVersionIds.push(...pruned.map(version => version.id));
+}
+
+/**
+ * Get the storage file of a version
+ * @param {string} id - Version id
+ * @returns {string}
+ */
+function getVersionFile(id) {
+  return `versions/${id}.json`;
+}
+
+/**
+ * Describe a version without its documents
+ * @param {Object} version - Version history entry
+ * @returns {Object} - { id, createdAt, reason, embeddingModel, documentCount, pageCount, active }
+ */
+function summarizeVersion({ id, createdAt, reason, embeddingModel, documentCount, pageCount }) {
+  return { id, createdAt, reason, embeddingModel, documentCount, pageCount, active: id === vectorStore.version };
+}
+
+/**
+ * Pick the chunks of the current store that satisfy a predicate, with their embeddings
+ * @param {Function} predicate - (document) => boolean
+ * @returns {Object} - { documents, embeddings }
+ */
+function selectDocuments(predicate) {
+  const documents = [];
+  const embeddings = [];
+  
+  vectorStore.documents.forEach((doc, i) => {
+    if (predicate(doc)) {
+      documents.push(doc);
+      embeddings.push(vectorStore.embeddings[i]);
+    }
+  });
+  
+  return { documents, embeddings };
+}
+
+/**
+ * Ingest scraped content into the RAG system
+ * Replaces every scraped page and document loaded from DOCUMENTS_DIR in the store; pages
+ * added through upsertPage are kept unless the scrape returned the same URL.
+ * Chunks are embedded in batches, several batches at a time, retrying rate limits and server errors
+ * @param {Array<Object>} scrapedPages - Array of scraped page content; a page's source defaults to "web"
+ * @param {Object} options - Batching options (defaults come from the environment)
+ * @param {number} [options.batchSize=64] - Chunks per embedding request (EMBEDDING_BATCH_SIZE)
+ * @param {number} [options.concurrency=2] - Embedding requests in flight (EMBEDDING_CONCURRENCY)
+ * @param {number} [options.maxRetries=3] - Retries per batch on 429/5xx (EMBEDDING_MAX_RETRIES)
+ * @param {number} [options.retryDelayMs=1000] - Initial backoff delay (EMBEDDING_RETRY_DELAY_MS)
+ * @param {Array<string>} [options.retainUrls=[]] - Pages whose indexed chunks are kept as they are (unchanged since last scrape)
+ * @param {Function} [options.onProgress] - Receives embedding progress { done, embedded, total, error } in chunks
+ * @returns {Promise<Object>} - Ingestion statistics
+ * @throws {Error} - If every chunk failed to embed; the existing store is kept
+ */
+async function ingestContent(scrapedPages, options = {}) {
+  const { retainUrls = [], onProgress } = options;
+  
+  console.log('📚 Starting RAG ingestion...');
+  
+  const embedded = await embedPages(scrapedPages, getBatchOptions(options), 'web', onProgress);
+  
+  // Chunks of unchanged pages carry over with their embeddings, as do pages added outside the scrape
+  const retainedUrls = new Set(retainUrls);
+  const scrapedUrls = new Set(scrapedPages.map(page => page.url));
+  const retained = selectDocuments(doc => retainedUrls.has(doc.metadata.url) ||
+    (isUpsertedPage(doc) && !scrapedUrls.has(doc.metadata.url)));
+  const retainedChunks = retained.documents.length;
+  const retainedPages = new Set(retained.documents.map(doc => doc.metadata.url)).size;
+  
+  // Update the vector store
+  replaceVectorStore(
+    [...retained.documents, ...embedded.documents],
+    [...retained.embeddings, ...embedded.embeddings.map(normalizeVector)],
+    'refresh'
+  );
+  
+  const totalChunks = vectorStore.documents.length;
+  const { failedChunks, cache } = embedded;
+  
+  console.log(`✅ RAG ingestion complete. ${totalChunks} chunks indexed${failedChunks ? `, ${failedChunks} failed` : ''}.`);
+  console.log(`   Embedding cache: ${cache.hits} hits, ${cache.misses} misses`);
+  
+  await saveVectorStore();
+  await saveEmbeddingCache();
   
   return {
-    totalPages: scrapedPages.length,
+    totalPages: scrapedPages.length + retainedPages,
     totalChunks,
-    lastUpdated: vectorStore.lastUpdated
+    retainedChunks,
+    failedChunks,
+    totalBatches: embedded.totalBatches,
+    failedBatches: embedded.failedBatches,
+    cache,
+    embeddingModel: getEmbeddingProvider().embeddingModel,
+    lastUpdated: vectorStore.lastUpdated,
+    version: vectorStore.version
   };
 }
 
+// Sources rebuilt by every refresh; chunks from any other source stay until deleted
+const REFRESHED_SOURCES = ['web', 'file'];
+
+/**
+ * Check whether a chunk belongs to a page added through upsertPage rather than the refresh
+ * Chunks persisted before sources were recorded count as scraped
+ * @param {Object} doc - Stored chunk
+ * @returns {boolean}
+ */
+function isUpsertedPage(doc) {
+  return Boolean(doc.metadata.source) && !REFRESHED_SOURCES.includes(doc.metadata.source);
+}
+
+/**
+ * Add or replace the chunks of a single page, leaving every other page untouched
+ * @param {Object} page - Page in the shape produced by parseContent
+ * @param {Object} options - Batching options, as for ingestContent
+ * @param {string} [options.source='api'] - Recorded in chunk metadata unless the page sets its own;
+ *   pages from sources other than "web" and "file" survive full re-ingestion
+ * @returns {Promise<Object>} - { url, pageName, chunksAdded, chunksRemoved, failedChunks, failedBatches, cache, lastUpdated, version }
+ * @throws {Error} - If every chunk failed to embed; the page's previous chunks are kept
+ */
+async function upsertPage(page, options = {}) {
+  const { pages: [result], ...ingestion } = await upsertPages([page], options);
+  return { ...result, ...ingestion };
+}
+
+/**
+ * Add or replace the chunks of several pages in one swap, so they make up a single version
+ * @param {Array<Object>} pages - Pages in the shape produced by parseContent, with distinct URLs
+ * @param {Object} options - Batching options, as for ingestContent
+ * @param {string} [options.source='api'] - Recorded in chunk metadata unless a page sets its own
+ * @param {string} [options.reason='upsert'] - Reason recorded with the version
+ * @returns {Promise<Object>} - { pages, failedChunks, failedBatches, cache, lastUpdated, version }, where pages
+ *   lists { url, pageName, chunksAdded, chunksRemoved } in input order
+ * @throws {Error} - If every chunk failed to embed; the previous chunks of the pages are kept
+ */
+async function upsertPages(pages, options = {}) {
+  const { source = 'api', reason = 'upsert' } = options;
+  
+  const embedded = await embedPages(pages, getBatchOptions(options), source);
+  
+  // Select after embedding so concurrent changes to other pages are not lost
+  const urls = new Set(pages.map(page => page.url));
+  const others = selectDocuments(doc => !urls.has(doc.metadata.url));
+  const countChunks = (documents, url) => documents.filter(doc => doc.metadata.url === url).length;
+  const results = pages.map(page => ({
+    url: page.url,
+    pageName: page.pageName,
+    chunksAdded: countChunks(embedded.documents, page.url),
+    chunksRemoved: countChunks(vectorStore.documents, page.url)
+  }));
+  
+  replaceVectorStore(
+    [...others.documents, ...embedded.documents],
+    [...others.embeddings, ...embedded.embeddings.map(normalizeVector)],
+    reason
+  );
+  
+  for (const { pageName, chunksAdded, chunksRemoved } of results) {
+    console.log(`📄 Upserted ${pageName}: ${chunksAdded} chunks added, ${chunksRemoved} removed`);
+  }
+  
+  await saveVectorStore();
+  await saveEmbeddingCache();
+  
+  return {
+    pages: results,
+    failedChunks: embedded.failedChunks,
+    failedBatches: embedded.failedBatches,
+    cache: embedded.cache,
+    lastUpdated: vectorStore.lastUpdated,
+    version: vectorStore.version
+  };
+}
+
+/**
+ * Remove every chunk of a page
+ * @param {string} url - Page URL
+ * @returns {Promise<number>} - Number of chunks removed (0 if the page was not indexed)
+ */
+async function deletePage(url) {
+  const others = selectDocuments(doc => doc.metadata.url !== url);
+  const chunksRemoved = vectorStore.documents.length - others.documents.length;
+  
+  if (chunksRemoved === 0) {
+    return 0;
+  }
+  
+  replaceVectorStore(others.documents, others.embeddings, 'delete');
+  console.log(`🗑️ Removed ${chunksRemoved} chunks of ${url}`);
+  
+  await saveVectorStore();
+  return chunksRemoved;
+}
+
+// Saves run one at a time so an older store can never overwrite a newer one on disk
+let saveQueue = Promise.resolve();
+
+/**
+ * Persist the vector store to disk so restarts do not need to re-scrape and re-embed
+ * Each version is written to its own file once, with its embeddings as base64 float32;
+ * the vector store file only points at the active version. The version history is
+ * written with it and versions dropped from the history are deleted.
+ * The store is captured when called and saves are written in call order.
+ * Failures are logged rather than thrown; the in-memory store stays usable either way
+ * @returns {Promise<boolean>} - True if the store was written
+ */
+function saveVectorStore() {
+  const store = vectorStore;
+  const embeddingModel = getEmbeddingProvider().embeddingModel;
+  const version = versions.find(v => v.id === store.version);
+  const pointer = {
+    formatVersion: VECTOR_STORE_FORMAT_VERSION,
+    embeddingModel,
+    version: store.version,
+    lastUpdated: store.lastUpdated
+  };
+  const history = {
+    activeVersion: store.version,
+    versions: versions.map(({ store: versionStore, saved, ...entry }) => entry)
+  };
+  const pruned = prunedVersionIds;
+  prunedVersionIds = [];
+  
+  const save = saveQueue.then(async () => {
+    try {
+      if (version && !version.saved) {
+        const filePath = await saveJson(getVersionFile(store.version), {
+          ...pointer,
+          documents: store.documents,
+          embeddings: store.embeddings.map(encodeVector)
+        });
+        if (!filePath) {
+          return false;
+        }
+        version.saved = true;
+      }
+      
+      const filePath = await saveJson(VECTOR_STORE_FILE, pointer);
+      
+      if (filePath) {
+        await saveJson(VERSIONS_FILE, history);
+        await Promise.all(pruned.map(id => removeJson(getVersionFile(id))));
+        
+        console.log(`💾 Vector store saved to ${filePath}`);
+      }
+      return filePath !== null;
+    } catch (error) {
+      console.error('Failed to save vector store:', error.message);
+      return false;
+    }
+  });
+  
+  saveQueue = save;
+  return save;
+}
+
+/**
+ * Rebuild a store from its persisted form
+ * Stores built with a different embedding model or format are rejected
+ * @param {Object|null} saved - Content of a version file, or of a vector store file in format 1
+ * @param {string} label - Describes the file in warnings
+ * @returns {Object|null} - Store ready to be swapped in, or null if unusable
+ */
+function restoreStore(saved, label) {
+  if (!saved) {
+    return null;
+  }
+  
+  if (!READABLE_FORMAT_VERSIONS.includes(saved.formatVersion) || saved.embeddingModel !== getEmbeddingProvider().embeddingModel) {
+    console.warn(`⚠️ Ignoring ${label} built with a different format or embedding model`);
+    return null;
+  }
+  
+  if (!Array.isArray(saved.documents) || saved.documents.length === 0 ||
+      !Array.isArray(saved.embeddings) || saved.embeddings.length !== saved.documents.length) {
+    console.warn(`⚠️ Ignoring empty or inconsistent ${label}`);
+    return null;
+  }
+  
+  const vectorIndex = buildVectorIndex(saved.embeddings.map(decodeVector), { ...getIndexOptions(), deferGraph: true });
+  
+  return {
+    documents: saved.documents,
+    embeddings: vectorIndex.rows,
+    lexicalIndex: buildIndex(saved.documents.map(doc => doc.text)),
+    vectorIndex,
+    initialized: true,
+    lastUpdated: saved.lastUpdated,
+    version: saved.version || null
+  };
+}
+
+/**
+ * Load a previously persisted vector store from disk, with its version history
+ * Stores built with a different embedding model or format are ignored
+ * @returns {Promise<boolean>} - True if a usable store was loaded
+ */
+async function loadVectorStore() {
+  const saved = await loadJson(VECTOR_STORE_FILE);
+  const content = saved && !saved.documents && saved.version ? await loadJson(getVersionFile(saved.version)) : saved;
+  const store = restoreStore(content, 'persisted vector store');
+  
+  if (!store) {
+    return false;
+  }
+  
+  const history = await loadJson(VERSIONS_FILE);
+  versions = Array.isArray(history?.versions) ? history.versions.map(version => ({ ...version, saved: true })) : [];
+  
+  const active = versions.find(version => version.id === store.version);
+  if (active) {
+    active.store = store;
+  } else {
+    // Stores saved before versioning join the history as their own version
+    store.version = store.version || crypto.randomBytes(6).toString('hex');
+    recordVersion(store, 'restore');
+  }
+  
+  vectorStore = store;
+  buildStoreGraph(store);
+  
+  console.log(`📂 Loaded ${store.documents.length} chunks from persisted vector store`);
+  return true;
+}
+
+/**
+ * List the kept versions of the store
+ * @returns {Array<Object>} - Version summaries, newest first
+ */
+function getVersions() {
+  return versions.map(summarizeVersion);
+}
+
+/**
+ * Make a kept version the live store again
+ * The swap is atomic like any other rebuild; searches in flight finish on the previous store
+ * @param {string} id - Version id
+ * @returns {Promise<Object|null>} - Summary of the activated version, or null if no such version is kept
+ * @throws {Error} - With code VERSION_UNAVAILABLE if the version was built with another embedding model
+ *   or its file cannot be read
+ */
+async function activateVersion(id) {
+  const version = versions.find(v => v.id === id);
+  
+  if (!version) {
+    return null;
+  }
+  
+  const store = version.store || restoreStore(await loadJson(getVersionFile(id)), `knowledge base version ${id}`);
+  
+  if (!store || version.embeddingModel !== getEmbeddingProvider().embeddingModel) {
+    const error = new Error(`Version ${id} cannot be activated with embedding model ${getEmbeddingProvider().embeddingModel}`);
+    error.code = 'VERSION_UNAVAILABLE';
+    throw error;
+  }
+  
+  version.store = store;
+  vectorStore = store;
+  buildStoreGraph(store);
+  console.log(`⏪ Activated knowledge base version ${id} (${store.documents.length} chunks)`);
+  
+  await saveVectorStore();
+  return summarizeVersion(version);
+}
+
+/**
+ * Rank documents by descending score, keeping only those that pass the filter
+ * @param {Array<number>} scores - Score per document index
+ * @param {Function} isRelevant - (score, index) => boolean
+ * @returns {Map<number, number>} - Document index => 1-based rank
+ */
+function rankDocuments(scores, isRelevant) {
+  const ranked = scores
+    .map((score, index) => ({ score, index }))
+    .filter(({ score, index }) => isRelevant(score, index))
+    .sort((a, b) => b.score - a.score);
+  
+  return new Map(ranked.map(({ index }, position) => [index, position + 1]));
+}
+
 /**
  * Search for relevant documents given a query
+ * Combines embedding similarity with BM25 keyword matching using reciprocal rank fusion
  * @param {string} query - User's query
  * @param {number} topK - Number of results to return
- * @returns {Promise<Array<Object>>} - Array of relevant documents with scores
+ * @param {Object} options - Retrieval options
+ * @param {string} [options.mode='hybrid'] - 'hybrid', 'vector' (embeddings only) or 'lexical' (BM25 only)
+ * @param {number} [options.vectorWeight=1] - Weight of the embedding ranking in the fused score
+ * @param {number} [options.lexicalWeight=1] - Weight of the BM25 ranking in the fused score
+ * @param {number} [options.rrfK=60] - Reciprocal rank fusion constant; higher flattens rank differences
+ * @param {number} [options.minScore=0.3] - Minimum cosine similarity for an embedding match
+ * @param {Object} [options.filters] - Only return chunks whose metadata matches (see filterService)
+ * @returns {Promise<Array<Object>>} - Array of relevant documents with scores and their normalized embedding
+ * @throws {Error} - With code INVALID_FILTERS if the filters are malformed
  */
-async function searchDocuments(query, topK = 5) {
-  if (!vectorStore.initialized || vectorStore.documents.length === 0) {
+async function searchDocuments(query, topK = 5, options = {}) {
+  const {
+    mode = 'hybrid',
+    vectorWeight = 1,
+    lexicalWeight = 1,
+    rrfK = 60,
+    minScore = 0.3
+  } = options;
+  const filters = parseFilters(options.filters);
+  
+  // Hold on to the current store: a refresh may swap in a new one while the query is embedded
+  const store = vectorStore;
+  
+  if (!store.initialized || store.documents.length === 0) {
     console.warn('Vector store not initialized or empty');
     return [];
   }
   
   try {
-    const queryEmbedding = await generateEmbedding(query);
+    const useVector = mode !== 'lexical';
+    const useLexical = mode !== 'vector';
+    const isAllowed = filters ? index => matchesFilters(store.documents[index].metadata, filters) : () => true;
+    
+    // Nearest chunks by embedding, from the ANN index once the store is large enough
+    let queryVector = null;
+    let vectorHits = [];
+    if (useVector) {
+      // A question longer than the model accepts is cut rather than rejected
+      queryVector = normalizeVector(await embedQuery(query));
+      vectorHits = searchVectorIndex(store.vectorIndex, queryVector, Math.max(topK, envInt('ANN_CANDIDATES', 100)), {
+        efSearch: envInt('ANN_EF_SEARCH', 64),
+        filter: filters ? isAllowed : undefined
+      });
+    }
+    const vectorScores = new Map(vectorHits.map(hit => [hit.id, hit.score]));
     
-    // Calculate similarity scores
-    const scored = vectorStore.documents.map((doc, index) => ({
-      ...doc,
-      score: cosineSimilarity(queryEmbedding, vectorStore.embeddings[index])
-    }));
+    const lexicalScores = useLexical
+      ? scoreQuery(store.lexicalIndex, query)
+      : store.documents.map(() => 0);
     
-    // Sort by score descending and take top K
-    const results = scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK)
-      .filter(doc => doc.score > 0.3); // Minimum relevance threshold
+    const vectorRanks = new Map(vectorHits.filter(hit => hit.score > minScore).map((hit, position) => [hit.id, position + 1]));
+    const lexicalRanks = useLexical ? rankDocuments(lexicalScores, (score, index) => score > 0 && isAllowed(index)) : new Map();
+    
+    // Reciprocal rank fusion: a document only needs to rank well in one list to be retrieved
+    const candidates = new Set([...vectorRanks.keys(), ...lexicalRanks.keys()]);
+    const results = [...candidates]
+      .map(index => {
+        const vectorRank = vectorRanks.get(index);
+        const lexicalRank = lexicalRanks.get(index);
+        
+        // Chunks found only by keywords still report their similarity to the query
+        const score = vectorScores.get(index) ?? (queryVector ? dotProduct(queryVector, store.embeddings[index]) : 0);
+        
+        return {
+          ...store.documents[index],
+          embedding: store.embeddings[index],
+          score,
+          lexicalScore: lexicalScores[index],
+          fusedScore: (vectorRank ? vectorWeight / (rrfK + vectorRank) : 0) +
+            (lexicalRank ? lexicalWeight / (rrfK + lexicalRank) : 0)
+        };
+      })
+      .sort((a, b) => b.fusedScore - a.fusedScore || b.score - a.score)
+      .slice(0, topK);
     
     return results;
   } catch (error) {
@@ -199,6 +1101,18 @@ async function searchDocuments(query, topK = 5) {
   }
 }
 
+const CONTEXT_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Format one search result for the prompt
+ * @param {Object} doc - Search result
+ * @returns {string}
+ */
+function formatContextPart(doc) {
+  const section = doc.metadata.section ? ` | Section: ${doc.metadata.section}` : '';
+  return `[Source: ${doc.metadata.pageName}${section}]\n${doc.text}`;
+}
+
 /**
  * Generate context string from search results
  * @param {Array<Object>} searchResults - Array of relevant documents
@@ -209,30 +1123,123 @@ function buildContext(searchResults) {
     return '';
   }
   
-  const contextParts = searchResults.map((doc, index) => {
-    return `[Source: ${doc.metadata.pageName}]\n${doc.text}`;
-  });
+  return searchResults.map(formatContextPart).join(CONTEXT_SEPARATOR);
+}
+
+/**
+ * Keep the search results whose formatted context fits in a number of tokens
+ * The lowest-scoring results are dropped first; the others keep their order
+ * @param {Array<Object>} searchResults - Results, in context order
+ * @param {number} maxTokens - Tokens the context may use
+ * @param {Object} tokenizer - Tokenizer of the chat model
+ * @returns {Object} - { kept, dropped }
+ */
+function fitContext(searchResults, maxTokens, tokenizer) {
+  const separatorTokens = tokenizer.count(CONTEXT_SEPARATOR);
+  const costs = searchResults.map((doc, i) => tokenizer.count(formatContextPart(doc)) + (i > 0 ? separatorTokens : 0));
+  let tokens = costs.reduce((sum, cost) => sum + cost, 0);
+  const dropped = new Set();
+  
+  const lowestFirst = [...searchResults.keys()].sort((a, b) => getRankingScore(searchResults[a]) - getRankingScore(searchResults[b]));
+  for (const i of lowestFirst) {
+    if (tokens <= maxTokens) break;
+    dropped.add(i);
+    tokens -= costs[i];
+  }
   
-  return contextParts.join('\n\n---\n\n');
+  return {
+    kept: searchResults.filter((_, i) => !dropped.has(i)),
+    dropped: searchResults.filter((_, i) => dropped.has(i))
+  };
+}
+
+/**
+ * Describe a search result as a source of an answer
+ * @param {Object} r - Search result
+ * @returns {Object}
+ */
+function toSource(r) {
+  return {
+    pageName: r.metadata.pageName,
+    url: r.metadata.url,
+    source: r.metadata.source || 'web',
+    section: r.metadata.section || null,
+    relevanceScore: r.score,
+    lexicalScore: r.lexicalScore,
+    rerankScore: r.rerankScore ?? null
+  };
 }
 
 /**
  * Get RAG-enhanced response for a query
+ * More chunks than needed are retrieved (RERANK_CANDIDATES with a reranker, MMR_CANDIDATES otherwise),
+ * and the context is picked from them in three steps:
+ * - a configured reranker reorders the hits (if reranking fails they keep their retrieval order)
+ * - maximal marginal relevance picks topK chunks that are relevant but unlike each other,
+ *   taking at most maxChunksPerPage from one page
+ * - picked chunks that are neighbours on the same page are merged into one passage
+ * Given maxContextTokens, the lowest-scoring chunks are then dropped until the context fits.
  * @param {string} query - User's question
- * @returns {Promise<Object>} - Object containing context and relevant sources
+ * @param {Object} options - Retrieval options, passed through to searchDocuments
+ * @param {number} [options.topK=5] - Number of chunks to include in the context
+ * @param {boolean} [options.rerank=true] - Rerank when a reranker is configured
+ * @param {number} [options.mmrLambda=0.7] - Relevance versus diversity (MMR_LAMBDA); 1 ranks by relevance alone
+ * @param {number} [options.maxChunksPerPage=0] - Most chunks from one page (MAX_CHUNKS_PER_PAGE); 0 for no limit
+ * @param {boolean} [options.mergeAdjacent=true] - Merge neighbouring chunks of the same page
+ * @param {number} [options.maxContextTokens] - Most tokens the formatted context may use; unlimited if not given
+ * @param {Object} [options.tokenizer] - Tokenizer to count maxContextTokens with; defaults to the chat model's
+ * @returns {Promise<Object>} - { context, sources, droppedSources, hasContext }
  */
-async function getRelevantContext(query) {
-  const searchResults = await searchDocuments(query, 5);
-  const context = buildContext(searchResults);
+async function getRelevantContext(query, options = {}) {
+  const {
+    topK = 5,
+    rerank = true,
+    mmrLambda = envFraction('MMR_LAMBDA', 0.7),
+    maxChunksPerPage = envInt('MAX_CHUNKS_PER_PAGE', 0),
+    mergeAdjacent = true,
+    maxContextTokens,
+    tokenizer,
+    ...searchOptions
+  } = options;
+  let reranker = null;
+  if (rerank) {
+    try {
+      reranker = getReranker();
+    } catch (error) {
+      console.error('Reranker is misconfigured, using retrieval order:', error.message);
+    }
+  }
+  const diversify = mmrLambda < 1 || maxChunksPerPage > 0;
+  let candidateCount = topK;
+  if (reranker) {
+    candidateCount = Math.max(envInt('RERANK_CANDIDATES', 30), topK);
+  } else if (diversify) {
+    candidateCount = Math.max(envInt('MMR_CANDIDATES', 20), topK);
+  }
+  let searchResults = await searchDocuments(query, candidateCount, searchOptions);
+  
+  if (reranker) {
+    try {
+      searchResults = await rerankResults(query, searchResults, reranker);
+    } catch (error) {
+      console.error(`Reranking with ${reranker.name} failed, using retrieval order:`, error.message);
+    }
+  }
+  
+  searchResults = diversifyResults(searchResults, topK, { lambda: mmrLambda, maxPerPage: maxChunksPerPage });
+  if (mergeAdjacent) {
+    searchResults = mergeAdjacentChunks(searchResults);
+  }
+  
+  const { kept, dropped } = maxContextTokens === undefined
+    ? { kept: searchResults, dropped: [] }
+    : fitContext(searchResults, maxContextTokens, tokenizer || getTokenizer(getProvider().chatModel));
   
   return {
-    context,
-    sources: searchResults.map(r => ({
-      pageName: r.metadata.pageName,
-      url: r.metadata.url,
-      relevanceScore: r.score
-    })),
-    hasContext: searchResults.length > 0
+    context: buildContext(kept),
+    sources: kept.map(toSource),
+    droppedSources: dropped.map(toSource),
+    hasContext: kept.length > 0
   };
 }
 
@@ -252,32 +1259,105 @@ function getStatus() {
   return {
     initialized: vectorStore.initialized,
     documentCount: vectorStore.documents.length,
-    lastUpdated: vectorStore.lastUpdated
+    lastUpdated: vectorStore.lastUpdated,
+    version: vectorStore.version
   };
 }
 
 /**
- * Clear the vector store
+ * Get the HTTP cache validators of every indexed page
+ * Only pages with indexed chunks are listed, so a 304 never leaves a page without content
+ * @returns {Object} - URL => { etag, lastModified }
+ */
+function getPageValidators() {
+  const validators = {};
+  
+  for (const { metadata } of vectorStore.documents) {
+    if (metadata.url && (metadata.etag || metadata.lastModified) && !validators[metadata.url]) {
+      validators[metadata.url] = { etag: metadata.etag || null, lastModified: metadata.lastModified || null };
+    }
+  }
+  
+  return validators;
+}
+
+/**
+ * Derive a stable page id from its URL, safe to use in a URL path
+ * @param {string} url - Page URL
+ * @returns {string} - 16 hex characters
+ */
+function getPageId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * List the indexed pages
+ * @returns {Array<Object>} - { id, url, pageName, source, scrapedAt, chunkCount } in index order
+ */
+function getPages() {
+  const pages = new Map();
+  
+  for (const { metadata } of vectorStore.documents) {
+    const page = pages.get(metadata.url);
+    if (page) {
+      page.chunkCount++;
+    } else {
+      pages.set(metadata.url, {
+        id: getPageId(metadata.url),
+        url: metadata.url,
+        pageName: metadata.pageName,
+        source: metadata.source || 'web',
+        scrapedAt: metadata.scrapedAt,
+        chunkCount: 1
+      });
+    }
+  }
+  
+  return [...pages.values()];
+}
+
+/**
+ * Clear the vector store, its version history and the cached question embeddings
  */
 function clearVectorStore() {
   vectorStore = {
     documents: [],
     embeddings: [],
+    lexicalIndex: buildIndex([]),
+    vectorIndex: buildVectorIndex([]),
     initialized: false,
-    lastUpdated: null
+    lastUpdated: null,
+    version: null
   };
+  graphBuild?.cancel();
+  graphBuild = null;
+  queryEmbeddings.clear();
+  versions = [];
+  prunedVersionIds = [];
   console.log('🗑️ Vector store cleared');
 }
 
 module.exports = {
   ingestContent,
+  upsertPage,
+  upsertPages,
+  deletePage,
+  getPages,
+  getPageId,
+  getVersions,
+  activateVersion,
   searchDocuments,
   getRelevantContext,
   buildContext,
   isInitialized,
   getStatus,
+  getPageValidators,
   clearVectorStore,
+  saveVectorStore,
+  loadVectorStore,
+  waitForVectorIndex,
   generateEmbedding,
+  generateEmbeddings,
   cosineSimilarity,
   chunkText
 };
@@ -0,0 +1,201 @@
+const axios = require('axios');
+const { getProvider } = require('./llmService');
+
+/**
+ * Rerank Service
+ * Optional second stage of retrieval: the top hits of searchDocuments are scored
+ * against the question by a stronger (and slower) model and reordered
+ *
+ * A reranker is an object with:
+ * - name
+ * - score(query, texts) => Promise<Array<number>> - one relevance score per text, higher is better
+ *
+ * Selected with RERANKER:
+ * - "llm" asks the chat provider to rate each passage from 0 to 10
+ * - "api" calls a cross-encoder behind a /rerank endpoint (Cohere, Jina, Hugging Face TEI)
+ */
+
+let currentReranker = null;
+
+/**
+ * Read reranker configuration from the environment
+ * @returns {Object} - Reranker configuration
+ */
+function getRerankerConfig() {
+  return {
+    reranker: process.env.RERANKER || 'none',
+    url: process.env.RERANKER_URL,
+    apiKey: process.env.RERANKER_API_KEY,
+    model: process.env.RERANKER_MODEL
+  };
+}
+
+/**
+ * Build the relevance prompt for the LLM reranker
+ * @param {string} query - User's question
+ * @param {Array<string>} texts - Passages to rate
+ * @returns {Array<Object>} - Chat messages
+ */
+function buildRelevancePrompt(query, texts) {
+  const passages = texts.map((text, i) => `[${i + 1}] ${text}`).join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You rate how well passages answer a question. Reply with a JSON array of numbers only: one score from 0 (irrelevant) to 10 (answers the question) per passage, in the order given.'
+    },
+    { role: 'user', content: `Question: ${query}\n\nPassages:\n\n${passages}` }
+  ];
+}
+
+/**
+ * Read the scores out of an LLM reply
+ * @param {string} content - Model reply
+ * @param {number} count - Passages that were rated
+ * @returns {Array<number>} - Scores between 0 and 1
+ */
+function parseRelevanceScores(content, count) {
+  const match = /\[[\s\S]*?\]/.exec(content || '');
+  let scores = null;
+
+  try {
+    scores = match ? JSON.parse(match[0]) : null;
+  } catch {
+    scores = null;
+  }
+
+  if (!Array.isArray(scores) || scores.length !== count || !scores.every(Number.isFinite)) {
+    throw new Error(`Reranker reply is not a list of ${count} scores`);
+  }
+
+  return scores.map(score => Math.min(Math.max(score, 0), 10) / 10);
+}
+
+/**
+ * Reranker that asks the chat model to rate every passage in one request
+ * @returns {Object} - Reranker
+ */
+function createLLMReranker() {
+  return {
+    name: 'llm',
+
+    async score(query, texts) {
+      const completion = await getProvider().chat({
+        messages: buildRelevancePrompt(query, texts),
+        maxTokens: 10 + texts.length * 4,
+        temperature: 0
+      });
+
+      return parseRelevanceScores(completion.content, texts.length);
+    }
+  };
+}
+
+/**
+ * Reranker backed by a cross-encoder served over HTTP
+ * Accepts both the Cohere/Jina response ({ results: [{ index, relevance_score }] })
+ * and the Hugging Face TEI one ([{ index, score }])
+ * @param {Object} config - Reranker configuration
+ * @returns {Object} - Reranker
+ */
+function createApiReranker(config) {
+  if (!config.url) {
+    throw new Error('RERANKER_URL is required for the "api" reranker');
+  }
+
+  return {
+    name: 'api',
+
+    async score(query, texts) {
+      const response = await axios.post(
+        config.url,
+        { model: config.model, query, documents: texts, texts },
+        {
+          headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+          timeout: 10000
+        }
+      );
+
+      const results = Array.isArray(response.data) ? response.data : response.data?.results;
+      if (!Array.isArray(results)) {
+        throw new Error('Reranker response has no results');
+      }
+
+      const scores = texts.map(() => 0);
+      for (const result of results) {
+        scores[result.index] = result.relevance_score ?? result.score;
+      }
+      return scores;
+    }
+  };
+}
+
+const RERANKERS = {
+  llm: createLLMReranker,
+  api: createApiReranker
+};
+
+/**
+ * Create a reranker from configuration
+ * @param {Object} config - Reranker configuration (defaults to environment)
+ * @returns {Object|null} - Reranker, or null when reranking is off
+ */
+function createReranker(config = getRerankerConfig()) {
+  if (!config.reranker || config.reranker === 'none') {
+    return null;
+  }
+
+  const factory = RERANKERS[config.reranker];
+  if (!factory) {
+    throw new Error(`Unknown reranker "${config.reranker}". Available: none, ${Object.keys(RERANKERS).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Get the configured reranker, creating it on first use
+ * @returns {Object|null} - Reranker, or null when reranking is off
+ */
+function getReranker() {
+  if (!currentReranker) {
+    currentReranker = createReranker();
+  }
+  return currentReranker;
+}
+
+/**
+ * Override the active reranker (or pass null to re-read configuration on next use)
+ * @param {Object|null} reranker - Reranker to use
+ */
+function setReranker(reranker) {
+  currentReranker = reranker;
+}
+
+/**
+ * Reorder search results by reranker score
+ * @param {string} query - User's question
+ * @param {Array<Object>} results - Results of searchDocuments
+ * @param {Object} reranker - Reranker to score with
+ * @returns {Promise<Array<Object>>} - The results with rerankScore, best first
+ */
+async function rerankResults(query, results, reranker) {
+  if (results.length === 0) {
+    return [];
+  }
+
+  const scores = await reranker.score(query, results.map(result => result.text));
+
+  return results
+    .map((result, i) => ({ ...result, rerankScore: scores[i] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
+
+module.exports = {
+  getReranker,
+  setReranker,
+  createReranker,
+  getRerankerConfig,
+  rerankResults,
+  parseRelevanceScores
+};
@@ -0,0 +1,120 @@
+/**
+ * Robots Service
+ * Parses robots.txt and answers whether a crawler may fetch a path (RFC 9309)
+ *
+ * The most specific matching rule wins: the longest Allow/Disallow pattern that
+ * matches the path decides, with Allow winning ties. Patterns support "*" and a
+ * trailing "$" anchor.
+ */
+
+/**
+ * Parse robots.txt into user-agent groups
+ * Consecutive User-agent lines share the rules that follow them
+ * @param {string} text - robots.txt content
+ * @returns {Array<Object>} - Groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Select the rules that apply to a user agent
+ * Groups naming the agent take precedence over the "*" group
+ * @param {Array<Object>} groups - Groups from parseRobotsTxt
+ * @param {string} userAgent - Crawler product token, e.g. ThoughtfulAI-Bot
+ * @returns {Object} - { rules, crawlDelay } where crawlDelay is in seconds or null
+ */
+function getRobotsPolicy(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  let matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * @param {string} pattern - Path pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check whether a path may be fetched
+ * @param {Object} policy - Policy from getRobotsPolicy
+ * @param {string} path - URL path including any query string
+ * @returns {boolean}
+ */
+function isPathAllowed(policy, path) {
+  if (path === '/robots.txt') return true;
+
+  let best = null;
+
+  for (const rule of policy.rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  getRobotsPolicy,
+  isPathAllowed
+};
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const htmlparser2 = require('htmlparser2');
+const { parseRobotsTxt, getRobotsPolicy, isPathAllowed } = require('./robotsService');
+const { envInt } = require('./configService');
 
 /**
  * Pages to scrape from thoughtful.ai
@@ -13,13 +15,39 @@ const PAGES_TO_SCRAPE = [
   { url: 'https://www.thoughtful.ai/trust-and-security', name: 'Trust and Security' }
 ];
 
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; ThoughtfulAI-Bot/1.0; +https://thoughtful.ai)',
+  'Accept': 'text/html,application/xhtml+xml',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+const REQUEST_TIMEOUT_MS = 30000;
+// Minimum delay between requests to the same host, unless robots.txt asks for more
+const REQUEST_DELAY_MS = 500;
+
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_USER_AGENT = 'ThoughtfulAI-Bot';
+const ROBOTS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// An unreachable robots.txt is asked for again after this long, so every page of a scrape gets the same answer
+const ROBOTS_RETRY_MS = 5 * 60 * 1000;
+
+// robots.txt policy per origin: { policy, fetchedAt }
+const robotsCache = new Map();
+// Time of the last request per origin, for per-host politeness
+const lastRequestAt = new Map();
+
+// Links to these resources are never crawled as pages
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|mp4|mp3|woff2?|ttf)$/i;
+
+// Headings that open a section; the number is the heading level
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4 };
+
 /**
- * Extract text content from HTML using htmlparser2
+ * Extract the text blocks of an HTML page in document order
  * @param {string} html - Raw HTML content
- * @returns {string} - Cleaned text content
+ * @returns {Array<Object>} - { tag, text } for each heading, paragraph, list item or other text block
  */
-function extractTextFromHtml(html) {
-  const textParts = [];
+function extractBlocksFromHtml(html) {
+  const blocks = [];
   let currentTag = '';
   let skipContent = false;
   const tagsToSkip = ['script', 'style', 'nav', 'footer', 'header', 'noscript'];
@@ -50,9 +78,9 @@ function extractTextFromHtml(html) {
       
       const trimmedText = currentText.trim();
       // Only add text that meets minimum length requirements
-      const minLength = ['h1', 'h2', 'h3', 'h4'].includes(tag) ? 3 : 10;
+      const minLength = HEADING_LEVELS[tag] ? 3 : 10;
       if (trimmedText && trimmedText.length >= minLength) {
-        textParts.push(trimmedText);
+        blocks.push({ tag, text: trimmedText });
       }
       currentText = '';
       currentTag = '';
@@ -62,19 +90,99 @@ function extractTextFromHtml(html) {
   parser.write(html);
   parser.end();
   
+  return blocks;
+}
+
+/**
+ * Extract text content from HTML using htmlparser2
+ * @param {string} html - Raw HTML content
+ * @returns {string} - Cleaned text content
+ */
+function extractTextFromHtml(html) {
   // Deduplicate and clean
-  const uniqueTexts = [...new Set(textParts)];
+  const uniqueTexts = [...new Set(extractBlocksFromHtml(html).map(block => block.text))];
   return uniqueTexts.join('\n\n');
 }
 
+/**
+ * Attach the heading path to each paragraph of a document
+ * Headings are not returned as paragraphs of their own unless nothing (no text and no
+ * subsection) falls under them, so their text is not lost.
+ * @param {Array<Object>} blocks - { text, level } in document order; level is the heading
+ *   level (1 for the top level) or 0 for body text
+ * @returns {Array<Object>} - { section, text } per unique paragraph; section is the heading
+ *   path such as "Payment Posting > Benefits", or null before the first heading
+ */
+function assignSections(blocks) {
+  const sections = [];
+  const seen = new Set();
+  const headings = [];
+  let pendingHeading = null;
+  
+  const add = (section, text) => {
+    if (seen.has(text)) return;
+    seen.add(text);
+    sections.push({ section, text });
+  };
+  const currentSection = () => headings.filter(Boolean).join(' > ') || null;
+  const flushHeading = () => {
+    if (pendingHeading) {
+      add(pendingHeading.parent, pendingHeading.text);
+      pendingHeading = null;
+    }
+  };
+  
+  for (const { text, level } of blocks) {
+    if (level > 0) {
+      // A subheading makes its parent a section rather than an empty heading
+      if (pendingHeading && pendingHeading.level >= level) {
+        flushHeading();
+      }
+      headings.length = level - 1;
+      pendingHeading = { text, level, parent: currentSection() };
+      headings[level - 1] = text;
+    } else {
+      pendingHeading = null;
+      add(currentSection(), text);
+    }
+  }
+  
+  flushHeading();
+  return sections;
+}
+
+/**
+ * Extract the paragraphs of an HTML page with the headings they appear under
+ * @param {string} html - Raw HTML content
+ * @returns {Array<Object>} - { section, text } per paragraph, as returned by assignSections
+ */
+function extractSectionsFromHtml(html) {
+  return assignSections(extractBlocksFromHtml(html).map(({ tag, text }) => ({ text, level: HEADING_LEVELS[tag] || 0 })));
+}
+
 /**
  * Parse and structure content from scraped page
- * @param {string} content - Raw text content
+ * @param {string|Array<Object>} content - Raw text content, or { section, text } paragraphs
+ *   from extractSectionsFromHtml
  * @param {string} pageName - Name of the page
  * @param {string} url - URL of the page
- * @returns {Object} - Structured content
+ * @returns {Object} - Structured content; sections holds the heading path of each content
+ *   item when paragraphs were given
  */
 function parseContent(content, pageName, url) {
+  if (Array.isArray(content)) {
+    const paragraphs = content.filter(paragraph => paragraph.text.trim().length > 20);
+    
+    return {
+      pageName,
+      url,
+      scrapedAt: new Date().toISOString(),
+      content: paragraphs.map(paragraph => paragraph.text),
+      sections: paragraphs.map(paragraph => paragraph.section),
+      fullText: content.map(paragraph => paragraph.text).join('\n\n')
+    };
+  }
+  
   // Split content into meaningful chunks
   const chunks = content.split('\n\n').filter(chunk => chunk.trim().length > 20);
   
@@ -87,52 +195,530 @@ function parseContent(content, pageName, url) {
   };
 }
 
+/**
+ * Fetch a URL as text
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - Axios response
+ */
+function fetchUrl(url, headers = {}) {
+  return axios.get(url, {
+    headers: { ...REQUEST_HEADERS, ...headers },
+    timeout: REQUEST_TIMEOUT_MS,
+    responseType: 'text',
+    // 304 answers a conditional request; it is a result, not an error
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+}
+
+/**
+ * Read the cache validators of a response
+ * @param {Object} response - Axios response
+ * @returns {Object} - { etag, lastModified }, null where the server sent none
+ */
+function getValidators(response) {
+  return {
+    etag: response.headers?.etag || null,
+    lastModified: response.headers?.['last-modified'] || null
+  };
+}
+
+/**
+ * Get the robots.txt policy for a URL's origin, fetching it at most once a day
+ * A missing robots.txt (4xx) allows everything. An unreachable one (5xx, network error)
+ * disallows everything, as RFC 9309 requires, and is fetched again after five minutes.
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<Object>} - { rules, crawlDelay } or { unavailable: true, error }
+ */
+async function getRobotsPolicyForUrl(url) {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+
+  const ttl = cached?.policy.unavailable ? ROBOTS_RETRY_MS : ROBOTS_CACHE_TTL_MS;
+
+  if (cached && Date.now() - cached.fetchedAt < ttl) {
+    return cached.policy;
+  }
+
+  let policy;
+  try {
+    const response = await fetchUrl(`${origin}/robots.txt`, { 'Accept': 'text/plain' });
+    policy = getRobotsPolicy(parseRobotsTxt(response.data), ROBOTS_USER_AGENT);
+  } catch (error) {
+    const status = error.response?.status;
+    if (status >= 400 && status < 500) {
+      policy = { rules: [], crawlDelay: null };
+    } else {
+      policy = { unavailable: true, error };
+    }
+  }
+
+  robotsCache.set(origin, { policy, fetchedAt: Date.now() });
+  return policy;
+}
+
+/**
+ * Wait until a request to the given origin is polite
+ * @param {string} origin - Host origin
+ * @param {number} delayMs - Minimum time since the previous request to this origin
+ * @returns {Promise<void>}
+ */
+async function waitForHost(origin, delayMs) {
+  const last = lastRequestAt.get(origin);
+  const wait = last === undefined ? 0 : last + delayMs - Date.now();
+
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  lastRequestAt.set(origin, Date.now());
+}
+
+/**
+ * Fetch a page if robots.txt allows it, spacing requests to the same host
+ * @param {string} url - URL to fetch
+ * @param {number} delayMs - Minimum delay between requests to the host; robots.txt Crawl-delay can raise it
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - Axios response
+ * @throws {Error} - With code ROBOTS_DISALLOWED or ROBOTS_UNAVAILABLE when the URL must be skipped
+ */
+async function fetchPolitely(url, delayMs = REQUEST_DELAY_MS, headers = {}) {
+  const { origin, pathname, search } = new URL(url);
+  const policy = await getRobotsPolicyForUrl(url);
+
+  if (policy.unavailable) {
+    throw Object.assign(
+      new Error(`robots.txt for ${origin} is unavailable (${policy.error.message})`),
+      { code: 'ROBOTS_UNAVAILABLE' }
+    );
+  }
+
+  if (!isPathAllowed(policy, pathname + search)) {
+    throw Object.assign(new Error(`Disallowed by robots.txt: ${url}`), { code: 'ROBOTS_DISALLOWED' });
+  }
+
+  const crawlDelayMs = policy.crawlDelay !== null ? policy.crawlDelay * 1000 : 0;
+  await waitForHost(origin, Math.max(delayMs, crawlDelayMs));
+
+  return fetchUrl(url, headers);
+}
+
+/**
+ * Check whether an error means a URL was skipped for robots.txt rather than failed
+ * @param {Error} error - Error from fetchPolitely
+ * @returns {boolean}
+ */
+function isRobotsSkip(error) {
+  return error.code === 'ROBOTS_DISALLOWED' || error.code === 'ROBOTS_UNAVAILABLE';
+}
+
+/**
+ * Forget cached robots.txt policies and request times
+ */
+function resetCrawlState() {
+  robotsCache.clear();
+  lastRequestAt.clear();
+}
+
 /**
  * Scrape a single page
+ * robots.txt is checked first, and requests to the same host are spaced out.
+ * Given the validators from a previous scrape, the request is conditional and an
+ * unchanged page comes back as { pageName, url, notModified: true } without being parsed.
  * @param {string} url - URL to scrape
- * @param {string} pageName - Name of the page
- * @returns {Promise<Object>} - Scraped content
+ * @param {string} [pageName] - Name of the page (defaults to the page's <title>)
+ * @param {Object} [validators] - { etag, lastModified } from the previous scrape of this URL
+ * @returns {Promise<Object>} - Scraped content, including the response's etag and lastModified
+ * @throws {Error} - With code ROBOTS_DISALLOWED or ROBOTS_UNAVAILABLE when robots.txt forbids the fetch
  */
-async function scrapePage(url, pageName) {
+async function scrapePage(url, pageName, validators = {}) {
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ThoughtfulAI-Bot/1.0; +https://thoughtful.ai)',
-        'Accept': 'text/html,application/xhtml+xml',
-        'Accept-Language': 'en-US,en;q=0.9'
-      },
-      timeout: 30000
-    });
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    
+    const response = await fetchPolitely(url, REQUEST_DELAY_MS, headers);
+    
+    if (response.status === 304) {
+      console.log(`= ${pageName} unchanged`);
+      return { pageName, url, notModified: true };
+    }
     
     const html = response.data;
-    const textContent = extractTextFromHtml(html);
-    const structured = parseContent(textContent, pageName, url);
+    const name = pageName || getPageName(extractPageMetadata(html, url).title, url);
+    const structured = {
+      ...parseContent(extractSectionsFromHtml(html), name, url),
+      ...getValidators(response)
+    };
     
-    console.log(`✓ Scraped ${pageName}: ${structured.content.length} content chunks`);
+    console.log(`✓ Scraped ${name}: ${structured.content.length} content chunks`);
     return structured;
   } catch (error) {
-    console.error(`✗ Failed to scrape ${pageName}:`, error.message);
+    console.error(`✗ Failed to scrape ${pageName || url}:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Normalize a URL so the same page is only crawled once
+ * Resolves relative links, drops fragments and tracking parameters, and trims trailing slashes
+ * @param {string} url - URL or relative link
+ * @param {string} [base] - URL the link was found on
+ * @returns {string|null} - Normalized absolute URL, or null for non-HTTP links
+ */
+function normalizeUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    return null;
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+  
+  parsed.hash = '';
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (key.startsWith('utm_') || key === 'gclid' || key === 'fbclid') {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.search = parsed.searchParams.toString() ? `?${parsed.searchParams}` : '';
+  
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  
+  return parsed.toString();
+}
+
+/**
+ * Extract the title, canonical URL and outgoing links from a page
+ * @param {string} html - Raw HTML content
+ * @param {string} url - URL the page was fetched from (for resolving relative links)
+ * @returns {Object} - { title, canonical, links }
+ */
+function extractPageMetadata(html, url) {
+  let title = '';
+  let inTitle = false;
+  let canonical = null;
+  const links = [];
+  
+  const parser = new htmlparser2.Parser({
+    onopentag(name, attribs) {
+      const tag = name.toLowerCase();
+      const rel = (attribs.rel || '').toLowerCase().split(/\s+/);
+      
+      if (tag === 'title') {
+        inTitle = true;
+      } else if (tag === 'link' && rel.includes('canonical') && attribs.href && !canonical) {
+        canonical = normalizeUrl(attribs.href, url);
+      } else if (tag === 'a' && attribs.href && !rel.includes('nofollow')) {
+        const link = normalizeUrl(attribs.href, url);
+        if (link) links.push(link);
+      }
+    },
+    ontext(text) {
+      if (inTitle) title += text;
+    },
+    onclosetag(name) {
+      if (name.toLowerCase() === 'title') inTitle = false;
+    }
+  }, { decodeEntities: true });
+  
+  parser.write(html);
+  parser.end();
+  
+  return {
+    title: title.replace(/\s+/g, ' ').trim(),
+    canonical,
+    links: [...new Set(links)]
+  };
+}
+
+/**
+ * Derive a page name from its <title>, falling back to the URL path
+ * Site-wide suffixes such as "Prior Authorization | Thoughtful AI" are dropped
+ * @param {string} title - Page title
+ * @param {string} url - Page URL
+ * @returns {string} - Page name
+ */
+function getPageName(title, url) {
+  const name = title.split(/\s+[|–—]\s+|\s+-\s+/)[0].trim();
+  if (name) return name;
+  
+  const { pathname } = new URL(url);
+  const slug = pathname.split('/').filter(Boolean).pop();
+  if (!slug) return 'Home';
+  
+  return slug
+    .replace(/\.[a-z]+$/i, '')
+    .split(/[-_]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Extract page URLs from a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} - { urls, sitemaps } where sitemaps are nested sitemaps of an index
+ */
+function parseSitemap(xml) {
+  const urls = [];
+  const sitemaps = [];
+  let parent = null;
+  let inLoc = false;
+  let loc = '';
+  
+  const parser = new htmlparser2.Parser({
+    onopentag(name) {
+      const tag = name.toLowerCase().replace(/^.*:/, '');
+      if (tag === 'url' || tag === 'sitemap') {
+        parent = tag;
+      } else if (tag === 'loc') {
+        inLoc = true;
+        loc = '';
+      }
+    },
+    ontext(text) {
+      if (inLoc) loc += text;
+    },
+    onclosetag(name) {
+      const tag = name.toLowerCase().replace(/^.*:/, '');
+      if (tag === 'loc' && inLoc) {
+        inLoc = false;
+        const value = loc.trim();
+        if (value) (parent === 'sitemap' ? sitemaps : urls).push(value);
+      } else if (tag === parent) {
+        parent = null;
+      }
+    }
+  }, { xmlMode: true, decodeEntities: true });
+  
+  parser.write(xml);
+  parser.end();
+  
+  return { urls, sitemaps };
+}
+
+/**
+ * Collect page URLs from an origin's sitemap.xml, following one level of sitemap index
+ * A missing or broken sitemap is not an error; the crawl falls back to link discovery
+ * @param {string} origin - Site origin, e.g. https://www.thoughtful.ai
+ * @param {number} delayMs - Minimum delay between requests to the host
+ * @returns {Promise<Array<string>>} - Page URLs listed in the sitemap
+ */
+async function fetchSitemapUrls(origin, delayMs) {
+  const fetchSitemap = async url => {
+    try {
+      const response = await fetchPolitely(url, delayMs, { 'Accept': 'application/xml,text/xml' });
+      return parseSitemap(String(response.data));
+    } catch (error) {
+      console.warn(`  Sitemap ${url} unavailable: ${error.message}`);
+      return { urls: [], sitemaps: [] };
+    }
+  };
+  
+  const root = await fetchSitemap(`${origin}/sitemap.xml`);
+  const urls = [...root.urls];
+  
+  for (const nested of root.sitemaps) {
+    if (new URL(nested, origin).origin !== origin) continue;
+    const { urls: nestedUrls } = await fetchSitemap(nested);
+    urls.push(...nestedUrls);
+  }
+  
+  return urls;
+}
+
+/**
+ * Read crawler configuration from the environment
+ * @returns {Object} - Crawl options
+ */
+function getCrawlConfig() {
+  const seeds = (process.env.CRAWL_SEED_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+  
+  return {
+    mode: process.env.SCRAPE_MODE || 'pages',
+    seedUrls: seeds.length > 0 ? seeds : PAGES_TO_SCRAPE.map(page => page.url),
+    useSitemap: process.env.CRAWL_USE_SITEMAP !== 'false',
+    maxDepth: envInt('CRAWL_MAX_DEPTH', 2),
+    maxPages: envInt('CRAWL_MAX_PAGES', 50)
+  };
+}
+
+/**
+ * Get the origins the scraper may fetch pages from on request (those of the crawl seed URLs)
+ * @returns {Set<string>} - Origins such as "https://www.thoughtful.ai"
+ */
+function getCrawlOrigins() {
+  return new Set(getCrawlConfig().seedUrls.map(url => normalizeUrl(url)).filter(Boolean).map(url => new URL(url).origin));
+}
+
+/**
+ * Crawl a site from seed URLs and its sitemap, following same-origin links
+ * Pages are visited breadth-first so the page budget favours pages closest to the seeds
+ * @param {Object} options - Crawl options (defaults come from the environment)
+ * @param {Array<string>} [options.seedUrls] - Starting URLs; their origins bound the crawl (CRAWL_SEED_URLS)
+ * @param {boolean} [options.useSitemap=true] - Also start from each origin's sitemap.xml (CRAWL_USE_SITEMAP)
+ * @param {number} [options.maxDepth=2] - Links followed away from a seed or sitemap URL (CRAWL_MAX_DEPTH)
+ * @param {number} [options.maxPages=50] - Maximum pages scraped (CRAWL_MAX_PAGES)
+ * @param {number} [options.delayMs=500] - Minimum delay between requests to a host
+ * @param {Array<Object>} [options.skipped] - Receives { url, reason, code } for URLs skipped because of robots.txt,
+ *   where code is ROBOTS_DISALLOWED or ROBOTS_UNAVAILABLE
+ * @param {Array<Object>} [options.failed] - Receives { url, reason } for URLs that could not be fetched
+ * @param {Function} [options.onProgress] - Called after each URL with { url, done, scraped, total, error };
+ *   total is an estimate that grows as links are discovered
+ * @returns {Promise<Array>} - Scraped pages, in the same shape as parseContent
+ */
+async function crawlSite(options = {}) {
+  const {
+    seedUrls,
+    useSitemap,
+    maxDepth,
+    maxPages,
+    delayMs = REQUEST_DELAY_MS,
+    skipped = [],
+    failed = [],
+    onProgress = () => {}
+  } = {
+    ...getCrawlConfig(),
+    ...options
+  };
+  
+  const seeds = seedUrls.map(url => normalizeUrl(url)).filter(Boolean);
+  const origins = new Set(seeds.map(url => new URL(url).origin));
+  const isCrawlable = url => origins.has(new URL(url).origin) && !NON_HTML_EXTENSIONS.test(new URL(url).pathname);
+  
+  const queue = [];
+  const seen = new Set();
+  const enqueue = (url, depth) => {
+    if (url && !seen.has(url) && isCrawlable(url)) {
+      seen.add(url);
+      queue.push({ url, depth });
+    }
+  };
+  
+  seeds.forEach(url => enqueue(url, 0));
+  
+  if (useSitemap) {
+    for (const origin of origins) {
+      const sitemapUrls = await fetchSitemapUrls(origin, delayMs);
+      sitemapUrls.forEach(url => enqueue(normalizeUrl(url, origin), 0));
+    }
+  }
+  
+  console.log(`🕸️  Crawling ${origins.size} site(s) from ${queue.length} starting URLs (depth ${maxDepth}, max ${maxPages} pages)`);
+  
+  const results = [];
+  const scrapedUrls = new Set();
+  const pageNames = new Set();
+  let done = 0;
+  
+  while (queue.length > 0 && results.length < maxPages) {
+    const { url, depth } = queue.shift();
+    let error = null;
+    
+    try {
+      const response = await fetchPolitely(url, delayMs);
+      const contentType = response.headers?.['content-type'] || 'text/html';
+      
+      if (!contentType.includes('html')) {
+        continue;
+      }
+      
+      const html = String(response.data);
+      const { title, canonical, links } = extractPageMetadata(html, url);
+      
+      // Several URLs can serve the same page; index it once under its canonical URL
+      const pageUrl = canonical && origins.has(new URL(canonical).origin) ? canonical : url;
+      if (scrapedUrls.has(pageUrl)) {
+        continue;
+      }
+      scrapedUrls.add(pageUrl);
+      seen.add(pageUrl);
+      
+      let pageName = getPageName(title, pageUrl);
+      if (pageNames.has(pageName)) {
+        pageName = `${pageName} (${new URL(pageUrl).pathname})`;
+      }
+      pageNames.add(pageName);
+      
+      const structured = {
+        ...parseContent(extractSectionsFromHtml(html), pageName, pageUrl),
+        ...getValidators(response)
+      };
+      results.push(structured);
+      console.log(`✓ Scraped ${pageName}: ${structured.content.length} content chunks`);
+      
+      if (depth < maxDepth) {
+        links.forEach(link => enqueue(link, depth + 1));
+      }
+    } catch (fetchError) {
+      if (isRobotsSkip(fetchError)) {
+        skipped.push({ url, reason: fetchError.message, code: fetchError.code });
+        console.warn(`⊘ Skipped ${url}: ${fetchError.message}`);
+      } else {
+        error = fetchError.message;
+        failed.push({ url, reason: error, status: fetchError.response?.status ?? null });
+        console.error(`✗ Failed to crawl ${url}:`, error);
+      }
+    } finally {
+      done++;
+      const remaining = Math.min(maxPages - results.length, queue.length);
+      onProgress({ url, done, scraped: results.length, total: done + remaining, error });
+    }
+  }
+  
+  return results;
+}
+
 /**
  * Scrape all configured pages from thoughtful.ai
- * @returns {Promise<Array>} - Array of scraped content
+ * With SCRAPE_MODE=crawl the site is crawled from seeds and sitemap instead of PAGES_TO_SCRAPE.
+ * Crawling always fetches full pages, since an unchanged page's links are still needed.
+ * @param {Object} [options] - Scraping options and report
+ * @param {Object} [options.validators] - URL => { etag, lastModified } for conditional requests
+ * @param {Array<Object>} [options.skipped] - Receives { url, reason, code } for URLs skipped because of robots.txt,
+ *   where code is ROBOTS_DISALLOWED or ROBOTS_UNAVAILABLE
+ * @param {Array<Object>} [options.failed] - Receives { url, reason, status } for URLs that could not be fetched,
+ *   where status is the HTTP status of the failed response, or null when there was none
+ * @param {Function} [options.onProgress] - Called after each URL with { url, done, scraped, total, error },
+ *   where error is the failure reason of that URL, if any
+ * @returns {Promise<Array>} - Array of scraped content; unchanged pages have notModified: true
  */
-async function scrapeAllPages() {
+async function scrapeAllPages({ validators = {}, skipped = [], failed = [], onProgress = () => {} } = {}) {
   console.log('🔍 Starting web scraping from thoughtful.ai...');
+  
+  if (getCrawlConfig().mode === 'crawl') {
+    const crawled = await crawlSite({ skipped, failed, onProgress });
+    console.log(`✅ Crawl complete. Retrieved ${crawled.length} pages.`);
+    return crawled;
+  }
+  
   const results = [];
   
-  for (const page of PAGES_TO_SCRAPE) {
+  for (const [index, page] of PAGES_TO_SCRAPE.entries()) {
+    let error = null;
+    
     try {
-      const content = await scrapePage(page.url, page.name);
+      const content = await scrapePage(page.url, page.name, validators[page.url]);
       results.push(content);
-      // Small delay to be respectful to the server
-      await new Promise(resolve => setTimeout(resolve, 500));
-    } catch (error) {
+    } catch (scrapeError) {
+      if (isRobotsSkip(scrapeError)) {
+        skipped.push({ url: page.url, reason: scrapeError.message, code: scrapeError.code });
+      } else {
+        error = scrapeError.message;
+        failed.push({ url: page.url, reason: error, status: scrapeError.response?.status ?? null });
+      }
       console.error(`Skipping ${page.name} due to error`);
     }
+    
+    onProgress({ url: page.url, done: index + 1, scraped: results.length, total: PAGES_TO_SCRAPE.length, error });
   }
   
   console.log(`✅ Scraping complete. Retrieved ${results.length} pages.`);
@@ -142,7 +728,17 @@ async function scrapeAllPages() {
 module.exports = {
   scrapeAllPages,
   scrapePage,
+  crawlSite,
   extractTextFromHtml,
+  extractSectionsFromHtml,
+  assignSections,
+  extractPageMetadata,
   parseContent,
+  parseSitemap,
+  normalizeUrl,
+  getPageName,
+  getCrawlConfig,
+  getCrawlOrigins,
+  resetCrawlState,
   PAGES_TO_SCRAPE
 };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage Service
+ * Persists knowledge base state as JSON files in a local storage directory
+ */
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '../../storage');
+
+// Distinguishes temporary files of saves started in the same millisecond
+let tempFileCounter = 0;
+
+/**
+ * Get the storage directory
+ * Set STORAGE_DIR to an empty string to disable persistence entirely
+ * @returns {string|null} - Absolute directory path, or null when persistence is disabled
+ */
+function getStorageDir() {
+  const configured = process.env.STORAGE_DIR;
+  
+  if (configured === undefined) {
+    return DEFAULT_STORAGE_DIR;
+  }
+  
+  return configured.trim() ? path.resolve(configured) : null;
+}
+
+/**
+ * Check if persistence is enabled
+ * @returns {boolean}
+ */
+function isStorageEnabled() {
+  return getStorageDir() !== null;
+}
+
+/**
+ * Load a JSON file from the storage directory
+ * @param {string} fileName - File name relative to the storage directory
+ * @returns {Promise<Object|null>} - Parsed content, or null if missing, unreadable or disabled
+ */
+async function loadJson(fileName) {
+  const dir = getStorageDir();
+  if (!dir) return null;
+  
+  const filePath = path.join(dir, fileName);
+  
+  try {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read ${filePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write a JSON file to the storage directory atomically
+ * The data is written to a temporary file first and renamed into place, so readers
+ * never observe a partially written file
+ * @param {string} fileName - File name relative to the storage directory
+ * @param {Object} data - Data to serialize
+ * @returns {Promise<string|null>} - Path written, or null when persistence is disabled
+ */
+async function saveJson(fileName, data) {
+  const dir = getStorageDir();
+  if (!dir) return null;
+  
+  const filePath = path.join(dir, fileName);
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.${++tempFileCounter}.tmp`;
+  
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  
+  return filePath;
+}
+
+/**
+ * Delete a JSON file from the storage directory
+ * Missing files are ignored
+ * @param {string} fileName - File name relative to the storage directory
+ * @returns {Promise<void>}
+ */
+async function removeJson(fileName) {
+  const dir = getStorageDir();
+  if (!dir) return;
+  
+  await fs.promises.rm(path.join(dir, fileName), { force: true });
+}
+
+module.exports = {
+  getStorageDir,
+  isStorageEnabled,
+  loadJson,
+  saveJson,
+  removeJson
+};
@@ -0,0 +1,124 @@
+const { getEncoding, getEncodingNameForModel } = require('js-tiktoken');
+const { envInt } = require('./configService');
+
+/**
+ * Tokenizer Service
+ * Measures text in the tokens of the embedding and chat models, so chunks and prompts
+ * can be sized to what the model accepts rather than by character count
+ *
+ * OpenAI models use their own encoding. Other models (local servers, the hashing
+ * embedder) are measured with cl100k_base, which is close enough for sizing chunks.
+ */
+
+const DEFAULT_ENCODING = 'cl100k_base';
+
+// Input limits of known embedding models, in tokens
+const MODEL_INPUT_LIMITS = {
+  'text-embedding-3-small': 8191,
+  'text-embedding-3-large': 8191,
+  'text-embedding-ada-002': 8191,
+  'nomic-embed-text': 8192,
+  'mxbai-embed-large': 512,
+  'all-minilm': 256
+};
+const DEFAULT_INPUT_LIMIT = 8191;
+
+// Context windows of known chat models, in tokens (prompt and answer together)
+const CHAT_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'llama3.1': 8192
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Loaded encodings by name; building one takes a few hundred milliseconds
+const tokenizers = new Map();
+
+/**
+ * Find the encoding used by a model
+ * @param {string} model - Embedding model name
+ * @returns {string} - Encoding name, e.g. "cl100k_base"
+ */
+function getEncodingName(model) {
+  try {
+    return getEncodingNameForModel(model);
+  } catch {
+    return DEFAULT_ENCODING;
+  }
+}
+
+/**
+ * Get the tokenizer of a model
+ * Special tokens such as "<|endoftext|>" are counted as plain text, since scraped pages may contain them
+ * @param {string} model - Embedding or chat model name
+ * @returns {Object} - { encoding, encode(text), decode(tokens), count(text) }
+ */
+function getTokenizer(model) {
+  const name = getEncodingName(model);
+
+  if (!tokenizers.has(name)) {
+    const encoding = getEncoding(name);
+    const encode = text => encoding.encode(text, [], []);
+
+    tokenizers.set(name, {
+      encoding: name,
+      encode,
+      decode: tokens => encoding.decode(tokens),
+      count: text => encode(text).length
+    });
+  }
+
+  return tokenizers.get(name);
+}
+
+/**
+ * Get the most tokens a model accepts in one input
+ * EMBEDDING_MAX_INPUT_TOKENS overrides the limit, e.g. for a local server with a smaller context
+ * @param {string} model - Embedding model name
+ * @returns {number}
+ */
+function getModelInputLimit(model) {
+  const override = envInt('EMBEDDING_MAX_INPUT_TOKENS', 0);
+  if (override > 0) {
+    return override;
+  }
+
+  return MODEL_INPUT_LIMITS[model] || DEFAULT_INPUT_LIMIT;
+}
+
+/**
+ * Get the context window of a chat model
+ * CHAT_CONTEXT_WINDOW overrides it, e.g. for a local server started with a smaller context
+ * @param {string} model - Chat model name
+ * @returns {number}
+ */
+function getChatContextWindow(model) {
+  const override = envInt('CHAT_CONTEXT_WINDOW', 0);
+  if (override > 0) {
+    return override;
+  }
+
+  return CHAT_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Cut text to at most a number of tokens
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Tokens to keep
+ * @param {Object} tokenizer - Tokenizer from getTokenizer
+ * @returns {string} - The text itself when it already fits
+ */
+function truncateToTokens(text, maxTokens, tokenizer) {
+  const tokens = tokenizer.encode(text);
+  return tokens.length <= maxTokens ? text : tokenizer.decode(tokens.slice(0, maxTokens));
+}
+
+module.exports = {
+  getTokenizer,
+  getModelInputLimit,
+  getChatContextWindow,
+  truncateToTokens
+};
@@ -0,0 +1,462 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Vector Index Service
+ * Nearest-neighbour search over chunk embeddings by cosine similarity
+ *
+ * Vectors are normalized once, into a Float32Array per vector, so cosine similarity
+ * becomes a dot product. Indexes built from the same normalized rows share them
+ * instead of copying them. Small stores are
+ * scanned exhaustively; from minVectors vectors on, an HNSW graph (hierarchical
+ * navigable small world) is built so a query only visits a few hundred vectors.
+ * Building the graph of a few thousand vectors takes seconds, so the server builds
+ * it in a worker thread and scans the index until the graph is attached.
+ */
+
+const DEFAULT_MIN_VECTORS = 1000;
+const DEFAULT_M = 12;
+const DEFAULT_EF_CONSTRUCTION = 48;
+const DEFAULT_EF_SEARCH = 64;
+const DEFAULT_SEED = 42;
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>|Float32Array} vector - Vector to normalize
+ * @returns {Float32Array} - Normalized copy (all zeros for a zero vector)
+ */
+function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+
+  for (let i = 0; i < normalized.length; i++) {
+    norm += normalized[i] * normalized[i];
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number}
+ */
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Encode a vector as base64 of its float32 bytes
+ * @param {Float32Array} vector - Vector to persist
+ * @returns {string}
+ */
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+/**
+ * Decode a persisted vector
+ * @param {string|Array<number>} saved - base64 string, or a plain array from files saved before vectors were encoded
+ * @returns {Float32Array}
+ */
+function decodeVector(saved) {
+  if (Array.isArray(saved)) {
+    return Float32Array.from(saved);
+  }
+
+  const bytes = Buffer.from(saved, 'base64');
+  // Copy into a buffer of its own, since Buffer may hand out an unaligned slice of a shared pool
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+/**
+ * Binary heap of { id, score } entries
+ * @param {boolean} highestFirst - Pop the highest score first (otherwise the lowest)
+ * @returns {Object} - { push, pop, peek, size }
+ */
+function createHeap(highestFirst) {
+  const items = [];
+  const before = (a, b) => (highestFirst ? a.score > b.score : a.score < b.score);
+
+  return {
+    size: () => items.length,
+    peek: () => items[0],
+
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    },
+
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let next = i;
+          if (left < items.length && before(items[left], items[next])) next = left;
+          if (right < items.length && before(items[right], items[next])) next = right;
+          if (next === i) break;
+          [items[i], items[next]] = [items[next], items[i]];
+          i = next;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so the same vectors always build the same graph
+ * @param {number} seed - Seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Best-first search of one layer of the graph
+ * @param {Object} index - Vector index
+ * @param {Float32Array} query - Normalized query vector
+ * @param {Array<number>} entryIds - Nodes to start from
+ * @param {number} ef - Size of the dynamic candidate list
+ * @param {number} level - Graph layer
+ * @returns {Array<Object>} - Up to ef { id, score } entries, best first
+ */
+function searchLayer(index, query, entryIds, ef, level) {
+  const { graph, rows } = index;
+  const visit = ++graph.visitStamp;
+  const candidates = createHeap(true);
+  const results = createHeap(false);
+
+  for (const id of entryIds) {
+    graph.visited[id] = visit;
+    const entry = { id, score: dotProduct(query, rows[id]) };
+    candidates.push(entry);
+    results.push(entry);
+  }
+
+  while (candidates.size() > 0) {
+    const current = candidates.pop();
+    if (results.size() >= ef && current.score < results.peek().score) break;
+
+    for (const id of graph.neighbors[level][current.id]) {
+      if (graph.visited[id] === visit) continue;
+      graph.visited[id] = visit;
+
+      const score = dotProduct(query, rows[id]);
+      if (results.size() < ef || score > results.peek().score) {
+        candidates.push({ id, score });
+        results.push({ id, score });
+        if (results.size() > ef) results.pop();
+      }
+    }
+  }
+
+  const found = [];
+  while (results.size() > 0) found.push(results.pop());
+  return found.reverse();
+}
+
+/**
+ * Choose the neighbours of a new node among its nearest candidates
+ * A candidate is skipped when it is closer to an already chosen neighbour than to the node,
+ * which keeps links pointing in different directions; skipped candidates fill any remaining slots
+ * @param {Object} index - Vector index
+ * @param {Array<Object>} candidates - { id, score } entries, best first
+ * @param {number} m - Neighbours to choose
+ * @returns {Array<number>} - Node ids
+ */
+function selectNeighbors(index, candidates, m) {
+  const selected = [];
+  const skipped = [];
+
+  for (const candidate of candidates) {
+    if (selected.length >= m) break;
+
+    const row = index.rows[candidate.id];
+    if (selected.every(id => dotProduct(row, index.rows[id]) < candidate.score)) {
+      selected.push(candidate.id);
+    } else {
+      skipped.push(candidate.id);
+    }
+  }
+
+  return selected.concat(skipped.slice(0, m - selected.length));
+}
+
+/**
+ * Build the HNSW graph over the vectors of an index
+ * @param {Object} index - Vector index without a graph
+ * @param {Object} options - { m, efConstruction, seed }
+ * @returns {Object} - Graph
+ */
+function buildGraph(index, { m, efConstruction, seed }) {
+  const random = createRandom(seed);
+  const levelMultiplier = 1 / Math.log(m);
+  const graph = {
+    neighbors: [],
+    entryPoint: -1,
+    maxLevel: -1,
+    visited: new Uint32Array(index.count),
+    visitStamp: 0
+  };
+  index.graph = graph;
+
+  for (let node = 0; node < index.count; node++) {
+    const level = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+    while (graph.neighbors.length <= level) {
+      graph.neighbors.push([]);
+    }
+    for (let l = 0; l <= level; l++) {
+      graph.neighbors[l][node] = [];
+    }
+
+    if (graph.entryPoint < 0) {
+      graph.entryPoint = node;
+      graph.maxLevel = level;
+      continue;
+    }
+
+    const query = index.rows[node];
+    let entryIds = [graph.entryPoint];
+
+    for (let l = graph.maxLevel; l > level; l--) {
+      entryIds = [searchLayer(index, query, entryIds, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, graph.maxLevel); l >= 0; l--) {
+      const candidates = searchLayer(index, query, entryIds, efConstruction, l);
+      const maxLinks = l === 0 ? 2 * m : m;
+      const selected = selectNeighbors(index, candidates, m);
+      graph.neighbors[l][node] = selected;
+
+      for (const id of selected) {
+        const links = graph.neighbors[l][id];
+        links.push(node);
+
+        // Over-full lists keep their nearest links
+        if (links.length > maxLinks) {
+          const row = index.rows[id];
+          graph.neighbors[l][id] = links
+            .map(link => ({ id: link, score: dotProduct(row, index.rows[link]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxLinks)
+            .map(link => link.id);
+        }
+      }
+
+      entryIds = candidates.map(candidate => candidate.id);
+    }
+
+    if (level > graph.maxLevel) {
+      graph.maxLevel = level;
+      graph.entryPoint = node;
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Resolve the graph parameters for an index of a given size
+ * @param {number} count - Vectors in the index
+ * @param {Object} options - Index parameters, see buildVectorIndex
+ * @returns {Object|null} - { m, efConstruction, seed }, or null if the index is scanned instead
+ */
+function getGraphOptions(count, options = {}) {
+  const {
+    minVectors = DEFAULT_MIN_VECTORS,
+    m = DEFAULT_M,
+    efConstruction = DEFAULT_EF_CONSTRUCTION,
+    seed = DEFAULT_SEED
+  } = options;
+
+  if (count < Math.max(minVectors, 2)) {
+    return null;
+  }
+
+  return { m: Math.max(m, 2), efConstruction: Math.max(efConstruction, m), seed };
+}
+
+/**
+ * Build an index over a list of embeddings
+ * @param {Array<Array<number>|Float32Array>} embeddings - Embedding per document, indexed by position
+ * @param {Object} options - Index parameters
+ * @param {number} [options.minVectors=1000] - Build the HNSW graph from this many vectors on; smaller indexes are scanned
+ * @param {number} [options.m=12] - Links per node and layer (twice as many on the bottom layer)
+ * @param {number} [options.efConstruction=48] - Candidates considered when linking a node; higher builds a better graph, slower
+ * @param {number} [options.seed=42] - Seed for the random layer assignment
+ * @param {boolean} [options.deferGraph=false] - Leave the graph to buildGraphInWorker
+ * @param {boolean} [options.normalized=false] - The embeddings are Float32Arrays from normalizeVector
+ *   and become the rows as they are
+ * @returns {Object} - Vector index; rows holds the normalized vector of each document
+ */
+function buildVectorIndex(embeddings, options = {}) {
+  const count = embeddings.length;
+  const dimensions = count > 0 ? embeddings[0].length : 0;
+  const rows = options.normalized ? embeddings : embeddings.map(normalizeVector);
+  const index = { count, dimensions, rows, graph: null };
+
+  const graphOptions = getGraphOptions(count, options);
+  if (graphOptions && !options.deferGraph) {
+    buildGraph(index, graphOptions);
+  }
+
+  return index;
+}
+
+/**
+ * Build the HNSW graph of an index in a worker thread and attach it once it is done
+ * Searches scan the index until then. The graph is the same one buildVectorIndex would build.
+ * @param {Object} index - Index from buildVectorIndex with deferGraph
+ * @param {Object} options - Index parameters, see buildVectorIndex
+ * @returns {Object|null} - { done, cancel }: done resolves to true once the graph is attached and to false
+ *   if the build failed or was cancelled; null if the index is too small for a graph or already has one
+ */
+function buildGraphInWorker(index, options = {}) {
+  const graphOptions = getGraphOptions(index.count, options);
+
+  if (!graphOptions || index.graph) {
+    return null;
+  }
+
+  // The rows are packed into one buffer that is moved to the worker rather than copied again
+  const vectors = new Float32Array(index.count * index.dimensions);
+  index.rows.forEach((row, i) => vectors.set(row, i * index.dimensions));
+
+  const worker = new Worker(path.join(__dirname, 'vectorIndexWorker.js'), {
+    workerData: { vectors, count: index.count, dimensions: index.dimensions, options: graphOptions },
+    transferList: [vectors.buffer]
+  });
+  // A build still running must not keep the process alive
+  worker.unref();
+
+  let settle;
+  const done = new Promise(resolve => {
+    settle = resolve;
+  });
+
+  worker.once('message', ({ neighbors, entryPoint, maxLevel }) => {
+    index.graph = { neighbors, entryPoint, maxLevel, visited: new Uint32Array(index.count), visitStamp: 0 };
+    settle(true);
+  });
+  worker.once('error', error => {
+    console.error('Building the vector index graph failed, scanning instead:', error.message);
+    settle(false);
+  });
+  worker.once('exit', () => settle(false));
+
+  return {
+    done,
+    cancel() {
+      worker.terminate();
+      settle(false);
+    }
+  };
+}
+
+/**
+ * Score every vector of the index and keep the best k
+ * @param {Object} index - Vector index
+ * @param {Float32Array} query - Normalized query vector
+ * @param {number} k - Results to return
+ * @param {Function} [filter] - (id) => boolean; vectors it rejects are skipped
+ * @returns {Array<Object>} - { id, score } entries, best first
+ */
+function searchExact(index, query, k, filter) {
+  const best = createHeap(false);
+
+  for (let id = 0; id < index.count; id++) {
+    if (filter && !filter(id)) continue;
+
+    const score = dotProduct(query, index.rows[id]);
+    if (best.size() < k) {
+      best.push({ id, score });
+    } else if (score > best.peek().score) {
+      best.pop();
+      best.push({ id, score });
+    }
+  }
+
+  const found = [];
+  while (best.size() > 0) found.push(best.pop());
+  return found.reverse();
+}
+
+/**
+ * Find the vectors most similar to a query
+ * @param {Object} index - Index from buildVectorIndex
+ * @param {Float32Array} query - Normalized query vector (see normalizeVector)
+ * @param {number} k - Results to return
+ * @param {Object} options - Search parameters
+ * @param {number} [options.efSearch=64] - Candidates kept while walking the graph; higher finds more true neighbours, slower
+ * @param {boolean} [options.exact=false] - Scan every vector even when the index has a graph
+ * @param {Function} [options.filter] - (id) => boolean; only vectors it accepts are returned. Filtered
+ *   searches scan the accepted vectors, since the graph cannot route around rejected ones
+ * @returns {Array<Object>} - { id, score } entries with the cosine similarity, best first
+ * @throws {Error} - If the query and the indexed vectors differ in length
+ */
+function searchVectorIndex(index, query, k, { efSearch = DEFAULT_EF_SEARCH, exact = false, filter } = {}) {
+  if (index.count === 0 || k <= 0) {
+    return [];
+  }
+
+  if (query.length !== index.dimensions) {
+    throw new Error(`Query has ${query.length} dimensions but the index has ${index.dimensions}`);
+  }
+
+  if (!index.graph || exact || filter) {
+    return searchExact(index, query, k, filter);
+  }
+
+  const { graph } = index;
+  let entryIds = [graph.entryPoint];
+
+  for (let level = graph.maxLevel; level > 0; level--) {
+    entryIds = [searchLayer(index, query, entryIds, 1, level)[0].id];
+  }
+
+  return searchLayer(index, query, entryIds, Math.max(efSearch, k), 0).slice(0, k);
+}
+
+module.exports = {
+  buildVectorIndex,
+  buildGraphInWorker,
+  buildGraph,
+  searchVectorIndex,
+  normalizeVector,
+  dotProduct,
+  encodeVector,
+  decodeVector
+};
@@ -0,0 +1,13 @@
+const { parentPort, workerData } = require('worker_threads');
+const { buildGraph } = require('./vectorIndexService');
+
+/**
+ * Vector Index Worker
+ * Builds the HNSW graph of an index off the main thread, see buildGraphInWorker
+ */
+
+const { vectors, count, dimensions, options } = workerData;
+const rows = Array.from({ length: count }, (_, i) => vectors.subarray(i * dimensions, (i + 1) * dimensions));
+const { neighbors, entryPoint, maxLevel } = buildGraph({ count, dimensions, rows, graph: null }, options);
+
+parentPort.postMessage({ neighbors, entryPoint, maxLevel });
@@ -0,0 +1,3 @@
+// Keep tests from reading or writing the local knowledge base storage directory.
+// Tests that exercise persistence point STORAGE_DIR at a temporary directory instead.
+process.env.STORAGE_DIR = '';
@@ -2,6 +2,10 @@ import { useState, useRef, useEffect } from 'react';
 import './App.css';
 
 const API_URL = '/api/chat';
+const STREAM_URL = '/api/chat/stream';
+
+// Streaming needs fetch response bodies exposed as readable streams
+const SUPPORTS_STREAMING = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
 
 // Sample questions for quick access
 const SAMPLE_QUESTIONS = [
@@ -11,6 +15,41 @@ const SAMPLE_QUESTIONS = [
   "What are the benefits?"
 ];
 
+/**
+ * Check whether a fetch response is a Server-Sent Events stream
+ */
+const isEventStream = (response) =>
+  Boolean(response.body?.getReader) &&
+  (response.headers?.get('Content-Type') || '').includes('text/event-stream');
+
+/**
+ * Read Server-Sent Events from a fetch response, calling onEvent(event, data) for each one
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 function App() {
   const [messages, setMessages] = useState([
     {
@@ -23,8 +62,10 @@ function App() {
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -36,8 +77,14 @@ function App() {
 
   useEffect(() => {
     inputRef.current?.focus();
+    // Abort any in-flight request when unmounting
+    return () => abortControllerRef.current?.abort();
   }, []);
 
+  const updateMessage = (id, update) => {
+    setMessages(prev => prev.map(m => (m.id === id ? { ...m, ...update(m) } : m)));
+  };
+
   const sendMessage = async (messageText) => {
     const trimmedMessage = messageText.trim();
     if (!trimmedMessage || isLoading) return;
@@ -54,12 +101,18 @@ function App() {
     setInput('');
     setIsLoading(true);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const assistantId = Date.now() + 1;
+    let hasStreamedContent = false;
+    let streamFinished = false;
+
     try {
       const conversationHistory = messages
         .filter(m => m.role !== 'system')
         .map(m => ({ role: m.role, content: m.content }));
 
-      const response = await fetch(API_URL, {
+      const requestOptions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -67,13 +120,64 @@ function App() {
         body: JSON.stringify({
           message: trimmedMessage,
           conversationHistory
-        })
-      });
+        }),
+        signal: controller.signal
+      };
+
+      let response = await fetch(SUPPORTS_STREAMING ? STREAM_URL : API_URL, requestOptions);
+
+      // Older servers have no streaming endpoint; use the one-shot JSON path
+      if (SUPPORTS_STREAMING && response.status === 404) {
+        response = await fetch(API_URL, requestOptions);
+      }
 
       if (!response.ok) {
         throw new Error(`Server error: ${response.status}`);
       }
 
+      if (isEventStream(response)) {
+        await readEventStream(response, (event, data) => {
+          if (event === 'token') {
+            if (!hasStreamedContent) {
+              hasStreamedContent = true;
+              setStreamingMessageId(assistantId);
+              setMessages(prev => [...prev, {
+                id: assistantId,
+                role: 'assistant',
+                content: data.content
+              }]);
+            } else {
+              updateMessage(assistantId, m => ({ content: m.content + data.content }));
+            }
+          } else if (event === 'done') {
+            streamFinished = true;
+            // An empty completion sends no tokens; still show the (empty) answer with its source
+            if (!hasStreamedContent) {
+              setMessages(prev => [...prev, {
+                id: assistantId,
+                role: 'assistant',
+                content: '',
+                source: data.source,
+                confidence: data.confidence
+              }]);
+              return;
+            }
+            updateMessage(assistantId, () => ({
+              source: data.source,
+              confidence: data.confidence
+            }));
+          } else if (event === 'error') {
+            streamFinished = true;
+            throw new Error(data.message || 'Failed to get response');
+          }
+        });
+
+        if (!streamFinished) {
+          throw new Error('The response ended unexpectedly. Please try again.');
+        }
+        return;
+      }
+
       const data = await response.json();
 
       if (!data.success) {
@@ -81,7 +185,7 @@ function App() {
       }
 
       const assistantMessage = {
-        id: Date.now() + 1,
+        id: assistantId,
         role: 'assistant',
         content: data.data.answer,
         source: data.data.source,
@@ -90,14 +194,27 @@ function App() {
 
       setMessages(prev => [...prev, assistantMessage]);
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Keep whatever was generated before the user pressed stop
+        if (hasStreamedContent) {
+          updateMessage(assistantId, () => ({ stopped: true }));
+        }
+        return;
+      }
       console.error('Error sending message:', err);
       setError(err.message || 'Failed to send message. Please try again.');
     } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
       setIsLoading(false);
       inputRef.current?.focus();
     }
   };
 
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     sendMessage(input);
@@ -172,13 +289,18 @@ function App() {
                         {message.source === 'predefined' ? '📚 Knowledge Base' : '🤖 AI Generated'}
                       </span>
                     )}
+                    {message.stopped && (
+                      <span className="message-stopped">Stopped</span>
+                    )}
+                  </div>
+                  <div className={`message-text${message.id === streamingMessageId ? ' streaming' : ''}`}>
+                    {message.content}
                   </div>
-                  <div className="message-text">{message.content}</div>
                 </div>
               </div>
             ))}
             
-            {isLoading && (
+            {isLoading && !streamingMessageId && (
               <div className="message assistant loading">
                 <div className="message-avatar">
                   <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -247,6 +369,18 @@ function App() {
               disabled={isLoading}
               className="chat-input"
             />
+            {isLoading && (
+              <button
+                type="button"
+                onClick={stopGeneration}
+                className="stop-btn"
+                aria-label="Stop generating"
+              >
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <rect x="6" y="6" width="12" height="12" rx="2" fill="currentColor"/>
+                </svg>
+              </button>
+            )}
             <button
               type="submit"
               disabled={!input.trim() || isLoading}
@@ -50,7 +50,7 @@ describe('Quick Questions Feature', () => {
 
     await waitFor(() => {
       expect(global.fetch).toHaveBeenCalledWith(
-        '/api/chat',
+        '/api/chat/stream',
         expect.objectContaining({
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
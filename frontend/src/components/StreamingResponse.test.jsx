@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from '../App';
+
+const encoder = new TextEncoder();
+
+const sseEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Build a fetch response whose body streams the given Server-Sent Event strings.
+ * Returns controls to push more events and close the stream from the test.
+ */
+const createStreamResponse = (initialEvents = [], signal) => {
+  let streamController;
+  const body = new ReadableStream({
+    start(controller) {
+      streamController = controller;
+      initialEvents.forEach(e => controller.enqueue(encoder.encode(e)));
+    }
+  });
+
+  signal?.addEventListener('abort', () => {
+    streamController.error(new DOMException('The operation was aborted.', 'AbortError'));
+  });
+
+  return {
+    response: {
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'Content-Type': 'text/event-stream' }),
+      body
+    },
+    push: (e) => streamController.enqueue(encoder.encode(e)),
+    close: () => streamController.close()
+  };
+};
+
+const sendMessage = (text) => {
+  const input = screen.getByPlaceholderText(/ask me about/i);
+  fireEvent.change(input, { target: { value: text } });
+  fireEvent.submit(input.closest('form'));
+};
+
+describe('Streaming Responses', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    vi.clearAllMocks();
+  });
+
+  it('requests the streaming endpoint', async () => {
+    const stream = createStreamResponse([sseEvent('done', { source: 'openai', confidence: null })]);
+    stream.close();
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    sendMessage('Hello');
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/chat/stream', expect.objectContaining({
+        method: 'POST',
+        signal: expect.any(AbortSignal)
+      }));
+    });
+  });
+
+  it('grows the assistant message as tokens arrive', async () => {
+    const stream = createStreamResponse([sseEvent('token', { content: 'PHIL automates ' })]);
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    sendMessage('How does PHIL work?');
+
+    await waitFor(() => {
+      expect(screen.getByText('PHIL automates')).toBeInTheDocument();
+    });
+    expect(document.querySelector('.typing-indicator')).not.toBeInTheDocument();
+
+    stream.push(sseEvent('token', { content: 'payment posting.' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('PHIL automates payment posting.')).toBeInTheDocument();
+    });
+
+    stream.push(sseEvent('done', { source: 'predefined', confidence: 0.9 }));
+    stream.close();
+
+    await waitFor(() => {
+      expect(screen.getByText('📚 Knowledge Base')).toBeInTheDocument();
+    });
+    expect(screen.getByPlaceholderText(/ask me about/i)).not.toBeDisabled();
+  });
+
+  it('shows a stop button only while generating', async () => {
+    const stream = createStreamResponse([sseEvent('token', { content: 'Partial' })]);
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    expect(screen.queryByRole('button', { name: /stop generating/i })).not.toBeInTheDocument();
+
+    sendMessage('Tell me something');
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /stop generating/i })).toBeInTheDocument();
+    });
+
+    stream.push(sseEvent('done', { source: 'openai', confidence: null }));
+    stream.close();
+
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: /stop generating/i })).not.toBeInTheDocument();
+    });
+  });
+
+  it('keeps the partial answer when generation is stopped', async () => {
+    global.fetch.mockImplementationOnce((url, options) => {
+      const stream = createStreamResponse([sseEvent('token', { content: 'Thoughtful AI builds' })], options.signal);
+      return Promise.resolve(stream.response);
+    });
+
+    render(<App />);
+    sendMessage('Tell me about Thoughtful AI');
+
+    await waitFor(() => {
+      expect(screen.getByText('Thoughtful AI builds')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /stop generating/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Stopped')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Thoughtful AI builds')).toBeInTheDocument();
+    expect(document.querySelector('.error-banner')).not.toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/ask me about/i)).not.toBeDisabled();
+  });
+
+  it('displays an error event from the stream', async () => {
+    const stream = createStreamResponse([
+      sseEvent('error', { error: 'Internal server error', message: 'Failed to process your request. Please try again.' })
+    ]);
+    stream.close();
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    sendMessage('Test message');
+
+    await waitFor(() => {
+      expect(screen.getByText(/failed to process your request/i)).toBeInTheDocument();
+    });
+  });
+
+  it('shows an answer for a stream that ends without tokens', async () => {
+    const stream = createStreamResponse([sseEvent('done', { source: 'openai', confidence: null })]);
+    stream.close();
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    sendMessage('Hello');
+
+    await waitFor(() => {
+      expect(screen.getByText('🤖 AI Generated')).toBeInTheDocument();
+    });
+    expect(document.querySelector('.error-banner')).not.toBeInTheDocument();
+  });
+
+  it('displays an error when the stream closes without a done event', async () => {
+    const stream = createStreamResponse([sseEvent('token', { content: 'Half an answer' })]);
+    global.fetch.mockResolvedValueOnce(stream.response);
+
+    render(<App />);
+    sendMessage('Test message');
+
+    await waitFor(() => {
+      expect(screen.getByText('Half an answer')).toBeInTheDocument();
+    });
+
+    stream.close();
+
+    await waitFor(() => {
+      expect(screen.getByText(/the response ended unexpectedly/i)).toBeInTheDocument();
+    });
+    expect(screen.getByPlaceholderText(/ask me about/i)).not.toBeDisabled();
+  });
+
+  it('falls back to the JSON endpoint when streaming is unavailable', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          success: true,
+          data: { answer: 'One-shot response', source: 'openai' }
+        })
+      });
+
+    render(<App />);
+    sendMessage('Test message');
+
+    await waitFor(() => {
+      expect(screen.getByText('One-shot response')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/chat', expect.any(Object));
+  });
+});